@@ -2,12 +2,57 @@
  * AI-powered analysis using Cloudflare Workers AI
  */
 
+import {
+	formatLatencySummary,
+	formatBoringtunCorrelation,
+	formatCaptureCorrelation,
+	formatConnectionTimeline,
+	formatSplitTunnelAnalysis,
+	filterLogEvents,
+} from './parsers.js';
+
 const MODELS = {
 	LLAMA4_SCOUT: '@cf/meta/llama-4-scout-17b-16e-instruct',
 	LLAMA33_FAST: '@cf/meta/llama-3.3-70b-instruct-fp8-fast',
 	DEEPSEEK_R1: '@cf/deepseek-ai/deepseek-r1-distill-qwen-32b',
 };
 
+/**
+ * How far a log event may be from a timestamp the AI cited and still match it
+ */
+const TIMESTAMP_MATCH_MS = 1000;
+
+/**
+ * Evidence score added for the level of a parsed log event
+ */
+const LEVEL_SCORES = { ERROR: 3, WARN: 2 };
+
+/**
+ * Log levels a timeline event of each severity is expected to come from
+ */
+const SEVERITY_LEVELS = { Critical: ['ERROR'], Warning: ['ERROR', 'WARN'] };
+
+/**
+ * ERROR events from one module that make the fallback analysis report it
+ */
+const MODULE_ERROR_THRESHOLD = 5;
+
+/**
+ * Maximum modules reported for repeated errors, and events in the fallback timeline
+ */
+const MAX_MODULE_ERROR_ISSUES = 3;
+const MAX_FALLBACK_TIMELINE_EVENTS = 30;
+
+/**
+ * Characters of each capture analysis section (TCP, DNS, TLS, ...) sent to the model
+ */
+const MAX_SECTION_LENGTH = 1500;
+
+/**
+ * Timeline severity of each connection state a transition enters
+ */
+const STATE_SEVERITIES = { connected: 'Success', reconnecting: 'Warning', disconnected: 'Critical' };
+
 /**
  * System prompt for WARP diagnostics analysis
  */
@@ -34,9 +79,43 @@ Common WARP issues to look for:
 - Packet-level issues (retransmissions, drops, protocol errors)
 - Network protocol anomalies (TCP resets, ICMP errors, ARP issues)
 
-When analyzing PCAP packet data, include specific packet numbers (e.g., "Packet 15"), timestamps, IP addresses, port numbers, and protocol details in your evidence keywords.
+PCAP captures are summarized as a conversation table with one "[Flow N]" line per 5-tuple, covering every packet in the capture (handshake outcome, bytes each direction, FIN/RST/timeout close reason and packet range). Flows ending in "via GRE …", "via VXLAN VNI …" and similar were decapsulated from Magic WAN or cloud overlay tunnels: the addresses are the inner ones, and the outer tunnel endpoints are in parentheses.
 
-IMPORTANT: Your evidence_keywords should contain exact phrases and distinctive text that appear in the log lines. These will be used to extract and display the actual log entries to the user. Be specific - use actual error messages, IP addresses, packet identifiers, and unique strings from the logs.
+A "Display filter:" line means the engineer narrowed the conversation table and packet listing to traffic matching that expression, so focus on it; the other sections still cover the whole capture.
+
+A "Sampling:" line says how the packet listing was chosen and how much of the capture it covers (packets, anomalies, flows and time range listed); treat anything outside it as unseen rather than absent.
+
+A TCP ANALYSIS section follows with "[Packet N] Flow N:" lines for retransmissions, out-of-order and lost segments, duplicate ACKs and zero windows, derived from sequence tracking across the whole capture.
+
+A LATENCY section gives p50/p95/max round trips per destination for TCP handshakes, DNS, ICMP echo and WireGuard/QUIC handshakes; use these numbers when assessing performance complaints.
+
+A DNS section pairs queries with responses by transaction ID and lists NXDOMAIN, SERVFAIL and unanswered queries with the resolver involved; correlate these query names with daemon_dns.log and dns-check.txt.
+
+A TLS section lists each handshake (SNI, negotiated version and cipher, ALPN, certificate subject and issuer) and any alerts; a certificate issued by a Gateway CA together with a client bad_certificate or unknown_ca alert points to TLS inspection breaking a pinned application.
+
+A QUIC section lists QUIC connections with the SNI decrypted from the client Initial; flows marked "WARP tunnel (MASQUE)" are the WARP tunnel itself, so problems there (no server response, version negotiation, stateless resets) affect all tunneled traffic.
+
+A WIREGUARD section pairs handshake initiations with responses per flow; UDP 2408, 500, 1701 and 4500 carry WARP's WireGuard tunnel, not IKE or L2TP, when marked "(WireGuard)". Unanswered initiations that keep being retried mean UDP to the WARP endpoint is blocked, cookie reply storms mean the endpoint is rate-limiting handshakes, and a completed handshake with no transport data back points to a firewall passing only the handshake. When boringtun.log is included, handshakes logged but missing from the capture (or the reverse) show where packets were lost between the client and the wire.
+
+qlog files from the WARP client are summarized per QUIC connection (lifecycle states, packets lost and dropped, congestion window, RTT, probe timeouts and how the connection closed); a MASQUE tunnel closed with idle_timeout or an error, high loss or repeated probe timeouts explains tunnel drops and slowness.
+
+An MTU AND FRAGMENTATION section reports reassembled and incomplete IP fragments, ICMP Fragmentation Needed and Packet Too Big messages with the MTU they report, and the largest packet sent and delivered per path; a "PMTUD black hole" line means large packets are silently dropped on that path, which stalls TLS handshakes and bulk transfers while small requests still work. PMTUD black holes are already reported as issues, so do not repeat them.
+
+A PROTOCOL HIERARCHY AND TOP TALKERS section gives capture-wide packet and byte shares per protocol layer, the busiest addresses and server ports, the most queried DNS names and TLS/QUIC SNIs, broadcast and multicast share, and ARP requests that were never answered; use it to judge what dominates the capture before looking at single flows.
+
+An I/O SERIES section gives throughput per time bucket: "Throughput collapse" lines mark the exact time traffic dropped, and the lines after them count retransmissions, RSTs, ICMP errors and DNS failures per bucket; line these timestamps up with daemon.log events (reconnects, network changes, DNS or tunnel errors) to explain the drop.
+
+When several captures are uploaded, a Merged Captures section puts them on one time axis ("+N s" from the earliest packet) and matches packets on the tunnel interface with their encrypted WireGuard or MASQUE copies on the physical interface by timing and size: loss "before encapsulation" happened inside the WARP client (or the firewall and VPN software around it), loss "after encapsulation" on the network between the device and Cloudflare, and loss "after decapsulation" on the device after the packets arrived, so name the right side in the root cause.
+
+A Connection State Timeline section, when present, is the connection lifecycle rebuilt by fixed rules from daemon.log and boringtun.log: each "[Transition N]" line is a state change (registering, connecting, handshake, connected, reconnecting, disconnected) with the reason and the exact file and line that caused it. It is established fact and is shown to the engineer as the timeline: do not contradict it or repeat its transitions in your own timeline. Explain them instead in transition_notes, one note per transition worth commenting on (what caused it and whether it is expected), and keep your timeline for other events such as configuration changes, DNS errors and packet problems.
+
+A Split Tunnel and Routes section, when present, gives the service mode, split tunnel include or exclude list and fallback domains from warp-settings.txt, checked against route.txt, ifconfig.txt and ipconfig.txt. "⚠️" lines are conflicts found in those files, each quoting the route, interface address and setting involved: a local network overlapping the WARP range 100.96.0.0/12 clashes with the tunnel's own addresses, an excluded range routed into the tunnel (or an included one routed around it) means the routes do not follow the policy, and a default route that bypasses the tunnel means traffic meant for WARP leaves unprotected. These conflicts are already reported as issues, so do not repeat them; use them to explain symptoms such as unreachable local resources or traffic not going through Gateway.
+
+When the engineer asked for redaction, personal and account data was replaced with consistent pseudonyms before you saw it: addresses in 198.18.0.0/15 and 2001:db8::/32, MAC addresses starting 02:00:00, host-N.redacted.invalid names, user-N@redacted.invalid emails, user-N account names and REDACTED-ID-N identifiers each stand for one real value. The same pseudonym always means the same original, so correlate on them as usual, quote them exactly in evidence keywords, and do not flag them as misconfiguration or documentation addresses.
+
+When analyzing PCAP packet data, include specific packet numbers (e.g., "Packet 15"), flow identifiers (e.g., "Flow 3"), timestamps, IP addresses, port numbers, and protocol details in your evidence keywords.
+
+IMPORTANT: Your evidence_keywords should contain exact phrases and distinctive text that appear in the log lines. These will be used to extract and display the actual log entries to the user. Be specific - use actual error messages, IP addresses, packet identifiers, and unique strings from the logs. Copy timestamps in full (date, time and zone, e.g. 2024-01-15T10:30:45.123Z): log entries are matched to them by time.
 
 Respond with structured JSON output.`;
 
@@ -44,12 +123,24 @@ Respond with structured JSON output.`;
  * Analyze WARP diagnostic logs using AI
  * @param {Object} ai - Workers AI binding
  * @param {Array} logFiles - Array of {filename, content, category} objects
- * @param {Object} pcapMetadata - PCAP file metadata
+ * @param {Array} pcapMetadata - Metadata of every capture
+ * @param {Array} pcapAnalysis - Per-capture analysis (conversations, TCP analysis, latency)
+ * @param {Object|null} pcapCorrelation - Captures merged onto one time axis, from correlateCaptures
+ * @param {Object|null} connectionTimeline - Connection state transitions, from buildConnectionTimeline
+ * @param {Object|null} splitTunnel - Split tunnel settings checked against the routes, from analyzeSplitTunnel
  * @returns {Promise<Object>} - Analysis results
  */
-export async function analyzeWarpDiagnostics(ai, logFiles, pcapMetadata) {
+export async function analyzeWarpDiagnostics(
+	ai,
+	logFiles,
+	pcapMetadata = [],
+	pcapAnalysis = [],
+	pcapCorrelation = null,
+	connectionTimeline = null,
+	splitTunnel = null,
+) {
 	// Prepare context for AI analysis
-	const context = buildAnalysisContext(logFiles, pcapMetadata);
+	const context = buildAnalysisContext(logFiles, pcapMetadata, pcapAnalysis, pcapCorrelation, connectionTimeline, splitTunnel);
 
 	// Create analysis prompt
 	const userPrompt = `Analyze the following Cloudflare WARP diagnostic data and provide a comprehensive report.
@@ -57,7 +148,7 @@ export async function analyzeWarpDiagnostics(ai, logFiles, pcapMetadata) {
 ## Files Included
 ${logFiles.map(f => `- ${f.filename} (${f.category})`).join('\n')}
 
-${pcapMetadata ? `## PCAP Metadata\n${JSON.stringify(pcapMetadata, null, 2)}\n` : ''}
+${pcapMetadata.length > 0 ? `## PCAP Metadata\n${JSON.stringify(pcapMetadata, null, 2)}\n` : ''}
 
 ## Key Log Content
 ${context.keyLogs}
@@ -67,6 +158,11 @@ ${context.networkConfig}
 
 ## Connection Status
 ${context.connectionInfo}
+${context.latency ? `\n## Measured Latency (from packet captures)\n${context.latency}` : ''}
+${context.wireguard ? `\n## WireGuard Handshakes vs boringtun.log\n${context.wireguard}` : ''}
+${context.captures ? `\n## Merged Captures (tunnel vs physical interface)\n${context.captures}` : ''}
+${context.connectionTimeline ? `\n## Connection State Timeline (from daemon.log and boringtun.log)\n${context.connectionTimeline}` : ''}
+${context.splitTunnel ? `\n## Split Tunnel and Routes (warp-settings.txt vs route table)\n${context.splitTunnel}` : ''}
 
 Please provide:
 1. Overall assessment of WARP client health
@@ -77,7 +173,7 @@ Please provide:
    - Connection attempts and results
    - Configuration changes
    - Error occurrences
-   - State transitions (connected → disconnected, etc.)
+   - State transitions (connected → disconnected, etc.), unless the Connection State Timeline already lists them
    - Network events (DNS lookups, packet issues, etc.)
    - Include the source filename and approximate line reference for each event
 
@@ -108,6 +204,12 @@ Format your response as JSON with this structure:
       "details": "Additional context or exact log message"
     }
   ],
+  "transition_notes": [
+    {
+      "transition": 1,
+      "note": "Why this Connection State Timeline transition happened and whether it is expected"
+    }
+  ],
   "recommendations": [
     "Recommendation 1",
     "Recommendation 2"
@@ -137,6 +239,24 @@ Format your response as JSON with this structure:
 		if (result.timeline) {
 			result.timeline = enrichTimelineWithLogReferences(result.timeline, logFiles);
 		}
+
+		// The rule-based transitions are the timeline; the model only comments on them
+		if (connectionTimeline) {
+			const transitions = buildTransitionEvents(connectionTimeline, logFiles, result.transition_notes);
+			result.timeline = mergeTimelines(transitions, (result.timeline || []).map(event => ({ ...event, source: 'ai' })));
+		}
+		delete result.transition_notes;
+
+		// Black holes and route conflicts are measured, so report them even if the model missed them
+		const measured = [
+			...detectMtuIssues(pcapAnalysis).filter(
+				(issue) => !(result.issues || []).some((aiIssue) => /black hole|pmtud/i.test(aiIssue.title || '')),
+			),
+			...detectRouteConflictIssues(splitTunnel).filter((issue) => !(result.issues || []).some((aiIssue) => aiIssue.title === issue.title)),
+		];
+		if (measured.length > 0) {
+			result.issues = [...(result.issues || []), ...measured.map(issue => enrichIssueWithLogEvidence(issue, logFiles))];
+		}
 		
 		return {
 			success: true,
@@ -149,7 +269,7 @@ Format your response as JSON with this structure:
 		return {
 			success: false,
 			error: error.message,
-			fallback: generateFallbackAnalysis(logFiles, pcapMetadata),
+			fallback: generateFallbackAnalysis(logFiles, pcapMetadata, pcapAnalysis, connectionTimeline, splitTunnel),
 		};
 	}
 }
@@ -157,35 +277,45 @@ Format your response as JSON with this structure:
 /**
  * Build analysis context from log files
  * @param {Array} logFiles
- * @param {Object} pcapMetadata
+ * @param {Array} pcapMetadata
+ * @param {Array} pcapAnalysis
+ * @param {Object|null} pcapCorrelation
+ * @param {Object|null} connectionTimeline
+ * @param {Object|null} splitTunnel
  * @returns {Object} - Structured context
  */
-function buildAnalysisContext(logFiles, pcapMetadata) {
+function buildAnalysisContext(
+	logFiles,
+	pcapMetadata,
+	pcapAnalysis = [],
+	pcapCorrelation = null,
+	connectionTimeline = null,
+	splitTunnel = null,
+) {
 	const context = {
 		keyLogs: '',
 		networkConfig: '',
 		connectionInfo: '',
+		latency: '',
+		wireguard: '',
+		captures: pcapCorrelation ? `${formatCaptureCorrelation(pcapCorrelation).join('\n')}\n` : '',
+		connectionTimeline: connectionTimeline ? `${formatConnectionTimeline(connectionTimeline).join('\n')}\n` : '',
+		splitTunnel: splitTunnel ? `${formatSplitTunnelAnalysis(splitTunnel).join('\n')}\n` : '',
 	};
 
 	// Process ALL log files and include line numbers for better evidence extraction
 	for (const file of logFiles) {
 		const maxLength = 4000; // Increased limit per file
-		const lines = file.content.split('\n');
-		
-		// Add line numbers to make evidence extraction more precise
+		// PCAP files provide a conversation table in place of raw packet lines.
+		// It is a prefix of the full content, so line numbers still match.
+		const lines = (file.contextContent || file.content).split('\n');
+
+		// The analysis sections after a capture's conversation table each get their
+		// own share, so a long table does not cut them off
+		const sections = file.category === 'pcap' ? splitSummarySections(lines) : [[0, lines.length]];
 		let numberedContent = '';
-		let charCount = 0;
-		
-		for (let i = 0; i < lines.length && charCount < maxLength; i++) {
-			const line = lines[i];
-			if (line.trim()) { // Skip empty lines
-				numberedContent += `[Line ${i + 1}] ${line}\n`;
-				charCount += line.length;
-			}
-		}
-		
-		if (charCount >= maxLength) {
-			numberedContent += '... (truncated - more lines available)\n';
+		for (const [index, [start, end]] of sections.entries()) {
+			numberedContent += numberLines(lines, start, end, index === 0 ? maxLength : MAX_SECTION_LENGTH);
 		}
 
 		// Categorize content for better organization
@@ -194,17 +324,152 @@ function buildAnalysisContext(logFiles, pcapMetadata) {
 		} else if (file.category === 'network') {
 			context.networkConfig += `\n### ${file.filename}\n${numberedContent}\n`;
 		} else if (file.category === 'pcap') {
-			// PCAP files are critical for network issues
-			context.keyLogs += `\n### ${file.filename} (PCAP Analysis)\n${numberedContent}\n`;
+			// PCAP files are critical for network issues; qlogs arrive as QUIC connection metrics
+			const label = file.filename.toLowerCase().match(/\.s?qlog$/) ? 'QUIC Connection Metrics' : 'PCAP Conversations';
+			context.keyLogs += `\n### ${file.filename} (${label})\n${numberedContent}\n`;
 		} else {
 			// Include all other categories (dns, config, logs, etc.)
 			context.keyLogs += `\n### ${file.filename}\n${numberedContent}\n`;
 		}
 	}
 
+	// Latency gets its own section so it survives the per-file truncation above
+	for (const capture of pcapAnalysis) {
+		if (!capture.latency || capture.latency.length === 0) continue;
+		context.latency += `\n### ${capture.filename}\n${formatLatencySummary(capture.latency).join('\n')}\n`;
+	}
+	for (const capture of pcapAnalysis) {
+		if (!capture.wireguard?.boringtun) continue;
+		context.wireguard += `\n### ${capture.filename}\n${formatBoringtunCorrelation(capture.wireguard.boringtun).join('\n')}\n`;
+	}
+
 	return context;
 }
 
+/**
+ * Split a capture summary at its "=== SECTION ===" headers, keeping the
+ * metadata and the first section (the conversation table) together
+ * @param {Array<string>} lines
+ * @returns {Array<Array<number>>} - [start, end) line ranges
+ */
+function splitSummarySections(lines) {
+	const starts = [0];
+	let headers = 0;
+	lines.forEach((line, index) => {
+		if (/^=== .+ ===$/.test(line) && ++headers > 1) starts.push(index);
+	});
+	return starts.map((start, index) => [start, starts[index + 1] ?? lines.length]);
+}
+
+/**
+ * Number the non-empty lines of a range, for evidence extraction, until maxLength characters
+ * @param {Array<string>} lines
+ * @param {number} start
+ * @param {number} end
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function numberLines(lines, start, end, maxLength) {
+	let numberedContent = '';
+	let charCount = 0;
+	for (let i = start; i < end && charCount < maxLength; i++) {
+		const line = lines[i];
+		if (line.trim()) {
+			numberedContent += `[Line ${i + 1}] ${line}\n`;
+			charCount += line.length;
+		}
+	}
+	if (charCount >= maxLength) {
+		numberedContent += '... (truncated - more lines available)\n';
+	}
+	return numberedContent;
+}
+
+/**
+ * Find the packets and flows a PCAP summary line refers to, so the evidence
+ * can be exported. Packet detail lines belong to the [Packet N] line above them.
+ * @param {Array<string>} lines - Summary lines
+ * @param {number} index - Index of the matched line
+ * @returns {Object|null} - { packets, flows }, null when the line names neither
+ */
+function capturePacketReferences(lines, index) {
+	const line = lines[index];
+	const packets = [...line.matchAll(/\[Packet (\d+)\]/g)].map((match) => parseInt(match[1], 10));
+	const flows = [...line.matchAll(/\bFlow (\d+)\b/g)].map((match) => parseInt(match[1], 10));
+
+	if (packets.length === 0 && flows.length === 0 && line.startsWith('  ')) {
+		for (let i = index - 1; i >= 0 && lines[i].trim(); i--) {
+			const header = lines[i].match(/^\[Packet (\d+)\]/);
+			if (header) {
+				packets.push(parseInt(header[1], 10));
+				break;
+			}
+			if (!lines[i].startsWith('  ')) break;
+		}
+	}
+
+	if (packets.length === 0 && flows.length === 0) return null;
+	return { packets: [...new Set(packets)], flows: [...new Set(flows)] };
+}
+
+/**
+ * Parse a timestamp the AI cited, when it is a full date and time
+ * @param {string} value
+ * @returns {number|null} - Epoch ms
+ */
+function parseCitedTime(value) {
+	const time = /\d{4}-\d{2}-\d{2}/.test(String(value)) ? Date.parse(value) : NaN;
+	return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Find the events of a parsed log that back up an issue. Keywords are matched
+ * against the module and the whole message (continuation lines included),
+ * timestamps by time, and ERROR and WARN events score higher.
+ * @param {Object} file - Log file entry with `events`
+ * @param {Array<string>} lines - The file's lines
+ * @param {Array<string>} keywords
+ * @param {Array<string>} timestamps
+ * @param {number} maxEntries
+ * @param {number} maxLength - Longest entry content before it is cut
+ * @returns {Array<Object>} - Log entries in file order
+ */
+function findEventEvidence(file, lines, keywords, timestamps, maxEntries, maxLength) {
+	const cited = timestamps.map(ts => ({ text: ts, time: parseCitedTime(ts) }));
+	const matched = [];
+
+	for (const event of file.events) {
+		if (matched.length >= maxEntries) break;
+		const text = `${event.module ?? ''} ${event.message}`.toLowerCase();
+		let matchScore = LEVEL_SCORES[event.level] ?? 0;
+		for (const kw of keywords) {
+			if (kw && text.includes(String(kw).toLowerCase())) matchScore += 10;
+		}
+		for (const ts of cited) {
+			const near = ts.time !== null ? Math.abs(event.time - ts.time) <= TIMESTAMP_MATCH_MS : lines[event.line - 1].includes(ts.text);
+			if (near) matchScore += 8;
+		}
+		if (matchScore === 0) continue;
+
+		// The whole event, with 2 lines of context on either side
+		const contextLines = [];
+		for (let j = Math.max(1, event.line - 2); j <= Math.min(lines.length, event.endLine + 2); j++) {
+			if (lines[j - 1].trim()) contextLines.push((j >= event.line && j <= event.endLine ? '>>> ' : '    ') + lines[j - 1]);
+		}
+		const entry = contextLines.join('\n');
+		matched.push({
+			filename: file.filename,
+			lineNumber: event.line,
+			content: entry.length > maxLength ? entry.substring(0, maxLength) + '...\n[line truncated]' : entry,
+			matchScore,
+			timestamp: event.timestamp,
+			level: event.level,
+			module: event.module,
+		});
+	}
+	return matched;
+}
+
 /**
  * Enrich issue with relevant log evidence
  * @param {Object} issue - Issue object from AI analysis
@@ -231,6 +496,15 @@ function enrichIssueWithLogEvidence(issue, logFiles) {
 	
 	for (const file of filesToSearch) {
 		const lines = file.content.split('\n');
+
+		// Parsed logs are matched per event, by level and time rather than by substring
+		if (file.events) {
+			const matchedEvents = findEventEvidence(file, lines, keywords, timestamps, maxEntriesPerFile, maxLineLength);
+			matchedEvents.sort((a, b) => b.matchScore - a.matchScore);
+			logEntries.push(...matchedEvents);
+			continue;
+		}
+
 		const matchedLines = [];
 		
 		// Search for lines containing keywords or timestamps
@@ -313,12 +587,16 @@ function enrichIssueWithLogEvidence(issue, logFiles) {
 					? entry.substring(0, maxLineLength) + '...\n[line truncated]'
 					: entry;
 				
-				matchedLines.push({
+				const entryData = {
 					filename: file.filename,
 					lineNumber: i + 1,
 					content: truncated,
 					matchScore: matchScore
-				});
+				};
+				// Let the UI download the packets this line is about
+				const capture = file.category === 'pcap' && /\.pcap(ng)?$/i.test(file.filename) ? capturePacketReferences(lines, i) : null;
+				if (capture) entryData.capture = capture;
+				matchedLines.push(entryData);
 			}
 		}
 		
@@ -373,8 +651,40 @@ function enrichTimelineWithLogReferences(timeline, logFiles) {
 		let bestMatch = null;
 		let bestScore = 0;
 		
+		const citedTime = parseCitedTime(event.timestamp);
 		for (const file of targetFiles) {
 			const lines = file.content.split('\n');
+
+			// Parsed logs: the event nearest in time, of the level the severity implies
+			if (file.events) {
+				for (const logEvent of file.events) {
+					const text = `${logEvent.module ?? ''} ${logEvent.message}`.toLowerCase();
+					let score = 0;
+					for (const term of searchTerms) {
+						if (term && text.includes(String(term).toLowerCase())) score += 5;
+					}
+					if (
+						citedTime !== null
+							? Math.abs(logEvent.time - citedTime) <= TIMESTAMP_MATCH_MS
+							: event.timestamp && lines[logEvent.line - 1].includes(event.timestamp)
+					) {
+						score += 20;
+					}
+					if (score > 0 && SEVERITY_LEVELS[event.severity]?.includes(logEvent.level)) score += 3;
+
+					if (score > bestScore) {
+						bestScore = score;
+						bestMatch = {
+							filename: file.filename,
+							lineNumber: logEvent.line,
+							content: lines.slice(logEvent.line - 1, logEvent.endLine).join('\n').trim(),
+							level: logEvent.level,
+							module: logEvent.module,
+						};
+					}
+				}
+				continue;
+			}
 			
 			for (let i = 0; i < lines.length; i++) {
 				const line = lines[i];
@@ -414,6 +724,64 @@ function enrichTimelineWithLogReferences(timeline, logFiles) {
 	});
 }
 
+/**
+ * Turn connection state transitions into timeline events, each citing the log
+ * line that caused it, with the model's note on it as commentary
+ * @param {Object} connectionTimeline - From buildConnectionTimeline
+ * @param {Array} logFiles - Quoted in full when the cited file is among them
+ * @param {Array} notes - The model's transition_notes, if any
+ * @returns {Array<Object>} - Timeline events in the AI response format
+ */
+function buildTransitionEvents(connectionTimeline, logFiles, notes = []) {
+	const commentary = new Map();
+	for (const note of Array.isArray(notes) ? notes : []) {
+		const index = Number(note?.transition);
+		if (Number.isInteger(index) && typeof note.note === 'string' && note.note.trim()) commentary.set(index, note.note.trim());
+	}
+
+	return connectionTimeline.transitions.map(transition => {
+		const file = logFiles.find(f => f.filename === transition.file);
+		const event = file?.events?.find(e => e.line === transition.line);
+		return {
+			timestamp: transition.time,
+			event: `${transition.from} → ${transition.to}`,
+			event_type: 'State',
+			severity: STATE_SEVERITIES[transition.to] ?? 'Info',
+			source_file: transition.file,
+			details: transition.reason,
+			source: 'logs',
+			transition: transition.index,
+			log_reference: {
+				filename: transition.file,
+				lineNumber: transition.line,
+				content: event ? file.content.split('\n').slice(event.line - 1, event.endLine).join('\n').trim() : transition.message,
+				level: transition.level,
+				module: transition.module,
+			},
+			...(commentary.has(transition.index) ? { commentary: commentary.get(transition.index) } : {}),
+		};
+	});
+}
+
+/**
+ * Merge other timeline events into the connection state transitions by time.
+ * Events without a usable timestamp go last; events citing a line a transition
+ * already cites are dropped.
+ * @param {Array<Object>} transitions - From buildTransitionEvents
+ * @param {Array<Object>} events
+ * @returns {Array<Object>}
+ */
+function mergeTimelines(transitions, events) {
+	const cited = new Set(transitions.map(event => `${event.log_reference.filename}:${event.log_reference.lineNumber}`));
+	const merged = [
+		...transitions,
+		...events.filter(event => !event.log_reference || !cited.has(`${event.log_reference.filename}:${event.log_reference.lineNumber}`)),
+	];
+	const time = (event) => parseCitedTime(event.timestamp) ?? Infinity;
+	// Stable, so transitions come before other events at the same time
+	return merged.sort((a, b) => time(a) - time(b) || 0);
+}
+
 /**
  * Parse AI response and extract JSON
  * @param {Object} response - AI model response
@@ -458,26 +826,219 @@ function parseAIResponse(response) {
 	}
 }
 
+/**
+ * Build issues for PMTUD black holes measured in the captures
+ * @param {Array} pcapAnalysis - Per-capture analysis with an `mtu` summary
+ * @returns {Array<Object>} - Issues in the AI response format
+ */
+function detectMtuIssues(pcapAnalysis = []) {
+	const issues = [];
+	for (const capture of pcapAnalysis) {
+		for (const hole of capture.mtu?.blackHoles || []) {
+			const delivered = hole.largestDelivered ?? 'unknown';
+			issues.push({
+				severity: 'Critical',
+				category: 'Performance',
+				title: `PMTUD black hole on ${hole.path}`,
+				description:
+					`In ${capture.filename}, packets up to ${delivered} bytes reach ${hole.path.split(' → ')[1]} but ${hole.stalledSegments} ` +
+					`larger segments (up to ${hole.largestStalled} bytes) were retransmitted without ever being acknowledged, starting at packet ${hole.firstPacket}.`,
+				root_cause:
+					'A link on the path has a smaller MTU than the sender assumes and drops oversized packets without returning ICMP ' +
+					'Fragmentation Needed or Packet Too Big, so path MTU discovery never lowers the packet size.',
+				remediation:
+					`1. Lower the MTU on the client or WARP interface below ${delivered === 'unknown' ? hole.largestStalled : delivered} bytes ` +
+					'2. Allow ICMP type 3 code 4 and ICMPv6 type 2 through firewalls on the path 3. Enable TCP MSS clamping on the router or VPN in front of the client',
+				affected_files: [capture.filename],
+				evidence_keywords: ['PMTUD black hole', hole.path, `Packet ${hole.firstPacket}`],
+			});
+		}
+	}
+	return issues;
+}
+
+/**
+ * Titles, root causes and remediation for each kind of split tunnel route conflict
+ */
+const ROUTE_CONFLICT_ISSUES = {
+	cgnatOverlap: {
+		title: 'Local network overlaps the WARP CGNAT range',
+		root_cause:
+			'WARP addresses its interface from 100.96.0.0/12. A local network in the same range makes the tunnel and the LAN claim the same addresses, so either the tunnel or local resources become unreachable.',
+		remediation:
+			'1. Renumber the local network out of 100.96.0.0/12 2. If that is not possible, change the WARP interface range (override_warp_ip) in the device profile 3. Reconnect WARP and check the routes again',
+	},
+	excludedRoutedIntoTunnel: {
+		title: 'Excluded range is routed into the WARP tunnel',
+		root_cause:
+			'The split tunnel policy excludes the range, but the route table still sends it to the WARP interface, typically because another VPN or a stale route overrides the routes WARP installed.',
+		remediation:
+			'1. Remove the conflicting route or the VPN that added it 2. Reconnect WARP so it reinstalls its routes 3. Confirm the exclusion in the Zero Trust device profile',
+	},
+	includedOutsideTunnel: {
+		title: 'Included range is routed outside the WARP tunnel',
+		root_cause:
+			'The split tunnel policy includes the range, but a more specific or lower-metric route sends it out another interface, so the traffic bypasses WARP and Gateway.',
+		remediation:
+			'1. Remove the more specific route on the other interface 2. Check for other VPN clients adding routes 3. Reconnect WARP so it reinstalls its routes',
+	},
+	defaultRouteBypass: {
+		title: 'Default route bypasses the WARP tunnel',
+		root_cause:
+			'In exclude mode everything except the excluded ranges should go through the tunnel, but the route table sends general traffic out the physical interface, so it is not protected or filtered by Gateway.',
+		remediation:
+			'1. Check for another VPN or security agent taking over the default route 2. Reconnect WARP so it reinstalls its routes 3. Check the route table again once WARP reports Connected',
+	},
+};
+
+/**
+ * Build issues for the split tunnel route conflicts, one per kind
+ * @param {Object|null} splitTunnel - From analyzeSplitTunnel
+ * @returns {Array<Object>} - Issues in the AI response format
+ */
+function detectRouteConflictIssues(splitTunnel) {
+	const issues = [];
+	for (const [type, template] of Object.entries(ROUTE_CONFLICT_ISSUES)) {
+		const conflicts = (splitTunnel?.conflicts || []).filter(conflict => conflict.type === type);
+		if (conflicts.length === 0) continue;
+		const references = conflicts.flatMap(conflict => [conflict.interface, conflict.route, conflict.setting].filter(Boolean));
+		issues.push({
+			severity: conflicts[0].severity,
+			category: 'Configuration',
+			title: template.title,
+			description: conflicts.map(conflict => conflict.message).join('. ') + '.',
+			root_cause: template.root_cause,
+			remediation: template.remediation,
+			affected_files: [...new Set(references.map(reference => reference.file))],
+			evidence_keywords: [...new Set(references.map(reference => reference.text))],
+		});
+	}
+	return issues;
+}
+
+/**
+ * Find log entries that match a test. Parsed logs only count events at
+ * WARN or above, so a DEBUG line quoting an old error raises nothing.
+ * @param {Object} file - Log file entry
+ * @param {Function} test - Receives lowercased text, returns whether it matches
+ * @returns {Object|null} - { count, first }, where first is the first matching event (null for plain text)
+ */
+function findLogMentions(file, test) {
+	if (file.events) {
+		const events = filterLogEvents(file.events, { minLevel: 'WARN' }).filter(event => test(event.message.toLowerCase()));
+		return events.length > 0 ? { count: events.length, first: events[0] } : null;
+	}
+	return test(file.content.toLowerCase()) ? { count: null, first: null } : null;
+}
+
+/**
+ * Describe where log mentions were found
+ * @param {Object} file
+ * @param {Object} mentions - From findLogMentions
+ * @returns {string}
+ */
+function describeLogMentions(file, mentions) {
+	if (!mentions.first) return file.filename;
+	const { first } = mentions;
+	return `${file.filename} (${mentions.count} ${mentions.count === 1 ? 'event' : 'events'} at WARN or above, ` +
+		`first at line ${first.line}, ${first.timestamp}${first.module ? ` from ${first.module}` : ''})`;
+}
+
+/**
+ * Build issues for modules that log ERROR events repeatedly
+ * @param {Array} logFiles
+ * @returns {Array<Object>} - Issues in the AI response format
+ */
+function detectModuleErrors(logFiles) {
+	const issues = [];
+	for (const file of logFiles) {
+		if (!file.events) continue;
+		const byModule = new Map();
+		for (const event of filterLogEvents(file.events, { minLevel: 'ERROR' })) {
+			if (!event.module) continue;
+			if (!byModule.has(event.module)) byModule.set(event.module, []);
+			byModule.get(event.module).push(event);
+		}
+		const repeated = [...byModule.entries()]
+			.filter(([, events]) => events.length >= MODULE_ERROR_THRESHOLD)
+			.sort((a, b) => b[1].length - a[1].length)
+			.slice(0, MAX_MODULE_ERROR_ISSUES);
+		for (const [module, events] of repeated) {
+			const first = events[0];
+			const last = events[events.length - 1];
+			issues.push({
+				severity: 'Warning',
+				category: 'Connection',
+				title: `Repeated errors from ${module}`,
+				description: `${file.filename} has ${events.length} ERROR events from ${module} between ${first.timestamp} and ${last.timestamp}, first at line ${first.line}: ${first.message.split('\n')[0]}`,
+				root_cause: `The ${module} component keeps failing; the first error usually names the cause`,
+				remediation:
+					'1. Read the first error from this module and the events just before it 2. Check whether the errors line up with network changes or reconnects 3. Restart WARP and collect a new diag if the errors continue',
+				affected_files: [file.filename],
+				timestamps: [first.timestamp],
+				evidence_keywords: [module],
+			});
+		}
+	}
+	return issues;
+}
+
+/**
+ * Build a timeline of the ERROR and WARN events in parsed logs
+ * @param {Array} logFiles
+ * @returns {Array<Object>} - Timeline events in the AI response format
+ */
+function buildLogTimeline(logFiles) {
+	const events = [];
+	for (const file of logFiles) {
+		for (const event of filterLogEvents(file.events || [], { minLevel: 'WARN' })) {
+			events.push({ file, event });
+		}
+	}
+	events.sort((a, b) => a.event.time - b.event.time);
+
+	return events.slice(0, MAX_FALLBACK_TIMELINE_EVENTS).map(({ file, event }) => {
+		const lines = file.content.split('\n');
+		return {
+			timestamp: event.timestamp,
+			event: event.message.split('\n')[0],
+			event_type: event.level === 'ERROR' ? 'Error' : 'Info',
+			severity: event.level === 'ERROR' ? 'Critical' : 'Warning',
+			source_file: file.filename,
+			details: [event.module, event.span && `span ${event.span}`].filter(Boolean).join(', '),
+			log_reference: {
+				filename: file.filename,
+				lineNumber: event.line,
+				content: lines.slice(event.line - 1, event.endLine).join('\n').trim(),
+				level: event.level,
+				module: event.module,
+			},
+		};
+	});
+}
+
 /**
  * Generate fallback analysis without AI
  * @param {Array} logFiles
- * @param {Object} pcapMetadata
+ * @param {Array} pcapMetadata
+ * @param {Array} pcapAnalysis - Per-capture analysis
+ * @param {Object|null} connectionTimeline - From buildConnectionTimeline
+ * @param {Object|null} splitTunnel - From analyzeSplitTunnel
  * @returns {Object} - Basic analysis
  */
-function generateFallbackAnalysis(logFiles, pcapMetadata) {
-	const issues = [];
+function generateFallbackAnalysis(logFiles, pcapMetadata, pcapAnalysis = [], connectionTimeline = null, splitTunnel = null) {
+	const issues = [...detectMtuIssues(pcapAnalysis), ...detectRouteConflictIssues(splitTunnel), ...detectModuleErrors(logFiles)];
 
 	// Check for common issues in files
 	for (const file of logFiles) {
-		const content = file.content.toLowerCase();
-
 		// Check for connection failures
-		if (content.includes('failed to connect') || content.includes('connection refused')) {
+		const connectionFailures = findLogMentions(file, text => text.includes('failed to connect') || text.includes('connection refused'));
+		if (connectionFailures) {
 			issues.push({
 				severity: 'Critical',
 				category: 'Connection',
 				title: 'Connection failure detected',
-				description: `Connection issues found in ${file.filename}`,
+				description: `Connection issues found in ${describeLogMentions(file, connectionFailures)}`,
 				root_cause: 'Unable to establish tunnel connection',
 				remediation: '1. Check network connectivity 2. Verify firewall rules allow WARP traffic 3. Restart WARP client',
 				affected_files: [file.filename],
@@ -486,12 +1047,13 @@ function generateFallbackAnalysis(logFiles, pcapMetadata) {
 		}
 
 		// Check for DNS issues
-		if (content.includes('dns timeout') || content.includes('nxdomain')) {
+		const dnsErrors = findLogMentions(file, text => text.includes('dns timeout') || text.includes('nxdomain'));
+		if (dnsErrors) {
 			issues.push({
 				severity: 'Warning',
 				category: 'DNS',
 				title: 'DNS resolution problems',
-				description: `DNS errors found in ${file.filename}`,
+				description: `DNS errors found in ${describeLogMentions(file, dnsErrors)}`,
 				root_cause: 'DNS resolver not responding or domain not found',
 				remediation: '1. Verify DNS settings in WARP configuration 2. Check network DNS configuration 3. Test with different DNS resolver',
 				affected_files: [file.filename],
@@ -500,12 +1062,16 @@ function generateFallbackAnalysis(logFiles, pcapMetadata) {
 		}
 
 		// Check for certificate issues
-		if (content.includes('certificate') && (content.includes('invalid') || content.includes('expired'))) {
+		const certificateErrors = findLogMentions(
+			file,
+			(text) => text.includes('certificate') && (text.includes('invalid') || text.includes('expired')),
+		);
+		if (certificateErrors) {
 			issues.push({
 				severity: 'Critical',
 				category: 'Security',
 				title: 'Certificate validation failure',
-				description: `Certificate issues in ${file.filename}`,
+				description: `Certificate issues in ${describeLogMentions(file, certificateErrors)}`,
 				root_cause: 'Invalid or expired TLS certificate',
 				remediation: '1. Ensure root certificate is properly installed 2. Update system certificates 3. Verify system time and date are correct',
 				affected_files: [file.filename],
@@ -522,7 +1088,9 @@ function generateFallbackAnalysis(logFiles, pcapMetadata) {
 		health_status: issues.some(i => i.severity === 'Critical') ? 'Critical' : 
 		               issues.length > 0 ? 'Degraded' : 'Healthy',
 		issues: enrichedIssues,
-		timeline: [],
+		timeline: connectionTimeline
+			? mergeTimelines(buildTransitionEvents(connectionTimeline, logFiles), buildLogTimeline(logFiles))
+			: buildLogTimeline(logFiles),
 		recommendations: [
 			'Review detailed logs for more information',
 			'Check Cloudflare WARP documentation for common issues',
@@ -3,7 +3,33 @@
  * Uses Workers AI (Llama 4 Scout) to analyze WARP diag logs and packet captures
  */
 
-import { extractZipFiles, parseTextFile, parsePcapBasic, categorizeWarpFile, extractKeyInfo, extractPcapPacketSummaries } from './parsers.js';
+import {
+  extractZipFiles,
+  createZipFile,
+  parseTextFile,
+  decodeTextFile,
+  categorizeWarpFile,
+  extractKeyInfo,
+  analyzePcapFileDecrypted,
+  analyzeQlogFile,
+  correlateBoringtunLog,
+  correlateCaptures,
+  compileDisplayFilter,
+  parseSamplingOptions,
+  parseExportOptions,
+  exportCapturePackets,
+  parseRedactionOptions,
+  createRedactor,
+  redactText,
+  redactValue,
+  redactCapture,
+  describeUnredacted,
+  summarizeRedaction,
+  isStructuredLogFile,
+  parseDaemonLog,
+  buildConnectionTimeline,
+  analyzeSplitTunnel,
+} from './parsers.js';
 import { analyzeWarpDiagnostics, analyzePcapWithAI } from './ai-analyzer.js';
 import { UI_HTML } from './ui.js';
 
@@ -17,11 +43,30 @@ function isPcapFile(filename) {
   return lower.endsWith('.pcap') || lower.endsWith('.pcapng');
 }
 
+/**
+ * Check if filename is a qlog (QUIC event log) file
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isQlogFile(filename) {
+  const lower = filename.toLowerCase();
+  return lower.endsWith('.qlog') || lower.endsWith('.sqlog');
+}
+
+/**
+ * Extensions of the files /redact rewrites as text. Anything else, and any
+ * of these that is not UTF-8 text, is left out rather than altered.
+ */
+const TEXT_FILE_EXTENSIONS = [
+  '.log', '.txt', '.json', '.xml', '.plist', '.csv', '.conf', '.ini', '.yaml', '.yml', '.pem', '.qlog', '.sqlog'
+];
+
 // CORS headers for cross-origin requests
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'POST, OPTIONS, GET',
   'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Expose-Headers': 'Content-Disposition, X-Packet-Count, X-Redaction-New-Values, X-Redaction-Skipped, X-Redaction-Warning',
 };
 
 /**
@@ -58,12 +103,104 @@ function successResponse(data) {
   });
 }
 
+/**
+ * Analyze a PCAP/PCAPNG file and build its log file entry
+ * @param {string} filename
+ * @param {Uint8Array} data
+ * @param {Object} options - { packetCount, packetDetail, filter, sampling, redactor }, passed to analyzePcapFileDecrypted
+ * @returns {Promise<Object>} - { metadata, statistics, trace, logFile, analysis }; statistics and trace are null when the capture
+ *   could not be read
+ */
+async function processPcapFile(filename, data, options) {
+  const pcap = await analyzePcapFileDecrypted(data, filename, options);
+
+  return {
+    metadata: { filename, ...pcap.metadata },
+    statistics: pcap.statistics ? { filename, ...pcap.statistics } : null,
+    // Kept out of the response: only needed to match packets across captures
+    trace: pcap.tunnelTrace,
+    // The packet summary is searchable text for evidence, while the AI prompt
+    // gets the conversation table that covers every packet
+    logFile: {
+      filename,
+      content: pcap.summary,
+      contextContent: pcap.contextSummary,
+      category: 'pcap',
+      priority: 'high', // PCAP files are high priority for network analysis
+      keyInfo: { packetCount: pcap.metadata.packetCount, format: pcap.metadata.format },
+    },
+    analysis: {
+      filename,
+      totalConversations: pcap.totalConversations,
+      conversations: pcap.conversations,
+      tcpAnalysis: pcap.tcpAnalysis,
+      latency: pcap.latency,
+      dns: pcap.dns,
+      tls: pcap.tls,
+      quic: pcap.quic,
+      wireguard: pcap.wireguard,
+      mtu: pcap.mtu,
+      io: pcap.io,
+      sampling: pcap.sampling,
+      ...(pcap.filter ? { filter: pcap.filter } : {}),
+      ...(pcap.packets ? { packets: pcap.packets } : {}),
+    },
+  };
+}
+
+/**
+ * Parse a qlog file into QUIC connection metrics and build its log file entry
+ * @param {string} filename
+ * @param {Uint8Array} data
+ * @returns {Object} - { logFile, analysis }
+ */
+function processQlogFile(filename, data) {
+  const { summary, qlog, error } = analyzeQlogFile(parseTextFile(data), filename);
+
+  return {
+    // The metrics summary stands in for the raw JSON, which would be cut off in the prompt
+    logFile: {
+      filename,
+      content: summary,
+      category: 'pcap',
+      priority: 'high',
+      keyInfo: { connections: qlog?.totalConnections ?? 0, format: qlog?.format ?? null },
+    },
+    analysis: qlog ? { filename, ...qlog } : { filename, error },
+  };
+}
+
+/**
+ * Decode a text file and build its log file entry. daemon.log and the other
+ * tracing logs also get their parsed events.
+ * @param {string} filename
+ * @param {Uint8Array} data
+ * @returns {Object|null} - The log file entry, null when the file could not be decoded
+ */
+function processTextFile(filename, data) {
+  try {
+    const content = parseTextFile(data);
+    const category = categorizeWarpFile(filename);
+    return {
+      filename,
+      content,
+      category: category.category,
+      priority: category.priority,
+      keyInfo: extractKeyInfo(filename, content),
+      ...(isStructuredLogFile(filename) ? { events: parseDaemonLog(content).events } : {}),
+    };
+  } catch (error) {
+    console.warn(`Failed to parse ${filename}:`, error);
+    return null;
+  }
+}
+
 /**
  * Process uploaded files and extract analysis data
  * @param {FormData} formData - The form data containing files and options
- * @param {number} packetCount - Number of packets to analyze (0 = all)
+ * @param {Object} pcapOptions - { packetCount, packetDetail, filter, sampling, redactor } for each capture
  */
-async function processUploadedFiles(formData, packetCount = 50) {
+async function processUploadedFiles(formData, pcapOptions = { packetCount: 50 }) {
   const files = [];
   const pcapFiles = [];
   
@@ -84,6 +221,10 @@ async function processUploadedFiles(formData, packetCount = 50) {
   // Process each file
   const allLogFiles = [];
   const allPcapMetadata = [];
+  const allPcapStatistics = [];
+  const allPcapAnalysis = [];
+  const allPcapTraces = [];
+  const allQlogAnalysis = [];
 
   for (const file of files) {
     // Check if it's a ZIP file
@@ -91,75 +232,323 @@ async function processUploadedFiles(formData, packetCount = 50) {
       const extractedFiles = extractZipFiles(file.data);
       
       for (const [filename, data] of extractedFiles) {
-        const category = categorizeWarpFile(filename);
-        
         if (isPcapFile(filename)) {
-          // Parse PCAP/PCAPNG file - get both metadata and packet summaries
-          const pcapMetadata = parsePcapBasic(data);
-          allPcapMetadata.push({ filename, ...pcapMetadata });
-          
-          // Also extract packet summaries as searchable text for evidence
-          const packetSummary = extractPcapPacketSummaries(data, filename, packetCount);
-          allLogFiles.push({
-            filename,
-            content: packetSummary,
-            category: 'pcap',
-            priority: 'high', // PCAP files are high priority for network analysis
-            keyInfo: { packetCount: pcapMetadata.packetCount, format: pcapMetadata.format },
-          });
+          // Parse PCAP/PCAPNG file - metadata, packet summaries and conversations
+          const pcap = await processPcapFile(filename, data, pcapOptions);
+          allPcapMetadata.push(pcap.metadata);
+          if (pcap.statistics) allPcapStatistics.push(pcap.statistics);
+          allPcapAnalysis.push(pcap.analysis);
+          allPcapTraces.push({ filename, trace: pcap.trace });
+          allLogFiles.push(pcap.logFile);
+        } else if (isQlogFile(filename)) {
+          const qlog = processQlogFile(filename, data);
+          allQlogAnalysis.push(qlog.analysis);
+          allLogFiles.push(qlog.logFile);
         } else {
           // Parse text file
-          try {
-            const content = parseTextFile(data);
-            const keyInfo = extractKeyInfo(filename, content);
-            allLogFiles.push({
-              filename,
-              content,
-              category: category.category,
-              priority: category.priority,
-              keyInfo,
-            });
-          } catch (error) {
-            console.warn(`Failed to parse ${filename}:`, error);
-          }
+          const logFile = processTextFile(filename, data);
+          if (logFile) allLogFiles.push(logFile);
         }
       }
     } else if (isPcapFile(file.name)) {
       // Individual PCAP/PCAPNG file
-      const pcapData = new Uint8Array(file.data);
-      const pcapMetadata = parsePcapBasic(pcapData);
-      allPcapMetadata.push({ filename: file.name, ...pcapMetadata });
-      
-      // Extract packet summaries as searchable text for evidence
-      const packetSummary = extractPcapPacketSummaries(pcapData, file.name, packetCount);
-      allLogFiles.push({
-        filename: file.name,
-        content: packetSummary,
-        category: 'pcap',
-        priority: 'high',
-        keyInfo: { packetCount: pcapMetadata.packetCount, format: pcapMetadata.format },
-      });
+      const pcap = await processPcapFile(file.name, new Uint8Array(file.data), pcapOptions);
+      allPcapMetadata.push(pcap.metadata);
+      if (pcap.statistics) allPcapStatistics.push(pcap.statistics);
+      allPcapAnalysis.push(pcap.analysis);
+      allPcapTraces.push({ filename: file.name, trace: pcap.trace });
+      allLogFiles.push(pcap.logFile);
+    } else if (isQlogFile(file.name)) {
+      // Individual qlog file
+      const qlog = processQlogFile(file.name, new Uint8Array(file.data));
+      allQlogAnalysis.push(qlog.analysis);
+      allLogFiles.push(qlog.logFile);
     } else {
       // Individual text file
-      try {
-        const data = new Uint8Array(file.data);
-        const content = parseTextFile(data);
-        const category = categorizeWarpFile(file.name);
-        const keyInfo = extractKeyInfo(file.name, content);
-        allLogFiles.push({
-          filename: file.name,
-          content,
-          category: category.category,
-          priority: category.priority,
-          keyInfo,
-        });
-      } catch (error) {
-        console.warn(`Failed to parse ${file.name}:`, error);
+      const logFile = processTextFile(file.name, new Uint8Array(file.data));
+      if (logFile) allLogFiles.push(logFile);
+    }
+  }
+
+  // Check the WireGuard handshakes on the wire against what boringtun logged
+  const boringtun = allLogFiles.find(f => f.filename.split('/').pop() === 'boringtun.log');
+  if (boringtun) {
+    for (const analysis of allPcapAnalysis) {
+      if (analysis.wireguard?.totalHandshakes > 0) {
+        analysis.wireguard.boringtun = correlateBoringtunLog(analysis.wireguard, boringtun.content, boringtun.filename);
       }
     }
   }
 
-  return { logFiles: allLogFiles, pcapMetadata: allPcapMetadata };
+  // Put every capture on one time axis and match packets through the tunnel
+  const pcapCorrelation = correlateCaptures(allPcapTraces);
+
+  // Rebuild the connection lifecycle from the daemon and boringtun logs
+  const connectionTimeline = buildConnectionTimeline(allLogFiles);
+
+  // Check the split tunnel settings against the route table and interfaces
+  const splitTunnel = analyzeSplitTunnel(allLogFiles);
+
+  return {
+    logFiles: allLogFiles,
+    pcapMetadata: allPcapMetadata,
+    pcapStatistics: allPcapStatistics,
+    pcapCorrelation,
+    pcapAnalysis: allPcapAnalysis,
+    qlogAnalysis: allQlogAnalysis,
+    connectionTimeline,
+    splitTunnel,
+  };
+}
+
+/**
+ * Compile the `filter` form field, if there is one
+ * @param {FormData} formData
+ * @returns {Object|null} - From compileDisplayFilter
+ * @throws {Error} - When the expression is invalid
+ */
+function readDisplayFilter(formData) {
+  const value = formData.get('filter');
+  return typeof value === 'string' && value.trim() ? compileDisplayFilter(value) : null;
+}
+
+/**
+ * Parse the `redact`, `redactDomains` and `redactMapping` form fields
+ * @param {FormData} formData
+ * @returns {Object|null} - From parseRedactionOptions, null when redaction is off
+ * @throws {Error} - When a field is invalid
+ */
+function readRedaction(formData) {
+  return parseRedactionOptions(formData.get('redact'), formData.get('redactDomains'), formData.get('redactMapping'));
+}
+
+/**
+ * Replace sensitive values in everything processUploadedFiles returned, so
+ * neither the AI prompt nor the response carries the originals
+ * @param {Object} redactor - From createRedactor
+ * @param {Object} uploads - From processUploadedFiles
+ * @returns {Object} - The same shape, redacted
+ */
+function redactUploads(redactor, uploads) {
+  const { logFiles, ...analysis } = uploads;
+  return {
+    // Redaction stays within each line, so line numbers still match for evidence
+    logFiles: logFiles.map(file => ({
+      ...file,
+      content: redactText(redactor, file.content),
+      ...(file.contextContent ? { contextContent: redactText(redactor, file.contextContent) } : {}),
+      keyInfo: redactValue(redactor, file.keyInfo),
+      ...(file.events ? { events: redactValue(redactor, file.events) } : {}),
+    })),
+    ...redactValue(redactor, analysis),
+  };
+}
+
+/**
+ * Redact one uploaded file: captures get their addresses rewritten, text files go through redactText
+ * @param {Object} redactor - From createRedactor
+ * @param {string} filename
+ * @param {Uint8Array} data
+ * @returns {Uint8Array|null} - null for files that are neither a capture nor UTF-8 text with a TEXT_FILE_EXTENSIONS extension
+ * @throws {Error} - When a capture cannot be read
+ */
+function redactFile(redactor, filename, data) {
+  if (isPcapFile(filename)) return redactCapture(data, redactor);
+  const lower = filename.toLowerCase();
+  const text = TEXT_FILE_EXTENSIONS.some(extension => lower.endsWith(extension)) ? decodeTextFile(data) : null;
+  return text === null ? null : new TextEncoder().encode(redactText(redactor, text));
+}
+
+/**
+ * Find an uploaded capture, either uploaded directly or inside a ZIP
+ * @param {FormData} formData
+ * @param {string|null} name - Capture filename (path inside the ZIP); the first capture when not set
+ * @returns {Promise<Object|null>} - { filename, data }
+ */
+async function findUploadedCapture(formData, name) {
+  for (const [, file] of formData.entries()) {
+    if (!(file instanceof File)) continue;
+    if (isPcapFile(file.name) && (!name || file.name === name)) {
+      return { filename: file.name, data: new Uint8Array(await file.arrayBuffer()) };
+    }
+    if (file.name.endsWith('.zip') || file.type === 'application/zip') {
+      for (const [filename, data] of extractZipFiles(await file.arrayBuffer())) {
+        if (isPcapFile(filename) && (!name || filename === name)) return { filename, data };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Return the packets behind an issue, some flows, or a display filter as a
+ * capture file. The worker keeps nothing between requests, so the capture
+ * is uploaded again along with the selection.
+ * @param {Request} request - multipart/form-data with the capture (or its ZIP) and
+ *   `packets`, `flows`, `filter`, `format` and `capture` fields, and optionally the redaction fields
+ * @returns {Promise<Response>}
+ */
+async function handleExport(request) {
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.includes('multipart/form-data')) {
+    return errorResponse('Content-Type must be multipart/form-data');
+  }
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch (error) {
+    return errorResponse(`Invalid upload: ${error.message}`);
+  }
+
+  let options;
+  let filter;
+  let redaction;
+  try {
+    options = parseExportOptions(formData.get('packets'), formData.get('flows'), formData.get('format'));
+  } catch (error) {
+    return errorResponse(`Invalid export: ${error.message}`);
+  }
+  try {
+    filter = readDisplayFilter(formData);
+  } catch (error) {
+    return errorResponse(`Invalid filter: ${error.message}`);
+  }
+  try {
+    redaction = readRedaction(formData);
+  } catch (error) {
+    return errorResponse(`Invalid redaction: ${error.message}`);
+  }
+
+  const name = formData.get('capture');
+  let capture;
+  try {
+    capture = await findUploadedCapture(formData, name);
+  } catch (error) {
+    return errorResponse(`Invalid upload: ${error.message}`);
+  }
+  if (!capture) {
+    return errorResponse(name ? `No PCAP/PCAPNG file named ${name} uploaded` : 'No PCAP/PCAPNG file uploaded');
+  }
+
+  let exported;
+  try {
+    exported = await exportCapturePackets(capture.data, capture.filename, { ...options, filter });
+  } catch (error) {
+    return errorResponse(`Export failed: ${error.message}`);
+  }
+  if (exported.packetCount === 0) {
+    return errorResponse('No packets match the selection', 404);
+  }
+
+  let body = exported.data;
+  let warning = null;
+  if (redaction) {
+    const redactor = createRedactor(redaction);
+    body = redactCapture(exported.data, redactor);
+    warning = describeUnredacted(redactor);
+  }
+
+  const base = capture.filename.split('/').pop().replace(/\.pcap(ng)?$/i, '');
+  return new Response(body, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': exported.format === 'pcapng' ? 'application/x-pcapng' : 'application/vnd.tcpdump.pcap',
+      'Content-Disposition': `attachment; filename="${base}-packets.${exported.format}"`,
+      'X-Packet-Count': String(exported.packetCount),
+      // Names in payloads that could not be rewritten in place
+      ...(warning ? { 'X-Redaction-Warning': warning } : {}),
+    },
+  });
+}
+
+/**
+ * Return the uploaded files with sensitive values replaced by the same
+ * pseudonyms an analysis uses: text through redactText, captures with their
+ * addresses rewritten and checksums fixed. One capture comes back as a
+ * capture, anything else as a ZIP with the original paths.
+ * @param {Request} request - multipart/form-data with the files and `redact`,
+ *   `redactDomains` and `redactMapping` fields
+ * @returns {Promise<Response>}
+ */
+async function handleRedact(request) {
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.includes('multipart/form-data')) {
+    return errorResponse('Content-Type must be multipart/form-data');
+  }
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch (error) {
+    return errorResponse(`Invalid upload: ${error.message}`);
+  }
+
+  let redaction;
+  try {
+    redaction = readRedaction(formData);
+  } catch (error) {
+    return errorResponse(`Invalid redaction: ${error.message}`);
+  }
+  if (!redaction) {
+    return errorResponse('Choose what to redact with the redact field, e.g. redact=all');
+  }
+
+  const redactor = createRedactor(redaction);
+  const output = new Map();
+  const skipped = [];
+  let archive = null;
+  const add = (filename, data) => {
+    const redacted = redactFile(redactor, filename, data);
+    if (redacted) output.set(filename, redacted);
+    else skipped.push(redactText(redactor, filename));
+  };
+  try {
+    for (const [, file] of formData.entries()) {
+      if (!(file instanceof File)) continue;
+      if (file.name.endsWith('.zip') || file.type === 'application/zip') {
+        archive = archive || file.name;
+        for (const [filename, data] of extractZipFiles(await file.arrayBuffer())) {
+          if (!filename.endsWith('/')) add(filename, data);
+        }
+      } else {
+        add(file.name, new Uint8Array(await file.arrayBuffer()));
+      }
+    }
+  } catch (error) {
+    // Never fall back to returning a file unredacted
+    return errorResponse(`Redaction failed: ${error.message}`);
+  }
+  if (output.size === 0) {
+    return errorResponse(skipped.length > 0 ? `Only captures and text files can be redacted: ${skipped.join(', ')}` : 'No files uploaded');
+  }
+
+  // Files that could not be redacted are left out, and listed in the ZIP
+  if (skipped.length > 0) {
+    output.set(
+      'REDACTION-SKIPPED.txt',
+      new TextEncoder().encode(
+        `Left out because they are neither captures nor UTF-8 text files, so they could not be redacted:\n${skipped.join('\n')}\n`
+      )
+    );
+  }
+
+  const newValues = Object.keys(summarizeRedaction(redactor).mapping).length - Object.keys(redaction.mapping).length;
+  // Names in capture payloads that could not be rewritten in place
+  const warning = describeUnredacted(redactor);
+  const [[name, data]] = output;
+  const single = output.size === 1 && !archive && isPcapFile(name);
+  const base = (archive || (single ? name : 'warp-diag')).split('/').pop().replace(/\.(zip|pcap|pcapng)$/i, '');
+  const extension = single ? name.split('.').pop().toLowerCase() : 'zip';
+  return new Response(single ? data : createZipFile(output), {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': single ? (extension === 'pcapng' ? 'application/x-pcapng' : 'application/vnd.tcpdump.pcap') : 'application/zip',
+      'Content-Disposition': `attachment; filename="${base}-redacted.${extension}"`,
+      // Pseudonyms the caller's redactMapping did not already hold
+      'X-Redaction-New-Values': String(newValues),
+      'X-Redaction-Skipped': String(skipped.length),
+      ...(warning ? { 'X-Redaction-Warning': warning } : {}),
+    },
+  });
 }
 
 export default {
@@ -193,6 +582,8 @@ export default {
           ui: 'GET / - Web interface (browser)',
           api_info: 'GET / - API info (Accept: application/json)',
           analyze: 'POST / - Upload warp-diag ZIP or PCAP files for analysis',
+          export: 'POST /export - Upload a capture with packets, flows or filter to download those packets as PCAP/PCAPNG',
+          redact: 'POST /redact - Upload files with redact options to download them with sensitive values replaced',
         },
         usage: 'Send multipart/form-data with file attachments',
       });
@@ -203,6 +594,15 @@ export default {
       return errorResponse('Method not allowed. Use POST to upload files.', 405);
     }
 
+    // Packet export and redacted downloads need no AI
+    const { pathname } = new URL(request.url);
+    if (pathname === '/export') {
+      return handleExport(request);
+    }
+    if (pathname === '/redact') {
+      return handleRedact(request);
+    }
+
     // Check if AI binding is available
     if (!env.AI) {
       return errorResponse('AI binding not configured. Please check wrangler.jsonc', 500);
@@ -225,9 +625,40 @@ export default {
         // 0 means all packets, otherwise use the specified value
         packetCount = isNaN(parsed) ? 50 : parsed;
       }
+
+      // Structured per-packet output is opt-in, it can be large
+      const packetDetail = ['true', '1', 'on'].includes(formData.get('packetDetail'));
+
+      // Compile the display filter once for every capture in the upload
+      let filter;
+      try {
+        filter = readDisplayFilter(formData);
+      } catch (error) {
+        return errorResponse(`Invalid filter: ${error.message}`);
+      }
+
+      // Choose which packets are listed: first N, a time window, anomalies, per flow or spread out
+      let sampling;
+      try {
+        sampling = parseSamplingOptions(formData.get('sampling'), formData.get('from'), formData.get('to'));
+      } catch (error) {
+        return errorResponse(`Invalid sampling: ${error.message}`);
+      }
+      
+      // Replace personal and account data before it reaches the AI or the response
+      let redactor = null;
+      try {
+        const redaction = readRedaction(formData);
+        if (redaction) redactor = createRedactor(redaction);
+      } catch (error) {
+        return errorResponse(`Invalid redaction: ${error.message}`);
+      }
       
       // Process uploaded files
-      const { logFiles, pcapMetadata } = await processUploadedFiles(formData, packetCount);
+      const uploads = await processUploadedFiles(formData, { packetCount, packetDetail, filter, sampling, redactor });
+      const {
+        logFiles, pcapMetadata, pcapStatistics, pcapCorrelation, pcapAnalysis, qlogAnalysis, connectionTimeline, splitTunnel
+      } = redactor ? redactUploads(redactor, uploads) : uploads;
 
       if (logFiles.length === 0 && pcapMetadata.length === 0) {
         return errorResponse('No valid WARP diag or PCAP files found in upload');
@@ -250,7 +681,11 @@ export default {
       const analysis = await analyzeWarpDiagnostics(
         env.AI,
         filesToAnalyze,
-        pcapMetadata.length > 0 ? pcapMetadata[0] : null
+        pcapMetadata,
+        pcapAnalysis,
+        pcapCorrelation,
+        connectionTimeline,
+        splitTunnel
       );
 
       // Compile results
@@ -263,11 +698,22 @@ export default {
         },
         filesAnalyzed: filesToAnalyze.length,
         pcapMetadata: pcapMetadata,
+        pcapStatistics: pcapStatistics,
+        pcapCorrelation: pcapCorrelation,
+        pcapAnalysis: pcapAnalysis,
+        qlogAnalysis: qlogAnalysis,
+        connectionTimeline: connectionTimeline,
+        splitTunnel: splitTunnel,
         analysis: analysis.analysis || analysis.fallback,
         modelUsed: analysis.model,
         success: analysis.success,
       };
 
+      // The mapping back to the original values goes to the caller only
+      if (redactor) {
+        results.redaction = summarizeRedaction(redactor);
+      }
+
       // Add error info if AI analysis failed
       if (!analysis.success) {
         results.warning = 'AI analysis failed, using fallback rule-based analysis';
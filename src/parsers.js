@@ -1,4 +1,4 @@
-import { unzipSync } from 'fflate';
+import { unzipSync, zipSync } from 'fflate';
 
 /**
  * Extract files from a ZIP archive
@@ -21,344 +21,8977 @@ export function extractZipFiles(zipData) {
 	}
 }
 
+/**
+ * Build a ZIP file
+ * @param {Map<string, Uint8Array>} files - Path in the archive to contents
+ * @returns {Uint8Array}
+ */
+export function createZipFile(files) {
+	return zipSync(Object.fromEntries(files));
+}
+
 /**
  * Parse text-based log files
  * @param {Uint8Array} data - File data
  * @returns {string} - Decoded text
  */
-export function parseTextFile(data) {
-	const decoder = new TextDecoder('utf-8');
-	return decoder.decode(data);
+export function parseTextFile(data) {
+	const decoder = new TextDecoder('utf-8');
+	return decoder.decode(data);
+}
+
+/**
+ * Decode a file as text only when it is valid UTF-8 without NUL bytes, so a
+ * binary file is never mistaken for text. A byte order mark is kept.
+ * @param {Uint8Array} data
+ * @returns {string|null} - null when the file is not UTF-8 text
+ */
+export function decodeTextFile(data) {
+	let text;
+	try {
+		text = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(data);
+	} catch {
+		return null;
+	}
+	return text.includes('\0') ? null : text;
+}
+
+/**
+ * PCAPNG block types
+ * https://www.ietf.org/archive/id/draft-tuexen-opsawg-pcapng-05.html
+ */
+const PCAPNG_BLOCK = {
+	SECTION_HEADER: 0x0a0d0d0a,
+	INTERFACE_DESCRIPTION: 0x00000001,
+	PACKET: 0x00000002, // Obsolete, still written by some old tools
+	SIMPLE_PACKET: 0x00000003,
+	ENHANCED_PACKET: 0x00000006,
+};
+
+/**
+ * Link-layer header types (LINKTYPE_* values from tcpdump.org)
+ */
+const LINK_TYPES = {
+	0: 'NULL',
+	1: 'ETHERNET',
+	101: 'RAW',
+	105: 'IEEE802_11',
+	108: 'LOOP',
+	113: 'LINUX_SLL',
+	127: 'IEEE802_11_RADIOTAP',
+	228: 'IPV4',
+	229: 'IPV6',
+	276: 'LINUX_SLL2',
+};
+
+/**
+ * Get a readable name for a link-layer header type
+ * @param {number} linkType
+ * @returns {string}
+ */
+function linkTypeName(linkType) {
+	if (linkType === null || linkType === undefined) return 'UNKNOWN';
+	return LINK_TYPES[linkType] || `LINKTYPE_${linkType}`;
+}
+
+/**
+ * Describe a timestamp resolution expressed as units per second
+ * @param {number} unitsPerSecond
+ * @returns {string}
+ */
+function describeTimestampResolution(unitsPerSecond) {
+	if (unitsPerSecond === 1e3) return 'milliseconds';
+	if (unitsPerSecond === 1e6) return 'microseconds';
+	if (unitsPerSecond === 1e9) return 'nanoseconds';
+	return `1/${unitsPerSecond} s`;
+}
+
+/**
+ * Read the options list of a PCAPNG block
+ * @param {DataView} view - DataView of the file
+ * @param {number} start - Offset of the first option
+ * @param {number} end - Offset where the options area ends
+ * @param {boolean} littleEndian - Byte order of the current section
+ * @returns {Array<{code: number, offset: number, length: number}>}
+ */
+function readPcapNgOptions(view, start, end, littleEndian) {
+	const options = [];
+	let offset = start;
+
+	while (offset + 4 <= end) {
+		const code = view.getUint16(offset, littleEndian);
+		const length = view.getUint16(offset + 2, littleEndian);
+
+		// opt_endofopt
+		if (code === 0) break;
+		if (offset + 4 + length > end) break;
+
+		options.push({ code, offset: offset + 4, length });
+
+		// Option values are padded to 32 bits
+		offset += 4 + ((length + 3) & ~3);
+	}
+
+	return options;
+}
+
+/**
+ * Decode a UTF-8 string option value, dropping any NUL padding
+ * @param {Uint8Array} data
+ * @param {Object} option
+ * @returns {string}
+ */
+function readOptionString(data, option) {
+	return new TextDecoder('utf-8').decode(data.subarray(option.offset, option.offset + option.length)).replace(/\0+$/, '');
+}
+
+/**
+ * Parse a PCAPNG Section Header Block
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Block start
+ * @param {number} blockLength
+ * @param {boolean} littleEndian
+ * @returns {Object} - Section description
+ */
+function parseSectionHeader(data, view, offset, blockLength, littleEndian) {
+	const section = {
+		version: `${view.getUint16(offset + 12, littleEndian)}.${view.getUint16(offset + 14, littleEndian)}`,
+		byteOrder: littleEndian ? 'little-endian' : 'big-endian',
+	};
+
+	for (const option of readPcapNgOptions(view, offset + 24, offset + blockLength - 4, littleEndian)) {
+		if (option.code === 2) section.hardware = readOptionString(data, option);
+		else if (option.code === 3) section.os = readOptionString(data, option);
+		else if (option.code === 4) section.application = readOptionString(data, option);
+	}
+
+	return section;
+}
+
+/**
+ * Parse a PCAPNG Interface Description Block
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Block start
+ * @param {number} blockLength
+ * @param {boolean} littleEndian
+ * @returns {Object} - Interface description
+ */
+function parseInterfaceDescription(data, view, offset, blockLength, littleEndian) {
+	const linkType = view.getUint16(offset + 8, littleEndian);
+	const iface = {
+		linkType,
+		snaplen: view.getUint32(offset + 12, littleEndian),
+		unitsPerSecond: 1e6, // if_tsresol default is microseconds
+		timestampOffset: 0,
+	};
+
+	for (const option of readPcapNgOptions(view, offset + 16, offset + blockLength - 4, littleEndian)) {
+		if (option.code === 2) {
+			iface.name = readOptionString(data, option);
+		} else if (option.code === 3) {
+			iface.description = readOptionString(data, option);
+		} else if (option.code === 9 && option.length >= 1) {
+			// if_tsresol: MSB clear = negative power of 10, MSB set = negative power of 2
+			const tsresol = data[option.offset];
+			iface.unitsPerSecond = tsresol & 0x80 ? 2 ** (tsresol & 0x7f) : 10 ** tsresol;
+		} else if (option.code === 12) {
+			iface.os = readOptionString(data, option);
+		} else if (option.code === 14 && option.length >= 8) {
+			// if_tsoffset: seconds added to every timestamp on this interface
+			iface.timestampOffset = Number(view.getBigInt64(option.offset, littleEndian));
+		}
+	}
+
+	return iface;
+}
+
+/**
+ * Convert a 64-bit PCAPNG timestamp into milliseconds since the epoch
+ * BigInt keeps nanosecond counts exact, they exceed Number.MAX_SAFE_INTEGER.
+ * @param {number} high - Upper 32 bits
+ * @param {number} low - Lower 32 bits
+ * @param {Object} iface - Interface the packet was captured on
+ * @returns {number}
+ */
+function pcapNgTimestamp(high, low, iface) {
+	const ticks = (BigInt(high) << 32n) | BigInt(low);
+	const unitsPerSecond = BigInt(iface.unitsPerSecond);
+	const seconds = Number(ticks / unitsPerSecond) + iface.timestampOffset;
+	const fraction = Number(ticks % unitsPerSecond) / iface.unitsPerSecond;
+	return (seconds + fraction) * 1000;
+}
+
+/**
+ * Walk the blocks of a PCAPNG file, yielding one record per packet.
+ * Section and interface state is collected on `capture` as it is encountered.
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {Object} capture - Receives `sections` and `interfaces`
+ * @returns {Generator<Object>} - Packet records
+ */
+function* readPcapNgRecords(data, view, capture) {
+	let offset = 0;
+	let littleEndian = true;
+	let sectionInterfaces = [];
+	let packetNumber = 0;
+
+	while (offset < data.length) {
+		if (offset + 12 > data.length) {
+			capture.truncation = { offset, packetNumber: packetNumber + 1, reason: 'File ends inside a block header' };
+			break;
+		}
+
+		const blockType = view.getUint32(offset, littleEndian);
+
+		if (blockType === PCAPNG_BLOCK.SECTION_HEADER) {
+			// Byte-order magic decides how the rest of the section is read
+			const byteOrderMagic = view.getUint32(offset + 8, true);
+			if (byteOrderMagic === 0x1a2b3c4d) littleEndian = true;
+			else if (byteOrderMagic === 0x4d3c2b1a) littleEndian = false;
+			else {
+				capture.truncation = { offset, packetNumber: packetNumber + 1, reason: 'Invalid section header byte-order magic' };
+				break;
+			}
+		}
+
+		const blockLength = view.getUint32(offset + 4, littleEndian);
+		if (blockLength < 12 || blockLength % 4 !== 0) {
+			capture.truncation = { offset, packetNumber: packetNumber + 1, reason: `Invalid block length ${blockLength} (corrupt block)` };
+			break;
+		}
+		if (offset + blockLength > data.length) {
+			const available = data.length - offset;
+			capture.truncation = {
+				offset,
+				packetNumber: packetNumber + 1,
+				reason: `File ends mid-block (${available} of ${blockLength} bytes present)`,
+			};
+			break;
+		}
+
+		if (blockType === PCAPNG_BLOCK.SECTION_HEADER) {
+			capture.sections.push(parseSectionHeader(data, view, offset, blockLength, littleEndian));
+			// Interface IDs are scoped to their section
+			sectionInterfaces = [];
+		} else if (blockType === PCAPNG_BLOCK.INTERFACE_DESCRIPTION && blockLength >= 20) {
+			const iface = parseInterfaceDescription(data, view, offset, blockLength, littleEndian);
+			iface.id = capture.interfaces.length;
+			iface.section = capture.sections.length - 1;
+			iface.packetCount = 0;
+			capture.interfaces.push(iface);
+			sectionInterfaces.push(iface);
+		} else if (blockType === PCAPNG_BLOCK.ENHANCED_PACKET && blockLength >= 32) {
+			const iface = sectionInterfaces[view.getUint32(offset + 8, littleEndian)];
+			const capturedLength = view.getUint32(offset + 20, littleEndian);
+			if (offset + 28 + capturedLength <= offset + blockLength - 4) {
+				packetNumber++;
+				yield createPcapNgRecord(view, offset, littleEndian, iface, capturedLength, capture);
+			}
+		} else if (blockType === PCAPNG_BLOCK.PACKET && blockLength >= 32) {
+			const iface = sectionInterfaces[view.getUint16(offset + 8, littleEndian)];
+			const capturedLength = view.getUint32(offset + 20, littleEndian);
+			if (offset + 28 + capturedLength <= offset + blockLength - 4) {
+				packetNumber++;
+				yield createPcapNgRecord(view, offset, littleEndian, iface, capturedLength, capture);
+			}
+		} else if (blockType === PCAPNG_BLOCK.SIMPLE_PACKET && blockLength >= 16) {
+			// SPBs implicitly belong to the first interface and carry no timestamp
+			const iface = sectionInterfaces[0];
+			const originalLength = view.getUint32(offset + 8, littleEndian);
+			let capturedLength = Math.min(originalLength, blockLength - 16);
+			if (iface?.snaplen) capturedLength = Math.min(capturedLength, iface.snaplen);
+			if (iface) iface.packetCount++;
+			if (capturedLength < originalLength) capture.snappedPackets++;
+			packetNumber++;
+			yield {
+				interfaceId: iface ? iface.id : null,
+				linkType: iface ? iface.linkType : null,
+				timestamp: null,
+				rawTimestamp: null,
+				capturedLength,
+				originalLength,
+				offset: offset + 12,
+			};
+		}
+
+		offset += blockLength;
+	}
+}
+
+/**
+ * Build a packet record from an Enhanced Packet Block or obsolete Packet Block,
+ * both of which share the timestamp/length layout.
+ * @param {DataView} view
+ * @param {number} offset - Block start
+ * @param {boolean} littleEndian
+ * @param {Object|undefined} iface - Interface the packet was captured on
+ * @param {number} capturedLength
+ * @param {Object} capture - Capture state, for snaplen truncation counts
+ * @returns {Object} - Packet record
+ */
+function createPcapNgRecord(view, offset, littleEndian, iface, capturedLength, capture) {
+	const tsHigh = view.getUint32(offset + 12, littleEndian);
+	const tsLow = view.getUint32(offset + 16, littleEndian);
+	const originalLength = view.getUint32(offset + 24, littleEndian);
+
+	if (iface) iface.packetCount++;
+	if (capturedLength < originalLength) capture.snappedPackets++;
+
+	return {
+		interfaceId: iface ? iface.id : null,
+		linkType: iface ? iface.linkType : null,
+		timestamp: iface ? pcapNgTimestamp(tsHigh, tsLow, iface) : null,
+		rawTimestamp: iface ? [tsHigh, tsLow] : null,
+		capturedLength,
+		originalLength,
+		offset: offset + 28,
+	};
+}
+
+/**
+ * Legacy PCAP magic numbers, as read little-endian from the first four bytes
+ * https://www.ietf.org/archive/id/draft-ietf-opsawg-pcap-04.html
+ */
+const PCAP_MAGIC = new Map([
+	[0xa1b2c3d4, { littleEndian: true, unitsPerSecond: 1e6 }],
+	[0xd4c3b2a1, { littleEndian: false, unitsPerSecond: 1e6 }],
+	[0xa1b23c4d, { littleEndian: true, unitsPerSecond: 1e9 }],
+	[0x4d3cb2a1, { littleEndian: false, unitsPerSecond: 1e9 }],
+	// Kuznetzov's modified format adds ifindex/protocol/pkt_type to every record header
+	[0xa1b2cd34, { littleEndian: true, unitsPerSecond: 1e6, recordHeaderLength: 24 }],
+	[0x34cdb2a1, { littleEndian: false, unitsPerSecond: 1e6, recordHeaderLength: 24 }],
+]);
+
+/**
+ * Largest snaplen libpcap writes, used when a header declares a snaplen of 0
+ */
+const MAX_SNAPLEN = 262144;
+
+/**
+ * Walk the records of a legacy PCAP file.
+ * Reading stops at the first record that cannot be trusted, and the reason is
+ * recorded on `capture.truncation` so callers can report it.
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {Object} capture - Holds the global header fields
+ * @returns {Generator<Object>} - Packet records
+ */
+function* readPcapRecords(data, view, capture) {
+	const { littleEndian, recordHeaderLength } = capture;
+	const iface = capture.interfaces[0];
+	const maxCapturedLength = capture.snaplen > 0 ? capture.snaplen : MAX_SNAPLEN;
+	let offset = 24; // Skip global header
+	let packetNumber = 0;
+
+	while (offset < data.length) {
+		packetNumber++;
+
+		if (offset + recordHeaderLength > data.length) {
+			capture.truncation = { offset, packetNumber, reason: 'File ends inside a packet record header' };
+			break;
+		}
+
+		const tsSec = view.getUint32(offset, littleEndian);
+		const tsFraction = view.getUint32(offset + 4, littleEndian);
+		const capturedLength = view.getUint32(offset + 8, littleEndian);
+		const originalLength = view.getUint32(offset + 12, littleEndian);
+
+		if (capturedLength > maxCapturedLength) {
+			capture.truncation = {
+				offset,
+				packetNumber,
+				reason: `Captured length ${capturedLength} exceeds snaplen ${maxCapturedLength} (corrupt record)`,
+			};
+			break;
+		}
+		if (offset + recordHeaderLength + capturedLength > data.length) {
+			const available = data.length - offset - recordHeaderLength;
+			capture.truncation = {
+				offset,
+				packetNumber,
+				reason: `File ends mid-packet (${available} of ${capturedLength} bytes present)`,
+			};
+			break;
+		}
+
+		iface.packetCount++;
+		if (capturedLength < originalLength) capture.snappedPackets++;
+
+		yield {
+			interfaceId: 0,
+			linkType: iface.linkType,
+			timestamp: tsSec * 1000 + (tsFraction * 1000) / iface.unitsPerSecond,
+			rawTimestamp: [tsSec, tsFraction],
+			capturedLength,
+			originalLength,
+			offset: offset + recordHeaderLength,
+		};
+
+		offset += recordHeaderLength + capturedLength;
+	}
+}
+
+/**
+ * Open a PCAP/PCAPNG file for reading
+ * @param {Uint8Array} data - PCAP/PCAPNG file data
+ * @returns {Object} - Capture state with a `records()` generator, or `{ error }`
+ */
+function openCapture(data) {
+	if (data.length < 24) {
+		return { error: 'Invalid PCAP file: too small' };
+	}
+
+	const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+	const magicNumber = view.getUint32(0, true);
+
+	if (magicNumber === PCAPNG_BLOCK.SECTION_HEADER) {
+		const capture = { format: 'PCAPNG', sections: [], interfaces: [] };
+		capture.records = () => {
+			capture.sections = [];
+			capture.interfaces = [];
+			capture.truncation = null;
+			capture.snappedPackets = 0;
+			return readPcapNgRecords(data, view, capture);
+		};
+		return capture;
+	}
+
+	const magic = PCAP_MAGIC.get(magicNumber);
+	if (!magic) {
+		return { error: 'Invalid PCAP file: unrecognized magic number' };
+	}
+
+	const { littleEndian } = magic;
+	const capture = {
+		format: 'PCAP',
+		littleEndian,
+		recordHeaderLength: magic.recordHeaderLength || 16,
+		version: `${view.getUint16(4, littleEndian)}.${view.getUint16(6, littleEndian)}`,
+		snaplen: view.getUint32(16, littleEndian),
+		network: view.getUint32(20, littleEndian),
+	};
+	capture.records = () => {
+		capture.interfaces = [
+			{
+				id: 0,
+				// Upper bits of the link type field may carry FCS information
+				linkType: capture.network & 0xffff,
+				snaplen: capture.snaplen,
+				unitsPerSecond: magic.unitsPerSecond,
+				timestampOffset: 0,
+				packetCount: 0,
+			},
+		];
+		capture.truncation = null;
+		capture.snappedPackets = 0;
+		return readPcapRecords(data, view, capture);
+	};
+	return capture;
+}
+
+/**
+ * Exact timestamp of a record in nanoseconds, from the raw timestamp fields
+ * (milliseconds as a number lose the last digits of nanosecond captures)
+ * @param {Object} record - From the capture's records()
+ * @param {Object} capture - From openCapture, for the format and interfaces
+ * @returns {bigint|null}
+ */
+function recordTimestampNs(record, capture) {
+	if (!record.rawTimestamp) return null;
+	const iface = capture.interfaces[record.interfaceId];
+	const [high, low] = record.rawTimestamp;
+	if (capture.format === 'PCAP') {
+		return BigInt(high) * 1000000000n + (BigInt(low) * 1000000000n) / BigInt(iface.unitsPerSecond);
+	}
+	const ticks = (BigInt(high) << 32n) | BigInt(low);
+	return (ticks * 1000000000n) / BigInt(iface.unitsPerSecond) + BigInt(iface.timestampOffset) * 1000000000n;
+}
+
+/**
+ * Split a timestamp into whole seconds and a fraction in the given units
+ * @param {bigint|null} timestampNs - From recordTimestampNs, null for packets without one
+ * @param {number} unitsPerSecond - 1e6 or 1e9
+ * @returns {{seconds: bigint, fraction: bigint}}
+ */
+function splitTimestamp(timestampNs, unitsPerSecond) {
+	if (timestampNs === null) return { seconds: 0n, fraction: 0n };
+	return { seconds: timestampNs / 1000000000n, fraction: (timestampNs % 1000000000n) / (1000000000n / BigInt(unitsPerSecond)) };
+}
+
+/**
+ * Whether an interface needs nanosecond timestamps to keep its precision
+ * @param {Object} iface
+ * @returns {boolean}
+ */
+function needsNanoseconds(iface) {
+	return iface.unitsPerSecond > 1e6 || !Number.isInteger(Math.log10(iface.unitsPerSecond));
+}
+
+/**
+ * Write packets as a legacy PCAP file, little-endian, with microsecond
+ * timestamps unless the interface had a finer resolution
+ * @param {Array<Object>} packets - { timestampNs, originalLength, bytes }
+ * @param {Object} iface - { linkType, snaplen, unitsPerSecond }
+ * @returns {Uint8Array}
+ */
+export function writePcap(packets, iface) {
+	if (!iface) throw new Error('No interface description to write the PCAP header from');
+	const nanoseconds = needsNanoseconds(iface);
+	const unitsPerSecond = nanoseconds ? 1e9 : 1e6;
+	const size = 24 + packets.reduce((total, packet) => total + 16 + packet.bytes.length, 0);
+	const output = new Uint8Array(size);
+	const view = new DataView(output.buffer);
+
+	view.setUint32(0, nanoseconds ? 0xa1b23c4d : 0xa1b2c3d4, true);
+	view.setUint16(4, 2, true);
+	view.setUint16(6, 4, true);
+	view.setUint32(16, iface.snaplen || MAX_SNAPLEN, true);
+	view.setUint32(20, iface.linkType, true);
+
+	let offset = 24;
+	for (const packet of packets) {
+		const { seconds, fraction } = splitTimestamp(packet.timestampNs, unitsPerSecond);
+		view.setUint32(offset, Number(seconds), true);
+		view.setUint32(offset + 4, Number(fraction), true);
+		view.setUint32(offset + 8, packet.bytes.length, true);
+		view.setUint32(offset + 12, packet.originalLength, true);
+		output.set(packet.bytes, offset + 16);
+		offset += 16 + packet.bytes.length;
+	}
+	return output;
+}
+
+/**
+ * Encode a PCAPNG block: type, length, body padded to 32 bits, length again
+ * @param {number} type
+ * @param {Uint8Array} body
+ * @returns {Uint8Array}
+ */
+function pcapNgBlock(type, body) {
+	const length = 12 + Math.ceil(body.length / 4) * 4;
+	const block = new Uint8Array(length);
+	const view = new DataView(block.buffer);
+	view.setUint32(0, type, true);
+	view.setUint32(4, length, true);
+	block.set(body, 8);
+	view.setUint32(length - 4, length, true);
+	return block;
+}
+
+/**
+ * Encode PCAPNG options, ending with opt_endofopt
+ * @param {Array<[number, Uint8Array]>} options - Code and value pairs
+ * @returns {Uint8Array}
+ */
+function pcapNgOptions(options) {
+	const parts = options.map(([code, value]) => {
+		const option = new Uint8Array(4 + Math.ceil(value.length / 4) * 4);
+		const view = new DataView(option.buffer);
+		view.setUint16(0, code, true);
+		view.setUint16(2, value.length, true);
+		option.set(value, 4);
+		return option;
+	});
+	// opt_endofopt
+	return concatBytes([...parts, new Uint8Array(4)]);
+}
+
+/**
+ * Write packets as a little-endian PCAPNG file with one section. Only the
+ * interfaces that packets were captured on are written, renumbered in order.
+ * @param {Array<Object>} packets - { timestampNs, originalLength, bytes, interfaceId }
+ * @param {Array<Object>} interfaces - { id, linkType, snaplen, unitsPerSecond, name }
+ * @param {Object} options
+ * @param {string} options.application - shb_userappl
+ * @returns {Uint8Array}
+ */
+export function writePcapng(packets, interfaces, { application = 'pcap-analyzer-worker' } = {}) {
+	const encoder = new TextEncoder();
+	const blocks = [];
+
+	const sectionHeader = new Uint8Array(16);
+	const sectionView = new DataView(sectionHeader.buffer);
+	sectionView.setUint32(0, 0x1a2b3c4d, true);
+	sectionView.setUint16(4, 1, true);
+	sectionView.setUint16(6, 0, true);
+	// Section length unknown (-1)
+	sectionView.setBigInt64(8, -1n, true);
+	blocks.push(pcapNgBlock(PCAPNG_BLOCK.SECTION_HEADER, concatBytes([sectionHeader, pcapNgOptions([[4, encoder.encode(application)]])])));
+
+	const written = new Map();
+	for (const packet of packets) {
+		const id = packet.interfaceId ?? 0;
+		if (written.has(id)) continue;
+		const iface = interfaces[id];
+		if (!iface) throw new Error(`Packets refer to interface ${id}, which has no Interface Description Block`);
+		const nanoseconds = needsNanoseconds(iface);
+		const header = new Uint8Array(8);
+		const view = new DataView(header.buffer);
+		view.setUint16(0, iface.linkType, true);
+		view.setUint32(4, iface.snaplen || 0, true);
+		const options = [];
+		if (iface.name) options.push([2, encoder.encode(iface.name)]);
+		if (nanoseconds) options.push([9, new Uint8Array([9])]);
+		blocks.push(pcapNgBlock(PCAPNG_BLOCK.INTERFACE_DESCRIPTION, concatBytes([header, pcapNgOptions(options)])));
+		written.set(id, { index: written.size, unitsPerSecond: nanoseconds ? 1e9 : 1e6 });
+	}
+
+	for (const packet of packets) {
+		const iface = written.get(packet.interfaceId ?? 0);
+		const { seconds, fraction } = splitTimestamp(packet.timestampNs, iface.unitsPerSecond);
+		const ticks = seconds * BigInt(iface.unitsPerSecond) + fraction;
+		const header = new Uint8Array(20);
+		const view = new DataView(header.buffer);
+		view.setUint32(0, iface.index, true);
+		view.setUint32(4, Number(ticks >> 32n), true);
+		view.setUint32(8, Number(ticks & 0xffffffffn), true);
+		view.setUint32(12, packet.bytes.length, true);
+		view.setUint32(16, packet.originalLength, true);
+		blocks.push(pcapNgBlock(PCAPNG_BLOCK.ENHANCED_PACKET, concatBytes([header, packet.bytes])));
+	}
+
+	return concatBytes(blocks);
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+	const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+	let offset = 0;
+	for (const part of parts) {
+		output.set(part, offset);
+		offset += part.length;
+	}
+	return output;
+}
+
+/**
+ * Summarize a capture interface for metadata output
+ * @param {Object} iface
+ * @returns {Object}
+ */
+function describeInterface(iface) {
+	return {
+		id: iface.id,
+		name: iface.name || null,
+		description: iface.description || null,
+		linkType: iface.linkType,
+		linkTypeName: linkTypeName(iface.linkType),
+		snaplen: iface.snaplen,
+		timestampResolution: describeTimestampResolution(iface.unitsPerSecond),
+		packetCount: iface.packetCount,
+	};
+}
+
+/**
+ * Parse PCAP/PCAPNG file and extract basic metadata
+ * Supports both PCAP (legacy) and PCAPNG (next generation) formats.
+ * For PCAPNG, every Interface Description Block is listed with its own
+ * link type, snaplen and timestamp resolution.
+ * @param {Uint8Array} data - PCAP/PCAPNG file data
+ * @returns {Object} - Basic PCAP metadata
+ */
+export function parsePcapBasic(data) {
+	const capture = openCapture(data);
+	if (capture.error) {
+		return { error: capture.error };
+	}
+
+	let packetCount = 0;
+	const records = capture.records();
+	while (!records.next().done) packetCount++;
+
+	if (capture.format === 'PCAPNG') {
+		const section = capture.sections[0] || {};
+		const firstInterface = capture.interfaces[0];
+
+		return {
+			format: 'PCAPNG',
+			version: section.version || 'NG',
+			// Top-level snaplen/network describe the first interface, see `interfaces` for all of them
+			snaplen: firstInterface ? firstInterface.snaplen : null,
+			network: firstInterface ? firstInterface.linkType : null,
+			hardware: section.hardware || null,
+			os: section.os || null,
+			application: section.application || null,
+			interfaces: capture.interfaces.map(describeInterface),
+			packetCount,
+			snappedPackets: capture.snappedPackets,
+			truncated: capture.truncation !== null,
+			truncation: capture.truncation,
+			fileSize: data.length,
+		};
+	}
+
+	return {
+		format: 'PCAP',
+		version: capture.version,
+		snaplen: capture.snaplen,
+		network: capture.network,
+		linkTypeName: linkTypeName(capture.network & 0xffff),
+		timestampResolution: describeTimestampResolution(capture.interfaces[0].unitsPerSecond),
+		byteOrder: capture.littleEndian ? 'little-endian' : 'big-endian',
+		packetCount,
+		snappedPackets: capture.snappedPackets,
+		truncated: capture.truncation !== null,
+		truncation: capture.truncation,
+		fileSize: data.length,
+	};
+}
+
+/**
+ * Largest number of packets or flows a selection may cover, over all its ranges
+ */
+const MAX_SELECTION_TOTAL = 1000000;
+
+/**
+ * Parse a list of packet or flow numbers such as "12, 15, 40-44" into
+ * [low, high] ranges. Ranges stay ranges, so the size of a selection is
+ * bounded by its text; MAX_SELECTION_TOTAL bounds what it covers.
+ * @param {string|null} value
+ * @param {string} name - Option name, for errors
+ * @returns {Array<Array<number>>} - [low, high] pairs, inclusive
+ * @throws {Error} - When an entry is not a positive number or range, or the list covers too much
+ */
+function parseNumberList(value, name) {
+	if (value === null || value === undefined) return [];
+	const ranges = [];
+	let total = 0;
+	for (const entry of String(value).split(/[\s,]+/).filter(Boolean)) {
+		const match = entry.match(/^(\d+)(?:-(\d+))?$/);
+		const low = match ? parseInt(match[1], 10) : 0;
+		const high = match?.[2] ? parseInt(match[2], 10) : low;
+		if (low < 1 || high < low) throw new Error(`"${entry}" in ${name} is not a number or range like 40-44`);
+		total += high - low + 1;
+		if (total > MAX_SELECTION_TOTAL) throw new Error(`The ${name} list covers more than ${MAX_SELECTION_TOTAL} numbers`);
+		ranges.push([low, high]);
+	}
+	return ranges;
+}
+
+/**
+ * Whether a number is in a selection of numbers and [low, high] ranges
+ * @param {Array<number|Array<number>>} selection
+ * @param {number} number
+ * @returns {boolean}
+ */
+function selectionIncludes(selection, number) {
+	return selection.some((entry) => (Array.isArray(entry) ? number >= entry[0] && number <= entry[1] : number === entry));
+}
+
+/**
+ * Validate packet export options from the request
+ * @param {string|null} packets - Packet numbers and ranges, e.g. "12, 15, 40-44"
+ * @param {string|null} flows - Flow ids ([Flow N] in the conversation table)
+ * @param {string|null} format - 'pcap' or 'pcapng'; null keeps the input format
+ * @returns {{packets: Array<Array<number>>, flows: Array<Array<number>>, format: string|null}} - Lists as [low, high] ranges
+ * @throws {Error} - When a list or the format is invalid
+ */
+export function parseExportOptions(packets, flows, format) {
+	const selected = format ? String(format).trim().toLowerCase() : null;
+	if (selected && selected !== 'pcap' && selected !== 'pcapng') {
+		throw new Error(`Unknown format "${format}", expected pcap or pcapng`);
+	}
+	return { packets: parseNumberList(packets, 'packets'), flows: parseNumberList(flows, 'flows'), format: selected };
+}
+
+/**
+ * Extract packets from a capture into a new capture file that opens in
+ * Wireshark. Packets are selected by number or by flow (either one selects
+ * a packet), then narrowed by the display filter. Numbers and flow ids are
+ * the ones analyzePcapFile reports for the same file, but only the decoding
+ * and conversation tracking they need are run, not the analyses.
+ * @param {Uint8Array} data - PCAP/PCAPNG file data
+ * @param {string} filename - Original filename
+ * @param {Object} options
+ * @param {Array<number|Array<number>>} options.packets - Packet numbers and [low, high] ranges
+ * @param {Array<number|Array<number>>} options.flows - Flow ids and [low, high] ranges
+ * @param {Object|null} options.filter - From compileDisplayFilter
+ * @param {string|null} options.format - 'pcap' or 'pcapng'; null keeps the input format
+ * @returns {Promise<Object>} - { format, data, packetCount, totalPackets }
+ * @throws {Error} - When nothing is selected, the capture cannot be read, a selected packet has no
+ *   interface description, or PCAP cannot hold the packets
+ */
+export async function exportCapturePackets(data, filename, { packets = [], flows = [], filter = null, format = null } = {}) {
+	if (packets.length === 0 && flows.length === 0 && !filter) {
+		throw new Error('Select packets, flows or a filter to export');
+	}
+	const metadata = parsePcapBasic(data);
+	if (metadata.error) throw new Error(metadata.error);
+
+	const { records, interfaces } = selectCapturePackets(data, { packets, flows, filter });
+	// EPBs whose interface id has no IDB in their section carry no link type or timestamp resolution to write
+	const orphaned = records.filter((record) => record.interfaceId === null).map((record) => record.number);
+	if (orphaned.length > 0) {
+		const listed = orphaned.slice(0, 5).join(', ') + (orphaned.length > 5 ? ` and ${orphaned.length - 5} more` : '');
+		const verb = orphaned.length > 1 ? 'Packets %s refer' : 'Packet %s refers';
+		throw new Error(`${verb.replace('%s', listed)} to an interface with no Interface Description Block`);
+	}
+	const output = format || metadata.format.toLowerCase();
+	if (output === 'pcapng') {
+		return {
+			format: output,
+			data: writePcapng(records, interfaces),
+			packetCount: records.length,
+			totalPackets: metadata.packetCount,
+		};
+	}
+
+	// Legacy PCAP has a single link type for the whole file
+	const used = [...new Set(records.map((record) => record.interfaceId ?? 0))].map((id) => interfaces[id]);
+	if (new Set(used.map((iface) => iface.linkType)).size > 1) {
+		throw new Error('The selected packets come from interfaces with different link types, which only PCAPNG can hold');
+	}
+	return {
+		format: output,
+		data: writePcap(records, used[0] || interfaces[0]),
+		packetCount: records.length,
+		totalPackets: metadata.packetCount,
+	};
+}
+
+/**
+ * Collect the packets exportCapturePackets writes. Fragments are reassembled and
+ * packets assigned to conversations exactly as in analyzePcapFile, so numbers
+ * and flow ids match its report.
+ * @param {Uint8Array} data - PCAP/PCAPNG file data
+ * @param {Object} selection - { packets, flows, filter } as for exportCapturePackets
+ * @returns {{records: Array<Object>, interfaces: Array<Object>}} - Records with number, timestampNs,
+ *   originalLength, interfaceId and bytes
+ */
+function selectCapturePackets(data, { packets, flows: selectedFlows, filter }) {
+	const capture = openCapture(data);
+	const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+	const flows = new Map();
+	const mtu = createMtuTracker();
+	const records = [];
+	let number = 0;
+
+	for (const record of capture.records()) {
+		number++;
+		let packet = {};
+		try {
+			analyzePacketData(data, view, record.offset, record.capturedLength, record.linkType, packet);
+		} catch (e) {
+			// Selected by number or flow like any other packet, with whatever was decoded
+		}
+
+		let packetData = data;
+		let packetView = view;
+		let wireLength = record.originalLength;
+		if (packet.ip?.fragment) {
+			const reassembly = trackFragment(mtu, data, packet, number, record.originalLength);
+			if (reassembly) {
+				packetData = reassembly.datagram;
+				packetView = new DataView(packetData.buffer);
+				wireLength = reassembly.wireBytes;
+				const outer = packet.encapsulation || [];
+				packet = { link: packet.link };
+				decodeReassembledDatagram(packetData, packet);
+				if (outer.length > 0) packet.encapsulation = [...outer, ...(packet.encapsulation || [])];
+			}
+		}
+		const tracked = packet.ip?.fragment ? null : trackConversation(flows, packet, number, record.timestamp, wireLength);
+		if (tracked) markApplicationProtocol(tracked.flow, packetData, packetView, packet, tracked.fromClient);
+
+		const listed =
+			(packets.length === 0 && selectedFlows.length === 0) ||
+			selectionIncludes(packets, number) ||
+			(tracked && selectionIncludes(selectedFlows, tracked.flow.id));
+		if (!listed) continue;
+		if (filter) {
+			const flow = tracked ? tracked.flow : null;
+			const model = buildPacketModel(record, packet, {
+				number,
+				flow,
+				layers: packetLayers(record, packet, flow),
+				interface: null,
+				lines: [],
+				warnings: [],
+			});
+			if (!filter.test(model)) continue;
+		}
+		records.push({
+			number,
+			timestampNs: recordTimestampNs(record, capture),
+			originalLength: record.originalLength,
+			interfaceId: record.interfaceId,
+			bytes: data.subarray(record.offset, record.offset + record.capturedLength),
+		});
+	}
+
+	return { records, interfaces: capture.interfaces };
+}
+
+/**
+ * Mark a flow as TLS or QUIC from its payload the way trackTlsSegment and
+ * trackQuicDatagram decide it, so packetLayers names the payload without them
+ * @param {Object} flow - From trackConversation
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {Object} packet - Decoded packet
+ * @param {boolean} fromClient
+ */
+function markApplicationProtocol(flow, data, view, packet, fromClient) {
+	const { payloadOffset: start, payloadEnd: end } = packet.transport || {};
+	if (flow.tcp && packet.transport.payloadLength > 0) {
+		if (flow.tls === undefined) flow.tls = looksLikeTlsRecord(data, start, end);
+	} else if (packet.transport?.protocol === 'UDP' && !packet.wireguard && !packet.dns && !flow.quic && fromClient) {
+		// Connections are only tracked from the client's first long header packet
+		if (end - start >= 7 && (data[start] & 0x80) !== 0) flow.quic = parseQuicLongHeader(data, view, start, end)?.version > 0;
+	}
+}
+
+/**
+ * Kinds of sensitive values the redactor can replace, with what their pseudonyms look like
+ */
+const REDACTION_CATEGORIES = {
+	ips: 'public IP addresses → 198.18.0.0/15 and 2001:db8::/32',
+	emails: 'email addresses → user-N@redacted.invalid',
+	hostnames: 'internal hostnames → host-N.redacted.invalid',
+	ids: 'account, device and organization IDs, keys and tokens → REDACTED-ID-N',
+	macs: 'MAC addresses → 02:00:00:xx:xx:xx',
+	users: 'user names in home directory paths → user-N',
+};
+
+/**
+ * Address ranges left as they are: they identify nothing outside the network,
+ * and the AI needs to tell the WARP interface, CGNAT and LAN addresses apart.
+ * 198.18.0.0/15 and 2001:db8::/32 hold the pseudonyms themselves, so a real
+ * address can never be mistaken for one. The other documentation ranges
+ * (192.0.2.0/24, 198.51.100.0/24, 203.0.113.0/24, 3fff::/20) stand in for
+ * public addresses and are redacted like them.
+ */
+const NON_PUBLIC_RANGES = [
+	'0.0.0.0/8',
+	'10.0.0.0/8',
+	'100.64.0.0/10',
+	'127.0.0.0/8',
+	'169.254.0.0/16',
+	'172.16.0.0/12',
+	'192.168.0.0/16',
+	'198.18.0.0/15',
+	'224.0.0.0/3',
+	'2001:db8::/32',
+];
+
+/**
+ * Domain suffixes that only resolve inside a network (RFC 6762, RFC 8375 and common practice)
+ */
+const INTERNAL_DOMAIN_SUFFIXES = ['local', 'lan', 'internal', 'intranet', 'corp', 'home', 'home.arpa', 'localdomain', 'private'];
+
+/**
+ * Home directory folders that are not a person
+ */
+const SHARED_USER_FOLDERS = new Set(['shared', 'public', 'default', 'all users', 'root']);
+
+/**
+ * Settings whose values identify the account, device or user, in `key: value`,
+ * `key = value` and JSON form. ipconfig pads keys with dots ("Host Name . . . :").
+ * A value runs to the end of the line or the next `key:` on it.
+ */
+const SENSITIVE_SETTINGS = [
+	{
+		category: 'ids',
+		pattern:
+			/((?:account|device|registration|installation|org(?:anization)?|team|tunnel|client)[ _-]?(?:id|name|tag)|license(?:[ _-]?key)?|(?:access|refresh|auth|api|id)?[ _-]?token|(?:client[ _-]?)?secret|(?:public|private)[ _-]?key|serial(?:[ _-]?number)?)("?[ .]*[:=]\s*"?)([^\s",}]+(?: (?![\w.-]+\s*[:=])[^\s",}]+)*)/gi,
+	},
+	{
+		category: 'hostnames',
+		pattern: /((?:host|computer|machine)[ _-]?name)("?[ .]*[:=]\s*"?)([^\s",}]+(?: (?![\w.-]+\s*[:=])[^\s",}]+)*)/gi,
+	},
+	{ category: 'users', pattern: /(user[ _-]?name)("?[ .]*[:=]\s*"?)([^\s",}]+(?: (?![\w.-]+\s*[:=])[^\s",}]+)*)/gi },
+];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const UUID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+const HEX_TOKEN_PATTERN = /\b[0-9a-f]{32,}\b/gi;
+const BASE64_TOKEN_PATTERN = /(?<![A-Za-z0-9+/=])[A-Za-z0-9+/]{40,}={0,2}(?![A-Za-z0-9+/=])/g;
+const MAC_PATTERN = /(?<![0-9a-f:-])[0-9a-f]{2}([:-])[0-9a-f]{2}(?:\1[0-9a-f]{2}){4}(?![0-9a-f:-])/gi;
+const IPV6_PATTERN = /(?<![0-9a-z:.])(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}(?![0-9a-z:])/gi;
+const IPV4_PATTERN = /(?<![\d.])(?:\d{1,3}\.){3}\d{1,3}(?!\.?\d)/g;
+const HOME_PATH_PATTERN = /(\/Users\/|\/home\/|[A-Za-z]:\\Users\\)([^/\\\s"']+)/g;
+const HOSTNAME_PATTERN = /(?<![\w.-])(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z][a-z0-9-]*[a-z0-9](?![\w-])/gi;
+
+/**
+ * Validate redaction options from the request
+ * @param {string|null} redact - "all", "true" or a comma-separated list of REDACTION_CATEGORIES; empty or "false" turns redaction off
+ * @param {string|null} domains - Extra internal domains whose names are hostnames to redact, e.g. "corp.example.com"
+ * @param {string|null} mapping - A previous response's redaction.mapping as JSON, so the same values get the same pseudonyms
+ * @returns {Object|null} - { categories, domains, mapping }, null when redaction is off
+ * @throws {Error} - When a category is unknown or the mapping is not a JSON object of strings
+ */
+export function parseRedactionOptions(redact, domains, mapping) {
+	const value = redact ? String(redact).trim().toLowerCase() : '';
+	if (value === '' || value === 'false') return null;
+
+	const names = Object.keys(REDACTION_CATEGORIES);
+	const categories = value === 'all' || value === 'true' ? names : value.split(/[\s,]+/).filter(Boolean);
+	for (const category of categories) {
+		if (!names.includes(category)) throw new Error(`Unknown category "${category}", expected all or ${names.join(', ')}`);
+	}
+
+	let seed = {};
+	if (mapping) {
+		try {
+			seed = JSON.parse(mapping);
+		} catch {
+			seed = null;
+		}
+		if (!seed || typeof seed !== 'object' || Array.isArray(seed) || Object.values(seed).some((original) => typeof original !== 'string')) {
+			throw new Error('redactMapping must be a JSON object of pseudonyms to original values');
+		}
+	}
+
+	return {
+		categories,
+		domains: String(domains || '')
+			.split(/[\s,]+/)
+			.map((domain) => domain.trim().toLowerCase().replace(/^\*?\./, ''))
+			.filter(Boolean),
+		mapping: seed,
+	};
+}
+
+/**
+ * Create a redactor. Pseudonyms are handed out in the order values are first
+ * seen, and a seed mapping from an earlier request keeps them stable across
+ * requests. The worker never stores the mapping: it goes back to the caller only.
+ * @param {Object} options - From parseRedactionOptions
+ * @returns {Object}
+ */
+export function createRedactor({ categories, domains = [], mapping = {} }) {
+	const redactor = {
+		categories: new Set(categories),
+		domains: [...INTERNAL_DOMAIN_SUFFIXES, ...domains],
+		pseudonyms: new Map(),
+		originals: new Map(),
+		counters: {},
+		counts: {},
+		kept: new Set(),
+		unredacted: {},
+	};
+	for (const [pseudonym, original] of Object.entries(mapping)) {
+		redactor.pseudonyms.set(redactionKey(original), pseudonym);
+		redactor.originals.set(pseudonym, original);
+	}
+	return redactor;
+}
+
+/**
+ * Normalize a value so different spellings of it (IPv6 zero compression, MAC
+ * separators, letter case) share one pseudonym
+ * @param {string} value
+ * @returns {string}
+ */
+function redactionKey(value) {
+	if (/^[0-9a-f]{2}([:-][0-9a-f]{2}){5}$/i.test(value)) return value.toLowerCase().replace(/-/g, ':');
+	const bytes = value.includes(':') ? parseAddress(value) : null;
+	if (bytes?.length === 16) return formatIPv6(bytes, 0);
+	return value.toLowerCase();
+}
+
+/**
+ * Build the nth pseudonym for a category
+ * @param {string} kind - Category, with IP addresses split into 'ipv4' and 'ipv6'
+ * @param {number} n - 1-based
+ * @returns {string}
+ */
+function makePseudonym(kind, n) {
+	switch (kind) {
+		case 'ipv4':
+			return `198.${18 + (n >> 16)}.${(n >> 8) & 0xff}.${n & 0xff}`;
+		case 'ipv6':
+			return `2001:db8::${(n >> 16).toString(16)}:${(n & 0xffff).toString(16)}`.replace('::0:', '::');
+		case 'macs':
+			return `02:00:00:${[n >> 16, n >> 8, n].map((byte) => (byte & 0xff).toString(16).padStart(2, '0')).join(':')}`;
+		case 'emails':
+			return `user-${n}@redacted.invalid`;
+		case 'hostnames':
+			return `host-${n}.redacted.invalid`;
+		case 'users':
+			return `user-${n}`;
+		default:
+			return `REDACTED-ID-${n}`;
+	}
+}
+
+/**
+ * Replace one value with its pseudonym, handing out the next one the first time it is seen
+ * @param {Object} redactor - From createRedactor
+ * @param {string} kind - Category, or 'ipv4'/'ipv6' for the ips category
+ * @param {string} value
+ * @returns {string}
+ */
+function pseudonymFor(redactor, kind, value) {
+	if (redactor.originals.has(value)) return value;
+	const key = redactionKey(value);
+	let pseudonym = redactor.pseudonyms.get(key);
+	if (!pseudonym) {
+		// Skip values already handed out or left as-is (198.18.0.0/15 in a lab network)
+		do {
+			redactor.counters[kind] = (redactor.counters[kind] ?? 0) + 1;
+			pseudonym = makePseudonym(kind, redactor.counters[kind]);
+		} while (redactor.originals.has(pseudonym) || redactor.kept.has(pseudonym));
+		redactor.pseudonyms.set(key, pseudonym);
+		redactor.originals.set(pseudonym, value);
+	}
+	const category = kind.startsWith('ipv') ? 'ips' : kind;
+	redactor.counts[category] = (redactor.counts[category] ?? 0) + 1;
+	return pseudonym;
+}
+
+/**
+ * Pseudonym for an IP address, or the address itself when it is not public
+ * (or is a WARP endpoint, which the analysis relies on)
+ * @param {Object} redactor - From createRedactor
+ * @param {string} address
+ * @returns {string}
+ */
+function redactAddress(redactor, address) {
+	if (keepsAddress(redactor, address)) return address;
+	return pseudonymFor(redactor, address.includes(':') ? 'ipv6' : 'ipv4', address);
+}
+
+/**
+ * Whether redactAddress leaves an address as it is
+ * @param {Object} redactor - From createRedactor
+ * @param {string} address
+ * @returns {boolean}
+ */
+function keepsAddress(redactor, address) {
+	if (!redactor.categories.has('ips') || redactor.kept.has(address) || redactor.originals.has(address)) return true;
+	const bytes = parseAddress(address);
+	const global = bytes?.length === 4 || (bytes?.length === 16 && (bytes[0] & 0xe0) === 0x20);
+	if (!global || NON_PUBLIC_RANGES.some((range) => cidrContains(range, address)) || isWarpEndpoint(address)) {
+		redactor.kept.add(address);
+		return true;
+	}
+	return false;
+}
+
+/**
+ * Whether a hostname belongs to an internal or configured domain
+ * @param {Object} redactor
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isInternalHostname(redactor, name) {
+	const lower = name.toLowerCase();
+	return redactor.domains.some((domain) => lower === domain || lower.endsWith(`.${domain}`));
+}
+
+/**
+ * Replace sensitive values in text with consistent pseudonyms
+ * @param {Object} redactor - From createRedactor
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactText(redactor, text) {
+	const on = (category) => redactor.categories.has(category);
+	let result = text;
+
+	if (on('emails')) result = result.replace(EMAIL_PATTERN, (email) => pseudonymFor(redactor, 'emails', email));
+	for (const { category, pattern } of SENSITIVE_SETTINGS) {
+		if (!on(category)) continue;
+		result = result.replace(pattern, (match, key, separator, value) =>
+			/^(?:none|null|n\/a|unknown|true|false)$/i.test(value) ? match : `${key}${separator}${pseudonymFor(redactor, category, value)}`
+		);
+	}
+	if (on('ids')) {
+		result = result.replace(UUID_PATTERN, (id) => pseudonymFor(redactor, 'ids', id));
+		result = result.replace(HEX_TOKEN_PATTERN, (token) => pseudonymFor(redactor, 'ids', token));
+		// Mixed case and digits tell keys and tokens from long words and paths
+		result = result.replace(BASE64_TOKEN_PATTERN, (token) =>
+			/\d/.test(token) && /[a-z]/.test(token) && /[A-Z]/.test(token) ? pseudonymFor(redactor, 'ids', token) : token
+		);
+	}
+	if (on('macs')) {
+		result = result.replace(MAC_PATTERN, (mac) =>
+			/^(?:00[:-]?){5}00$|^(?:ff[:-]?){5}ff$/i.test(mac) ? mac : pseudonymFor(redactor, 'macs', mac),
+		);
+	}
+	if (on('ips')) {
+		result = result.replace(IPV6_PATTERN, (address) => (parseAddress(address)?.length === 16 ? redactAddress(redactor, address) : address));
+		result = result.replace(IPV4_PATTERN, (address) => (parseAddress(address) ? redactAddress(redactor, address) : address));
+	}
+	if (on('users')) {
+		result = result.replace(HOME_PATH_PATTERN, (match, prefix, user) =>
+			SHARED_USER_FOLDERS.has(user.toLowerCase()) ? match : `${prefix}${pseudonymFor(redactor, 'users', user)}`
+		);
+	}
+	if (on('hostnames')) {
+		result = result.replace(HOSTNAME_PATTERN, (name) =>
+			isInternalHostname(redactor, name) ? pseudonymFor(redactor, 'hostnames', name) : name,
+		);
+	}
+	return result;
+}
+
+/**
+ * Redact every string in a JSON-like value, leaving keys, numbers and structure alone
+ * @param {Object} redactor - From createRedactor
+ * @param {*} value
+ * @returns {*} - A redacted copy
+ */
+export function redactValue(redactor, value) {
+	if (typeof value === 'string') return redactText(redactor, value);
+	if (Array.isArray(value)) return value.map((item) => redactValue(redactor, item));
+	if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+		return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(redactor, item)]));
+	}
+	return value;
+}
+
+/**
+ * Describe what the redactor replaced, with the mapping that reverses it
+ * @param {Object} redactor - From createRedactor
+ * @returns {Object} - { categories, domains, replaced, unredacted, mapping }; `unredacted` counts
+ *   what redactCapture had to leave in capture payloads, see describeUnredacted
+ */
+export function summarizeRedaction(redactor) {
+	return {
+		categories: [...redactor.categories],
+		domains: redactor.domains.slice(INTERNAL_DOMAIN_SUFFIXES.length),
+		replaced: redactor.counts,
+		unredacted: redactor.unredacted,
+		mapping: Object.fromEntries(redactor.originals),
+	};
+}
+
+/**
+ * Fold a one's-complement sum to 16 bits
+ * @param {number} sum
+ * @returns {number}
+ */
+function foldChecksum(sum) {
+	while (sum > 0xffff) sum = (sum & 0xffff) + (sum >>> 16);
+	return sum;
+}
+
+/**
+ * Update an Internet checksum for the rewritten bytes it covers (RFC 1624),
+ * which works even when the packet was cut short by the snaplen. Bytes are
+ * summed as 16-bit words counted from `start`, so rewrites at odd offsets count too.
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} at - Offset of the checksum field
+ * @param {Array<Object>} changes - { at, before, after } rewrites; the ones in [start, end) are covered
+ * @param {number} start - Offset where the checksummed bytes start
+ * @param {number} end
+ * @param {Array<Object>} pseudoHeader - Address rewrites the pseudo-header repeats
+ * @param {boolean} zeroMeansNone - UDP over IPv4: 0 means no checksum, so it stays 0 and 0 becomes 0xffff
+ * @returns {Object|null} - The checksum field's own rewrite, for the checksums around this one
+ */
+function adjustChecksum(data, view, at, changes, start, end, pseudoHeader = [], zeroMeansNone = false) {
+	const covered = [
+		...pseudoHeader.map((change) => ({ change, odd: 0 })),
+		...changes.filter((change) => change.at >= start && change.at < end).map((change) => ({ change, odd: (change.at - start) % 2 })),
+	];
+	const current = view.getUint16(at, false);
+	if (covered.length === 0 || (zeroMeansNone && current === 0)) return null;
+
+	let sum = ~current & 0xffff;
+	for (const { change, odd } of covered) {
+		for (let i = 0; i < change.before.length; i++) {
+			const shift = (i + odd) % 2 === 0 ? 8 : 0;
+			sum += 0xffff - (change.before[i] << shift) + (change.after[i] << shift);
+		}
+	}
+	let checksum = ~foldChecksum(sum) & 0xffff;
+	if (zeroMeansNone && checksum === 0) checksum = 0xffff;
+	const before = data.slice(at, at + 2);
+	view.setUint16(at, checksum, false);
+	return { at, before, after: data.slice(at, at + 2) };
+}
+
+/**
+ * Replace the address at an offset with its pseudonym
+ * @param {Object} redactor
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {number} length - 4 or 16
+ * @param {boolean} write - False only hands out pseudonyms, leaving the bytes alone
+ * @returns {{at: number, before: Uint8Array, after: Uint8Array}|null} - null when the address is kept
+ */
+function rewriteAddress(redactor, data, offset, length, write) {
+	const address = length === 4 ? formatIPv4(data, offset) : formatIPv6(data, offset);
+	const pseudonym = redactAddress(redactor, address);
+	if (pseudonym === address) return null;
+	const before = data.slice(offset, offset + length);
+	const after = parseAddress(pseudonym);
+	if (write) data.set(after, offset);
+	return { at: offset, before, after };
+}
+
+/**
+ * Replace the MAC address at an offset with its pseudonym
+ * @param {Object} redactor
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {boolean} write
+ * @returns {{at: number, before: Uint8Array, after: Uint8Array}|null} - null when the address is kept
+ */
+function rewriteMac(redactor, data, offset, write) {
+	const mac = formatMac(data.subarray(offset, offset + 6));
+	if (mac === '00:00:00:00:00:00' || mac === 'ff:ff:ff:ff:ff:ff' || data[offset] & 0x01) return null;
+	const pseudonym = pseudonymFor(redactor, 'macs', mac);
+	const before = data.slice(offset, offset + 6);
+	const after = new Uint8Array(pseudonym.split(':').map((byte) => parseInt(byte, 16)));
+	if (write) data.set(after, offset);
+	return { at: offset, before, after };
+}
+
+/**
+ * Replace the source and destination MAC addresses of an Ethernet header
+ * @param {Object} redactor
+ * @param {Uint8Array} data
+ * @param {number} offset - Offset of the Ethernet header
+ * @param {boolean} write
+ * @returns {Array<Object>} - Rewrites, from rewriteMac
+ */
+function rewriteEthernetMacs(redactor, data, offset, write) {
+	if (!redactor.categories.has('macs')) return [];
+	return [rewriteMac(redactor, data, offset, write), rewriteMac(redactor, data, offset + 6, write)].filter(Boolean);
+}
+
+/**
+ * Offset of the checksum in ICMP, TCP, UDP and ICMPv6 headers, by IP protocol number
+ */
+const TRANSPORT_CHECKSUM_OFFSETS = { 1: 2, 6: 16, 17: 6, 58: 2 };
+
+/**
+ * Payloads redactCapture leaves as captured because their names cannot be
+ * rewritten in place, by the key the redactor counts them under
+ */
+const UNREDACTED_PAYLOADS = {
+	dnsNames: 'DNS names under internal domains',
+	reverseDnsNames: 'reverse DNS names of redacted addresses',
+	tlsSnis: 'TLS SNIs of internal hosts',
+	quicInitials: 'QUIC Initials to port 443, whose SNI can be decrypted',
+};
+
+/**
+ * Count a payload redactCapture had to leave as captured
+ * @param {Object} redactor
+ * @param {string} kind - Key of UNREDACTED_PAYLOADS
+ */
+function noteUnredacted(redactor, kind) {
+	redactor.unredacted[kind] = (redactor.unredacted[kind] ?? 0) + 1;
+}
+
+/**
+ * Describe the payloads redactCapture left as captured, to warn next to the download
+ * @param {Object} redactor - From createRedactor
+ * @returns {string|null} - null when nothing sensitive was left
+ */
+export function describeUnredacted(redactor) {
+	const kept = Object.entries(redactor.unredacted).map(([kind, count]) => `${UNREDACTED_PAYLOADS[kind]} (${count})`);
+	return kept.length > 0 ? `Kept as captured: ${kept.join(', ')}` : null;
+}
+
+/**
+ * The address a reverse DNS name stands for, e.g. 7.113.0.203.in-addr.arpa
+ * @param {string} name
+ * @returns {string|null}
+ */
+function reverseDnsAddress(name) {
+	const labels = name.toLowerCase().split('.');
+	if (labels.length === 6 && name.toLowerCase().endsWith('.in-addr.arpa')) return labels.slice(0, 4).reverse().join('.');
+	if (labels.length === 34 && name.toLowerCase().endsWith('.ip6.arpa')) {
+		return labels.slice(0, 32).reverse().join('').match(/.{4}/g).join(':');
+	}
+	return null;
+}
+
+/**
+ * Find the address of every A and AAAA record in a DNS message
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} start - Offset of the DNS header
+ * @param {number} end - Offset where the message ends
+ * @returns {Array<{offset: number, length: number}>}
+ */
+function findDnsAddresses(data, view, start, end) {
+	const addresses = [];
+	if (end - start < 12) return addresses;
+
+	let offset = start + 12;
+	for (let i = 0; i < view.getUint16(start + 4, false); i++) {
+		const name = readDnsName(data, start, offset, end);
+		if (!name) return addresses;
+		offset = name.next + 4;
+	}
+
+	const records = view.getUint16(start + 6, false) + view.getUint16(start + 8, false) + view.getUint16(start + 10, false);
+	for (let i = 0; i < records; i++) {
+		const name = readDnsName(data, start, offset, end);
+		if (!name || name.next + 10 > end) break;
+		const type = view.getUint16(name.next, false);
+		const length = view.getUint16(name.next + 8, false);
+		const rdata = name.next + 10;
+		if (rdata + length > end) break;
+		if ((type === 1 && length === 4) || (type === 28 && length === 16)) addresses.push({ offset: rdata, length });
+		offset = rdata + length;
+	}
+	return addresses;
+}
+
+/**
+ * Redact the A and AAAA records of a DNS payload, and count the names in the
+ * payload that would be redacted as text but cannot be rewritten in place:
+ * DNS names, reverse DNS names, TLS SNIs and QUIC Initials
+ * @param {Object} redactor
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {Object} packet - Decoded headers, with transport payload bounds
+ * @param {boolean} write
+ * @returns {Array<Object>} - Rewrites, for the transport checksum
+ */
+function redactApplication(redactor, data, view, packet, write) {
+	const { transport } = packet;
+	const { payloadOffset: start, payloadEnd: end } = transport;
+	const hostnames = redactor.categories.has('hostnames');
+	const changes = [];
+
+	describeApplication(data, view, packet);
+	if (packet.dns) {
+		// DNS over TCP prefixes the message with its length
+		const dnsStart = transport.protocol === 'TCP' ? start + 2 : start;
+		const dnsEnd = transport.protocol === 'TCP' ? dnsStart + view.getUint16(start, false) : end;
+		for (const address of findDnsAddresses(data, view, dnsStart, dnsEnd)) {
+			const change = rewriteAddress(redactor, data, address.offset, address.length, write);
+			if (change) changes.push(change);
+		}
+		if (!write) return changes;
+		const { questions, answers } = packet.dns;
+		for (const name of new Set([
+			...questions.map((question) => question.name),
+			...answers.flatMap((answer) => [answer.name, answer.data]),
+		])) {
+			const address = reverseDnsAddress(name);
+			if (address && !keepsAddress(redactor, address)) noteUnredacted(redactor, 'reverseDnsNames');
+			else if (hostnames && isInternalHostname(redactor, name)) noteUnredacted(redactor, 'dnsNames');
+		}
+	} else if (write && hostnames && transport.protocol === 'TCP' && end - start > 9 && data[start] === 22 && data[start + 5] === 1) {
+		// A ClientHello that starts in this segment
+		const hello = parseClientHello(data, view, start + 9, end);
+		if (hello?.sni && isInternalHostname(redactor, hello.sni)) noteUnredacted(redactor, 'tlsSnis');
+	} else if (write && hostnames && transport.protocol === 'UDP' && transport.dstPort === 443 && end - start >= 7 && data[start] & 0x80) {
+		if (parseQuicLongHeader(data, view, start, end)?.type === 'Initial') noteUnredacted(redactor, 'quicInitials');
+	}
+	return changes;
+}
+
+/**
+ * Redact the header quoted in an ICMP or ICMPv6 error, fixing the quoted IPv4
+ * header checksum and the quoted transport checksum when they were quoted
+ * @param {Object} redactor
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Offset of the quoted IP header
+ * @param {number} end - Offset where the captured packet ends
+ * @param {boolean} write
+ * @returns {Array<Object>} - Rewrites, for the ICMP checksum
+ */
+function redactQuotedPacket(redactor, data, view, offset, end, write) {
+	const quoted = decodeQuotedPacket(data, view, offset, end);
+	if (!quoted) return [];
+	const ipv4 = quoted.version === 4;
+	const addresses = (ipv4 ? [12, 16] : [8, 24])
+		.map((at) => rewriteAddress(redactor, data, offset + at, ipv4 ? 4 : 16, write))
+		.filter(Boolean);
+	const changes = [...addresses];
+	if (!write) return changes;
+
+	const headerLength = ipv4 ? (data[offset] & 0x0f) * 4 : 40;
+	if (ipv4 && offset + headerLength <= end) {
+		const change = adjustChecksum(data, view, offset + 10, addresses, offset, offset + headerLength);
+		if (change) changes.push(change);
+	}
+	// Quoted ICMP has no pseudo-header, so its checksum does not cover the addresses
+	const checksumOffset = TRANSPORT_CHECKSUM_OFFSETS[quoted.protocol];
+	const at = offset + headerLength + checksumOffset;
+	if (checksumOffset !== undefined && quoted.protocol !== 1 && at + 2 <= end) {
+		const change = adjustChecksum(data, view, at, [], offset, end, addresses, ipv4 && quoted.protocol === 17);
+		if (change) changes.push(change);
+	}
+	return changes;
+}
+
+/**
+ * Redact a network-layer packet and what it carries: the ARP or IP header,
+ * tunneled packets (peeled with decodeEncapsulation, up to MAX_ENCAPSULATION_DEPTH),
+ * the header quoted in an ICMP error and DNS records. Every checksum covering a
+ * rewrite is fixed, innermost first.
+ * @param {Object} redactor
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Offset of the network header
+ * @param {number} end - Offset where the captured packet ends
+ * @param {number|null} etherType
+ * @param {boolean} write - False only hands out pseudonyms, in the order writing would
+ * @param {number} depth - Tunnels peeled so far
+ * @returns {Array<Object>} - { at, before, after } for every rewrite, for the checksums around this packet
+ */
+function redactNetworkLayer(redactor, data, view, offset, end, etherType, write, depth = 0) {
+	if (etherType === 0x0806 && offset + 28 <= end) {
+		const macs = redactor.categories.has('macs')
+			? [rewriteMac(redactor, data, offset + 8, write), rewriteMac(redactor, data, offset + 18, write)]
+			: [];
+		return [...macs, rewriteAddress(redactor, data, offset + 14, 4, write), rewriteAddress(redactor, data, offset + 24, 4, write)].filter(
+			Boolean,
+		);
+	}
+
+	const version = etherType === 0x0800 ? 4 : etherType === 0x86dd ? 6 : null;
+	if (version === null || end - offset < (version === 4 ? 20 : 40) || data[offset] >> 4 !== version) return [];
+	const packet = {};
+	analyzeNetworkLayer(data, view, offset, end, etherType, packet);
+	const { ip, transport } = packet;
+
+	const fields = version === 4 ? [12, 16] : [8, 24];
+	const addresses = fields.map((at) => rewriteAddress(redactor, data, offset + at, version === 4 ? 4 : 16, write)).filter(Boolean);
+	const changes = [...addresses];
+	if (write && version === 4 && ip.payloadOffset <= end) {
+		const change = adjustChecksum(data, view, offset + 10, addresses, offset, ip.payloadOffset);
+		if (change) changes.push(change);
+	}
+
+	const payload = [];
+	const tunnel = depth < MAX_ENCAPSULATION_DEPTH ? decodeEncapsulation(data, view, packet) : null;
+	if (tunnel) {
+		let inner = { offset: tunnel.offset, etherType: tunnel.etherType };
+		if (tunnel.etherType === ETHERTYPE_TEB) {
+			inner = decodeLinkLayer(data, view, tunnel.offset, tunnel.end, 1);
+			if (!inner.error) payload.push(...rewriteEthernetMacs(redactor, data, tunnel.offset, write));
+		}
+		if (!inner.error)
+			payload.push(...redactNetworkLayer(redactor, data, view, inner.offset, tunnel.end, inner.etherType, write, depth + 1));
+		// The optional GRE checksum covers the GRE header and everything it carries
+		if (write && tunnel.layer.type === 'GRE' && data[ip.payloadOffset] & 0x80) {
+			const change = adjustChecksum(data, view, ip.payloadOffset + 4, payload, ip.payloadOffset, ip.payloadEnd);
+			if (change) payload.push(change);
+		}
+	} else if (transport?.quoted) {
+		payload.push(...redactQuotedPacket(redactor, data, view, ip.payloadOffset + 8, end, write));
+	} else if (transport?.payloadOffset !== undefined && !ip.fragment) {
+		payload.push(...redactApplication(redactor, data, view, packet, write));
+	}
+
+	// Only the first fragment carries the transport header
+	const checksumOffset = TRANSPORT_CHECKSUM_OFFSETS[ip.protocol];
+	if (write && checksumOffset !== undefined && ip.fragmentOffset === 0 && ip.payloadOffset + checksumOffset + 2 <= end) {
+		// The ICMP checksum has no pseudo-header; the others repeat both addresses
+		const pseudoHeader = ip.protocol === 1 ? [] : addresses;
+		const at = ip.payloadOffset + checksumOffset;
+		const change = adjustChecksum(
+			data,
+			view,
+			at,
+			payload,
+			ip.payloadOffset,
+			ip.payloadEnd,
+			pseudoHeader,
+			version === 4 && ip.protocol === 17,
+		);
+		if (change) payload.push(change);
+	}
+	return [...changes, ...payload];
+}
+
+/**
+ * Replace the addresses in one packet: the link layer, then everything
+ * redactNetworkLayer reaches. Names in payloads that cannot be rewritten in
+ * place are counted in the redactor's `unredacted`.
+ * @param {Object} redactor - From createRedactor
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Offset of the packet
+ * @param {number} end - Offset where the captured packet ends
+ * @param {number} linkType
+ * @param {boolean} write - False only hands out pseudonyms in packet order
+ */
+function redactPacketAddresses(redactor, data, view, offset, end, linkType, write) {
+	const link = decodeLinkLayer(data, view, offset, end, linkType);
+	if (!link || link.error) return;
+	if (linkType === 1) rewriteEthernetMacs(redactor, data, offset, write);
+	redactNetworkLayer(redactor, data, view, link.offset, end, link.etherType, write);
+}
+
+/**
+ * Copy a capture with its addresses replaced by pseudonyms and the checksums
+ * fixed. PCAPNG captures are written anew with writePcapng, which keeps the
+ * packets, timestamps and interface link types but drops comments, hardware
+ * and OS strings, name resolution and decryption secrets blocks; interface
+ * names go through redactText. Bytes past the last readable record are dropped.
+ * @param {Uint8Array} data - PCAP/PCAPNG file data
+ * @param {Object} redactor - From createRedactor
+ * @returns {Uint8Array}
+ * @throws {Error} - When the capture cannot be read or a packet has no interface description
+ */
+export function redactCapture(data, redactor) {
+	const output = data.slice();
+	const capture = openCapture(output);
+	if (capture.error) throw new Error(capture.error);
+	const view = new DataView(output.buffer, output.byteOffset, output.byteLength);
+	const packets = [];
+	for (const record of capture.records()) {
+		if (record.linkType === null)
+			throw new Error(`Packet ${packets.length + 1} refers to an interface with no Interface Description Block`);
+		redactPacketAddresses(redactor, output, view, record.offset, record.offset + record.capturedLength, record.linkType, true);
+		packets.push({
+			timestampNs: recordTimestampNs(record, capture),
+			originalLength: record.originalLength,
+			interfaceId: record.interfaceId,
+			bytes: output.subarray(record.offset, record.offset + record.capturedLength),
+		});
+	}
+
+	if (capture.format === 'PCAP') return capture.truncation ? output.slice(0, capture.truncation.offset) : output;
+	const interfaces = capture.interfaces.map((iface) => ({ ...iface, name: iface.name ? redactText(redactor, iface.name) : null }));
+	return writePcapng(packets, interfaces);
+}
+
+/**
+ * Extract detailed packet summaries from PCAP/PCAPNG as text entries
+ * @param {Uint8Array} data - PCAP/PCAPNG file data
+ * @param {string} filename - Original filename
+ * @param {number} maxPacketsToAnalyze - Max packets to analyze (0 = all)
+ * @returns {string} - Text summary of packets for analysis (QUIC Initials are not decrypted)
+ */
+export function extractPcapPacketSummaries(data, filename, maxPacketsToAnalyze = 50) {
+	return analyzePcapFile(data, filename, { packetCount: maxPacketsToAnalyze }).summary;
+}
+
+/**
+ * Analyze a PCAP/PCAPNG file, leaving client QUIC Initials encrypted (their
+ * ClientHello needs WebCrypto, which is async): see analyzePcapFileDecrypted.
+ * @param {Uint8Array} data - PCAP/PCAPNG file data
+ * @param {string} filename - Original filename
+ * @param {Object} options - As for runPcapAnalysis
+ * @returns {Object} - From runPcapAnalysis
+ */
+export function analyzePcapFile(data, filename, options = {}) {
+	const analysis = runPcapAnalysis(data, filename, options);
+	let step = analysis.next();
+	while (!step.done) step = analysis.next(null);
+	return step.value;
+}
+
+/**
+ * analyzePcapFile with client QUIC Initials decrypted for their ClientHello.
+ * The analysis waits at each Initial while it is decrypted, so the capture
+ * is still read once.
+ * @param {Uint8Array} data - PCAP/PCAPNG file data
+ * @param {string} filename - Original filename
+ * @param {Object} options - As for runPcapAnalysis
+ * @returns {Promise<Object>} - From runPcapAnalysis
+ */
+export async function analyzePcapFileDecrypted(data, filename, options = {}) {
+	const keys = new Map();
+	const analysis = runPcapAnalysis(data, filename, options);
+	let step = analysis.next();
+	while (!step.done) step = analysis.next(await decryptQuicInitialPacket(keys, step.value));
+	return step.value;
+}
+
+/**
+ * Analyze a PCAP/PCAPNG file.
+ * Every packet is decoded and fed to the conversation tracker, while only the
+ * first `packetCount` packets are listed individually in the text summary.
+ * Yields each client QUIC Initial ({ version, dcid, pnOffset, bytes }) and
+ * resumes with its decrypted frames, or null to leave it encrypted.
+ * @param {Uint8Array} data - PCAP/PCAPNG file data
+ * @param {string} filename - Original filename
+ * @param {Object} options
+ * @param {number} options.packetCount - Max packets to list (0 = all)
+ * @param {boolean} options.packetDetail - Also return the listed packets as structured models
+ * @param {Object} options.filter - From compileDisplayFilter: only matching packets are listed,
+ *   and only conversations with a matching packet are reported. Every packet still feeds the
+ *   stateful analyses (TCP, DNS, TLS, QUIC, WireGuard, MTU) so their state stays correct.
+ * @param {Object} options.sampling - From parseSamplingOptions: how the listed packets are
+ *   chosen among those matching the filter (default: the first `packetCount`)
+ * @param {Object} options.redactor - From createRedactor: pseudonyms are handed out for every
+ *   packet's addresses, so the mapping covers the whole capture. The summaries are not redacted here.
+ * @returns {Object} - { metadata, summary, contextSummary, conversations, totalConversations, packets, ... }
+ *   `contextSummary` is the part of `summary` before the packet listing, for the AI prompt.
+ *   `packets` is null unless `packetDetail` is set, `filter` null unless a filter is.
+ *   `sampling` reports what the listing covers.
+ */
+function* runPcapAnalysis(
+	data,
+	filename,
+	{
+		packetCount: maxPacketsToAnalyze = 50,
+		packetDetail = false,
+		filter = null,
+		sampling = { mode: 'head', from: null, to: null },
+		redactor = null,
+	} = {}
+) {
+	const metadata = parsePcapBasic(data);
+	
+	if (metadata.error) {
+		const summary = `PCAP file: ${filename}\nError: ${metadata.error}`;
+		return {
+			metadata,
+			summary,
+			contextSummary: summary,
+			conversations: [],
+			totalConversations: 0,
+			tcpAnalysis: null,
+			latency: [],
+			dns: null,
+			tls: null,
+			quic: null,
+			wireguard: null,
+			mtu: null,
+			statistics: null,
+			io: null,
+			tunnelTrace: null,
+			packets: null,
+			filter: null,
+			sampling: null,
+		};
+	}
+
+	const capture = openCapture(data);
+	const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+	
+	let summaryLines = [];
+	summaryLines.push(`${metadata.format} file: ${filename}`);
+	summaryLines.push(`Format: ${metadata.format} v${metadata.version}`);
+	summaryLines.push(`Total Packets: ${metadata.packetCount}`);
+	summaryLines.push(`File Size: ${metadata.fileSize} bytes`);
+	if (metadata.timestampResolution) {
+		summaryLines.push(`Timestamp Resolution: ${metadata.timestampResolution}`);
+	}
+	if (metadata.truncated) {
+		const { packetNumber, offset, reason } = metadata.truncation;
+		summaryLines.push(`⚠️  Capture truncated at packet ${packetNumber} (offset ${offset}): ${reason}`);
+	}
+	if (metadata.snappedPackets > 0) {
+		summaryLines.push(`Packets cut short by snaplen: ${metadata.snappedPackets}`);
+	}
+
+	if (metadata.interfaces) {
+		summaryLines.push(`Interfaces: ${metadata.interfaces.length}`);
+		for (const iface of metadata.interfaces) {
+			const name = iface.name ? ` ${iface.name}` : '';
+			summaryLines.push(
+				`  [${iface.id}]${name} (${iface.linkTypeName}, snaplen ${iface.snaplen}, ${iface.timestampResolution}, ${iface.packetCount} packets)`,
+			);
+		}
+	}
+	
+	// Determine how many packets to analyze (0 = all)
+	const maxPackets = maxPacketsToAnalyze === 0 
+		? metadata.packetCount 
+		: Math.min(maxPacketsToAnalyze, metadata.packetCount);
+
+	// Only name the interface per packet when there is more than one to tell apart
+	const showInterface = metadata.interfaces && metadata.interfaces.length > 1;
+	const sampler = createPacketSampler(sampling, maxPackets, metadata.packetCount);
+	const matchedFlows = new Set();
+	let matchedPackets = 0;
+	const flows = new Map();
+	const tcpAnalysis = { counts: {}, events: [], totalEvents: 0 };
+	const latency = createLatencyTracker();
+	const dns = createDnsTracker();
+	const tls = createTlsTracker();
+	const quic = createQuicTracker();
+	const wireguard = createWireguardTracker();
+	const mtu = createMtuTracker();
+	const statistics = createCaptureStatistics();
+	const io = createIoSeries();
+	const tunnelTrace = createTunnelTrace();
+	let packetNum = 0;
+	let firstTimestamp = null;
+	let lastTimestamp = null;
+
+	for (const record of capture.records()) {
+		packetNum++;
+		// Hand out pseudonyms in packet order, as a redacted download of this capture will
+		if (redactor && record.linkType !== null) {
+			redactPacketAddresses(redactor, data, view, record.offset, record.offset + record.capturedLength, record.linkType, false);
+		}
+
+		let packet = {};
+		let info;
+		try {
+			info = analyzePacketData(data, view, record.offset, record.capturedLength, record.linkType, packet);
+		} catch (e) {
+			info = [`  [Error parsing packet ${packetNum}]`];
+		}
+
+		// A completed fragment set is analyzed as one packet made of all its frames
+		let packetData = data;
+		let packetView = view;
+		let wireLength = record.originalLength;
+		let wireSize = packet.ip?.length;
+		if (packet.ip?.fragment) {
+			const reassembly = trackFragment(mtu, data, packet, packetNum, record.originalLength);
+			if (reassembly) {
+				packetData = reassembly.datagram;
+				packetView = new DataView(packetData.buffer);
+				wireLength = reassembly.wireBytes;
+				wireSize = reassembly.largestFragment;
+				// Fragments inside a tunnel keep the tunnel around them
+				const outer = packet.encapsulation || [];
+				packet = { link: packet.link };
+				info.push(
+					`  Reassembled ${reassembly.packets.length} fragments (packets ${reassembly.packets.join(', ')}): ${packetData.length} bytes`,
+				);
+				info.push(...decodeReassembledDatagram(packetData, packet));
+				if (outer.length > 0) packet.encapsulation = [...outer, ...(packet.encapsulation || [])];
+			}
+		}
+
+		if (record.timestamp !== null) {
+			if (firstTimestamp === null) firstTimestamp = record.timestamp;
+			lastTimestamp = record.timestamp;
+		}
+		const tracked = packet.ip?.fragment ? null : trackConversation(flows, packet, packetNum, record.timestamp, wireLength);
+		if (tracked) {
+			trackPacketSize(mtu, packet, tracked.flow, packetNum, wireSize);
+			if (packet.transport?.mtu !== undefined) trackIcmpMtu(mtu, packet, packetNum);
+		}
+		if (tracked && record.timestamp !== null) {
+			trackLatency(latency, packet, tracked.flow, tracked.fromClient, record.timestamp);
+		}
+		if (packet.dns) {
+			trackDnsMessage(dns, latency, packet, packetNum, record.timestamp);
+		}
+		let applicationLines = [];
+		if (tracked?.flow.tcp && packet.transport.payloadLength > 0) {
+			applicationLines = trackTlsSegment(tls, packetData, packet.transport, tracked.flow, tracked.fromClient, packetNum, record.timestamp);
+		} else if (tracked && packet.wireguard) {
+			applicationLines = trackWireguardMessage(wireguard, latency, packet, tracked.flow, tracked.fromClient, packetNum, record.timestamp);
+		} else if (tracked && packet.transport?.protocol === 'UDP' && !packet.dns) {
+			applicationLines = yield* trackQuicDatagram(
+				quic,
+				latency,
+				packetData,
+				packetView,
+				packet,
+				tracked.flow,
+				tracked.fromClient,
+				packetNum,
+				record.timestamp,
+			);
+		}
+
+		let expertEvents = [];
+		if (tracked?.flow.tcp && packet.transport.seq !== undefined) {
+			expertEvents = analyzeTcpSegment(tracked.flow, packet.transport, tracked.fromClient, record.timestamp);
+			for (const event of expertEvents) {
+				recordTcpEvent(tcpAnalysis, tracked.flow, event, packetNum, record.timestamp);
+			}
+		}
+
+		const layers = packetLayers(record, packet, tracked ? tracked.flow : null);
+		trackCaptureStatistics(statistics, layers, packet, record.originalLength);
+		trackIoSeries(io, packet, tracked ? tracked.flow : null, expertEvents, record.timestamp, record.originalLength);
+		trackTunnelTrace(tunnelTrace, packetData, record, packet, tracked, expertEvents, packetNum);
+
+		// Without a filter, head sampling stops building models once the listing is full
+		if (!filter && !samplerWantsPackets(sampler)) continue;
+
+		const decoded = splitWarnings([...info, ...applicationLines]);
+		const model = buildPacketModel(record, packet, {
+			number: packetNum,
+			flow: tracked ? tracked.flow : null,
+			layers,
+			interface: showInterface ? { id: record.interfaceId, name: capture.interfaces[record.interfaceId]?.name ?? null } : null,
+			lines: decoded.lines,
+			warnings: [
+				...decoded.warnings,
+				...expertEvents
+					.filter((event) => !TCP_INFO_EVENTS.has(event.type))
+					.map((event) => `${TCP_EXPERT_LABELS[event.type]} (${event.detail})`),
+			],
+		});
+		if (filter) {
+			if (!filter.test(model)) continue;
+			matchedPackets++;
+			if (tracked) matchedFlows.add(tracked.flow.id);
+		}
+		samplePacket(sampler, model, record.timestamp, firstTimestamp);
+	}
+
+	const packets = finishSampling(sampler);
+	const coverage = summarizeSampling(
+		sampler,
+		packets,
+		filter ? matchedPackets : packetNum,
+		filter ? matchedFlows.size : flows.size,
+		firstTimestamp,
+		lastTimestamp
+	);
+
+	let allConversations = summarizeConversations(flows, lastTimestamp);
+	if (filter) {
+		summaryLines.push(`Display filter: ${filter.expression} (${matchedPackets} of ${packetNum} packets match)`);
+		allConversations = allConversations.filter((conversation) => matchedFlows.has(conversation.id));
+	}
+	summaryLines.push(formatSamplingCoverage(coverage));
+	if (filter) {
+		summaryLines.push(`\n=== CONVERSATIONS (${allConversations.length} flows with packets matching the filter) ===\n`);
+	} else {
+		summaryLines.push(`\n=== CONVERSATIONS (${allConversations.length} flows across all ${metadata.packetCount} packets) ===\n`);
+	}
+	summaryLines.push(...formatConversationTable(allConversations));
+	summaryLines.push('\n=== TCP ANALYSIS ===\n');
+	summaryLines.push(...formatTcpAnalysis(tcpAnalysis));
+	const dnsSummary = summarizeDns(dns);
+	summaryLines.push('\n=== DNS ===\n');
+	summaryLines.push(...formatDnsSummary(dnsSummary));
+	const tlsSummary = summarizeTls(tls);
+	summaryLines.push('\n=== TLS ===\n');
+	summaryLines.push(...formatTlsSummary(tlsSummary));
+	const quicSummary = summarizeQuic(quic);
+	summaryLines.push('\n=== QUIC ===\n');
+	summaryLines.push(...formatQuicSummary(quicSummary));
+	const wireguardSummary = summarizeWireguard(wireguard);
+	summaryLines.push('\n=== WIREGUARD ===\n');
+	summaryLines.push(...formatWireguardSummary(wireguardSummary));
+	const mtuSummary = summarizeMtu(mtu);
+	summaryLines.push('\n=== MTU AND FRAGMENTATION ===\n');
+	summaryLines.push(...formatMtuSummary(mtuSummary));
+	const latencySummary = summarizeLatency(latency);
+	summaryLines.push('\n=== LATENCY (p50 / p95 / max per destination) ===\n');
+	summaryLines.push(...formatLatencySummary(latencySummary));
+	const statisticsSummary = summarizeCaptureStatistics(statistics, flows, tls.sessions, quic.connections);
+	summaryLines.push('\n=== PROTOCOL HIERARCHY AND TOP TALKERS ===\n');
+	summaryLines.push(...formatCaptureStatistics(statisticsSummary));
+	const ioSummary = summarizeIoSeries(io, flows);
+	summaryLines.push('\n=== I/O SERIES (throughput and problems over time) ===\n');
+	summaryLines.push(...formatIoSeries(ioSummary));
+	const contextSummary = summaryLines.join('\n');
+
+	let analysisScope = maxPacketsToAnalyze === 0 ? 'ALL packets' : `first ${maxPackets} packets`;
+	if (sampling.mode !== 'head') analysisScope = `${SAMPLING_MODES[sampling.mode]} sample of ${packets.length} packets`;
+	else if (filter) analysisScope = `${maxPacketsToAnalyze === 0 ? 'all' : `first ${packets.length}`} packets`;
+	if (filter) analysisScope += ` matching ${filter.expression}`;
+	summaryLines.push(`\n=== PACKET ANALYSIS (${analysisScope}) ===\n`);
+	for (const model of packets) summaryLines.push(...formatPacketModel(model));
+	
+	if (coverage.selectable > coverage.listed) {
+		summaryLines.push(`\n... and ${coverage.selectable - coverage.listed} more ${filter ? 'matching ' : ''}packets not shown`);
+		summaryLines.push(`Total packet analysis coverage: ${Math.round(coverage.listed / coverage.selectable * 100)}%`);
+	}
+
+	// Keep the response bounded on captures with many short flows: drop the smallest
+	const conversations =
+		allConversations.length > MAX_CONVERSATIONS
+			? [...allConversations]
+					.sort((a, b) => conversationBytes(b) - conversationBytes(a))
+					.slice(0, MAX_CONVERSATIONS)
+					.sort((a, b) => a.id - b.id)
+			: allConversations;
+
+	return {
+		metadata,
+		summary: summaryLines.join('\n'),
+		contextSummary,
+		conversations,
+		totalConversations: allConversations.length,
+		tcpAnalysis,
+		latency: latencySummary,
+		dns: dnsSummary,
+		tls: tlsSummary,
+		quic: quicSummary,
+		wireguard: wireguardSummary,
+		mtu: mtuSummary,
+		statistics: statisticsSummary,
+		io: ioSummary,
+		tunnelTrace: finishTunnelTrace(tunnelTrace),
+		packets: packetDetail ? packets : null,
+		sampling: coverage,
+		filter: filter ? { expression: filter.expression, matchedPackets, totalPackets: packetNum } : null,
+	};
+}
+
+/**
+ * Header accessors for display filter fields
+ */
+const filterIpv4 = (model) => (model.fields.ip?.version === 4 ? model.fields.ip : undefined);
+const filterIpv6 = (model) => (model.fields.ip?.version === 6 ? model.fields.ip : undefined);
+const filterTransport = (protocol) => (model) => (model.fields.transport?.protocol === protocol ? model.fields.transport : undefined);
+const filterTcp = filterTransport('TCP');
+const filterUdp = filterTransport('UDP');
+const filterIcmp = filterTransport('ICMP');
+const filterIcmpv6 = filterTransport('ICMPv6');
+const filterTunnel = (type, key) => (model) =>
+	(model.fields.encapsulation || []).filter((layer) => layer.type === type).map((layer) => layer[key]);
+const filterDnsAnswers = (type) => (model) =>
+	model.fields.dns?.answers.filter((answer) => answer.type === type).map((answer) => answer.data);
+const filterTcpFlag = (bit) => ({ type: 'boolean', get: (model) => (filterTcp(model) ? (filterTcp(model).flags & bit) !== 0 : undefined) });
+
+/**
+ * Display filter fields, named after Wireshark's where one exists.
+ * Each field has a value type and reads one value, an array (any element can
+ * match), or undefined when the packet does not carry the field.
+ */
+const DISPLAY_FILTER_FIELDS = {
+	'frame.number': { type: 'number', get: (model) => model.number },
+	'frame.len': { type: 'number', get: (model) => model.originalLength },
+	'frame.cap_len': { type: 'number', get: (model) => model.capturedLength },
+	flow: { type: 'number', get: (model) => model.flow ?? undefined },
+	'eth.addr': { type: 'mac', get: (model) => model.fields.eth && [model.fields.eth.src, model.fields.eth.dst] },
+	'eth.src': { type: 'mac', get: (model) => model.fields.eth?.src },
+	'eth.dst': { type: 'mac', get: (model) => model.fields.eth?.dst },
+	'eth.type': { type: 'number', get: (model) => model.fields.eth?.type },
+	'ip.addr': { type: 'address', get: (model) => filterIpv4(model) && [model.fields.ip.src, model.fields.ip.dst] },
+	'ip.src': { type: 'address', get: (model) => filterIpv4(model)?.src },
+	'ip.dst': { type: 'address', get: (model) => filterIpv4(model)?.dst },
+	'ip.ttl': { type: 'number', get: (model) => filterIpv4(model)?.ttl },
+	'ip.proto': { type: 'number', get: (model) => filterIpv4(model)?.protocol },
+	'ip.len': { type: 'number', get: (model) => filterIpv4(model)?.length },
+	'ip.flags.df': { type: 'boolean', get: (model) => filterIpv4(model)?.dontFragment },
+	'ip.flags.mf': { type: 'boolean', get: (model) => filterIpv4(model) && Boolean(model.fields.ip.fragment?.moreFragments) },
+	'ip.frag_offset': { type: 'number', get: (model) => filterIpv4(model)?.fragmentOffset },
+	'ipv6.addr': { type: 'address', get: (model) => filterIpv6(model) && [model.fields.ip.src, model.fields.ip.dst] },
+	'ipv6.src': { type: 'address', get: (model) => filterIpv6(model)?.src },
+	'ipv6.dst': { type: 'address', get: (model) => filterIpv6(model)?.dst },
+	'ipv6.hlim': { type: 'number', get: (model) => filterIpv6(model)?.ttl },
+	'ipv6.nxt': { type: 'number', get: (model) => filterIpv6(model)?.protocol },
+	'tcp.port': { type: 'number', get: (model) => filterTcp(model) && [model.srcPort, model.dstPort] },
+	'tcp.srcport': { type: 'number', get: (model) => filterTcp(model)?.srcPort },
+	'tcp.dstport': { type: 'number', get: (model) => filterTcp(model)?.dstPort },
+	'tcp.seq': { type: 'number', get: (model) => filterTcp(model)?.seq },
+	'tcp.ack': { type: 'number', get: (model) => filterTcp(model)?.ack },
+	'tcp.len': { type: 'number', get: (model) => filterTcp(model)?.payloadLength },
+	'tcp.window_size_value': { type: 'number', get: (model) => filterTcp(model)?.window },
+	'tcp.flags': { type: 'number', get: (model) => filterTcp(model)?.flags },
+	'tcp.flags.fin': filterTcpFlag(0x01),
+	'tcp.flags.syn': filterTcpFlag(0x02),
+	'tcp.flags.reset': filterTcpFlag(0x04),
+	'tcp.flags.rst': filterTcpFlag(0x04),
+	'tcp.flags.push': filterTcpFlag(0x08),
+	'tcp.flags.psh': filterTcpFlag(0x08),
+	'tcp.flags.ack': filterTcpFlag(0x10),
+	'tcp.flags.urg': filterTcpFlag(0x20),
+	'udp.port': { type: 'number', get: (model) => filterUdp(model) && [model.srcPort, model.dstPort] },
+	'udp.srcport': { type: 'number', get: (model) => filterUdp(model)?.srcPort },
+	'udp.dstport': { type: 'number', get: (model) => filterUdp(model)?.dstPort },
+	'udp.length': {
+		type: 'number',
+		get: (model) => (filterUdp(model)?.payloadLength !== undefined ? model.fields.transport.payloadLength + 8 : undefined),
+	},
+	'icmp.type': { type: 'number', get: (model) => filterIcmp(model)?.type },
+	'icmp.code': { type: 'number', get: (model) => filterIcmp(model)?.code },
+	'icmp.mtu': { type: 'number', get: (model) => filterIcmp(model)?.mtu },
+	'icmpv6.type': { type: 'number', get: (model) => filterIcmpv6(model)?.type },
+	'icmpv6.code': { type: 'number', get: (model) => filterIcmpv6(model)?.code },
+	'icmpv6.mtu': { type: 'number', get: (model) => filterIcmpv6(model)?.mtu },
+	'arp.opcode': { type: 'number', get: (model) => model.fields.arp?.opcode },
+	'arp.src.proto_ipv4': { type: 'address', get: (model) => model.fields.arp?.senderIP },
+	'arp.dst.proto_ipv4': { type: 'address', get: (model) => model.fields.arp?.targetIP },
+	'dns.id': { type: 'number', get: (model) => model.fields.dns?.id },
+	'dns.flags.response': { type: 'boolean', get: (model) => model.fields.dns?.isResponse },
+	'dns.rcode': { type: 'number', get: (model) => (model.fields.dns?.isResponse ? model.fields.dns.rcode : undefined) },
+	'dns.flags.rcode': { type: 'number', get: (model) => (model.fields.dns?.isResponse ? model.fields.dns.rcode : undefined) },
+	'dns.qry.name': { type: 'string', get: (model) => model.fields.dns?.questions.map((question) => question.name) },
+	'dns.qry.type': { type: 'string', get: (model) => model.fields.dns?.questions.map((question) => question.type) },
+	'dns.resp.name': { type: 'string', get: (model) => model.fields.dns?.answers.map((answer) => answer.name) },
+	'dns.a': { type: 'address', get: filterDnsAnswers('A') },
+	'dns.aaaa': { type: 'address', get: filterDnsAnswers('AAAA') },
+	'dns.cname': { type: 'string', get: filterDnsAnswers('CNAME') },
+	'wg.type': { type: 'number', get: (model) => model.fields.wireguard?.type },
+	'wg.sender': { type: 'string', get: (model) => model.fields.wireguard?.senderIndex },
+	'wg.receiver': { type: 'string', get: (model) => model.fields.wireguard?.receiverIndex },
+	'gre.key': { type: 'number', get: filterTunnel('GRE', 'key') },
+	'vxlan.vni': { type: 'number', get: filterTunnel('VXLAN', 'vni') },
+	'geneve.vni': { type: 'number', get: filterTunnel('GENEVE', 'vni') },
+};
+
+/**
+ * Bare protocol names, matched against the packet's layer stack
+ */
+const DISPLAY_FILTER_PROTOCOLS = {
+	eth: 'Ethernet',
+	vlan: '802.1Q',
+	ip: 'IPv4',
+	ipv6: 'IPv6',
+	arp: 'ARP',
+	tcp: 'TCP',
+	udp: 'UDP',
+	icmp: 'ICMP',
+	icmpv6: 'ICMPv6',
+	dns: 'DNS',
+	tls: 'TLS',
+	quic: 'QUIC',
+	wg: 'WireGuard',
+	gre: 'GRE',
+	ipip: 'IP-in-IP',
+	vxlan: 'VXLAN',
+	geneve: 'GENEVE',
+};
+
+/**
+ * Display filter comparison operators, with their word aliases
+ */
+const DISPLAY_FILTER_OPERATORS = {
+	'==': '==', eq: '==',
+	'!=': '!=', ne: '!=',
+	'>': '>', gt: '>',
+	'<': '<', lt: '<',
+	'>=': '>=', ge: '>=',
+	'<=': '<=', le: '<=',
+	contains: 'contains',
+	matches: 'matches', '~': 'matches',
+	in: 'in',
+};
+
+/**
+ * Split a display filter into tokens
+ * @param {string} expression
+ * @returns {Array<{type: string, text: string, position: number}>} - type is 'symbol', 'word' or 'string'
+ */
+function tokenizeDisplayFilter(expression) {
+	const tokens = [];
+	let offset = 0;
+	while (offset < expression.length) {
+		const rest = expression.slice(offset);
+		const space = rest.match(/^\s+/);
+		if (space) {
+			offset += space[0].length;
+			continue;
+		}
+		if (rest[0] === '"') {
+			const string = rest.match(/^"((?:[^"\\]|\\.)*)"/);
+			if (!string) throw new Error(`Unterminated string at position ${offset + 1}`);
+			tokens.push({ type: 'string', text: string[1].replace(/\\(.)/g, '$1'), position: offset + 1 });
+			offset += string[0].length;
+			continue;
+		}
+		const symbol = rest.match(/^(==|!=|>=|<=|&&|\|\||[()<>{}!~,])/);
+		if (symbol) {
+			tokens.push({ type: 'symbol', text: symbol[1], position: offset + 1 });
+			offset += symbol[1].length;
+			continue;
+		}
+		const word = rest.match(/^[\w.:/-]+/);
+		if (!word) throw new Error(`Unexpected "${rest[0]}" at position ${offset + 1}`);
+		tokens.push({ type: 'word', text: word[0], position: offset + 1 });
+		offset += word[0].length;
+	}
+	return tokens;
+}
+
+/**
+ * Convert a filter value for comparison with a field
+ * @param {Object} field - From DISPLAY_FILTER_FIELDS
+ * @param {string} name - Field name, for errors
+ * @param {Object} token - Value token
+ * @returns {*} - A number, string, RegExp source or CIDR text, depending on the field type
+ */
+function displayFilterValue(field, name, token) {
+	const { text } = token;
+	if (field.type === 'number' || field.type === 'boolean') {
+		if (field.type === 'boolean' && (text === 'true' || text === 'false')) return text === 'true' ? 1 : 0;
+		if (token.type === 'word' && /^(0x[0-9a-f]+|\d+)$/i.test(text)) return Number(text);
+		throw new Error(`"${text}" is not a number, which ${name} needs (position ${token.position})`);
+	}
+	if (field.type === 'address') {
+		const [address, prefix] = text.split('/');
+		const bytes = parseAddress(address);
+		if (!bytes || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= bytes.length * 8))) {
+			throw new Error(`"${text}" is not an IP address or CIDR range, which ${name} needs (position ${token.position})`);
+		}
+		return text;
+	}
+	if (field.type === 'mac') {
+		if (!/^[0-9a-f]{2}([:-][0-9a-f]{2}){5}$/i.test(text)) {
+			throw new Error(`"${text}" is not a MAC address, which ${name} needs (position ${token.position})`);
+		}
+		return text.toLowerCase().replace(/-/g, ':');
+	}
+	return text;
+}
+
+/**
+ * Longest regular expression `matches` accepts
+ */
+const MAX_FILTER_PATTERN_LENGTH = 100;
+
+/**
+ * Why a `matches` pattern could take exponential time, or null. Patterns are
+ * user input run against every packet, so a repeated group may not contain a
+ * quantifier or alternation of its own, as in (a+)+ or (a|aa)*, and
+ * backreferences are not allowed.
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+function unsafeFilterPattern(pattern) {
+	const groups = [{ repeats: false }];
+	const repeatsAt = (offset) => /^(?:[*+]|\{\d+(?:,\d*)?\})/.test(pattern.slice(offset));
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+		if (char === '\\') {
+			if (/[1-9k]/.test(pattern[i + 1] ?? '')) return 'backreferences are not supported';
+			i++;
+		} else if (char === '[') {
+			// A character class is a single character, whatever it holds
+			for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+				if (pattern[i] === '\\') i++;
+			}
+		} else if (char === '(') {
+			groups.push({ repeats: false });
+			// Skip the (?: (?= (?! (?<= (?<! and (?<name> prefixes, which are not quantifiers
+			const prefix = pattern.slice(i).match(/^\(\?(?:[:=!]|<[=!]|<[^>]*>)/);
+			if (prefix) i += prefix[0].length - 1;
+		} else if (char === ')' && groups.length > 1) {
+			const group = groups.pop();
+			if (group.repeats && repeatsAt(i + 1)) return 'a repeated group cannot contain another quantifier or |';
+			if (group.repeats) groups.at(-1).repeats = true;
+		} else if (char === '|' || char === '?' || repeatsAt(i)) {
+			groups.at(-1).repeats = true;
+		}
+	}
+	return null;
+}
+
+/**
+ * Build the test for one `field operator value` comparison
+ * @param {Object} field - From DISPLAY_FILTER_FIELDS
+ * @param {string} operator - Canonical operator
+ * @param {Array<*>} values - Converted values; more than one only for `in`
+ * @returns {Function} - (actual) => boolean, for one field value
+ */
+function displayFilterComparison(field, operator, values) {
+	if (field.type === 'address') {
+		return (actual) => values.some((cidr) => cidrContains(cidr, actual));
+	}
+	if (operator === 'contains') return (actual) => String(actual).includes(values[0]);
+	if (operator === 'matches') {
+		const pattern = new RegExp(values[0], 'i');
+		return (actual) => pattern.test(String(actual));
+	}
+	if (operator === 'in') {
+		return (actual) =>
+			values.some((value) =>
+				Array.isArray(value) ? actual >= value[0] && actual <= value[1] : Number(actual) === value || actual === value,
+			);
+	}
+	const [value] = values;
+	const number = (actual) => (typeof actual === 'boolean' ? Number(actual) : actual);
+	switch (operator) {
+		case '>': return (actual) => number(actual) > value;
+		case '<': return (actual) => number(actual) < value;
+		case '>=': return (actual) => number(actual) >= value;
+		case '<=': return (actual) => number(actual) <= value;
+		default: return (actual) => number(actual) === value;
+	}
+}
+
+/**
+ * Compile a Wireshark-style display filter, e.g.
+ * `ip.addr == 162.159.192.1 && tcp.flags.rst`, `dns.rcode != 0` or
+ * `udp.port in {2408 500}`. Supports &&/and, ||/or, !/not, parentheses,
+ * ==, !=, <, >, <=, >=, contains, matches and `in {a b c..d}` sets. A field
+ * with several values (ip.addr, tcp.port) matches when any value does, and
+ * `!=` when none is equal, as in Wireshark. Comparing a field the packet
+ * does not have is false. TLS handshake fields (tls.handshake.*) are not
+ * filterable: use the bare `tls` protocol with ip and tcp fields instead.
+ * @param {string} expression
+ * @returns {{expression: string, test: Function}} - `test(model)` takes a packet model from buildPacketModel
+ * @throws {Error} - Describing the first syntax error or unknown field
+ */
+export function compileDisplayFilter(expression) {
+	const tokens = tokenizeDisplayFilter(expression);
+	let index = 0;
+	const peek = () => tokens[index];
+	const isToken = (token, ...words) => token && token.type !== 'string' && words.includes(token.text);
+	const fail = (message) => {
+		const token = peek();
+		throw new Error(token ? `${message} at position ${token.position} ("${token.text}")` : `${message} at the end of the filter`);
+	};
+
+	const parseValue = (field, name) => {
+		const token = peek();
+		if (!token || token.type === 'symbol') fail(`Expected a value for ${name}`);
+		index++;
+		return displayFilterValue(field, name, token);
+	};
+
+	const parseComparison = () => {
+		const token = peek();
+		if (!token || token.type !== 'word') fail('Expected a field or protocol');
+		index++;
+		const name = token.text;
+		const field = DISPLAY_FILTER_FIELDS[name];
+		const layer = DISPLAY_FILTER_PROTOCOLS[name];
+		if (!field && !layer) throw new Error(`Unknown field "${name}" at position ${token.position}`);
+
+		const operatorToken = peek();
+		const operator = operatorToken && operatorToken.type !== 'string' ? DISPLAY_FILTER_OPERATORS[operatorToken.text] : undefined;
+		if (!operator) {
+			// A bare name tests for the protocol, the field, or a set flag
+			if (layer) return (model) => model.layers.includes(layer);
+			if (field.type === 'boolean') return (model) => field.get(model) === true;
+			return (model) => {
+				const value = field.get(model);
+				return value !== undefined && value !== null && (!Array.isArray(value) || value.length > 0);
+			};
+		}
+		if (!field) fail(`${name} is a protocol and cannot be compared`);
+		index++;
+
+		if ((field.type === 'address' || field.type === 'mac') && !['==', '!=', 'in'].includes(operator)) {
+			fail(`${name} only supports ==, != and in`);
+		}
+		if ((operator === 'contains' || operator === 'matches') && field.type !== 'string') fail(`${name} is not a string`);
+
+		let values;
+		if (operator === 'in') {
+			if (!isToken(peek(), '{')) fail('Expected "{"');
+			index++;
+			values = [];
+			while (!isToken(peek(), '}')) {
+				if (!peek()) fail('Expected "}"');
+				if (isToken(peek(), ',')) {
+					index++;
+					continue;
+				}
+				const range = field.type === 'number' && peek().type === 'word' ? peek().text.match(/^(\w+)\.\.(\w+)$/) : null;
+				if (range) {
+					const token = tokens[index++];
+					values.push([range[1], range[2]].map((text) => displayFilterValue(field, name, { ...token, text })));
+				} else {
+					values.push(parseValue(field, name));
+				}
+			}
+			index++;
+			if (values.length === 0) fail('Empty set');
+		} else {
+			const value = parseValue(field, name);
+			if (operator === 'matches') {
+				if (value.length > MAX_FILTER_PATTERN_LENGTH) {
+					throw new Error(`Regular expression for ${name} is longer than ${MAX_FILTER_PATTERN_LENGTH} characters`);
+				}
+				try {
+					new RegExp(value);
+				} catch (error) {
+					throw new Error(`Invalid regular expression for ${name}: ${error.message}`);
+				}
+				const unsafe = unsafeFilterPattern(value);
+				if (unsafe) throw new Error(`Unsafe regular expression for ${name}: ${unsafe}`);
+			}
+			values = [value];
+		}
+
+		const compare = displayFilterComparison(field, operator, values);
+		return (model) => {
+			const value = field.get(model);
+			if (value === undefined || value === null) return false;
+			const actual = (Array.isArray(value) ? value : [value]).filter((item) => item !== undefined && item !== null);
+			if (actual.length === 0) return false;
+			return operator === '!=' ? !actual.some(compare) : actual.some(compare);
+		};
+	};
+
+	const parseUnary = () => {
+		if (isToken(peek(), '!', 'not')) {
+			index++;
+			const operand = parseUnary();
+			return (model) => !operand(model);
+		}
+		if (isToken(peek(), '(')) {
+			index++;
+			const inner = parseOr();
+			if (!isToken(peek(), ')')) fail('Expected ")"');
+			index++;
+			return inner;
+		}
+		return parseComparison();
+	};
+
+	const parseAnd = () => {
+		let left = parseUnary();
+		while (isToken(peek(), '&&', 'and')) {
+			index++;
+			const first = left;
+			const right = parseUnary();
+			left = (model) => first(model) && right(model);
+		}
+		return left;
+	};
+
+	const parseOr = () => {
+		let left = parseAnd();
+		while (isToken(peek(), '||', 'or')) {
+			index++;
+			const first = left;
+			const right = parseAnd();
+			left = (model) => first(model) || right(model);
+		}
+		return left;
+	};
+
+	if (tokens.length === 0) throw new Error('Empty filter');
+	const test = parseOr();
+	if (index < tokens.length) fail('Unexpected token');
+	return { expression: expression.trim(), test };
+}
+
+/**
+ * Packet sampling modes for the listing, with their names in coverage reports
+ */
+const SAMPLING_MODES = {
+	head: 'first packets',
+	window: 'time window',
+	anomaly: 'anomaly-first',
+	flow: 'per-flow head/tail',
+	stratified: 'stratified',
+};
+
+/**
+ * Packets listed before and after each anomaly in anomaly-first sampling
+ */
+const SAMPLE_CONTEXT_PACKETS = 2;
+
+/**
+ * Packets listed from the start and from the end of each flow in per-flow sampling
+ */
+const SAMPLE_FLOW_PACKETS = 3;
+
+/**
+ * Flows whose head and tail are remembered in per-flow sampling
+ */
+const MAX_SAMPLED_FLOWS = 500;
+
+/**
+ * Parse a sampling window bound: an ISO 8601 time, or seconds from the first packet
+ * @param {string|null|undefined} value
+ * @param {string} name - Option name, for errors
+ * @returns {Object|null} - { time } in epoch ms or { offset } in ms, null when unset
+ */
+function parseSampleTime(value, name) {
+	if (value === null || value === undefined || String(value).trim() === '') return null;
+	const text = String(value).trim();
+	if (/^\+?\d+(\.\d+)?s?$/.test(text)) return { offset: parseFloat(text.replace(/^\+/, '')) * 1000 };
+	const time = Date.parse(text);
+	if (isNaN(time)) throw new Error(`"${text}" is not an ISO 8601 time or a number of seconds, which ${name} needs`);
+	return { time };
+}
+
+/**
+ * Validate packet sampling options from the request
+ * @param {string|null} mode - One of SAMPLING_MODES; defaults to `window` when a bound is set, `head` otherwise
+ * @param {string|null} from - Window start: ISO 8601 time or seconds from the first packet
+ * @param {string|null} to - Window end, same formats
+ * @returns {{mode: string, from: Object|null, to: Object|null}}
+ * @throws {Error} - When the mode or a bound is invalid
+ */
+export function parseSamplingOptions(mode, from, to) {
+	const window = { from: parseSampleTime(from, 'from'), to: parseSampleTime(to, 'to') };
+	const selected = mode ? String(mode).trim() : window.from || window.to ? 'window' : 'head';
+	if (!SAMPLING_MODES[selected]) {
+		throw new Error(`Unknown sampling mode "${selected}", expected one of ${Object.keys(SAMPLING_MODES).join(', ')}`);
+	}
+	if (selected === 'window' && !window.from && !window.to) throw new Error('Window sampling needs from and/or to');
+	return { mode: selected, ...window };
+}
+
+/**
+ * Whether a transport header is an ICMP or ICMPv6 error message
+ * @param {Object|undefined} transport
+ * @returns {boolean}
+ */
+function isIcmpError(transport) {
+	if (transport?.protocol === 'ICMP') return [3, 11, 12].includes(transport.type);
+	return transport?.protocol === 'ICMPv6' && transport.type >= 1 && transport.type <= 4;
+}
+
+/**
+ * Whether a packet shows a problem worth listing in anomaly-first sampling:
+ * a RST, an ICMP error, a failed DNS response, or any warning (TCP expert
+ * events other than keep-alives, handshake retries, TLS alerts)
+ * @param {Object} model - From buildPacketModel
+ * @returns {boolean}
+ */
+function isAnomalousPacket(model) {
+	const { transport, dns } = model.fields;
+	if (model.warnings.length > 0 || model.flags.includes('RST') || isIcmpError(transport)) return true;
+	return Boolean(dns?.isResponse && dns.rcode !== 0);
+}
+
+/**
+ * Create state for choosing which packets are listed
+ * @param {Object} options - From parseSamplingOptions
+ * @param {number} maxPackets - Packets to list
+ * @param {number} totalPackets - Packets in the capture
+ * @returns {Object}
+ */
+function createPacketSampler(options, maxPackets, totalPackets) {
+	return {
+		mode: options.mode,
+		from: options.from,
+		to: options.to,
+		window: null,
+		maxPackets,
+		totalPackets,
+		offered: 0,
+		anomalies: 0,
+		selected: new Map(),
+		anomalous: [],
+		context: [],
+		recent: [],
+		after: 0,
+		strata: new Map(),
+		flows: new Map(),
+	};
+}
+
+/**
+ * Whether the sampler could still list a packet; head sampling stops looking once full
+ * @param {Object} sampler
+ * @returns {boolean}
+ */
+function samplerWantsPackets(sampler) {
+	return sampler.mode !== 'head' || sampler.selected.size < sampler.maxPackets;
+}
+
+/**
+ * Offer a packet to the sampler
+ * @param {Object} sampler - From createPacketSampler
+ * @param {Object} model - From buildPacketModel
+ * @param {number|null} timestamp - Packet time in ms
+ * @param {number|null} captureStart - Time of the first packet in the capture
+ */
+function samplePacket(sampler, model, timestamp, captureStart) {
+	sampler.offered++;
+	const anomalous = sampler.mode !== 'head' && isAnomalousPacket(model);
+	if (anomalous) sampler.anomalies++;
+	const keep = (packet) => {
+		if (sampler.selected.size < sampler.maxPackets) sampler.selected.set(packet.number, packet);
+	};
+
+	// Stratified picks also top up anomaly-first samples
+	if (sampler.mode === 'stratified' || sampler.mode === 'anomaly') {
+		const stratum = Math.floor(((model.number - 1) * sampler.maxPackets) / Math.max(sampler.totalPackets, 1));
+		if (!sampler.strata.has(stratum)) sampler.strata.set(stratum, model);
+	}
+
+	switch (sampler.mode) {
+		case 'window': {
+			if (timestamp === null || captureStart === null) return;
+			if (!sampler.window) {
+				const bound = (value, fallback) => (value === null ? fallback : value.time ?? captureStart + value.offset);
+				sampler.window = { from: bound(sampler.from, -Infinity), to: bound(sampler.to, Infinity) };
+			}
+			if (timestamp >= sampler.window.from && timestamp <= sampler.window.to) keep(model);
+			return;
+		}
+
+		case 'anomaly':
+			// Anomalies and their context are kept apart, so early context cannot crowd out later anomalies
+			if (anomalous) {
+				if (sampler.anomalous.length < sampler.maxPackets) {
+					sampler.anomalous.push(model);
+					sampler.recent.forEach((packet, index) => sampler.context.push({ packet, distance: sampler.recent.length - index }));
+					sampler.after = SAMPLE_CONTEXT_PACKETS;
+				}
+				sampler.recent = [];
+			} else if (sampler.after > 0) {
+				sampler.context.push({ packet: model, distance: SAMPLE_CONTEXT_PACKETS - sampler.after + 1 });
+				sampler.after--;
+			} else {
+				sampler.recent.push(model);
+				if (sampler.recent.length > SAMPLE_CONTEXT_PACKETS) sampler.recent.shift();
+			}
+			return;
+
+		case 'flow': {
+			if (model.flow === null) return;
+			let flow = sampler.flows.get(model.flow);
+			if (!flow) {
+				if (sampler.flows.size >= MAX_SAMPLED_FLOWS) return;
+				flow = { head: [], tail: [], packets: 0, anomalous: false };
+				sampler.flows.set(model.flow, flow);
+			}
+			flow.packets++;
+			if (anomalous) flow.anomalous = true;
+			if (flow.head.length < SAMPLE_FLOW_PACKETS) {
+				flow.head.push(model);
+			} else {
+				flow.tail.push(model);
+				if (flow.tail.length > SAMPLE_FLOW_PACKETS) flow.tail.shift();
+			}
+			return;
+		}
+
+		case 'head':
+			keep(model);
+			return;
+	}
+}
+
+/**
+ * Pick the listed packets once the whole capture has been offered
+ * @param {Object} sampler - From createPacketSampler
+ * @returns {Array<Object>} - Packet models in capture order
+ */
+function finishSampling(sampler) {
+	const keep = (packet) => {
+		if (sampler.selected.size < sampler.maxPackets) sampler.selected.set(packet.number, packet);
+	};
+
+	if (sampler.mode === 'stratified') {
+		[...sampler.strata.values()].forEach(keep);
+	} else if (sampler.mode === 'anomaly') {
+		// Every anomaly first, then their neighbours nearest first, then packets spread across the capture
+		sampler.anomalous.forEach(keep);
+		[...sampler.context].sort((a, b) => a.distance - b.distance).forEach(({ packet }) => keep(packet));
+		[...sampler.strata.values()].forEach(keep);
+	} else if (sampler.mode === 'flow') {
+		// Flows with problems first, then the busiest
+		const flows = [...sampler.flows.values()].sort((a, b) => Number(b.anomalous) - Number(a.anomalous) || b.packets - a.packets);
+		for (const flow of flows) [...flow.head, ...flow.tail].forEach(keep);
+	}
+
+	return [...sampler.selected.values()].sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Report what the listing covers, so readers know what they did not see
+ * @param {Object} sampler - From createPacketSampler
+ * @param {Array<Object>} listed - From finishSampling
+ * @param {number} selectable - Packets that could have been listed (matching the filter, if any)
+ * @param {number} totalFlows - Flows seen (matching the filter, if any)
+ * @param {number|null} captureStart
+ * @param {number|null} captureEnd
+ * @returns {Object} - { mode, listed, selectable, percent, anomalies, anomaliesListed, flowsListed, totalFlows, firstListed, lastListed,
+ *   captureStart, captureEnd, window }
+ */
+function summarizeSampling(sampler, listed, selectable, totalFlows, captureStart, captureEnd) {
+	const iso = (time) => (time === null || time === undefined || !isFinite(time) ? null : new Date(time).toISOString());
+	const times = listed.map((model) => model.timestamp).filter((time) => time !== null);
+	return {
+		mode: sampler.mode,
+		listed: listed.length,
+		selectable,
+		percent: selectable > 0 ? Math.round((listed.length / selectable) * 1000) / 10 : 0,
+		anomalies: sampler.mode === 'head' ? null : sampler.anomalies,
+		anomaliesListed: sampler.mode === 'head' ? null : listed.filter(isAnomalousPacket).length,
+		flowsListed: new Set(listed.map((model) => model.flow).filter((flow) => flow !== null)).size,
+		totalFlows,
+		firstListed: times[0] ?? null,
+		lastListed: times.at(-1) ?? null,
+		captureStart: iso(captureStart),
+		captureEnd: iso(captureEnd),
+		window: sampler.window ? { from: iso(sampler.window.from), to: iso(sampler.window.to) } : null,
+	};
+}
+
+/**
+ * Format sampling coverage as one text line
+ * @param {Object} coverage - From summarizeSampling
+ * @returns {string}
+ */
+function formatSamplingCoverage(coverage) {
+	let line = `Sampling: ${SAMPLING_MODES[coverage.mode]} | listed ${coverage.listed} of ${coverage.selectable} packets (${coverage.percent}%)`;
+	if (coverage.window) line += ` | window ${coverage.window.from ?? 'start'} to ${coverage.window.to ?? 'end'}`;
+	if (coverage.anomalies !== null) line += ` | ${coverage.anomalies} anomalous packets, ${coverage.anomaliesListed} listed`;
+	line += ` | ${coverage.flowsListed} of ${coverage.totalFlows} flows`;
+	if (coverage.firstListed)
+		line += ` | listed ${coverage.firstListed} to ${coverage.lastListed} of capture ${coverage.captureStart} to ${coverage.captureEnd}`;
+	return line;
+}
+
+/**
+ * Link layers that carry a header of their own, by link type
+ */
+const LINK_LAYER_NAMES = { 0: 'Loopback', 1: 'Ethernet', 108: 'Loopback', 113: 'Linux SLL', 276: 'Linux SLL2' };
+
+/**
+ * Decoder fields that only locate bytes in the capture buffer
+ */
+const BUFFER_FIELDS = new Set(['payloadOffset', 'payloadEnd', 'headerOffset']);
+
+/**
+ * Copy decoded header fields for the packet model, leaving out buffer offsets
+ * @param {Object} fields
+ * @returns {Object}
+ */
+function modelFields(fields) {
+	const copy = {};
+	for (const [key, value] of Object.entries(fields)) {
+		if (BUFFER_FIELDS.has(key) || value === undefined) continue;
+		copy[key] = value && typeof value === 'object' && !Array.isArray(value) ? modelFields(value) : value;
+	}
+	return copy;
+}
+
+/**
+ * Name the protocol layers of a packet, outermost first
+ * @param {Object} record - Capture record (linkType)
+ * @param {Object} packet - Decoded header fields
+ * @param {Object|null} flow - The tracked flow, whose TLS or QUIC state names the payload
+ * @returns {Array<string>}
+ */
+function packetLayers(record, packet, flow) {
+	const { ip, transport, arp } = packet;
+	const layers = [];
+	if (LINK_LAYER_NAMES[record.linkType]) layers.push(LINK_LAYER_NAMES[record.linkType]);
+	if (packet.link?.vlans.length > 0) layers.push('802.1Q');
+	for (const layer of packet.encapsulation || []) {
+		layers.push(layer.type);
+		if (layer.payload === 'Ethernet') layers.push('Ethernet');
+	}
+	if (ip) layers.push(`IPv${ip.version}`);
+	if (arp) layers.push('ARP');
+	if (transport) layers.push(transport.protocol);
+	if (packet.dns) layers.push('DNS');
+	else if (packet.wireguard) layers.push('WireGuard');
+	else if (flow?.tls && transport.payloadLength > 0) layers.push('TLS');
+	else if (flow?.quic && transport.protocol === 'UDP') layers.push('QUIC');
+	return layers;
+}
+
+/**
+ * Build the structured model of one packet. The text summary is rendered
+ * from this model by formatPacketModel, so the two cannot disagree.
+ * @param {Object} record - Capture record (timestamp, lengths, linkType)
+ * @param {Object} packet - Decoded header fields
+ * @param {Object} context - { number, flow, layers, interface, lines, warnings }
+ *   `flow` is the tracked flow or null, `layers` from packetLayers, `lines` the decoder info lines without warnings
+ * @returns {Object} - { number, timestamp, capturedLength, originalLength, layers, protocol, src, dst, srcPort, dstPort, flags, flow, fields,
+ *   details, warnings }
+ */
+function buildPacketModel(record, packet, context) {
+	const { ip, transport, arp } = packet;
+	const { flow } = context;
+	const fields = {};
+	if (packet.link?.eth) fields.eth = { ...packet.link.eth };
+	if (packet.link?.vlans.length > 0) fields.vlans = packet.link.vlans.map((vlan) => vlan.id);
+	for (const name of ['encapsulation', 'ip', 'transport', 'arp', 'dns', 'wireguard']) {
+		if (packet[name]) fields[name] = Array.isArray(packet[name]) ? packet[name] : modelFields(packet[name]);
+	}
+
+	const model = {
+		number: context.number,
+		timestamp: record.timestamp === null ? null : new Date(record.timestamp).toISOString(),
+		capturedLength: record.capturedLength,
+		originalLength: record.originalLength,
+		layers: context.layers,
+		protocol: transport ? transport.protocol : arp ? 'ARP' : ip ? `IP proto ${ip.protocol}` : null,
+		src: ip?.src ?? arp?.senderIP ?? null,
+		dst: ip?.dst ?? arp?.targetIP ?? null,
+		srcPort: transport?.srcPort ?? null,
+		dstPort: transport?.dstPort ?? null,
+		flags: transport?.protocol === 'TCP' ? tcpFlagNames(transport.flags) : [],
+		flow: flow ? flow.id : null,
+		fields,
+		details: context.lines.map((line) => line.replace(/^ {2}/, '')),
+		warnings: context.warnings,
+	};
+	if (context.interface) model.interface = context.interface;
+	return model;
+}
+
+/**
+ * Render a packet model as summary text lines
+ * @param {Object} model - From buildPacketModel
+ * @returns {Array<string>}
+ */
+function formatPacketModel(model) {
+	let header = `[Packet ${model.number}] ${model.timestamp ?? 'no timestamp'}`;
+	if (model.interface) {
+		header += ` (interface ${model.interface.id}${model.interface.name ? ` ${model.interface.name}` : ''})`;
+	}
+	return [
+		header,
+		`  Size: ${model.capturedLength}/${model.originalLength} bytes`,
+		...model.details.map((line) => `  ${line}`),
+		...model.warnings.map((warning) => `  ⚠️  ${warning}`),
+	];
+}
+
+/**
+ * Split decoder info lines into details and warnings
+ * @param {Array<string>} lines
+ * @returns {{lines: Array<string>, warnings: Array<string>}}
+ */
+function splitWarnings(lines) {
+	const result = { lines: [], warnings: [] };
+	for (const line of lines) {
+		const warning = line.match(/^\s*⚠️\s+(.*)$/u);
+		if (warning) result.warnings.push(warning[1]);
+		else result.lines.push(line);
+	}
+	return result;
+}
+
+/**
+ * Maximum TCP expert events returned per capture
+ */
+const MAX_TCP_EVENTS = 500;
+
+/**
+ * Maximum TCP expert events listed in the text summary
+ */
+const MAX_TCP_EVENT_LINES = 50;
+
+/**
+ * Record a TCP expert event in the capture-wide and per-flow tallies
+ * @param {Object} tcpAnalysis - { counts, events, totalEvents }
+ * @param {Object} flow - Flow the segment belongs to
+ * @param {Object} event - { type, detail }
+ * @param {number} packetNumber
+ * @param {number|null} timestamp
+ */
+function recordTcpEvent(tcpAnalysis, flow, event, packetNumber, timestamp) {
+	tcpAnalysis.counts[event.type] = (tcpAnalysis.counts[event.type] || 0) + 1;
+	flow.expertCounts[event.type] = (flow.expertCounts[event.type] || 0) + 1;
+
+	if (TCP_INFO_EVENTS.has(event.type)) return;
+
+	tcpAnalysis.totalEvents++;
+	if (tcpAnalysis.events.length < MAX_TCP_EVENTS) {
+		tcpAnalysis.events.push({
+			packet: packetNumber,
+			flow: flow.id,
+			type: event.type,
+			time: timestamp !== null ? new Date(timestamp).toISOString() : null,
+			detail: event.detail,
+		});
+	}
+}
+
+/**
+ * Format TCP expert analysis as text lines
+ * @param {Object} tcpAnalysis - { counts, events, totalEvents }
+ * @returns {Array<string>}
+ */
+function formatTcpAnalysis(tcpAnalysis) {
+	const counts = Object.entries(tcpAnalysis.counts);
+	if (counts.length === 0) return ['No TCP anomalies detected'];
+
+	const lines = [counts.map(([type, count]) => `${TCP_EXPERT_LABELS[type]}: ${count}`).join(' | ')];
+	for (const event of tcpAnalysis.events.slice(0, MAX_TCP_EVENT_LINES)) {
+		lines.push(`[Packet ${event.packet}] Flow ${event.flow}: ${TCP_EXPERT_LABELS[event.type]} (${event.detail})`);
+	}
+	if (tcpAnalysis.totalEvents > MAX_TCP_EVENT_LINES) {
+		lines.push(`... and ${tcpAnalysis.totalEvents - MAX_TCP_EVENT_LINES} more TCP events`);
+	}
+
+	return lines;
+}
+
+/**
+ * Maximum conversations returned per capture
+ */
+const MAX_CONVERSATIONS = 500;
+
+/**
+ * Maximum conversations listed in the text summary
+ */
+const MAX_CONVERSATION_LINES = 100;
+
+/**
+ * A flow idle for this long at the end of the capture, without FIN or RST,
+ * is reported as timed out rather than still open.
+ */
+const FLOW_IDLE_TIMEOUT_MS = 30000;
+
+/**
+ * Format a transport endpoint, bracketing IPv6 addresses when a port follows
+ * @param {string} address
+ * @param {number|null} port
+ * @returns {string}
+ */
+function formatEndpoint(address, port) {
+	if (port === null || port === undefined) return address;
+	return address.includes(':') ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+/**
+ * Add a decoded packet to the flow table, keyed on the 5-tuple
+ * @param {Map<string, Object>} flows - Flow table
+ * @param {Object} packet - Decoded header fields from analyzePacketData
+ * @param {number} packetNumber - 1-based packet number
+ * @param {number|null} timestamp - Milliseconds since the epoch
+ * @param {number} length - Original (wire) length of the packet
+ * @returns {{flow: Object, fromClient: boolean}|null} - null for non-IP packets
+ */
+function trackConversation(flows, packet, packetNumber, timestamp, length) {
+	const { ip, transport } = packet;
+	if (!ip) return null;
+
+	const protocol = transport ? transport.protocol : `IP proto ${ip.protocol}`;
+	const srcPort = transport?.srcPort ?? null;
+	const dstPort = transport?.dstPort ?? null;
+	const source = `${ip.src}|${srcPort}`;
+	const destination = `${ip.dst}|${dstPort}`;
+	// Inner addresses can repeat across tunnels, so the tunnel identity is part of the key
+	const tunnel = packet.encapsulation ? packet.encapsulation.map((layer) => `${layer.type}${layer.vni ?? layer.key ?? ''}`).join('>') : '';
+	const endpoints = source < destination ? `${source}|${destination}` : `${destination}|${source}`;
+	const key = `${protocol}|${endpoints}${tunnel ? `|${tunnel}` : ''}`;
+
+	let flow = flows.get(key);
+	if (!flow) {
+		// The first sender is the client, unless the capture starts on the SYN/ACK
+		const startsOnSynAck = protocol === 'TCP' && (transport.flags & 0x12) === 0x12;
+		flow = {
+			id: flows.size + 1,
+			protocol,
+			client: startsOnSynAck ? { address: ip.dst, port: dstPort } : { address: ip.src, port: srcPort },
+			server: startsOnSynAck ? { address: ip.src, port: srcPort } : { address: ip.dst, port: dstPort },
+			firstPacket: packetNumber,
+			lastPacket: packetNumber,
+			start: timestamp,
+			end: timestamp,
+			packetsToServer: 0,
+			bytesToServer: 0,
+			packetsToClient: 0,
+			bytesToClient: 0,
+			tcp: protocol === 'TCP' ? { syn: false, synAck: false, ack: false, synRejected: false, close: null } : null,
+			expertCounts: {},
+		};
+		if (packet.encapsulation) flow.encapsulation = describeEncapsulation(packet.encapsulation, '↔');
+		flows.set(key, flow);
+	}
+
+	const fromClient = ip.src === flow.client.address && srcPort === flow.client.port;
+	if (fromClient) {
+		flow.packetsToServer++;
+		flow.bytesToServer += length;
+	} else {
+		flow.packetsToClient++;
+		flow.bytesToClient += length;
+	}
+
+	flow.lastPacket = packetNumber;
+	if (timestamp !== null) {
+		if (flow.start === null) flow.start = timestamp;
+		flow.end = timestamp;
+	}
+
+	if (flow.tcp) {
+		updateTcpHandshake(flow.tcp, transport.flags, fromClient, packetNumber);
+	}
+
+	return { flow, fromClient };
+}
+
+/**
+ * Track TCP handshake and close state for a flow
+ * @param {Object} state - Flow TCP state
+ * @param {number} flags - TCP flags byte
+ * @param {boolean} fromClient - Whether the segment was sent by the client
+ * @param {number} packetNumber
+ */
+function updateTcpHandshake(state, flags, fromClient, packetNumber) {
+	const syn = (flags & 0x02) !== 0;
+	const ack = (flags & 0x10) !== 0;
+	const fin = (flags & 0x01) !== 0;
+	const rst = (flags & 0x04) !== 0;
+
+	if (syn && !ack && fromClient) state.syn = true;
+	else if (syn && ack && !fromClient) state.synAck = true;
+	else if (ack && fromClient && state.synAck && !rst) state.ack = true;
+
+	// A RST answering the SYN is a refused connection
+	if (rst && !fromClient && state.syn && !state.synAck) state.synRejected = true;
+
+	// The first FIN or RST decides how the conversation ended
+	if ((fin || rst) && !state.close) {
+		state.close = { reason: rst ? 'RST' : 'FIN', by: fromClient ? 'client' : 'server', packet: packetNumber };
+	}
+}
+
+/**
+ * TCP expert event labels, keyed by event type
+ */
+const TCP_EXPERT_LABELS = {
+	retransmission: 'TCP Retransmission',
+	fastRetransmission: 'TCP Fast Retransmission',
+	spuriousRetransmission: 'TCP Spurious Retransmission',
+	outOfOrder: 'TCP Out-of-Order',
+	previousSegmentLost: 'TCP Previous segment not captured (lost segment)',
+	duplicateAck: 'TCP Duplicate ACK',
+	zeroWindow: 'TCP Zero Window',
+	zeroWindowProbe: 'TCP Zero Window Probe',
+	windowFull: 'TCP Window Full',
+	keepAlive: 'TCP Keep-Alive',
+};
+
+/**
+ * Expert events that are normal behaviour and only counted, not listed
+ */
+const TCP_INFO_EVENTS = new Set(['keepAlive']);
+
+/**
+ * Segments arriving this soon after the highest sequence number seen are
+ * treated as reordered rather than retransmitted when the RTT is unknown.
+ */
+const OUT_OF_ORDER_THRESHOLD_MS = 3;
+
+/**
+ * Signed difference between two 32-bit sequence numbers, handling wraparound
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function seqDiff(a, b) {
+	return (a - b) | 0;
+}
+
+/**
+ * Create per-direction TCP sequence tracking state
+ * @returns {Object}
+ */
+function createTcpDirection() {
+	return {
+		baseSeq: null,
+		nextSeq: null,
+		lastSeq: null,
+		lastAdvanceTime: null,
+		windowScale: null, // null = SYN not seen, -1 = not offered
+		window: null,
+		lastAck: null,
+		lastAckWindow: null,
+		lastAckPacket: null,
+		dupAckCount: 0,
+	};
+}
+
+/**
+ * Scale a receive window using the shift negotiated in the handshake
+ * @param {Object} direction - State of the side advertising the window
+ * @param {Object} peer - State of the other side
+ * @param {number} window - Raw window field
+ * @returns {number|null} - Window in bytes, or null when the scale is unknown
+ */
+function scaledWindow(direction, peer, window) {
+	if (direction.windowScale === null || peer.windowScale === null) return null;
+	// Scaling only applies when both sides offered it
+	if (direction.windowScale < 0 || peer.windowScale < 0) return window;
+	return window * 2 ** direction.windowScale;
+}
+
+/**
+ * Run TCP expert analysis on one segment: sequence tracking per direction to
+ * flag retransmissions, reordering, lost segments, duplicate ACKs and window problems.
+ * @param {Object} flow - Flow from the conversation tracker
+ * @param {Object} tcp - Decoded TCP header
+ * @param {boolean} fromClient - Whether the segment was sent by the client
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {Array<{type: string, detail: string}>} - Expert events for this segment
+ */
+function analyzeTcpSegment(flow, tcp, fromClient, timestamp) {
+	const state = flow.tcp;
+	if (!state.client) {
+		state.client = createTcpDirection();
+		state.server = createTcpDirection();
+	}
+
+	const sender = fromClient ? state.client : state.server;
+	const receiver = fromClient ? state.server : state.client;
+	const events = [];
+
+	const syn = (tcp.flags & 0x02) !== 0;
+	const fin = (tcp.flags & 0x01) !== 0;
+	const rst = (tcp.flags & 0x04) !== 0;
+	const hasAck = (tcp.flags & 0x10) !== 0;
+	const segmentLength = tcp.payloadLength + (syn ? 1 : 0) + (fin ? 1 : 0);
+
+	if (sender.baseSeq === null) sender.baseSeq = syn ? tcp.seq : (tcp.seq - 1) >>> 0;
+	const relativeSeq = (tcp.seq - sender.baseSeq) >>> 0;
+
+	if (syn) sender.windowScale = tcp.options.windowScale ?? -1;
+
+	// RST segments carry no data worth sequencing
+	if (rst) return events;
+
+	let classified = false;
+	if (sender.nextSeq !== null && !syn) {
+		const gap = seqDiff(tcp.seq, sender.nextSeq);
+
+		if (segmentLength <= 1 && !fin && gap === -1) {
+			events.push({ type: 'keepAlive', detail: `seq ${relativeSeq}` });
+			classified = true;
+		} else if (segmentLength === 1 && gap === 0 && receiver.window === 0) {
+			events.push({ type: 'zeroWindowProbe', detail: `seq ${relativeSeq}` });
+			classified = true;
+		} else if (segmentLength > 0 && gap > 0) {
+			events.push({ type: 'previousSegmentLost', detail: `${gap} bytes missing before seq ${relativeSeq}` });
+		} else if (segmentLength > 0 && gap < 0) {
+			const detail = `seq ${relativeSeq}, len ${tcp.payloadLength}`;
+			const threshold = state.timing?.rtt ?? OUT_OF_ORDER_THRESHOLD_MS;
+
+			if (receiver.lastAck !== null && seqDiff(tcp.seq + segmentLength, receiver.lastAck) <= 0) {
+				events.push({ type: 'spuriousRetransmission', detail: `${detail} (already acknowledged)` });
+			} else if (receiver.dupAckCount >= 2 && receiver.lastAck === tcp.seq) {
+				events.push({ type: 'fastRetransmission', detail: `${detail} after ${receiver.dupAckCount} duplicate ACKs` });
+			} else if (
+				timestamp !== null &&
+				sender.lastAdvanceTime !== null &&
+				timestamp - sender.lastAdvanceTime < threshold &&
+				tcp.seq !== sender.lastSeq
+			) {
+				events.push({ type: 'outOfOrder', detail });
+			} else {
+				events.push({ type: 'retransmission', detail });
+			}
+		}
+	}
+
+	// Bytes in flight reaching the receiver's advertised window
+	if (!classified && tcp.payloadLength > 0 && receiver.window !== null && receiver.window > 0 && receiver.lastAck !== null) {
+		const inFlight = seqDiff(tcp.seq + tcp.payloadLength, receiver.lastAck);
+		if (inFlight >= receiver.window) {
+			events.push({ type: 'windowFull', detail: `${inFlight} bytes in flight, window ${receiver.window}` });
+		}
+	}
+
+	if (segmentLength > 0 && !classified) {
+		const segmentEnd = (tcp.seq + segmentLength) >>> 0;
+		if (sender.nextSeq === null || seqDiff(segmentEnd, sender.nextSeq) > 0) {
+			sender.nextSeq = segmentEnd;
+			sender.lastAdvanceTime = timestamp;
+		}
+		sender.lastSeq = tcp.seq;
+	} else if (sender.nextSeq === null) {
+		sender.nextSeq = tcp.seq;
+	}
+
+	if (hasAck) {
+		const isDuplicate =
+			segmentLength === 0 &&
+			!syn &&
+			sender.lastAck === tcp.ack &&
+			sender.lastAckWindow === tcp.window &&
+			receiver.nextSeq !== null &&
+			seqDiff(receiver.nextSeq, tcp.ack) > 0;
+
+		if (isDuplicate) {
+			sender.dupAckCount++;
+			events.push({ type: 'duplicateAck', detail: `#${sender.dupAckCount} of packet ${sender.lastAckPacket}` });
+		} else if (sender.lastAck !== tcp.ack || sender.lastAckWindow !== tcp.window || segmentLength > 0) {
+			sender.dupAckCount = 0;
+			sender.lastAck = tcp.ack;
+			sender.lastAckWindow = tcp.window;
+			sender.lastAckPacket = flow.lastPacket;
+		}
+	}
+
+	if (!syn && tcp.window === 0) {
+		events.push({ type: 'zeroWindow', detail: 'receive buffer full' });
+	}
+
+	sender.window = syn ? tcp.window : scaledWindow(sender, receiver, tcp.window);
+
+	return events;
+}
+
+/**
+ * Maximum DNS transactions and failures returned per capture
+ */
+const MAX_DNS_TRANSACTIONS = 500;
+
+/**
+ * Maximum DNS failures listed in the text summary
+ */
+const MAX_DNS_FAILURE_LINES = 50;
+
+/**
+ * Create state for pairing DNS queries with responses by transaction ID
+ * @returns {Object}
+ */
+function createDnsTracker() {
+	return {
+		pending: new Map(),
+		transactions: [],
+		queries: 0,
+		responses: 0,
+		unmatchedResponses: 0,
+	};
+}
+
+/**
+ * Pair a DNS message with its query or response. The first query is kept so
+ * resends count toward the latency the user saw.
+ * @param {Object} tracker - From createDnsTracker
+ * @param {Object} latency - Latency tracker that receives the round trip
+ * @param {Object} packet - Decoded packet with packet.dns set
+ * @param {number} packetNumber
+ * @param {number|null} timestamp
+ */
+function trackDnsMessage(tracker, latency, packet, packetNumber, timestamp) {
+	const { ip, transport, dns } = packet;
+
+	if (!dns.isResponse) {
+		tracker.queries++;
+		const key = `${transport.protocol}|${ip.src}|${transport.srcPort}|${ip.dst}|${transport.dstPort}|${dns.id}`;
+		const pending = tracker.pending.get(key);
+		if (pending) {
+			pending.resends++;
+			return;
+		}
+		const question = dns.questions[0];
+		tracker.pending.set(key, {
+			id: dns.id,
+			name: question?.name ?? null,
+			type: question?.type ?? null,
+			client: formatEndpoint(ip.src, transport.srcPort),
+			resolver: formatEndpoint(ip.dst, transport.dstPort),
+			queryPacket: packetNumber,
+			queryTime: timestamp,
+			resends: 0,
+		});
+		return;
+	}
+
+	tracker.responses++;
+	const key = `${transport.protocol}|${ip.dst}|${transport.dstPort}|${ip.src}|${transport.srcPort}|${dns.id}`;
+	const query = tracker.pending.get(key);
+	if (!query) {
+		tracker.unmatchedResponses++;
+		return;
+	}
+	tracker.pending.delete(key);
+
+	const { queryTime, ...transaction } = query;
+	transaction.responsePacket = packetNumber;
+	transaction.rcode = dns.rcodeName;
+	transaction.answers = dns.answers.map((answer) => `${answer.type} ${answer.data}`);
+	if (dns.edns?.extendedError) transaction.extendedError = dns.edns.extendedError;
+	transaction.latencyMs = queryTime !== null && timestamp !== null ? roundMs(timestamp - queryTime) : null;
+	tracker.transactions.push(transaction);
+
+	if (transaction.latencyMs !== null) addLatencySample(latency, transaction.resolver, 'dns', transaction.latencyMs);
+}
+
+/**
+ * Summarize DNS transactions: totals, per-resolver outcomes and failures
+ * @param {Object} tracker - From createDnsTracker
+ * @returns {Object} - { totals, resolvers, failures, transactions }
+ */
+function summarizeDns(tracker) {
+	const unanswered = [...tracker.pending.values()].map(({ queryTime, ...query }) => ({ ...query, rcode: null, answers: [] }));
+	const totals = {
+		queries: tracker.queries,
+		responses: tracker.responses,
+		nxdomain: 0,
+		servfail: 0,
+		unanswered: unanswered.length,
+		unmatchedResponses: tracker.unmatchedResponses,
+	};
+
+	const resolvers = new Map();
+	const resolverStats = (resolver) => {
+		if (!resolvers.has(resolver)) resolvers.set(resolver, { resolver, answered: 0, unanswered: 0, rcodes: {} });
+		return resolvers.get(resolver);
+	};
+
+	const failures = [];
+	for (const transaction of tracker.transactions) {
+		const stats = resolverStats(transaction.resolver);
+		stats.answered++;
+		stats.rcodes[transaction.rcode] = (stats.rcodes[transaction.rcode] || 0) + 1;
+		if (transaction.rcode === 'NXDOMAIN') totals.nxdomain++;
+		if (transaction.rcode === 'SERVFAIL') totals.servfail++;
+		if (transaction.rcode !== 'NOERROR') failures.push(transaction);
+	}
+	for (const query of unanswered) {
+		resolverStats(query.resolver).unanswered++;
+		failures.push(query);
+	}
+	failures.sort((a, b) => a.queryPacket - b.queryPacket);
+
+	return {
+		totals,
+		resolvers: [...resolvers.values()],
+		failures: failures.slice(0, MAX_DNS_TRANSACTIONS),
+		transactions: tracker.transactions.slice(0, MAX_DNS_TRANSACTIONS),
+	};
+}
+
+/**
+ * Format the DNS summary as text lines
+ * @param {Object} summary - From summarizeDns
+ * @returns {Array<string>}
+ */
+function formatDnsSummary(summary) {
+	const { totals, resolvers, failures } = summary;
+	if (totals.queries === 0 && totals.responses === 0) return ['No DNS traffic'];
+
+	const lines = [
+		`Queries: ${totals.queries} | Responses: ${totals.responses} | NXDOMAIN: ${totals.nxdomain} | SERVFAIL: ${totals.servfail} | Unanswered: ${totals.unanswered}`,
+	];
+	for (const stats of resolvers) {
+		const rcodes = Object.entries(stats.rcodes).map(([rcode, count]) => `${rcode} ${count}`).join(', ');
+		lines.push(`Resolver ${stats.resolver}: ${stats.answered} answered${rcodes ? ` (${rcodes})` : ''}, ${stats.unanswered} unanswered`);
+	}
+
+	for (const failure of failures.slice(0, MAX_DNS_FAILURE_LINES)) {
+		const question = `${failure.name} ${failure.type}`;
+		if (failure.rcode === null) {
+			const resends = failure.resends > 0 ? `, sent ${failure.resends + 1} times` : '';
+			lines.push(`[Packet ${failure.queryPacket}] DNS unanswered: ${question} to ${failure.resolver}${resends}`);
+		} else {
+			const latency = failure.latencyMs !== null ? `, ${failure.latencyMs} ms` : '';
+			const ede = failure.extendedError ? ` [EDE ${failure.extendedError.code} ${failure.extendedError.name}]` : '';
+			lines.push(
+				`[Packet ${failure.responsePacket}] DNS ${failure.rcode}: ${question} from ${failure.resolver} (query packet ${failure.queryPacket}${latency})${ede}`,
+			);
+		}
+	}
+	if (failures.length > MAX_DNS_FAILURE_LINES) {
+		lines.push(`... and ${failures.length - MAX_DNS_FAILURE_LINES} more DNS failures`);
+	}
+
+	return lines;
+}
+
+/**
+ * Maximum TLS sessions returned per capture
+ */
+const MAX_TLS_SESSIONS = 500;
+
+/**
+ * Maximum TLS sessions listed in the text summary
+ */
+const MAX_TLS_SESSION_LINES = 50;
+
+/**
+ * Largest TLS record (2^14 plus expansion allowance) and handshake message accepted
+ */
+const MAX_TLS_RECORD_LENGTH = 18432;
+const MAX_TLS_HANDSHAKE_LENGTH = 65536;
+
+/**
+ * Create state for TLS handshake parsing across TCP flows
+ * @returns {Object}
+ */
+function createTlsTracker() {
+	return { sessions: [] };
+}
+
+/**
+ * Create per-direction TLS stream state. Streams are reassembled in order;
+ * a gap in the sequence space stops parsing for that direction.
+ * @returns {Object}
+ */
+function createTlsStream() {
+	return {
+		nextSeq: null,
+		broken: false,
+		encrypted: false,
+		header: new Uint8Array(5),
+		headerLength: 0,
+		record: null,
+		skip: 0,
+		handshake: new Uint8Array(0),
+	};
+}
+
+/**
+ * Whether a payload starts with a TLS record header
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {number} end
+ * @returns {boolean}
+ */
+function looksLikeTlsRecord(data, offset, end) {
+	return end - offset >= 5 && data[offset] >= 20 && data[offset] <= 23 && data[offset + 1] === 3 && data[offset + 2] <= 4;
+}
+
+/**
+ * Feed a TCP segment into TLS handshake parsing for its flow
+ * @param {Object} tracker - From createTlsTracker
+ * @param {Uint8Array} data
+ * @param {Object} tcp - Decoded TCP header with payload bounds
+ * @param {Object} flow
+ * @param {boolean} fromClient
+ * @param {number} packetNumber
+ * @param {number|null} timestamp
+ * @returns {Array<string>} - Info lines for handshake messages completed by this segment
+ */
+function trackTlsSegment(tracker, data, tcp, flow, fromClient, packetNumber, timestamp) {
+	if (flow.tls === false) return [];
+	if (!flow.tls) {
+		if (!looksLikeTlsRecord(data, tcp.payloadOffset, tcp.payloadEnd)) {
+			flow.tls = false;
+			return [];
+		}
+		const session = {
+			flow: flow.id,
+			client: formatEndpoint(flow.client.address, flow.client.port),
+			server: formatEndpoint(flow.server.address, flow.server.port),
+			sni: null,
+			clientHelloPacket: null,
+			offeredVersions: [],
+			offeredAlpn: [],
+			offeredCipherSuites: 0,
+			serverHelloPacket: null,
+			version: null,
+			cipherSuite: null,
+			alpn: null,
+			helloRetryRequest: false,
+			certificates: [],
+			alerts: [],
+		};
+		flow.tls = { session, client: createTlsStream(), server: createTlsStream() };
+		tracker.sessions.push(session);
+	}
+
+	const stream = fromClient ? flow.tls.client : flow.tls.server;
+	if (stream.broken) return [];
+
+	let offset = tcp.payloadOffset;
+	const end = tcp.payloadEnd;
+	if (stream.nextSeq === null) stream.nextSeq = tcp.seq;
+
+	const delta = seqDiff(tcp.seq, stream.nextSeq);
+	if (delta > 0) {
+		stream.broken = true;
+		return [];
+	}
+	// Skip bytes already seen in a retransmission
+	offset += -delta;
+	if (offset >= end) return [];
+	stream.nextSeq = (stream.nextSeq + (end - offset)) >>> 0;
+	// Bytes cut by the snaplen leave a gap after this segment
+	if (end - tcp.payloadOffset < tcp.payloadLength) stream.broken = true;
+
+	const context = { session: flow.tls.session, stream, fromClient, packetNumber, timestamp, lines: [] };
+	feedTlsStream(context, data.subarray(offset, end));
+	return context.lines;
+}
+
+/**
+ * Split stream bytes into TLS records, skipping encrypted record bodies
+ * @param {Object} context - { session, stream, fromClient, packetNumber, timestamp, lines }
+ * @param {Uint8Array} bytes
+ */
+function feedTlsStream(context, bytes) {
+	const { stream } = context;
+	let pos = 0;
+
+	while (pos < bytes.length && !stream.broken) {
+		if (stream.skip > 0) {
+			const count = Math.min(stream.skip, bytes.length - pos);
+			stream.skip -= count;
+			pos += count;
+			continue;
+		}
+
+		if (!stream.record) {
+			const count = Math.min(5 - stream.headerLength, bytes.length - pos);
+			stream.header.set(bytes.subarray(pos, pos + count), stream.headerLength);
+			stream.headerLength += count;
+			pos += count;
+			if (stream.headerLength < 5) break;
+
+			stream.headerLength = 0;
+			const [type, major] = stream.header;
+			const length = (stream.header[3] << 8) | stream.header[4];
+			if (type < 20 || type > 24 || major !== 3 || length > MAX_TLS_RECORD_LENGTH) {
+				stream.broken = true;
+				break;
+			}
+			if (type === 23 || type === 24 || (type === 22 && stream.encrypted)) {
+				stream.skip = length;
+			} else {
+				stream.record = { type, body: new Uint8Array(length), filled: 0 };
+			}
+			continue;
+		}
+
+		const { record } = stream;
+		const count = Math.min(record.body.length - record.filled, bytes.length - pos);
+		record.body.set(bytes.subarray(pos, pos + count), record.filled);
+		record.filled += count;
+		pos += count;
+		if (record.filled === record.body.length) {
+			stream.record = null;
+			handleTlsRecord(context, record.type, record.body);
+		}
+	}
+}
+
+/**
+ * Handle a complete plaintext TLS record
+ * @param {Object} context
+ * @param {number} type - Record content type
+ * @param {Uint8Array} body
+ */
+function handleTlsRecord(context, type, body) {
+	const { session, stream, fromClient, packetNumber } = context;
+	const from = fromClient ? 'client' : 'server';
+
+	if (type === 20) {
+		stream.encrypted = true;
+	} else if (type === 21) {
+		// Alerts after ChangeCipherSpec are encrypted: only the record type is visible
+		const alert = stream.encrypted || body.length !== 2
+			? { packet: packetNumber, from, level: null, description: 'encrypted alert' }
+			: { packet: packetNumber, from, level: body[0] === 2 ? 'fatal' : 'warning', description: tlsAlertName(body[1]) };
+		session.alerts.push(alert);
+		const level = alert.level ? ` ${alert.level}` : '';
+		const warn = alert.description === 'close_notify' ? '' : '⚠️  ';
+		context.lines.push(`  ${warn}TLS Alert from ${from}:${level} ${alert.description}`);
+	} else if (type === 22) {
+		const buffered = new Uint8Array(stream.handshake.length + body.length);
+		buffered.set(stream.handshake);
+		buffered.set(body, stream.handshake.length);
+
+		let offset = 0;
+		while (buffered.length - offset >= 4) {
+			const length = (buffered[offset + 1] << 16) | (buffered[offset + 2] << 8) | buffered[offset + 3];
+			if (length > MAX_TLS_HANDSHAKE_LENGTH) {
+				stream.broken = true;
+				return;
+			}
+			if (buffered.length - offset - 4 < length) break;
+			handleTlsHandshakeMessage(context, buffered[offset], buffered.subarray(offset + 4, offset + 4 + length));
+			offset += 4 + length;
+		}
+		stream.handshake = buffered.slice(offset);
+	}
+}
+
+/**
+ * Handle one TLS handshake message
+ * @param {Object} context
+ * @param {number} type - Handshake message type
+ * @param {Uint8Array} message - Message body
+ */
+function handleTlsHandshakeMessage(context, type, message) {
+	const { session, stream, packetNumber, timestamp } = context;
+	const view = new DataView(message.buffer, message.byteOffset, message.byteLength);
+
+	if (type === 1 && session.clientHelloPacket === null) {
+		const hello = parseClientHello(message, view, 0, message.length);
+		if (!hello) return;
+		session.clientHelloPacket = packetNumber;
+		session.sni = hello.sni;
+		session.offeredVersions = hello.versions;
+		session.offeredAlpn = hello.alpn;
+		session.offeredCipherSuites = hello.cipherSuites.length;
+		context.lines.push(`  ${describeClientHello(hello)}`);
+	} else if (type === 2) {
+		const hello = parseServerHello(message, view, 0, message.length);
+		if (!hello) return;
+		session.serverHelloPacket = packetNumber;
+		session.version = hello.version;
+		session.cipherSuite = hello.cipherSuite;
+		session.alpn = hello.alpn;
+		if (hello.helloRetryRequest) session.helloRetryRequest = true;
+		// TLS 1.3 encrypts everything the server sends after ServerHello
+		if (hello.version === 'TLS 1.3' && !hello.helloRetryRequest) stream.encrypted = true;
+
+		const parts = [hello.version, hello.cipherSuite];
+		if (hello.alpn) parts.push(`ALPN ${hello.alpn}`);
+		context.lines.push(`  TLS ${hello.helloRetryRequest ? 'HelloRetryRequest' : 'ServerHello'}: ${parts.join(' | ')}`);
+	} else if (type === 11) {
+		for (let offset = 3; offset + 3 <= message.length; ) {
+			const length = (message[offset] << 16) | (message[offset + 1] << 8) | message[offset + 2];
+			const certificate = parseCertificate(message, offset + 3, Math.min(offset + 3 + length, message.length));
+			offset += 3 + length;
+			if (!certificate) continue;
+
+			certificate.expired = timestamp !== null && certificate.notAfter !== null && Date.parse(certificate.notAfter) < timestamp;
+			const index = session.certificates.length;
+			session.certificates.push(certificate);
+			const validity = certificate.notAfter ? `, valid until ${certificate.notAfter}` : '';
+			const expired = certificate.expired ? ' ⚠️  EXPIRED' : '';
+			context.lines.push(`  TLS Certificate [${index}]: ${certificate.subject} (issuer ${certificate.issuer}${validity})${expired}`);
+		}
+	}
+}
+
+/**
+ * Summarize TLS sessions for the response
+ * @param {Object} tracker - From createTlsTracker
+ * @returns {Object} - { totalSessions, alerts, sessions }
+ */
+function summarizeTls(tracker) {
+	const alerts = tracker.sessions.reduce((count, session) => count + session.alerts.filter(isTlsProblemAlert).length, 0);
+	return {
+		totalSessions: tracker.sessions.length,
+		alerts,
+		sessions: tracker.sessions.slice(0, MAX_TLS_SESSIONS),
+	};
+}
+
+/**
+ * Whether an alert indicates a failure rather than a normal close
+ * @param {Object} alert
+ * @returns {boolean}
+ */
+function isTlsProblemAlert(alert) {
+	return alert.description !== 'close_notify' && alert.description !== 'encrypted alert';
+}
+
+/**
+ * Format TLS sessions as text lines, failed handshakes first
+ * @param {Object} summary - From summarizeTls
+ * @returns {Array<string>}
+ */
+function formatTlsSummary(summary) {
+	if (summary.totalSessions === 0) return ['No TLS handshakes'];
+
+	const isProblem = (session) => session.alerts.some(isTlsProblemAlert) || session.serverHelloPacket === null;
+	const sessions = [...summary.sessions].sort((a, b) => isProblem(b) - isProblem(a));
+	const lines = [`TLS sessions: ${summary.totalSessions} | Failure alerts: ${summary.alerts}`];
+
+	for (const session of sessions.slice(0, MAX_TLS_SESSION_LINES)) {
+		let line = `Flow ${session.flow} ${session.client} → ${session.server}`;
+		if (session.sni) line += ` | SNI ${session.sni}`;
+		if (session.serverHelloPacket !== null) line += ` | ${session.version} ${session.cipherSuite}`;
+		else if (session.clientHelloPacket !== null) line += ' | no ServerHello';
+		if (session.alpn) line += ` | ALPN ${session.alpn}`;
+		if (session.helloRetryRequest) line += ' | HelloRetryRequest';
+		if (session.certificates.length > 0) {
+			const [leaf] = session.certificates;
+			line += ` | cert ${leaf.subject} issued by ${leaf.issuer}${leaf.expired ? ' (EXPIRED)' : ''}`;
+		}
+		lines.push(line);
+
+		for (const alert of session.alerts.filter(isTlsProblemAlert)) {
+			const verb = alert.level === 'fatal' ? 'aborted with fatal alert' : 'sent warning alert';
+			const target = session.sni ? ` to ${session.sni}` : '';
+			lines.push(`[Packet ${alert.packet}] Flow ${session.flow}: ${alert.from} ${verb} ${alert.description}${target}`);
+		}
+	}
+	if (sessions.length > MAX_TLS_SESSION_LINES) {
+		lines.push(`... and ${summary.totalSessions - MAX_TLS_SESSION_LINES} more TLS sessions`);
+	}
+
+	return lines;
+}
+
+/**
+ * Maximum QUIC connections returned per capture
+ */
+const MAX_QUIC_CONNECTIONS = 500;
+
+/**
+ * Maximum QUIC connections listed in the text summary
+ */
+const MAX_QUIC_CONNECTION_LINES = 50;
+
+/**
+ * Client Initial packets searched for the ClientHello before giving up
+ */
+const MAX_QUIC_INITIALS = 5;
+
+/**
+ * Create state for QUIC connection tracking
+ * @returns {Object}
+ */
+function createQuicTracker() {
+	return { connections: [] };
+}
+
+/**
+ * Decode the QUIC packets of a UDP datagram and track the connection:
+ * handshake timing, the ClientHello from decrypted Initials, version
+ * negotiation and stateless resets. Client Initials are yielded for
+ * decryption, as runPcapAnalysis does.
+ * @param {Object} tracker - From createQuicTracker
+ * @param {Object} latency - Latency tracker that receives the handshake round trip
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {Object} packet - Decoded packet with UDP payload bounds
+ * @param {Object} flow
+ * @param {boolean} fromClient
+ * @param {number} packetNumber
+ * @param {number|null} timestamp
+ * @returns {Array<string>} - Info lines
+ */
+function* trackQuicDatagram(tracker, latency, data, view, packet, flow, fromClient, packetNumber, timestamp) {
+	const { payloadOffset: start, payloadEnd: end } = packet.transport;
+	if (end - start < 7) return [];
+
+	const lines = [];
+	let state = flow.quic;
+
+	// Short header: only meaningful on a connection whose long headers were seen
+	if ((data[start] & 0x80) === 0) {
+		if (!state || (data[start] & 0x40) === 0) return [];
+		const { scid } = state.connection;
+		// A stateless reset is random bytes, so it will not carry the client's connection ID
+		const cid = bytesToHex(data.subarray(start + 1, start + 1 + scid.length / 2));
+		if (!fromClient && scid && cid !== scid && end - start >= 21) {
+			state.connection.statelessResets.push(packetNumber);
+			lines.push('  ⚠️  QUIC possible Stateless Reset (connection ID does not match)');
+		}
+		return lines;
+	}
+
+	for (let offset = start; offset < end && (data[offset] & 0x80) !== 0; ) {
+		const header = parseQuicLongHeader(data, view, offset, end);
+		if (!header) break;
+
+		if (!state) {
+			// Connections are only tracked from the client's first long header packet
+			if (header.version === 0 || !fromClient) return lines;
+			const connection = {
+				flow: flow.id,
+				client: formatEndpoint(flow.client.address, flow.client.port),
+				server: formatEndpoint(flow.server.address, flow.server.port),
+				version: quicVersionName(header.version),
+				dcid: bytesToHex(header.dcid),
+				scid: bytesToHex(header.scid),
+				initialPacket: packetNumber,
+				sni: null,
+				alpn: [],
+				decrypted: false,
+				handshakeMs: null,
+				versionNegotiation: null,
+				retry: false,
+				statelessResets: [],
+				tunnel: isWarpEndpoint(flow.server.address),
+			};
+			state = flow.quic = { connection, crypto: [], initials: 0, initialTime: timestamp };
+			if (connection.tunnel) flow.tunnel = 'MASQUE';
+			tracker.connections.push(connection);
+		}
+
+		lines.push(`  ${describeQuicLongHeader(header)}`);
+		const { connection } = state;
+
+		if (header.version === 0) {
+			connection.versionNegotiation = { packet: packetNumber, versions: header.supportedVersions.map(quicVersionName) };
+			lines.push(`  ⚠️  QUIC Version Negotiation: server supports ${connection.versionNegotiation.versions.join(', ')}`);
+			break;
+		}
+
+		if (header.type === 'Retry') connection.retry = true;
+		if (!fromClient && connection.handshakeMs === null && state.initialTime !== null && timestamp !== null) {
+			connection.handshakeMs = roundMs(timestamp - state.initialTime);
+			addLatencySample(latency, connection.server, 'quicHandshake', connection.handshakeMs);
+		}
+
+		if (fromClient && header.type === 'Initial' && connection.sni === null && state.initials < MAX_QUIC_INITIALS) {
+			state.initials++;
+			const frames =
+				header.packetEnd === null
+					? null
+					: yield {
+							version: header.version,
+							dcid: header.dcid,
+							pnOffset: header.pnOffset - header.offset,
+							bytes: data.subarray(header.offset, header.packetEnd),
+						};
+			if (frames) {
+				connection.decrypted = true;
+				state.crypto.push(...frames.crypto);
+				const hello = assembleQuicClientHello(state.crypto);
+				if (hello) {
+					connection.sni = hello.sni;
+					connection.alpn = hello.alpn;
+					lines.push(`  ${describeClientHello(hello)}`);
+				}
+			}
+		}
+
+		if (header.packetEnd === null) break;
+		offset = header.packetEnd;
+	}
+
+	return lines;
+}
+
+/**
+ * Reassemble CRYPTO frame data from offset 0 and parse the ClientHello once complete
+ * @param {Array<{offset: number, data: Uint8Array}>} chunks
+ * @returns {Object|null} - From parseClientHello
+ */
+function assembleQuicClientHello(chunks) {
+	const parts = [];
+	let length = 0;
+	for (const chunk of [...chunks].sort((a, b) => a.offset - b.offset)) {
+		if (chunk.offset > length) break;
+		const fresh = chunk.data.subarray(length - chunk.offset);
+		parts.push(fresh);
+		length += fresh.length;
+	}
+
+	const stream = new Uint8Array(length);
+	let at = 0;
+	for (const part of parts) {
+		stream.set(part, at);
+		at += part.length;
+	}
+
+	if (length < 4 || stream[0] !== 1) return null;
+	const messageLength = (stream[1] << 16) | (stream[2] << 8) | stream[3];
+	if (length < 4 + messageLength) return null;
+	return parseClientHello(stream, new DataView(stream.buffer), 4, 4 + messageLength);
+}
+
+/**
+ * Summarize QUIC connections for the response
+ * @param {Object} tracker - From createQuicTracker
+ * @returns {Object} - { totalConnections, tunnelConnections, versionNegotiations, statelessResets, connections }
+ */
+function summarizeQuic(tracker) {
+	const { connections } = tracker;
+	return {
+		totalConnections: connections.length,
+		tunnelConnections: connections.filter((connection) => connection.tunnel).length,
+		versionNegotiations: connections.filter((connection) => connection.versionNegotiation).length,
+		statelessResets: connections.reduce((count, connection) => count + connection.statelessResets.length, 0),
+		connections: connections.slice(0, MAX_QUIC_CONNECTIONS),
+	};
+}
+
+/**
+ * Format QUIC connections as text lines, tunnel connections first
+ * @param {Object} summary - From summarizeQuic
+ * @returns {Array<string>}
+ */
+function formatQuicSummary(summary) {
+	if (summary.totalConnections === 0) return ['No QUIC connections'];
+
+	const lines = [
+		`QUIC connections: ${summary.totalConnections} | WARP tunnel (MASQUE): ${summary.tunnelConnections} | ` +
+			`Version negotiations: ${summary.versionNegotiations} | Possible stateless resets: ${summary.statelessResets}`,
+	];
+	const connections = [...summary.connections].sort((a, b) => b.tunnel - a.tunnel);
+
+	for (const connection of connections.slice(0, MAX_QUIC_CONNECTION_LINES)) {
+		let line = `Flow ${connection.flow} ${connection.client} → ${connection.server} | ${connection.version}`;
+		if (connection.sni) line += ` | SNI ${connection.sni}`;
+		else if (!connection.decrypted) line += ' | Initial not decrypted';
+		if (connection.alpn.length > 0) line += ` | ALPN ${connection.alpn.join(',')}`;
+		line += connection.handshakeMs !== null ? ` | first server response ${connection.handshakeMs} ms` : ' | no server response';
+		if (connection.retry) line += ' | Retry';
+		if (connection.tunnel) line += ' | WARP tunnel (MASQUE)';
+		lines.push(line);
+
+		if (connection.versionNegotiation) {
+			const { packet, versions } = connection.versionNegotiation;
+			lines.push(`[Packet ${packet}] Flow ${connection.flow}: server sent Version Negotiation (supports ${versions.join(', ')})`);
+		}
+		for (const reset of connection.statelessResets) {
+			lines.push(`[Packet ${reset}] Flow ${connection.flow}: possible stateless reset from server`);
+		}
+	}
+	if (connections.length > MAX_QUIC_CONNECTION_LINES) {
+		lines.push(`... and ${summary.totalConnections - MAX_QUIC_CONNECTION_LINES} more QUIC connections`);
+	}
+
+	return lines;
+}
+
+/**
+ * Maximum WireGuard flows returned per capture
+ */
+const MAX_WIREGUARD_SESSIONS = 500;
+
+/**
+ * Maximum handshakes kept per WireGuard flow
+ */
+const MAX_WIREGUARD_HANDSHAKES = 200;
+
+/**
+ * Maximum WireGuard lines in the text summary
+ */
+const MAX_WIREGUARD_LINES = 50;
+
+/**
+ * Cookie replies on one flow that count as a storm: the responder is under
+ * load and is answering initiations with cookies instead of completing them
+ */
+const COOKIE_REPLY_STORM = 3;
+
+/**
+ * Create state for WireGuard handshake tracking
+ * @returns {Object}
+ */
+function createWireguardTracker() {
+	return { sessions: [] };
+}
+
+/**
+ * Track a WireGuard message: pair initiations with responses by sender index,
+ * flag retried initiations and cookie replies, and count transport data.
+ * @param {Object} tracker - From createWireguardTracker
+ * @param {Object} latency - Latency tracker that receives the handshake round trip
+ * @param {Object} packet - Decoded packet with packet.wireguard set
+ * @param {Object} flow
+ * @param {boolean} fromClient
+ * @param {number} packetNumber
+ * @param {number|null} timestamp
+ * @returns {Array<string>} - Info lines
+ */
+function trackWireguardMessage(tracker, latency, packet, flow, fromClient, packetNumber, timestamp) {
+	const message = packet.wireguard;
+	let state = flow.wireguard;
+
+	if (!state) {
+		const session = {
+			flow: flow.id,
+			client: formatEndpoint(flow.client.address, flow.client.port),
+			server: formatEndpoint(flow.server.address, flow.server.port),
+			tunnel: isWarpEndpoint(flow.server.address),
+			totalHandshakes: 0,
+			completed: 0,
+			retries: 0,
+			handshakes: [],
+			cookieReplies: [],
+			cookieStorm: false,
+			transport: { fromClient: 0, fromServer: 0, keepalives: 0 },
+		};
+		// Initiations awaiting a response by sender index, and the latest initiation from each side
+		state = flow.wireguard = { session, pending: new Map(), latest: { client: null, server: null } };
+		if (session.tunnel) flow.tunnel = 'WireGuard';
+		tracker.sessions.push(session);
+	}
+
+	const { session } = state;
+	const time = timestamp !== null ? new Date(timestamp).toISOString() : null;
+	const lines = [];
+
+	if (message.type === 1) {
+		const side = fromClient ? 'client' : 'server';
+		const previous = state.latest[side];
+		const handshake = {
+			initiator: side,
+			initiationPacket: packetNumber,
+			time,
+			senderIndex: message.senderIndex,
+			withCookie: message.cookie,
+			retry: previous !== null && previous.responsePacket === null,
+			retriedAt: null,
+			responsePacket: null,
+			responseTime: null,
+			rttMs: null,
+			cookieReplyPacket: null,
+			cookieReplyTime: null,
+		};
+		session.totalHandshakes++;
+		if (session.handshakes.length < MAX_WIREGUARD_HANDSHAKES) session.handshakes.push(handshake);
+		state.pending.set(message.senderIndex, { handshake, timestamp });
+		state.latest[side] = handshake;
+
+		if (handshake.retry) {
+			session.retries++;
+			previous.retriedAt = packetNumber;
+			const gap = previous.time && time ? `, ${((Date.parse(time) - Date.parse(previous.time)) / 1000).toFixed(1)} s later` : '';
+			lines.push(`  ⚠️  WireGuard handshake retry (initiation at packet ${previous.initiationPacket} unanswered${gap})`);
+		}
+	} else if (message.type === 2) {
+		const pending = state.pending.get(message.receiverIndex);
+		if (pending) {
+			state.pending.delete(message.receiverIndex);
+			const { handshake } = pending;
+			handshake.responsePacket = packetNumber;
+			handshake.responseTime = time;
+			session.completed++;
+			if (timestamp !== null && pending.timestamp !== null) {
+				handshake.rttMs = roundMs(timestamp - pending.timestamp);
+				// The responder is whoever sent this message
+				addLatencySample(latency, fromClient ? session.client : session.server, 'wireguardHandshake', handshake.rttMs);
+			}
+		}
+	} else if (message.type === 3) {
+		const pending = state.pending.get(message.receiverIndex);
+		if (pending) {
+			pending.handshake.cookieReplyPacket = packetNumber;
+			pending.handshake.cookieReplyTime = time;
+		}
+		session.cookieReplies.push(packetNumber);
+		if (session.cookieReplies.length === COOKIE_REPLY_STORM) {
+			session.cookieStorm = true;
+			lines.push(`  ⚠️  WireGuard cookie reply storm (${COOKIE_REPLY_STORM} cookie replies on this flow, responder under load)`);
+		}
+	} else {
+		session.transport[fromClient ? 'fromClient' : 'fromServer']++;
+		if (message.keepalive) session.transport.keepalives++;
+	}
+
+	return lines;
+}
+
+/**
+ * Summarize WireGuard flows for the response
+ * @param {Object} tracker - From createWireguardTracker
+ * @returns {Object} - { totalSessions, tunnelSessions, totalHandshakes, completed, retries, cookieReplies, cookieStorms, sessions }
+ */
+function summarizeWireguard(tracker) {
+	const { sessions } = tracker;
+	const total = (field) => sessions.reduce((count, session) => count + field(session), 0);
+	return {
+		totalSessions: sessions.length,
+		tunnelSessions: sessions.filter((session) => session.tunnel).length,
+		totalHandshakes: total((session) => session.totalHandshakes),
+		completed: total((session) => session.completed),
+		retries: total((session) => session.retries),
+		cookieReplies: total((session) => session.cookieReplies.length),
+		cookieStorms: sessions.filter((session) => session.cookieStorm).length,
+		sessions: sessions.slice(0, MAX_WIREGUARD_SESSIONS),
+	};
+}
+
+/**
+ * Format WireGuard flows as text lines, tunnel flows first
+ * @param {Object} summary - From summarizeWireguard
+ * @returns {Array<string>}
+ */
+function formatWireguardSummary(summary) {
+	if (summary.totalSessions === 0) return ['No WireGuard traffic'];
+
+	const lines = [
+		`WireGuard flows: ${summary.totalSessions} | WARP tunnel: ${summary.tunnelSessions} | ` +
+			`Handshakes: ${summary.totalHandshakes} (${summary.completed} completed, ${summary.retries} retries) | ` +
+			`Cookie replies: ${summary.cookieReplies}`,
+	];
+	const sessions = [...summary.sessions].sort((a, b) => b.tunnel - a.tunnel);
+
+	for (const session of sessions) {
+		if (lines.length >= MAX_WIREGUARD_LINES) {
+			lines.push('... more WireGuard lines omitted');
+			break;
+		}
+		const { transport } = session;
+		let line =
+			`Flow ${session.flow} ${session.client} → ${session.server} | ` +
+			`${session.completed}/${session.totalHandshakes} handshakes completed | ` +
+			`data ${transport.fromClient} → / ${transport.fromServer} ← packets (${transport.keepalives} keepalives)`;
+		if (session.tunnel) line += ' | WARP tunnel (WireGuard)';
+		lines.push(line);
+
+		for (const handshake of session.handshakes) {
+			if (handshake.responsePacket !== null || lines.length >= MAX_WIREGUARD_LINES) continue;
+			let issue = `[Packet ${handshake.initiationPacket}] Flow ${session.flow}: WireGuard initiation from ${handshake.initiator} unanswered`;
+			if (handshake.cookieReplyPacket !== null) issue += ` (cookie reply at packet ${handshake.cookieReplyPacket})`;
+			issue += handshake.retriedAt !== null ? `, retried at packet ${handshake.retriedAt}` : ', never retried in the capture';
+			lines.push(issue);
+		}
+		if (session.cookieStorm) {
+			lines.push(
+				`Flow ${session.flow}: cookie reply storm, ${session.cookieReplies.length} cookie replies ` +
+					`(packets ${session.cookieReplies.slice(0, 10).join(', ')}${session.cookieReplies.length > 10 ? ', ...' : ''})`
+			);
+		}
+		if (session.completed > 0 && transport.fromClient > 0 && transport.fromServer === 0) {
+			lines.push(`Flow ${session.flow}: handshake completed but ${session.server} sent no transport data`);
+		}
+	}
+
+	return lines;
+}
+
+/**
+ * boringtun.log messages that mark WireGuard handshake events, checked in order
+ */
+const BORINGTUN_HANDSHAKE_EVENTS = [
+	{ kind: 'timeout', pattern: /REKEY_TIMEOUT|REKEY_ATTEMPT_TIME|handshake (?:timed out|timeout|expired)/i },
+	{ kind: 'cookie', pattern: /cookie/i },
+	{ kind: 'initiation', pattern: /handshake[_ ]init/i },
+	{ kind: 'response', pattern: /handshake[_ ]resp|handshake complete|session established/i },
+];
+
+/**
+ * Leading timestamp of a boringtun.log line, with an optional zone (UTC when absent)
+ */
+const BORINGTUN_TIMESTAMP = /^\s*\[?(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}:\d{2}(?:\.\d+)?)\s*(Z|[+-]\d{2}:?\d{2})?/;
+
+/**
+ * How far apart a captured handshake message and its boringtun.log line may be
+ */
+const BORINGTUN_MATCH_WINDOW_MS = 2000;
+
+/**
+ * Maximum entries in each boringtun correlation list
+ */
+const MAX_BORINGTUN_ENTRIES = 100;
+
+/**
+ * Read the timestamped handshake events from boringtun.log
+ * @param {string} content
+ * @returns {Array<Object>} - [{ line, time, kind, text }]
+ */
+function parseBoringtunHandshakes(content) {
+	const events = [];
+	content.split('\n').forEach((raw, index) => {
+		// tracing output may keep its ANSI colors
+		const text = raw.replace(/\x1b\[[0-9;]*m/g, '').trim();
+		const stamp = BORINGTUN_TIMESTAMP.exec(text);
+		const event = stamp && BORINGTUN_HANDSHAKE_EVENTS.find(({ pattern }) => pattern.test(text));
+		if (!event) return;
+		const time = parseLogTime(stamp[1], stamp[2], stamp[3]);
+		if (time !== null) events.push({ line: index + 1, time, kind: event.kind, text });
+	});
+	return events;
+}
+
+/**
+ * Match the WireGuard handshakes seen in a capture against the handshake events
+ * boringtun logged, nearest in time and of the same kind. Messages logged but not
+ * captured (or captured but not logged) point at the capture interface or at
+ * packets dropped between the tunnel and the wire.
+ * @param {Object} summary - From summarizeWireguard
+ * @param {string} content - boringtun.log text
+ * @param {string} filename
+ * @returns {Object} - { file, matched, captureOnly, logOnly, timeouts, medianOffsetMs }
+ */
+export function correlateBoringtunLog(summary, content, filename) {
+	const logEvents = parseBoringtunHandshakes(content);
+	const captured = [];
+	for (const session of summary.sessions) {
+		for (const handshake of session.handshakes) {
+			const add = (kind, packet, time) => time && captured.push({ flow: session.flow, kind, packet, time: Date.parse(time) });
+			add('initiation', handshake.initiationPacket, handshake.time);
+			add('response', handshake.responsePacket, handshake.responseTime);
+			add('cookie', handshake.cookieReplyPacket, handshake.cookieReplyTime);
+		}
+	}
+	captured.sort((a, b) => a.time - b.time);
+
+	const used = new Set();
+	const matched = [];
+	const captureOnly = [];
+	for (const event of captured) {
+		let best = null;
+		for (const entry of logEvents) {
+			if (entry.kind !== event.kind || used.has(entry)) continue;
+			const offset = entry.time - event.time;
+			if (Math.abs(offset) <= BORINGTUN_MATCH_WINDOW_MS && (!best || Math.abs(offset) < Math.abs(best.offset))) best = { entry, offset };
+		}
+		if (best) {
+			used.add(best.entry);
+			matched.push({
+				flow: event.flow,
+				kind: event.kind,
+				packet: event.packet,
+				line: best.entry.line,
+				offsetMs: best.offset,
+				text: best.entry.text,
+			});
+		} else {
+			captureOnly.push({ flow: event.flow, kind: event.kind, packet: event.packet });
+		}
+	}
+
+	// Log entries outside the capture window say nothing about what the capture missed
+	const first = captured.length > 0 ? captured[0].time - BORINGTUN_MATCH_WINDOW_MS : Infinity;
+	const last = captured.length > 0 ? captured[captured.length - 1].time + BORINGTUN_MATCH_WINDOW_MS : -Infinity;
+	const inWindow = (entry) => entry.time >= first && entry.time <= last;
+	const logOnly = logEvents.filter((entry) => entry.kind !== 'timeout' && !used.has(entry) && inWindow(entry));
+	const timeouts = logEvents.filter((entry) => entry.kind === 'timeout' && inWindow(entry));
+
+	const offsets = matched.map((match) => match.offsetMs).sort((a, b) => a - b);
+	const strip = ({ line, kind, text }) => ({ line, kind, text });
+	return {
+		file: filename,
+		matched: matched.slice(0, MAX_BORINGTUN_ENTRIES),
+		captureOnly: captureOnly.slice(0, MAX_BORINGTUN_ENTRIES),
+		logOnly: logOnly.slice(0, MAX_BORINGTUN_ENTRIES).map(strip),
+		timeouts: timeouts.slice(0, MAX_BORINGTUN_ENTRIES).map(strip),
+		medianOffsetMs: offsets.length > 0 ? percentile(offsets, 50) : null,
+	};
+}
+
+/**
+ * Format a boringtun.log correlation as text lines
+ * @param {Object} correlation - From correlateBoringtunLog
+ * @returns {Array<string>}
+ */
+export function formatBoringtunCorrelation(correlation) {
+	const { file, matched, captureOnly, logOnly, timeouts, medianOffsetMs } = correlation;
+	const lines = [
+		`${file}: ${matched.length} of ${matched.length + captureOnly.length} captured handshake messages matched` +
+			(medianOffsetMs !== null ? ` (median log offset ${medianOffsetMs} ms)` : ''),
+	];
+
+	for (const match of matched.slice(0, MAX_WIREGUARD_LINES)) {
+		lines.push(
+			`[Packet ${match.packet}] Flow ${match.flow}: ${match.kind} ↔ ${file} line ${match.line} (${match.offsetMs} ms): ${match.text}`,
+		);
+	}
+	for (const missing of captureOnly.slice(0, MAX_WIREGUARD_LINES)) {
+		lines.push(`[Packet ${missing.packet}] Flow ${missing.flow}: ${missing.kind} on the wire but not in ${file}`);
+	}
+	for (const entry of logOnly.slice(0, MAX_WIREGUARD_LINES)) {
+		lines.push(`${file} line ${entry.line}: ${entry.kind} logged but not in the capture: ${entry.text}`);
+	}
+	for (const entry of timeouts.slice(0, MAX_WIREGUARD_LINES)) {
+		lines.push(`${file} line ${entry.line}: handshake timeout during the capture: ${entry.text}`);
+	}
+
+	return lines;
+}
+
+/**
+ * Retransmissions of an unacknowledged segment that mark it as stalled
+ */
+const BLACK_HOLE_RETRANSMITS = 2;
+
+/**
+ * Unacknowledged large segments remembered per path
+ */
+const MAX_MTU_PENDING = 128;
+
+/**
+ * Maximum paths, ICMP messages and incomplete datagrams returned per capture
+ */
+const MAX_MTU_ENTRIES = 100;
+
+/**
+ * Maximum paths listed in the text summary
+ */
+const MAX_MTU_PATH_LINES = 20;
+
+/**
+ * Create state for fragment reassembly and path MTU tracking
+ * @returns {Object}
+ */
+function createMtuTracker() {
+	return { fragments: new Map(), reassembled: 0, paths: new Map(), icmpMessages: [] };
+}
+
+/**
+ * Get or create the statistics for one direction between two addresses
+ * @param {Object} tracker
+ * @param {string} src
+ * @param {string} dst
+ * @returns {Object}
+ */
+function mtuPath(tracker, src, dst) {
+	const key = `${src} → ${dst}`;
+	let path = tracker.paths.get(key);
+	if (!path) {
+		path = { path: key, largestSent: 0, largestDelivered: null, icmpMtu: null, fragments: 0, pending: [], unconfirmed: 0 };
+		tracker.paths.set(key, path);
+	}
+	return path;
+}
+
+/**
+ * Add an IP fragment to its datagram and reassemble once every byte is present
+ * @param {Object} tracker - From createMtuTracker
+ * @param {Uint8Array} data
+ * @param {Object} packet - Decoded packet with packet.ip.fragment set
+ * @param {number} packetNumber
+ * @param {number} length - Original (wire) length of the frame
+ * @returns {Object|null} - { datagram, packets, wireBytes, largestFragment } when complete
+ */
+function trackFragment(tracker, data, packet, packetNumber, length) {
+	const { ip } = packet;
+	const { fragment } = ip;
+	const key = `${ip.version}|${ip.src}|${ip.dst}|${ip.protocol}|${fragment.id}`;
+	let entry = tracker.fragments.get(key);
+	if (!entry) {
+		entry = {
+			src: ip.src,
+			dst: ip.dst,
+			id: fragment.id,
+			protocol: fragment.nextHeader ?? ip.protocol,
+			header: null,
+			total: null,
+			parts: [],
+			packets: [],
+			wireBytes: 0,
+			largestFragment: 0,
+		};
+		tracker.fragments.set(key, entry);
+	}
+
+	const bytes = data.subarray(fragment.payloadOffset, fragment.payloadEnd);
+	entry.parts.push({ offset: fragment.offset, bytes });
+	entry.packets.push(packetNumber);
+	entry.wireBytes += length;
+	entry.largestFragment = Math.max(entry.largestFragment, ip.length);
+	if (fragment.offset === 0) entry.header = data.subarray(fragment.headerOffset, fragment.headerOffset + fragment.headerLength);
+	if (!fragment.moreFragments) entry.total = fragment.offset + bytes.length;
+
+	const path = mtuPath(tracker, ip.src, ip.dst);
+	path.fragments++;
+	path.largestSent = Math.max(path.largestSent, ip.length);
+
+	if (entry.header === null || entry.total === null) return null;
+	let covered = 0;
+	for (const part of [...entry.parts].sort((a, b) => a.offset - b.offset)) {
+		if (part.offset > covered) return null;
+		covered = Math.max(covered, part.offset + part.bytes.length);
+	}
+	if (covered < entry.total) return null;
+
+	const headerLength = entry.header.length;
+	const datagram = new Uint8Array(headerLength + entry.total);
+	datagram.set(entry.header);
+	for (const part of entry.parts) {
+		datagram.set(part.bytes.subarray(0, Math.max(0, entry.total - part.offset)), headerLength + part.offset);
+	}
+
+	// Rewrite the header to describe the whole datagram
+	const view = new DataView(datagram.buffer);
+	if (ip.version === 4) {
+		view.setUint16(2, datagram.length, false);
+		datagram[6] &= 0x40; // keep Don't Fragment, clear More Fragments and the offset
+		datagram[7] = 0;
+	} else {
+		view.setUint16(4, entry.total, false);
+		datagram[6] = entry.protocol;
+	}
+
+	tracker.fragments.delete(key);
+	tracker.reassembled++;
+	return { datagram, packets: entry.packets, wireBytes: entry.wireBytes, largestFragment: entry.largestFragment };
+}
+
+/**
+ * Decode a reassembled IP datagram as if it had been captured whole
+ * @param {Uint8Array} datagram
+ * @param {Object} packet - Receives the decoded header fields
+ * @returns {Array<string>} - Info lines
+ */
+function decodeReassembledDatagram(datagram, packet) {
+	const view = new DataView(datagram.buffer);
+	const etherType = datagram[0] >> 4 === 4 ? 0x0800 : 0x86dd;
+	return decodeNetworkStack(datagram, view, 0, datagram.length, etherType, packet);
+}
+
+/**
+ * Track packet sizes per path: the largest sent, and the largest known to be
+ * delivered (acknowledged by TCP, or answered by the peer for other protocols)
+ * @param {Object} tracker - From createMtuTracker
+ * @param {Object} packet
+ * @param {Object} flow
+ * @param {number} packetNumber
+ * @param {number} size - IP packet size on the wire (the largest fragment for reassembled datagrams)
+ */
+function trackPacketSize(tracker, packet, flow, packetNumber, size) {
+	const { ip, transport } = packet;
+	const path = mtuPath(tracker, ip.src, ip.dst);
+	const reverse = mtuPath(tracker, ip.dst, ip.src);
+	path.largestSent = Math.max(path.largestSent, size);
+
+	if (transport?.protocol !== 'TCP' || transport.seq === undefined) {
+		// The peer answering proves what was sent to it arrived
+		if (reverse.unconfirmed > 0) {
+			reverse.largestDelivered = Math.max(reverse.largestDelivered ?? 0, reverse.unconfirmed);
+			reverse.unconfirmed = 0;
+		}
+		path.unconfirmed = Math.max(path.unconfirmed, size);
+		return;
+	}
+
+	if (transport.flags & 0x10) {
+		reverse.pending = reverse.pending.filter((segment) => {
+			if (segment.flow !== flow.id || seqDiff(transport.ack, segment.seqEnd) < 0) return true;
+			reverse.largestDelivered = Math.max(reverse.largestDelivered ?? 0, segment.size);
+			return false;
+		});
+	}
+
+	// Only segments larger than anything delivered so far can reveal an MTU limit
+	if (transport.payloadLength > 0 && size > (path.largestDelivered ?? 0)) {
+		const seqEnd = (transport.seq + transport.payloadLength) >>> 0;
+		const existing = path.pending.find((segment) => segment.flow === flow.id && segment.seqEnd === seqEnd);
+		if (existing) {
+			existing.retransmits++;
+		} else {
+			path.pending.push({
+				flow: flow.id,
+				seqEnd,
+				size,
+				packet: packetNumber,
+				retransmits: 0,
+				dontFragment: ip.version === 6 || ip.dontFragment,
+			});
+			if (path.pending.length > MAX_MTU_PENDING) path.pending.shift();
+		}
+	}
+}
+
+/**
+ * Record the MTU reported by an ICMP Fragmentation Needed or ICMPv6 Packet Too Big
+ * @param {Object} tracker - From createMtuTracker
+ * @param {Object} packet
+ * @param {number} packetNumber
+ */
+function trackIcmpMtu(tracker, packet, packetNumber) {
+	const { ip, transport } = packet;
+	const { quoted } = transport;
+	if (!quoted) return;
+
+	const path = mtuPath(tracker, quoted.src, quoted.dst);
+	path.icmpMtu = path.icmpMtu === null ? transport.mtu : Math.min(path.icmpMtu, transport.mtu);
+	if (tracker.icmpMessages.length < MAX_MTU_ENTRIES) {
+		tracker.icmpMessages.push({
+			packet: packetNumber,
+			type: transport.protocol === 'ICMP' ? 'Fragmentation Needed' : 'Packet Too Big',
+			router: ip.src,
+			mtu: transport.mtu,
+			path: path.path,
+			originalLength: quoted.length,
+		});
+	}
+}
+
+/**
+ * Summarize reassembly and path MTU findings for the response. A path whose
+ * large segments keep being retransmitted while smaller ones are acknowledged,
+ * with no ICMP message reporting a smaller MTU, is a PMTUD black hole.
+ * @param {Object} tracker - From createMtuTracker
+ * @returns {Object} - { reassembledDatagrams, incompleteDatagrams, incomplete, icmpMessages, paths, blackHoles }
+ */
+function summarizeMtu(tracker) {
+	const incomplete = [...tracker.fragments.values()].map((entry) => ({
+		src: entry.src,
+		dst: entry.dst,
+		id: entry.id,
+		protocol: entry.protocol,
+		packets: entry.packets,
+		receivedBytes: entry.parts.reduce((total, part) => total + part.bytes.length, 0),
+	}));
+
+	const paths = [];
+	const blackHoles = [];
+	for (const path of tracker.paths.values()) {
+		if (path.largestSent === 0) continue;
+		paths.push({
+			path: path.path,
+			largestSent: path.largestSent,
+			largestDelivered: path.largestDelivered,
+			icmpMtu: path.icmpMtu,
+			fragments: path.fragments,
+		});
+
+		const stalled = path.pending.filter(
+			(segment) => segment.retransmits >= BLACK_HOLE_RETRANSMITS && segment.size > (path.largestDelivered ?? Infinity),
+		);
+		if (stalled.length > 0 && path.icmpMtu === null) {
+			blackHoles.push({
+				path: path.path,
+				largestDelivered: path.largestDelivered,
+				largestStalled: Math.max(...stalled.map((segment) => segment.size)),
+				stalledSegments: stalled.length,
+				firstPacket: stalled[0].packet,
+				dontFragment: stalled.every((segment) => segment.dontFragment),
+			});
+		}
+	}
+
+	return {
+		reassembledDatagrams: tracker.reassembled,
+		incompleteDatagrams: incomplete.length,
+		incomplete: incomplete.slice(0, MAX_MTU_ENTRIES),
+		icmpMessages: tracker.icmpMessages,
+		paths: paths.sort((a, b) => b.largestSent - a.largestSent).slice(0, MAX_MTU_ENTRIES),
+		blackHoles,
+	};
+}
+
+/**
+ * Format the MTU summary as text lines
+ * @param {Object} summary - From summarizeMtu
+ * @returns {Array<string>}
+ */
+function formatMtuSummary(summary) {
+	const lines = [
+		`Reassembled datagrams: ${summary.reassembledDatagrams} | Incomplete: ${summary.incompleteDatagrams} | ` +
+			`ICMP MTU messages: ${summary.icmpMessages.length} | PMTUD black holes: ${summary.blackHoles.length}`,
+	];
+
+	for (const hole of summary.blackHoles) {
+		lines.push(
+			`[Packet ${hole.firstPacket}] ⚠️  PMTUD black hole: ${hole.path} delivers packets up to ${hole.largestDelivered} bytes, but ` +
+				`${hole.stalledSegments} larger segments (up to ${hole.largestStalled} bytes${hole.dontFragment ? ", Don't Fragment" : ''}) ` +
+				'were retransmitted with no ICMP Fragmentation Needed or Packet Too Big'
+		);
+	}
+	for (const message of summary.icmpMessages.slice(0, MAX_MTU_PATH_LINES)) {
+		lines.push(
+			`[Packet ${message.packet}] ICMP ${message.type} from ${message.router}: MTU ${message.mtu} for ${message.path} (original ${message.originalLength} bytes)`,
+		);
+	}
+	for (const datagram of summary.incomplete.slice(0, MAX_MTU_PATH_LINES)) {
+		lines.push(
+			`[Packet ${datagram.packets[0]}] Incomplete datagram id 0x${datagram.id.toString(16)} ${datagram.src} → ${datagram.dst} ` +
+				`(protocol ${datagram.protocol}): ${datagram.packets.length} fragments, ${datagram.receivedBytes} bytes (packets ${datagram.packets.join(', ')})`,
+		);
+	}
+	for (const path of summary.paths.slice(0, MAX_MTU_PATH_LINES)) {
+		let line = `Path ${path.path}: largest sent ${path.largestSent}`;
+		line += path.largestDelivered !== null ? `, largest delivered ${path.largestDelivered}` : ', delivery not confirmed';
+		if (path.icmpMtu !== null) line += ` | ICMP MTU ${path.icmpMtu}`;
+		if (path.fragments > 0) line += ` | ${path.fragments} fragments`;
+		lines.push(line);
+	}
+
+	return lines;
+}
+
+/**
+ * Entries kept in each top-N statistics table
+ */
+const MAX_TOP_ENTRIES = 10;
+
+/**
+ * Create state for capture-wide protocol and talker statistics
+ * @returns {Object}
+ */
+function createCaptureStatistics() {
+	return {
+		packets: 0,
+		bytes: 0,
+		hierarchy: new Map(),
+		sources: new Map(),
+		destinations: new Map(),
+		dnsNames: new Map(),
+		delivery: { unicast: { packets: 0, bytes: 0 }, broadcast: { packets: 0, bytes: 0 }, multicast: { packets: 0, bytes: 0 } },
+		arp: { requests: 0, replies: 0, gratuitous: 0, targets: new Map() },
+	};
+}
+
+/**
+ * Add a packet and byte count to a keyed tally
+ * @param {Map} tally
+ * @param {string} key
+ * @param {number} length
+ * @returns {Object} - The entry, for callers that track more per key
+ */
+function tallyPacket(tally, key, length) {
+	let entry = tally.get(key);
+	if (!entry) {
+		entry = { packets: 0, bytes: 0 };
+		tally.set(key, entry);
+	}
+	entry.packets++;
+	entry.bytes += length;
+	return entry;
+}
+
+/**
+ * Classify where a packet is delivered from its link-layer destination, or
+ * its destination IP when the link layer does not say
+ * @param {Object} packet
+ * @returns {string} - 'unicast', 'broadcast' or 'multicast'
+ */
+function packetDelivery(packet) {
+	if (packet.link?.delivery) return packet.link.delivery;
+	const { ip, arp } = packet;
+	if (arp) return arp.opcode === 1 ? 'broadcast' : 'unicast';
+	if (!ip) return 'unicast';
+	if (ip.version === 6) return ip.dst.toLowerCase().startsWith('ff') ? 'multicast' : 'unicast';
+	if (ip.dst === '255.255.255.255') return 'broadcast';
+	const firstOctet = parseInt(ip.dst, 10);
+	return firstOctet >= 224 && firstOctet <= 239 ? 'multicast' : 'unicast';
+}
+
+/**
+ * Count one packet toward the capture statistics
+ * @param {Object} stats - From createCaptureStatistics
+ * @param {Array<string>} layers - From packetLayers
+ * @param {Object} packet - Decoded header fields
+ * @param {number} length - Original (wire) length of the frame
+ */
+function trackCaptureStatistics(stats, layers, packet, length) {
+	stats.packets++;
+	stats.bytes += length;
+
+	// Every prefix of the layer stack is a node of the hierarchy
+	for (let depth = 1; depth <= layers.length; depth++) {
+		tallyPacket(stats.hierarchy, layers.slice(0, depth).join(' > '), length);
+	}
+
+	const delivery = stats.delivery[packetDelivery(packet)];
+	delivery.packets++;
+	delivery.bytes += length;
+
+	if (packet.ip) {
+		tallyPacket(stats.sources, packet.ip.src, length);
+		tallyPacket(stats.destinations, packet.ip.dst, length);
+	}
+
+	if (packet.dns) {
+		for (const question of packet.dns.questions) {
+			let entry = stats.dnsNames.get(question.name);
+			if (!entry) {
+				entry = { queries: 0, failures: 0 };
+				stats.dnsNames.set(question.name, entry);
+			}
+			if (!packet.dns.isResponse) entry.queries++;
+			else if (packet.dns.rcode !== 0) entry.failures++;
+		}
+	}
+
+	if (packet.arp) {
+		const { arp } = stats;
+		const { opcode, senderIP, targetIP } = packet.arp;
+		// A gratuitous ARP announces the sender's own address
+		if (senderIP === targetIP) arp.gratuitous++;
+		const address = opcode === 2 ? senderIP : targetIP;
+		let target = arp.targets.get(address);
+		if (!target) {
+			target = { address, requests: 0, replies: 0 };
+			arp.targets.set(address, target);
+		}
+		if (opcode === 1) {
+			arp.requests++;
+			target.requests++;
+		} else if (opcode === 2) {
+			arp.replies++;
+			target.replies++;
+		}
+	}
+}
+
+/**
+ * Percentage of a total, to one decimal
+ * @param {number} part
+ * @param {number} total
+ * @returns {number}
+ */
+function sharePercent(part, total) {
+	return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Sort a tally by bytes and keep the largest entries
+ * @param {Map} tally
+ * @param {string} keyName - Property that receives the map key
+ * @returns {Array<Object>}
+ */
+function topEntries(tally, keyName) {
+	return [...tally]
+		.map(([key, entry]) => ({ [keyName]: key, ...entry }))
+		.sort((a, b) => b.bytes - a.bytes || b.packets - a.packets)
+		.slice(0, MAX_TOP_ENTRIES);
+}
+
+/**
+ * Summarize the capture statistics for the response
+ * @param {Object} stats - From createCaptureStatistics
+ * @param {Map} flows - Tracked conversations, for the ports their servers listen on
+ * @param {Array<Object>} tlsSessions - Every TLS session, for SNIs
+ * @param {Array<Object>} quicConnections - Every QUIC connection, for SNIs
+ * @returns {Object} - { packets, bytes, protocolHierarchy, topSources, topDestinations, topPorts, topDnsNames, topSnis, delivery, arp }
+ */
+function summarizeCaptureStatistics(stats, flows, tlsSessions, quicConnections) {
+	// Walk the hierarchy depth-first, the busiest protocol first at each level
+	const children = new Map();
+	for (const [path, entry] of stats.hierarchy) {
+		const parent = path.includes(' > ') ? path.slice(0, path.lastIndexOf(' > ')) : '';
+		if (!children.has(parent)) children.set(parent, []);
+		children.get(parent).push({ path, ...entry });
+	}
+	const protocolHierarchy = [];
+	const walk = (parent, depth) => {
+		for (const node of (children.get(parent) || []).sort((a, b) => b.bytes - a.bytes)) {
+			protocolHierarchy.push({
+				protocol: node.path.split(' > ').pop(),
+				path: node.path,
+				depth,
+				packets: node.packets,
+				bytes: node.bytes,
+				packetPercent: sharePercent(node.packets, stats.packets),
+				bytePercent: sharePercent(node.bytes, stats.bytes),
+			});
+			walk(node.path, depth + 1);
+		}
+	};
+	walk('', 0);
+
+	const ports = new Map();
+	for (const flow of flows.values()) {
+		if (flow.server.port === null) continue;
+		const key = `${flow.protocol} ${flow.server.port}`;
+		let entry = ports.get(key);
+		if (!entry) {
+			entry = { protocol: flow.protocol, port: flow.server.port, flows: 0, packets: 0, bytes: 0 };
+			ports.set(key, entry);
+		}
+		entry.flows++;
+		entry.packets += flow.packetsToServer + flow.packetsToClient;
+		entry.bytes += flow.bytesToServer + flow.bytesToClient;
+	}
+
+	const snis = new Map();
+	const countSni = (sni, protocol) => {
+		if (!sni) return;
+		if (!snis.has(sni)) snis.set(sni, { sni, tls: 0, quic: 0 });
+		snis.get(sni)[protocol]++;
+	};
+	for (const session of tlsSessions) countSni(session.sni, 'tls');
+	for (const connection of quicConnections) countSni(connection.sni, 'quic');
+
+	const delivery = {};
+	for (const [kind, entry] of Object.entries(stats.delivery)) {
+		delivery[kind] = {
+			...entry,
+			packetPercent: sharePercent(entry.packets, stats.packets),
+			bytePercent: sharePercent(entry.bytes, stats.bytes),
+		};
+	}
+
+	const arpTargets = [...stats.arp.targets.values()];
+	return {
+		packets: stats.packets,
+		bytes: stats.bytes,
+		protocolHierarchy,
+		topSources: topEntries(stats.sources, 'address'),
+		topDestinations: topEntries(stats.destinations, 'address'),
+		topPorts: [...ports.values()].sort((a, b) => b.bytes - a.bytes || b.flows - a.flows).slice(0, MAX_TOP_ENTRIES),
+		topDnsNames: [...stats.dnsNames]
+			.map(([name, entry]) => ({ name, ...entry }))
+			.sort((a, b) => b.queries - a.queries || b.failures - a.failures)
+			.slice(0, MAX_TOP_ENTRIES),
+		topSnis: [...snis.values()].sort((a, b) => b.tls + b.quic - (a.tls + a.quic)).slice(0, MAX_TOP_ENTRIES),
+		delivery,
+		arp: {
+			requests: stats.arp.requests,
+			replies: stats.arp.replies,
+			gratuitous: stats.arp.gratuitous,
+			unanswered: arpTargets.filter((target) => target.requests > 0 && target.replies === 0).length,
+			topTargets: arpTargets.sort((a, b) => b.requests - a.requests).slice(0, MAX_TOP_ENTRIES),
+		},
+	};
+}
+
+/**
+ * Format the capture statistics as text lines
+ * @param {Object} summary - From summarizeCaptureStatistics
+ * @returns {Array<string>}
+ */
+function formatCaptureStatistics(summary) {
+	const lines = ['Protocol hierarchy (packets, bytes):'];
+	for (const node of summary.protocolHierarchy) {
+		lines.push(
+			`${'  '.repeat(node.depth + 1)}${node.protocol}: ${node.packets} packets (${node.packetPercent}%), ${node.bytes} bytes (${node.bytePercent}%)`,
+		);
+	}
+
+	const { broadcast, multicast } = summary.delivery;
+	lines.push(
+		`Broadcast: ${broadcast.packets} packets (${broadcast.packetPercent}%) | Multicast: ${multicast.packets} packets (${multicast.packetPercent}%)`,
+	);
+	const talkers = (label, entries, key) => {
+		if (entries.length === 0) return;
+		lines.push(`${label}: ${entries.map((entry) => `${entry[key]} (${entry.packets} packets, ${entry.bytes} bytes)`).join(', ')}`);
+	};
+	talkers('Top sources', summary.topSources, 'address');
+	talkers('Top destinations', summary.topDestinations, 'address');
+	if (summary.topPorts.length > 0) {
+		lines.push(
+			`Top server ports: ${summary.topPorts.map((port) => `${port.protocol} ${port.port} (${port.flows} flows, ${port.bytes} bytes)`).join(', ')}`,
+		);
+	}
+	if (summary.topDnsNames.length > 0) {
+		lines.push(
+			`Top DNS names: ${summary.topDnsNames.map((name) => `${name.name} (${name.queries} queries${name.failures > 0 ? `, ${name.failures} failed` : ''})`).join(', ')}`,
+		);
+	}
+	if (summary.topSnis.length > 0) {
+		lines.push(
+			`Top SNIs: ${summary.topSnis.map((entry) => `${entry.sni} (${[entry.tls && `${entry.tls} TLS`, entry.quic && `${entry.quic} QUIC`].filter(Boolean).join(', ')})`).join(', ')}`,
+		);
+	}
+	const { arp } = summary;
+	if (arp.requests + arp.replies > 0) {
+		lines.push(
+			`ARP: ${arp.requests} requests, ${arp.replies} replies, ${arp.gratuitous} gratuitous, ${arp.unanswered} addresses never answered`,
+		);
+	}
+	return lines;
+}
+
+/**
+ * Maximum buckets in an I/O series; longer captures get wider buckets
+ */
+const MAX_IO_BUCKETS = 300;
+
+/**
+ * Flows with their own throughput series, the busiest first
+ */
+const MAX_IO_FLOWS = 5;
+
+/**
+ * Buckets averaged as the baseline a throughput collapse is measured against
+ */
+const IO_COLLAPSE_BASELINE = 5;
+
+/**
+ * Throughput below this share of the baseline counts as a collapse
+ */
+const IO_COLLAPSE_RATIO = 0.1;
+
+/**
+ * Baselines below this many bytes per second are too quiet to collapse
+ */
+const IO_COLLAPSE_MIN_RATE = 10000;
+
+/**
+ * Maximum collapses and event buckets listed in the text summary
+ */
+const MAX_IO_LINES = 30;
+
+/**
+ * TCP expert events counted as retransmissions in the I/O series
+ */
+const IO_RETRANSMISSIONS = new Set(['retransmission', 'fastRetransmission', 'spuriousRetransmission']);
+
+/**
+ * Create state for the per-second I/O series
+ * @returns {Object}
+ */
+function createIoSeries() {
+	return { start: null, seconds: new Map(), flows: new Map() };
+}
+
+/**
+ * Count one packet and its problems toward the second it was captured in
+ * @param {Object} series - From createIoSeries
+ * @param {Object} packet - Decoded header fields
+ * @param {Object|null} flow - The tracked flow
+ * @param {Array<Object>} expertEvents - TCP expert events for this packet
+ * @param {number|null} timestamp - Packet time in ms
+ * @param {number} length - Original (wire) length of the frame
+ */
+function trackIoSeries(series, packet, flow, expertEvents, timestamp, length) {
+	if (timestamp === null) return;
+	if (series.start === null) series.start = timestamp;
+	const second = Math.floor((timestamp - series.start) / 1000);
+
+	let counts = series.seconds.get(second);
+	if (!counts) {
+		counts = { packets: 0, bytes: 0, retransmissions: 0, resets: 0, icmpErrors: 0, dnsFailures: 0 };
+		series.seconds.set(second, counts);
+	}
+	counts.packets++;
+	counts.bytes += length;
+	counts.retransmissions += expertEvents.filter((event) => IO_RETRANSMISSIONS.has(event.type)).length;
+	if (packet.transport?.protocol === 'TCP' && packet.transport.flags & 0x04) counts.resets++;
+	if (isIcmpError(packet.transport)) counts.icmpErrors++;
+	if (packet.dns?.isResponse && packet.dns.rcode !== 0) counts.dnsFailures++;
+
+	if (flow) {
+		let seconds = series.flows.get(flow.id);
+		if (!seconds) {
+			seconds = new Map();
+			series.flows.set(flow.id, seconds);
+		}
+		const flowCounts = seconds.get(second) || { packets: 0, bytes: 0 };
+		flowCounts.packets++;
+		flowCounts.bytes += length;
+		seconds.set(second, flowCounts);
+	}
+}
+
+/**
+ * Summarize the I/O series into fixed-width buckets, with rates per second
+ * and the points where throughput collapsed
+ * @param {Object} series - From createIoSeries
+ * @param {Map} flows - Tracked conversations, to pick and label the busiest
+ * @returns {Object|null} - { start, bucketSeconds, buckets, flows, collapses }, null without timestamps
+ */
+function summarizeIoSeries(series, flows) {
+	if (series.start === null) return null;
+	let first = Infinity;
+	let last = -Infinity;
+	for (const second of series.seconds.keys()) {
+		first = Math.min(first, second);
+		last = Math.max(last, second);
+	}
+	const bucketSeconds = Math.max(1, Math.ceil((last - first + 1) / MAX_IO_BUCKETS));
+	const count = Math.floor((last - first) / bucketSeconds) + 1;
+	const index = (second) => Math.floor((second - first) / bucketSeconds);
+	const rate = (value) => Math.round((value / bucketSeconds) * 10) / 10;
+
+	const totals = Array.from({ length: count }, () => ({
+		packets: 0,
+		bytes: 0,
+		retransmissions: 0,
+		resets: 0,
+		icmpErrors: 0,
+		dnsFailures: 0,
+	}));
+	for (const [second, counts] of series.seconds) {
+		const bucket = totals[index(second)];
+		for (const key of Object.keys(bucket)) bucket[key] += counts[key];
+	}
+	const buckets = totals.map((bucket, position) => ({
+		time: new Date(series.start + (first + position * bucketSeconds) * 1000).toISOString(),
+		offset: first + position * bucketSeconds,
+		bytesPerSecond: rate(bucket.bytes),
+		packetsPerSecond: rate(bucket.packets),
+		...bucket,
+	}));
+
+	const busiest = [...flows.values()]
+		.filter((flow) => series.flows.has(flow.id))
+		.sort((a, b) => b.bytesToServer + b.bytesToClient - (a.bytesToServer + a.bytesToClient))
+		.slice(0, MAX_IO_FLOWS);
+	const flowSeries = busiest.map((flow) => {
+		const bytes = new Array(count).fill(0);
+		const packets = new Array(count).fill(0);
+		for (const [second, counts] of series.flows.get(flow.id)) {
+			bytes[index(second)] += counts.bytes;
+			packets[index(second)] += counts.packets;
+		}
+		return {
+			flow: flow.id,
+			protocol: flow.protocol,
+			client: formatEndpoint(flow.client.address, flow.client.port),
+			server: formatEndpoint(flow.server.address, flow.server.port),
+			bytesPerSecond: bytes.map(rate),
+			packetsPerSecond: packets.map(rate),
+		};
+	});
+
+	// A collapse is a bucket far below the average of the buckets just before it
+	const collapses = [];
+	for (let position = IO_COLLAPSE_BASELINE; position < buckets.length; position++) {
+		const window = buckets.slice(position - IO_COLLAPSE_BASELINE, position);
+		const baseline = window.reduce((total, bucket) => total + bucket.bytesPerSecond, 0) / IO_COLLAPSE_BASELINE;
+		const previous = buckets[position - 1];
+		const current = buckets[position];
+		if (baseline < IO_COLLAPSE_MIN_RATE || current.bytesPerSecond >= baseline * IO_COLLAPSE_RATIO) continue;
+		// Report where it starts, not every quiet bucket after it
+		if (previous.bytesPerSecond < baseline * IO_COLLAPSE_RATIO) continue;
+		collapses.push({
+			time: current.time,
+			offset: current.offset,
+			fromBytesPerSecond: Math.round(baseline),
+			toBytesPerSecond: current.bytesPerSecond,
+		});
+	}
+
+	return { start: new Date(series.start).toISOString(), bucketSeconds, buckets, flows: flowSeries, collapses };
+}
+
+/**
+ * Format the I/O series as text lines: peak rates, collapses and the buckets with problems
+ * @param {Object|null} summary - From summarizeIoSeries
+ * @returns {Array<string>}
+ */
+function formatIoSeries(summary) {
+	if (!summary) return ['No packet timestamps'];
+	const peak = summary.buckets.reduce((best, bucket) => (bucket.bytesPerSecond > best.bytesPerSecond ? bucket : best));
+	const lines = [
+		`${summary.buckets.length} buckets of ${summary.bucketSeconds} s from ${summary.start} | ` +
+			`peak ${peak.bytesPerSecond} bytes/s, ${peak.packetsPerSecond} packets/s at ${peak.time}`,
+	];
+
+	for (const collapse of summary.collapses.slice(0, MAX_IO_LINES)) {
+		lines.push(`[${collapse.time}] ⚠️  Throughput collapse: ${collapse.fromBytesPerSecond} → ${collapse.toBytesPerSecond} bytes/s`);
+	}
+
+	const eventful = summary.buckets.filter((bucket) => bucket.retransmissions + bucket.resets + bucket.icmpErrors + bucket.dnsFailures > 0);
+	for (const bucket of eventful.slice(0, MAX_IO_LINES)) {
+		const events = [
+			[bucket.retransmissions, 'retransmissions'],
+			[bucket.resets, 'RSTs'],
+			[bucket.icmpErrors, 'ICMP errors'],
+			[bucket.dnsFailures, 'DNS failures'],
+		].filter(([value]) => value > 0);
+		lines.push(`[${bucket.time}] ${bucket.bytesPerSecond} bytes/s | ${events.map(([value, name]) => `${value} ${name}`).join(', ')}`);
+	}
+	if (eventful.length > MAX_IO_LINES) lines.push(`... and ${eventful.length - MAX_IO_LINES} more buckets with problems`);
+
+	return lines;
+}
+
+/**
+ * Packets remembered per capture for matching across captures
+ */
+const MAX_TUNNEL_TRACE_PACKETS = 200000;
+
+/**
+ * Largest time difference between a packet on the tunnel interface and its
+ * encrypted copy on the physical interface
+ */
+const TUNNEL_MATCH_WINDOW_MS = 50;
+
+/**
+ * Encrypted packets checked per tunnel packet when matching
+ */
+const MAX_TUNNEL_MATCH_CANDIDATES = 64;
+
+/**
+ * Bytes WireGuard transport data adds to an inner packet padded to 16 bytes:
+ * a 16-byte header and a 16-byte authentication tag
+ */
+const WIREGUARD_OVERHEAD = 32;
+
+/**
+ * Bytes MASQUE adds: a QUIC short header, the HTTP/3 DATAGRAM framing and the
+ * tag. The connection ID length varies, so any size in the range is accepted.
+ */
+const MASQUE_OVERHEAD = { min: 20, max: 64 };
+
+/**
+ * How long before a sequence gap an undelivered encrypted packet can account for it
+ */
+const TUNNEL_GAP_WINDOW_MS = 200;
+
+/**
+ * Maximum loss events returned, and listed in the text summary
+ */
+const MAX_TUNNEL_LOSS_ENTRIES = 100;
+const MAX_TUNNEL_LOSS_LINES = 20;
+
+/**
+ * Where a packet was lost, relative to the WARP tunnel
+ */
+const TUNNEL_LOSS_STAGES = {
+	beforeEncapsulation: 'lost before encapsulation (never left the client encrypted)',
+	afterEncapsulation: 'lost after encapsulation (between the client and Cloudflare)',
+	afterDecapsulation: 'lost after decapsulation (arrived encrypted, never reached the tunnel interface)',
+};
+
+/**
+ * Create state for the packets that cross-capture tunnel matching needs
+ * @returns {Object}
+ */
+function createTunnelTrace() {
+	return { start: null, end: null, inner: [], outer: [], losses: [], outerInterfaces: new Set(), segments: new Map(), truncated: false };
+}
+
+/**
+ * Remember a packet for tunnel matching: WireGuard transport data and MASQUE
+ * short-header packets are encrypted tunnel traffic, everything else may be
+ * inner traffic. TCP retransmissions and sequence gaps are kept as losses.
+ * @param {Object} trace - From createTunnelTrace
+ * @param {Uint8Array} data - Packet bytes (the reassembled datagram for fragments)
+ * @param {Object} record - From the capture's records()
+ * @param {Object} packet
+ * @param {Object|null} tracked - { flow, fromClient } from trackConversation
+ * @param {Array<Object>} expertEvents - From analyzeTcpSegment
+ * @param {number} packetNumber
+ */
+function trackTunnelTrace(trace, data, record, packet, tracked, expertEvents, packetNumber) {
+	const time = record.timestamp;
+	if (time === null) return;
+	if (trace.start === null) trace.start = time;
+	trace.end = time;
+	if (!tracked) return;
+	if (trace.inner.length + trace.outer.length >= MAX_TUNNEL_TRACE_PACKETS) {
+		trace.truncated = true;
+		return;
+	}
+
+	const { flow, fromClient } = tracked;
+	const { transport } = packet;
+	const interfaceId = record.interfaceId ?? 0;
+	// The WireGuard or MASQUE client is always the device itself, so its packets are outbound
+	if (packet.wireguard?.type === 4 && !packet.wireguard.keepalive) {
+		trace.outerInterfaces.add(interfaceId);
+		trace.outer.push({ packet: packetNumber, time, outbound: fromClient, size: packet.wireguard.length, tunnel: 'WireGuard' });
+		return;
+	}
+	if (flow.tunnel === 'MASQUE' && transport.payloadLength > 0 && (data[transport.payloadOffset] & 0x80) === 0) {
+		trace.outerInterfaces.add(interfaceId);
+		trace.outer.push({ packet: packetNumber, time, outbound: fromClient, size: transport.payloadLength, tunnel: 'MASQUE' });
+		return;
+	}
+
+	const entry = { packet: packetNumber, time, size: packet.ip.length, flow: flow.id, fromClient, interfaceId };
+	trace.inner.push(entry);
+	if (transport?.protocol !== 'TCP' || !(transport.payloadLength > 0)) return;
+
+	const key = `${flow.id}|${fromClient}|${transport.seq}`;
+	const original = trace.segments.get(key);
+	if (!original) trace.segments.set(key, entry);
+	for (const event of expertEvents) {
+		if ((event.type === 'retransmission' || event.type === 'fastRetransmission') && original) {
+			trace.losses.push({ kind: 'retransmission', entry, original });
+		} else if (event.type === 'previousSegmentLost') {
+			trace.losses.push({ kind: 'gap', entry, original: null });
+		}
+	}
+}
+
+/**
+ * Drop the matching state that is only needed while reading the capture
+ * @param {Object} trace - From createTunnelTrace
+ * @returns {Object}
+ */
+function finishTunnelTrace(trace) {
+	const { segments, ...rest } = trace;
+	return rest;
+}
+
+/**
+ * Whether an encrypted packet can carry an inner packet of the given size
+ * @param {Object} outer - Encrypted packet from the trace
+ * @param {number} innerSize - IP length of the inner packet
+ * @returns {boolean}
+ */
+function tunnelSizeFits(outer, innerSize) {
+	if (outer.tunnel === 'WireGuard') return outer.size === WIREGUARD_OVERHEAD + Math.ceil(innerSize / 16) * 16;
+	const overhead = outer.size - innerSize;
+	return overhead >= MASQUE_OVERHEAD.min && overhead <= MASQUE_OVERHEAD.max;
+}
+
+/**
+ * Pair tunnel-interface packets with their encrypted copies, in time order:
+ * each inner packet takes the earliest unmatched encrypted packet of a fitting
+ * size within the match window
+ * @param {Array<Object>} inner - Sorted by time
+ * @param {Array<Object>} outer - Sorted by time
+ * @returns {Map<Object, Object>} - Both directions: inner → outer and outer → inner
+ */
+function matchTunnelPackets(inner, outer) {
+	const matches = new Map();
+	let first = 0;
+	for (const entry of inner) {
+		while (first < outer.length && outer[first].time < entry.time - TUNNEL_MATCH_WINDOW_MS) first++;
+		for (let index = first, checked = 0; index < outer.length && checked < MAX_TUNNEL_MATCH_CANDIDATES; index++, checked++) {
+			const candidate = outer[index];
+			if (candidate.time > entry.time + TUNNEL_MATCH_WINDOW_MS) break;
+			if (matches.has(candidate) || !tunnelSizeFits(candidate, entry.size)) continue;
+			matches.set(entry, candidate);
+			matches.set(candidate, entry);
+			break;
+		}
+	}
+	return matches;
+}
+
+/**
+ * Merge several captures onto one time axis and, when one side saw the tunnel
+ * interface and another the encrypted WireGuard or MASQUE traffic on the
+ * physical interface, match packets through the tunnel by timing and size.
+ * A lost TCP segment is then placed before encapsulation (the client never
+ * sent it encrypted), after encapsulation (it was on the wire, so the network
+ * lost it) or after decapsulation (it arrived encrypted but never reached the
+ * tunnel interface). Interfaces with encrypted tunnel traffic are the
+ * physical side; the rest are the tunnel side.
+ * @param {Array<Object>} captures - { filename, trace } with the trace from analyzePcapFile
+ * @returns {Object|null} - { start, end, captures, tunnel, truncated }, null without two interfaces to merge
+ */
+export function correlateCaptures(captures) {
+	const usable = captures.filter((capture) => capture.trace && capture.trace.start !== null);
+	const interfaces = usable.reduce(
+		(total, { trace }) => total + new Set(trace.inner.map((entry) => entry.interfaceId)).size + trace.outerInterfaces.size,
+		0,
+	);
+	if (usable.length < 2 && interfaces < 2) return null;
+
+	let start = Infinity;
+	let end = -Infinity;
+	for (const { trace } of usable) {
+		start = Math.min(start, trace.start);
+		end = Math.max(end, trace.end);
+	}
+	const offset = (time) => roundMs(time - start) / 1000;
+
+	const inner = [];
+	const outer = [];
+	let physicalSpan = null;
+	let tunnelSpan = null;
+	const widen = (span, trace) =>
+		span ? { start: Math.min(span.start, trace.start), end: Math.max(span.end, trace.end) } : { start: trace.start, end: trace.end };
+	const summaries = usable.map(({ filename, trace }, capture) => {
+		const tunnelSide = trace.inner.filter((entry) => !trace.outerInterfaces.has(entry.interfaceId));
+		inner.push(...tunnelSide.map((entry) => ({ ...entry, capture })));
+		outer.push(...trace.outer.map((entry) => ({ ...entry, capture })));
+		if (trace.outer.length > 0) physicalSpan = widen(physicalSpan, trace);
+		if (tunnelSide.length > 0) tunnelSpan = widen(tunnelSpan, trace);
+		const role = trace.outer.length > 0 ? (tunnelSide.length > 0 ? 'both' : 'physical') : 'tunnel';
+		return {
+			filename,
+			role,
+			start: new Date(trace.start).toISOString(),
+			end: new Date(trace.end).toISOString(),
+			startOffset: offset(trace.start),
+			endOffset: offset(trace.end),
+			encryptedPackets: trace.outer.length,
+			tunnelPackets: tunnelSide.length,
+		};
+	});
+
+	const result = {
+		start: new Date(start).toISOString(),
+		end: new Date(end).toISOString(),
+		captures: summaries,
+		tunnel: null,
+		truncated: usable.some(({ trace }) => trace.truncated),
+	};
+	if (inner.length === 0 || outer.length === 0) return result;
+
+	// Only packets from while the other side was capturing can be matched
+	const during = (span) => (entry) => entry.time >= span.start - TUNNEL_MATCH_WINDOW_MS && entry.time <= span.end + TUNNEL_MATCH_WINDOW_MS;
+	const innerSeen = inner.filter(during(physicalSpan)).sort((a, b) => a.time - b.time);
+	const outerSeen = outer.filter(during(tunnelSpan)).sort((a, b) => a.time - b.time);
+	const matches = matchTunnelPackets(innerSeen, outerSeen);
+
+	// Each inner flow direction takes the direction of the encrypted packets it matched
+	const votes = new Map();
+	const directionKey = (entry) => `${entry.capture}|${entry.flow}|${entry.fromClient}`;
+	for (const entry of innerSeen) {
+		const match = matches.get(entry);
+		if (!match) continue;
+		const vote = votes.get(directionKey(entry)) ?? { outbound: 0, inbound: 0 };
+		vote[match.outbound ? 'outbound' : 'inbound']++;
+		votes.set(directionKey(entry), vote);
+	}
+	const direction = (entry) => {
+		const vote = votes.get(directionKey(entry));
+		if (!vote) return null;
+		return vote.outbound >= vote.inbound ? 'outbound' : 'inbound';
+	};
+
+	const delays = { outbound: [], inbound: [] };
+	for (const entry of innerSeen) {
+		const match = matches.get(entry);
+		if (match?.outbound) delays.outbound.push(roundMs(match.time - entry.time));
+		else if (match) delays.inbound.push(roundMs(entry.time - match.time));
+	}
+	const median = (values) => (values.length > 0 ? percentile(values.sort((a, b) => a - b), 50) : null);
+	const outboundInner = innerSeen.filter((entry) => direction(entry) === 'outbound');
+	const inboundOuter = outerSeen.filter((entry) => !entry.outbound);
+
+	const captureName = (entry) => usable[entry.capture].filename;
+	const reference = (entry) => ({ capture: captureName(entry), packet: entry.packet });
+	const counts = { beforeEncapsulation: 0, afterEncapsulation: 0, afterDecapsulation: 0 };
+	const events = [];
+	const undelivered = inboundOuter.filter((entry) => !matches.has(entry));
+	const seen = new Map(innerSeen.map((entry) => [`${entry.capture}|${entry.packet}`, entry]));
+	for (const [capture, { trace }] of usable.entries()) {
+		for (const loss of trace.losses) {
+			const entry = seen.get(`${capture}|${loss.entry.packet}`);
+			if (!entry) continue;
+			const way = direction(entry);
+			let stage = null;
+			let wire = null;
+			if (loss.kind === 'retransmission' && way === 'outbound') {
+				// The first transmission reaching the wire means the network lost it
+				const original = seen.get(`${capture}|${loss.original.packet}`);
+				if (!original) continue;
+				wire = matches.get(original) ?? null;
+				stage = wire ? 'afterEncapsulation' : 'beforeEncapsulation';
+			} else if (loss.kind === 'gap' && way === 'inbound') {
+				// An encrypted packet that arrived but was never delivered can be the missing segment
+				wire = undelivered.find((candidate) => candidate.time <= entry.time && candidate.time >= entry.time - TUNNEL_GAP_WINDOW_MS) ?? null;
+				stage = wire ? 'afterDecapsulation' : 'afterEncapsulation';
+			}
+			if (!stage) continue;
+			counts[stage]++;
+			events.push({
+				time: new Date(entry.time).toISOString(),
+				offset: offset(entry.time),
+				stage,
+				direction: way,
+				capture: captureName(entry),
+				packet: entry.packet,
+				flow: entry.flow,
+				original: loss.original ? loss.original.packet : null,
+				wire: wire ? reference(wire) : null,
+			});
+		}
+	}
+	events.sort((a, b) => a.offset - b.offset);
+
+	result.tunnel = {
+		outbound: {
+			packets: outboundInner.length,
+			encapsulated: outboundInner.filter((entry) => matches.has(entry)).length,
+			medianDelayMs: median(delays.outbound),
+		},
+		inbound: {
+			packets: inboundOuter.length,
+			decapsulated: inboundOuter.length - undelivered.length,
+			medianDelayMs: median(delays.inbound),
+		},
+		losses: counts,
+		events: events.slice(0, MAX_TUNNEL_LOSS_ENTRIES),
+	};
+	return result;
+}
+
+/**
+ * Format a capture correlation as text lines
+ * @param {Object} correlation - From correlateCaptures
+ * @returns {Array<string>}
+ */
+export function formatCaptureCorrelation(correlation) {
+	const roles = {
+		physical: 'physical interface, encrypted tunnel traffic',
+		tunnel: 'tunnel interface',
+		both: 'tunnel and physical interfaces',
+	};
+	const lines = [`Merged time axis: ${correlation.start} to ${correlation.end} (${correlation.captures.length} captures)`];
+	for (const capture of correlation.captures) {
+		lines.push(
+			`  ${capture.filename} (${roles[capture.role]}): +${capture.startOffset.toFixed(3)} s to +${capture.endOffset.toFixed(3)} s`,
+		);
+	}
+	if (correlation.truncated) lines.push(`Only the first ${MAX_TUNNEL_TRACE_PACKETS} packets of each capture were matched`);
+
+	const { tunnel } = correlation;
+	if (!tunnel) {
+		lines.push('No tunnel matching: needs the tunnel interface and the physical interface with WireGuard or MASQUE traffic');
+		return lines;
+	}
+	const delay = (ms) => (ms !== null ? ` (median ${ms} ms later)` : '');
+	lines.push(
+		`Outbound: ${tunnel.outbound.packets} packets on the tunnel interface, ${tunnel.outbound.encapsulated} seen encrypted on the wire` +
+			`${delay(tunnel.outbound.medianDelayMs)}, ${tunnel.outbound.packets - tunnel.outbound.encapsulated} never encrypted`
+	);
+	lines.push(
+		`Inbound: ${tunnel.inbound.packets} encrypted packets on the wire, ${tunnel.inbound.decapsulated} delivered to the tunnel interface` +
+			`${delay(tunnel.inbound.medianDelayMs)}, ${tunnel.inbound.packets - tunnel.inbound.decapsulated} never delivered`
+	);
+	lines.push(
+		`Losses: ${tunnel.losses.beforeEncapsulation} before encapsulation | ${tunnel.losses.afterEncapsulation} after encapsulation | ` +
+			`${tunnel.losses.afterDecapsulation} after decapsulation`
+	);
+	for (const event of tunnel.events.slice(0, MAX_TUNNEL_LOSS_LINES)) {
+		const cause = event.original !== null ? `retransmits packet ${event.original}` : 'follows a missing segment';
+		const wire = event.wire ? `, wire packet ${event.wire.packet} in ${event.wire.capture}` : '';
+		lines.push(
+			`[+${event.offset.toFixed(3)} s] ⚠️  ${event.capture} [Packet ${event.packet}] Flow ${event.flow} ${event.direction} ${cause}: ${TUNNEL_LOSS_STAGES[event.stage]}${wire}`,
+		);
+	}
+	if (tunnel.events.length > MAX_TUNNEL_LOSS_LINES) lines.push(`... and ${tunnel.events.length - MAX_TUNNEL_LOSS_LINES} more losses`);
+	return lines;
+}
+
+/**
+ * Round-trip metrics measured from captures, in report order
+ */
+const LATENCY_METRICS = {
+	tcpSynToSynAck: 'TCP SYN→SYN/ACK',
+	tcpSynAckToAck: 'TCP SYN/ACK→ACK',
+	dns: 'DNS query→response',
+	icmpEcho: 'ICMP echo',
+	wireguardHandshake: 'WireGuard handshake',
+	quicHandshake: 'QUIC handshake',
+};
+
+/**
+ * Maximum destinations listed in the latency summary
+ */
+const MAX_LATENCY_DESTINATIONS = 100;
+
+/**
+ * Create state for pairing requests with responses across a capture
+ * @returns {Object}
+ */
+function createLatencyTracker() {
+	return {
+		samples: new Map(), // destination -> { metric -> [ms] }
+		echoRequests: new Map(),
+	};
+}
+
+/**
+ * Record one round-trip sample for a destination
+ * @param {Object} tracker
+ * @param {string} destination
+ * @param {string} metric - Key of LATENCY_METRICS
+ * @param {number} ms
+ */
+function addLatencySample(tracker, destination, metric, ms) {
+	if (ms < 0) return;
+	let metrics = tracker.samples.get(destination);
+	if (!metrics) {
+		metrics = {};
+		tracker.samples.set(destination, metrics);
+	}
+	(metrics[metric] ||= []).push(ms);
+}
+
+/**
+ * Pair requests with responses to measure round trips: TCP handshakes and
+ * ICMP echoes. DNS, WireGuard and QUIC samples come from their trackers.
+ * @param {Object} tracker - From createLatencyTracker
+ * @param {Object} packet - Decoded header fields from analyzePacketData
+ * @param {Object} flow - Flow the packet belongs to
+ * @param {boolean} fromClient - Whether the client sent the packet
+ * @param {number} timestamp - Milliseconds since the epoch
+ */
+function trackLatency(tracker, packet, flow, fromClient, timestamp) {
+	const { ip, transport } = packet;
+	if (!transport) return;
+
+	if (transport.protocol === 'TCP') {
+		trackTcpHandshakeTiming(tracker, flow, transport.flags, fromClient, timestamp);
+	} else if (transport.identifier !== undefined) {
+		const isRequest = transport.type === 8 || transport.type === 128;
+		const key = `${transport.identifier}|${transport.sequence}`;
+		if (isRequest) {
+			tracker.echoRequests.set(`${ip.src}|${ip.dst}|${key}`, timestamp);
+		} else {
+			const requestKey = `${ip.dst}|${ip.src}|${key}`;
+			const sent = tracker.echoRequests.get(requestKey);
+			if (sent !== undefined) {
+				tracker.echoRequests.delete(requestKey);
+				addLatencySample(tracker, ip.src, 'icmpEcho', timestamp - sent);
+			}
+		}
+	}
+}
+
+/**
+ * Time the TCP three-way handshake. The latest SYN is used so a retransmitted
+ * SYN measures the network rather than the retransmission timeout.
+ * @param {Object} tracker
+ * @param {Object} flow
+ * @param {number} flags - TCP flags byte
+ * @param {boolean} fromClient
+ * @param {number} timestamp
+ */
+function trackTcpHandshakeTiming(tracker, flow, flags, fromClient, timestamp) {
+	const timing = (flow.tcp.timing ||= { syn: null, synAck: null, rtt: null });
+	const syn = (flags & 0x02) !== 0;
+	const ack = (flags & 0x10) !== 0;
+	const destination = formatEndpoint(flow.server.address, flow.server.port);
+
+	if (syn && !ack && fromClient) {
+		timing.syn = timestamp;
+	} else if (syn && ack && !fromClient && timing.syn !== null && timing.synAck === null) {
+		timing.synAck = timestamp;
+		addLatencySample(tracker, destination, 'tcpSynToSynAck', timestamp - timing.syn);
+	} else if (!syn && ack && fromClient && timing.synAck !== null && timing.rtt === null) {
+		addLatencySample(tracker, destination, 'tcpSynAckToAck', timestamp - timing.synAck);
+		// SYN → final ACK spans one full round trip from any vantage point
+		timing.rtt = timestamp - timing.syn;
+	}
+}
+
+/**
+ * Nearest-rank percentile of sorted samples
+ * @param {Array<number>} sorted
+ * @param {number} percentile - 0-100
+ * @returns {number}
+ */
+function percentile(sorted, percentile) {
+	const rank = Math.max(1, Math.ceil((percentile / 100) * sorted.length));
+	return sorted[rank - 1];
+}
+
+/**
+ * Round milliseconds to microsecond precision
+ * @param {number} ms
+ * @returns {number}
+ */
+function roundMs(ms) {
+	return Math.round(ms * 1000) / 1000;
+}
+
+/**
+ * Reduce latency samples to p50/p95/max per destination and metric
+ * @param {Object} tracker
+ * @returns {Array<Object>} - [{ destination, metrics: { metric: { count, p50, p95, max } } }]
+ */
+function summarizeLatency(tracker) {
+	const destinations = [];
+
+	for (const [destination, samples] of tracker.samples) {
+		const metrics = {};
+		let count = 0;
+		for (const metric of Object.keys(LATENCY_METRICS)) {
+			if (!samples[metric]) continue;
+			const sorted = [...samples[metric]].sort((a, b) => a - b);
+			metrics[metric] = {
+				count: sorted.length,
+				p50: roundMs(percentile(sorted, 50)),
+				p95: roundMs(percentile(sorted, 95)),
+				max: roundMs(sorted[sorted.length - 1]),
+			};
+			count += sorted.length;
+		}
+		destinations.push({ destination, samples: count, metrics });
+	}
+
+	// Busiest destinations first
+	return destinations.sort((a, b) => b.samples - a.samples).slice(0, MAX_LATENCY_DESTINATIONS);
+}
+
+/**
+ * Format the latency summary as text lines
+ * @param {Array<Object>} destinations - From summarizeLatency
+ * @returns {Array<string>}
+ */
+export function formatLatencySummary(destinations) {
+	if (destinations.length === 0) return ['No request/response pairs to measure'];
+
+	const lines = [];
+	for (const { destination, metrics } of destinations) {
+		for (const [metric, stats] of Object.entries(metrics)) {
+			lines.push(
+				`${destination} ${LATENCY_METRICS[metric]}: n=${stats.count} p50 ${stats.p50} ms / p95 ${stats.p95} ms / max ${stats.max} ms`
+			);
+		}
+	}
+	return lines;
+}
+
+/**
+ * Describe how a TCP handshake went
+ * @param {Object} state - Flow TCP state
+ * @returns {string}
+ */
+function describeHandshake(state) {
+	if (state.synRejected) return 'refused';
+	if (state.syn && state.synAck && state.ack) return 'complete';
+	if (state.syn && state.synAck) return 'incomplete (no final ACK)';
+	if (state.syn) return 'no response';
+	if (state.synAck) return 'partial (SYN not captured)';
+	return 'not observed';
+}
+
+/**
+ * Turn the flow table into a conversation table
+ * @param {Map<string, Object>} flows - Flow table
+ * @param {number|null} captureEnd - Timestamp of the last packet in the capture
+ * @returns {Array<Object>} - Conversations in order of first appearance
+ */
+function summarizeConversations(flows, captureEnd) {
+	const conversations = [];
+
+	for (const flow of flows.values()) {
+		const idle = captureEnd !== null && flow.end !== null && captureEnd - flow.end >= FLOW_IDLE_TIMEOUT_MS;
+		const conversation = {
+			id: flow.id,
+			protocol: flow.protocol,
+			client: formatEndpoint(flow.client.address, flow.client.port),
+			server: formatEndpoint(flow.server.address, flow.server.port),
+			start: flow.start !== null ? new Date(flow.start).toISOString() : null,
+			end: flow.end !== null ? new Date(flow.end).toISOString() : null,
+			durationMs: flow.start !== null ? Math.round((flow.end - flow.start) * 1000) / 1000 : null,
+			firstPacket: flow.firstPacket,
+			lastPacket: flow.lastPacket,
+			packetsToServer: flow.packetsToServer,
+			bytesToServer: flow.bytesToServer,
+			packetsToClient: flow.packetsToClient,
+			bytesToClient: flow.bytesToClient,
+		};
+
+		if (flow.tunnel) conversation.tunnel = flow.tunnel;
+		if (flow.encapsulation) conversation.encapsulation = flow.encapsulation;
+		if (flow.tcp) {
+			conversation.handshake = describeHandshake(flow.tcp);
+			conversation.tcpIssues = flow.expertCounts;
+			conversation.closeReason = flow.tcp.close ? flow.tcp.close.reason : idle ? 'timeout' : 'open';
+			conversation.closedBy = flow.tcp.close ? flow.tcp.close.by : null;
+			conversation.closePacket = flow.tcp.close ? flow.tcp.close.packet : null;
+		} else {
+			conversation.closeReason = idle ? 'timeout' : 'open';
+		}
+
+		conversations.push(conversation);
+	}
+
+	return conversations;
+}
+
+/**
+ * Total bytes exchanged in a conversation
+ * @param {Object} conversation
+ * @returns {number}
+ */
+function conversationBytes(conversation) {
+	return conversation.bytesToServer + conversation.bytesToClient;
+}
+
+/**
+ * Whether a conversation shows a failure worth listing first
+ * @param {Object} conversation
+ * @returns {boolean}
+ */
+function isProblemConversation(conversation) {
+	if (conversation.closeReason === 'RST' || conversation.closeReason === 'timeout') return true;
+	return conversation.handshake !== undefined && conversation.handshake !== 'complete' && conversation.handshake !== 'not observed';
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatByteCount(bytes) {
+	if (bytes < 1024) return `${bytes} B`;
+	if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+	return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a conversation table as text lines.
+ * Failed or reset conversations come first, then the busiest ones.
+ * @param {Array<Object>} conversations
+ * @returns {Array<string>}
+ */
+function formatConversationTable(conversations) {
+	const ordered = [...conversations].sort((a, b) => {
+		const problem = Number(isProblemConversation(b)) - Number(isProblemConversation(a));
+		return problem !== 0 ? problem : conversationBytes(b) - conversationBytes(a);
+	});
+
+	const lines = ordered.slice(0, MAX_CONVERSATION_LINES).map(conv => {
+		const duration = conv.durationMs !== null ? ` (${(conv.durationMs / 1000).toFixed(3)}s)` : '';
+		const traffic = `→ ${conv.packetsToServer} pkts/${formatByteCount(conv.bytesToServer)} ← ${conv.packetsToClient} pkts/${formatByteCount(conv.bytesToClient)}`;
+		let line = `[Flow ${conv.id}] ${conv.protocol} ${conv.client} ↔ ${conv.server} | ${conv.start || 'no timestamp'}${duration} | ${traffic}`;
+		if (conv.tunnel) line += ` | WARP tunnel (${conv.tunnel})`;
+		if (conv.encapsulation) line += ` | via ${conv.encapsulation}`;
+		if (conv.handshake) line += ` | handshake ${conv.handshake}`;
+		const issues = Object.entries(conv.tcpIssues || {}).filter(([type]) => !TCP_INFO_EVENTS.has(type));
+		if (issues.length > 0)
+			line += ` | ${issues.map(([type, count]) => `${count} ${TCP_EXPERT_LABELS[type].replace('TCP ', '')}`).join(', ')}`;
+		line += conv.closedBy ? ` | closed ${conv.closeReason} by ${conv.closedBy} (packet ${conv.closePacket})` : ` | ${conv.closeReason}`;
+		line += ` | packets ${conv.firstPacket}-${conv.lastPacket}`;
+		return line;
+	});
+
+	if (ordered.length > MAX_CONVERSATION_LINES) {
+		lines.push(`... and ${ordered.length - MAX_CONVERSATION_LINES} more conversations`);
+	}
+
+	return lines;
+}
+
+/**
+ * EtherTypes that introduce an 802.1Q / 802.1ad VLAN tag
+ */
+const VLAN_ETHERTYPES = new Set([0x8100, 0x88a8, 0x9100]);
+
+/**
+ * BSD loopback (DLT_NULL / DLT_LOOP) address family values for IPv6.
+ * The value differs per OS: NetBSD/OpenBSD 24, FreeBSD 28, macOS 30.
+ */
+const BSD_AF_INET6 = new Set([24, 28, 30]);
+
+/**
+ * Linux cooked capture packet types (sll_pkttype)
+ */
+const SLL_PACKET_TYPES = ['incoming', 'broadcast', 'multicast', 'to another host', 'outgoing'];
+
+/**
+ * Link-layer delivery for Linux SLL packet types; outgoing packets do not say
+ */
+const SLL_DELIVERY = ['unicast', 'broadcast', 'multicast', 'unicast'];
+
+/**
+ * Map an IP version nibble to the matching EtherType
+ * @param {number} firstByte - First byte of the network header
+ * @returns {number|null}
+ */
+function etherTypeForIpVersion(firstByte) {
+	const version = firstByte >> 4;
+	if (version === 4) return 0x0800;
+	if (version === 6) return 0x86dd;
+	return null;
+}
+
+/**
+ * Map a BSD loopback address family to the matching EtherType
+ * @param {number} family
+ * @returns {number|null}
+ */
+function etherTypeForBsdFamily(family) {
+	if (family === 2) return 0x0800;
+	if (BSD_AF_INET6.has(family)) return 0x86dd;
+	return null;
+}
+
+/**
+ * Decode the link-layer header of a packet
+ * @param {Uint8Array} data - Full data buffer
+ * @param {DataView} view - DataView of the buffer
+ * @param {number} offset - Offset to packet start
+ * @param {number} end - Offset where the captured packet ends
+ * @param {number} linkType - Link-layer header type of the capture interface
+ * @returns {Object|null} - { etherType, offset, vlans, description, delivery, eth }, or null for unsupported link types.
+ *   `delivery` is 'unicast', 'broadcast' or 'multicast' when the link layer says, null otherwise.
+ *   `eth` is { src, dst, type } for Ethernet frames, null otherwise.
+ */
+function decodeLinkLayer(data, view, offset, end, linkType) {
+	const length = end - offset;
+	let etherType = null;
+	let networkOffset = offset;
+	let description = null;
+	let delivery = null;
+	let eth = null;
+
+	switch (linkType) {
+		case 1: // Ethernet
+			if (length < 14) return { error: 'Packet too small' };
+			etherType = view.getUint16(offset + 12, false);
+			networkOffset = offset + 14;
+			eth = { src: formatMac(data.subarray(offset + 6, offset + 12)), dst: formatMac(data.subarray(offset, offset + 6)), type: etherType };
+			// The group bit of the destination MAC marks multicast, all ones broadcast
+			if (data.subarray(offset, offset + 6).every((byte) => byte === 0xff)) delivery = 'broadcast';
+			else delivery = data[offset] & 0x01 ? 'multicast' : 'unicast';
+			break;
+
+		case 0: // BSD loopback, address family in the capturing host's byte order
+		case 108: {
+			// DLT_LOOP, address family always big-endian
+			if (length < 4) return { error: 'Packet too small' };
+			let family = view.getUint32(offset, linkType === 108 ? false : true);
+			if (linkType === 0 && family > 0xffff) family = view.getUint32(offset, false);
+			etherType = etherTypeForBsdFamily(family);
+			networkOffset = offset + 4;
+			if (etherType === null) description = `Loopback address family ${family}`;
+			break;
+		}
+
+		case 12: // DLT_RAW on OpenBSD
+		case 14: // DLT_RAW on BSD/OS
+		case 101: // Raw IP, version taken from the header itself
+			if (length < 1) return { error: 'Packet too small' };
+			etherType = etherTypeForIpVersion(data[offset]);
+			break;
+
+		case 228:
+			etherType = 0x0800;
+			break;
+
+		case 229:
+			etherType = 0x86dd;
+			break;
+
+		case 113: {
+			// Linux cooked capture v1 (tcpdump -i any)
+			if (length < 16) return { error: 'Packet too small' };
+			const packetType = view.getUint16(offset, false);
+			etherType = view.getUint16(offset + 14, false);
+			networkOffset = offset + 16;
+			description = `Linux SLL: ${SLL_PACKET_TYPES[packetType] || `packet type ${packetType}`}`;
+			delivery = SLL_DELIVERY[packetType] ?? null;
+			break;
+		}
+
+		case 276: {
+			// Linux cooked capture v2, also carries the interface index
+			if (length < 20) return { error: 'Packet too small' };
+			const ifIndex = view.getUint32(offset + 4, false);
+			const packetType = data[offset + 10];
+			etherType = view.getUint16(offset, false);
+			networkOffset = offset + 20;
+			description = `Linux SLL2: ${SLL_PACKET_TYPES[packetType] || `packet type ${packetType}`} on ifindex ${ifIndex}`;
+			delivery = SLL_DELIVERY[packetType] ?? null;
+			break;
+		}
+
+		default:
+			return null;
+	}
+
+	// Strip 802.1Q tags, including stacked QinQ tags
+	const vlans = [];
+	while (etherType !== null && VLAN_ETHERTYPES.has(etherType) && networkOffset + 4 <= end) {
+		const tci = view.getUint16(networkOffset, false);
+		vlans.push({ id: tci & 0x0fff, priority: tci >> 13, tpid: etherType });
+		etherType = view.getUint16(networkOffset + 2, false);
+		networkOffset += 4;
+	}
+
+	return { etherType, offset: networkOffset, vlans, description, delivery, eth };
+}
+
+/**
+ * Format a MAC address as lowercase colon-separated hex
+ * @param {Uint8Array} bytes - 6 bytes
+ * @returns {string}
+ */
+function formatMac(bytes) {
+	return [...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join(':');
+}
+
+/**
+ * Nested tunnels decoded before giving up on a packet
+ */
+const MAX_ENCAPSULATION_DEPTH = 4;
+
+/**
+ * IANA UDP ports for VXLAN (RFC 7348) and GENEVE (RFC 8926)
+ */
+const VXLAN_PORT = 4789;
+const GENEVE_PORT = 6081;
+
+/**
+ * GRE and GENEVE protocol type for an Ethernet frame (Transparent Ethernet Bridging)
+ */
+const ETHERTYPE_TEB = 0x6558;
+
+/**
+ * Names for tunnel payload protocols, by EtherType
+ */
+const TUNNEL_PAYLOADS = { 0x0800: 'IPv4', 0x86dd: 'IPv6', [ETHERTYPE_TEB]: 'Ethernet' };
+
+/**
+ * Recognize a tunnel header carried by an already decoded IP packet
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {Object} packet - Decoded outer headers (ip, transport)
+ * @returns {Object|null} - { layer, offset, end, etherType }; etherType 0x6558 means an inner Ethernet frame
+ */
+function decodeEncapsulation(data, view, packet) {
+	const { ip, transport } = packet;
+	if (!ip || ip.fragment) return null;
+	const outer = { outerSrc: ip.src, outerDst: ip.dst };
+
+	if ((ip.protocol === 4 || ip.protocol === 41) && ip.payloadOffset < ip.payloadEnd) {
+		// IP-in-IP (RFC 2003) and IPv6-in-IP (RFC 4213)
+		const etherType = ip.protocol === 4 ? 0x0800 : 0x86dd;
+		return {
+			layer: { type: 'IP-in-IP', ...outer, payload: TUNNEL_PAYLOADS[etherType] },
+			offset: ip.payloadOffset,
+			end: ip.payloadEnd,
+			etherType,
+		};
+	}
+
+	if (ip.protocol === 47 && ip.payloadEnd - ip.payloadOffset >= 4) {
+		// GRE (RFC 2784, RFC 2890); version 1 is PPTP, which carries PPP instead
+		const offset = ip.payloadOffset;
+		const flags = view.getUint16(offset, false);
+		const etherType = view.getUint16(offset + 2, false);
+		if ((flags & 0x7) !== 0 || !TUNNEL_PAYLOADS[etherType]) return null;
+		let headerLength = 4;
+		if (flags & 0x8000) headerLength += 4; // checksum
+		const layer = { type: 'GRE', ...outer, payload: TUNNEL_PAYLOADS[etherType] };
+		if (flags & 0x2000) {
+			if (offset + headerLength + 4 > ip.payloadEnd) return null;
+			layer.key = view.getUint32(offset + headerLength, false);
+			headerLength += 4;
+		}
+		if (flags & 0x1000) headerLength += 4; // sequence number
+		return { layer, offset: offset + headerLength, end: ip.payloadEnd, etherType };
+	}
+
+	if (transport?.protocol !== 'UDP' || transport.payloadOffset === undefined) return null;
+	const offset = transport.payloadOffset;
+	const available = transport.payloadEnd - offset;
+
+	if (transport.dstPort === VXLAN_PORT && available >= 8 + 14 && (data[offset] & 0x08) !== 0) {
+		const vni = view.getUint32(offset + 4, false) >>> 8;
+		return {
+			layer: { type: 'VXLAN', ...outer, vni, payload: 'Ethernet' },
+			offset: offset + 8,
+			end: transport.payloadEnd,
+			etherType: ETHERTYPE_TEB,
+		};
+	}
+
+	if (transport.dstPort === GENEVE_PORT && available >= 8 && data[offset] >> 6 === 0) {
+		const optionsLength = (data[offset] & 0x3f) * 4;
+		const etherType = view.getUint16(offset + 2, false);
+		if (!TUNNEL_PAYLOADS[etherType] || 8 + optionsLength >= available) return null;
+		const vni = view.getUint32(offset + 4, false) >>> 8;
+		return {
+			layer: { type: 'GENEVE', ...outer, vni, optionsLength, payload: TUNNEL_PAYLOADS[etherType] },
+			offset: offset + 8 + optionsLength,
+			end: transport.payloadEnd,
+			etherType,
+		};
+	}
+
+	return null;
+}
+
+/**
+ * Describe one encapsulation layer
+ * @param {Object} layer - From decodeEncapsulation
+ * @returns {string}
+ */
+function describeEncapsulationLayer(layer) {
+	let text = layer.type;
+	if (layer.vni !== undefined) text += ` VNI ${layer.vni}`;
+	if (layer.key !== undefined) text += ` key ${layer.key}`;
+	if (layer.optionsLength) text += ` (${layer.optionsLength} bytes of options)`;
+	return `${text}: ${layer.payload} inside ${layer.outerSrc} → ${layer.outerDst}`;
+}
+
+/**
+ * Describe an encapsulation stack, outermost first
+ * @param {Array<Object>} stack - Layers from decodeEncapsulation
+ * @param {string} arrow - '→' for one packet, '↔' for a flow
+ * @returns {string}
+ */
+function describeEncapsulation(stack, arrow = '→') {
+	return stack
+		.map((layer) => {
+			const id = layer.vni !== undefined ? ` VNI ${layer.vni}` : layer.key !== undefined ? ` key ${layer.key}` : '';
+			return `${layer.type}${id} (${layer.outerSrc} ${arrow} ${layer.outerDst})`;
+		})
+		.join(' > ');
+}
+
+/**
+ * Describe stripped 802.1Q tags
+ * @param {Array<Object>} vlans - From decodeLinkLayer
+ * @returns {string}
+ */
+function describeVlans(vlans) {
+	return `${vlans.length > 1 ? 'QinQ VLAN' : '802.1Q VLAN'}: ${vlans.map(vlan => vlan.id).join(' > ')}`;
+}
+
+/**
+ * Decode the network layer and any tunnels inside it. Tunnels are peeled
+ * recursively, so `packet` ends up with the innermost headers and the
+ * layers around them in `packet.encapsulation`.
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Offset to the network header
+ * @param {number} end - Offset where the captured packet ends
+ * @param {number|null} etherType - Network protocol, as an EtherType
+ * @param {Object} packet - Receives the decoded header fields
+ * @returns {Array<string>} - Info lines
+ */
+function decodeNetworkStack(data, view, offset, end, etherType, packet) {
+	const encapsulation = [];
+	let headers = {};
+	const info = analyzeNetworkLayer(data, view, offset, end, etherType, headers);
+
+	let tunnel;
+	while (encapsulation.length < MAX_ENCAPSULATION_DEPTH && (tunnel = decodeEncapsulation(data, view, headers))) {
+		let inner = { offset: tunnel.offset, etherType: tunnel.etherType };
+		if (tunnel.etherType === ETHERTYPE_TEB) {
+			inner = decodeLinkLayer(data, view, tunnel.offset, tunnel.end, 1);
+			if (inner.error) break;
+		}
+		encapsulation.push(tunnel.layer);
+		info.push(`  ${describeEncapsulationLayer(tunnel.layer)}`);
+		if (inner.vlans?.length > 0) info.push(`  ${describeVlans(inner.vlans)}`);
+		headers = {};
+		info.push(...analyzeNetworkLayer(data, view, inner.offset, tunnel.end, inner.etherType, headers));
+	}
+
+	Object.assign(packet, headers);
+	if (encapsulation.length > 0) {
+		packet.encapsulation = encapsulation;
+		info.unshift(`  Encapsulation: ${describeEncapsulation(encapsulation)}`);
+	}
+	// Fragments are decoded once reassembled
+	if (packet.transport?.payloadOffset !== undefined && !packet.ip?.fragment) {
+		info.push(...describeApplication(data, view, packet));
+	}
+	return info;
+}
+
+/**
+ * Analyze packet data and extract protocol information
+ * @param {Uint8Array} data - Full data buffer
+ * @param {DataView} view - DataView of the buffer  
+ * @param {number} offset - Offset to packet start
+ * @param {number} maxLen - Maximum length (optional)
+ * @param {number} linkType - Link-layer header type of the capture interface
+ * @param {Object} packet - Receives the decoded header fields (link, ip, transport, arp, encapsulation)
+ * @returns {Array<string>} - Array of info strings
+ */
+function analyzePacketData(data, view, offset, maxLen, linkType = 1, packet = {}) {
+	const info = [];
+	const packetLen = maxLen || (data.length - offset);
+	const end = offset + packetLen;
+	
+	try {
+		const link = decodeLinkLayer(data, view, offset, end, linkType);
+
+		if (!link) return [`  Link type: ${linkTypeName(linkType)} (not decoded)`];
+		if (link.error) return [`  [${link.error}]`];
+
+		packet.link = { vlans: link.vlans, delivery: link.delivery, eth: link.eth };
+		if (link.description) info.push(`  ${link.description}`);
+		if (link.vlans.length > 0) info.push(`  ${describeVlans(link.vlans)}`);
+
+		info.push(...decodeNetworkStack(data, view, link.offset, end, link.etherType, packet));
+	} catch (e) {
+		info.push(`  [Parse error: ${e.message}]`);
+	}
+	
+	return info;
+}
+
+/**
+ * Analyze the network layer of a packet and extract protocol information
+ * @param {Uint8Array} data - Full data buffer
+ * @param {DataView} view - DataView of the buffer
+ * @param {number} offset - Offset to the network header
+ * @param {number} end - Offset where the captured packet ends
+ * @param {number|null} etherType - Network protocol, as an EtherType
+ * @param {Object} packet - Receives the decoded header fields
+ * @returns {Array<string>} - Array of info strings
+ */
+function analyzeNetworkLayer(data, view, offset, end, etherType, packet) {
+	const info = [];
+	const packetLen = end - offset;
+
+	if (etherType === 0x0800 && packetLen >= 20) {
+		// IPv4
+		const ipHeaderLen = (data[offset] & 0x0f) * 4;
+		const ipProtocol = data[offset + 9];
+		const flagsAndOffset = view.getUint16(offset + 6, false);
+		const fragmentOffset = (flagsAndOffset & 0x1fff) * 8;
+		const moreFragments = (flagsAndOffset & 0x2000) !== 0;
+		const srcIP = formatIPv4(data, offset + 12);
+		const dstIP = formatIPv4(data, offset + 16);
+		const ttl = data[offset + 8];
+		// Total length is 0 on TSO captures, fall back to what was captured
+		const totalLength = view.getUint16(offset + 2, false);
+		const ipEnd = totalLength >= ipHeaderLen ? offset + totalLength : end;
+		packet.ip = {
+			version: 4,
+			src: srcIP,
+			dst: dstIP,
+			protocol: ipProtocol,
+			ttl,
+			fragmentOffset,
+			length: ipEnd - offset,
+			dontFragment: (flagsAndOffset & 0x4000) !== 0,
+			payloadOffset: offset + ipHeaderLen,
+			payloadEnd: Math.min(ipEnd, end),
+		};
+		if (moreFragments || fragmentOffset > 0) {
+			packet.ip.fragment = {
+				id: view.getUint16(offset + 4, false),
+				offset: fragmentOffset,
+				moreFragments,
+				headerOffset: offset,
+				headerLength: ipHeaderLen,
+				payloadOffset: offset + ipHeaderLen,
+				payloadEnd: Math.min(ipEnd, end),
+			};
+		}
+
+		// Only the first fragment carries the transport header
+		const transport = fragmentOffset === 0 ? describeTransport(data, view, offset + ipHeaderLen, end, ipProtocol, packet, ipEnd) : null;
+		const protocolName = transport ? transport.name : 'IPv4';
+		let details = transport ? transport.details : '';
+		if (packet.ip.fragment) {
+			details += ` | Fragment (offset ${fragmentOffset}${moreFragments ? ', more fragments' : ''}, id 0x${packet.ip.fragment.id.toString(16)})`;
+		}
+
+		info.push(`  ${protocolName}: ${srcIP} → ${dstIP}${details}`);
+		if (ttl < 10) info.push(`  ⚠️  Low TTL: ${ttl}`);
+		
+	} else if (etherType === 0x0806 && packetLen >= 28) {
+		// ARP
+		const opcode = view.getUint16(offset + 6, false);
+		const senderIP = formatIPv4(data, offset + 14);
+		const targetIP = formatIPv4(data, offset + 24);
+		const operation = opcode === 1 ? 'Request' : opcode === 2 ? 'Reply' : 'Unknown';
+		packet.arp = { opcode, senderIP, targetIP };
+		info.push(`  ARP ${operation}: Who has ${targetIP}? Tell ${senderIP}`);
+		
+	} else if (etherType === 0x86dd && packetLen >= 40) {
+		// IPv6
+		const hopLimit = data[offset + 7];
+		const srcIP = formatIPv6(data, offset + 8);
+		const dstIP = formatIPv6(data, offset + 24);
+		const chain = walkIPv6ExtensionHeaders(data, view, offset + 40, end, data[offset + 6]);
+		const fragmentOffset = chain.fragment ? chain.fragment.offset : 0;
+		// A payload length of 0 means a jumbogram or TSO capture
+		const payloadLength = view.getUint16(offset + 4, false);
+		const ipEnd = payloadLength > 0 ? offset + 40 + payloadLength : end;
+		packet.ip = {
+			version: 6,
+			src: srcIP,
+			dst: dstIP,
+			protocol: chain.protocol,
+			ttl: hopLimit,
+			fragmentOffset,
+			length: ipEnd - offset,
+			payloadOffset: chain.offset,
+			payloadEnd: Math.min(ipEnd, end),
+		};
+		// Atomic fragments (offset 0, no more fragments) are whole packets
+		if (chain.fragment && (fragmentOffset > 0 || chain.fragment.moreFragments)) {
+			packet.ip.fragment = {
+				...chain.fragment,
+				headerOffset: offset,
+				headerLength: 40,
+				payloadEnd: Math.min(ipEnd, end),
+			};
+		}
+
+		if (chain.headers.length > 0) {
+			info.push(`  IPv6 extension headers: ${chain.headers.join(' > ')}`);
+		}
+
+		const transport = fragmentOffset === 0 ? describeTransport(data, view, chain.offset, end, chain.protocol, packet, ipEnd) : null;
+
+		let protocolName = 'IPv6';
+		let details = '';
+		if (transport) {
+			protocolName = transport.name === 'ICMPv6' ? 'ICMPv6' : `${transport.name} over IPv6`;
+			details = transport.details;
+		} else if (fragmentOffset > 0) {
+			details = ` | Fragment (offset ${fragmentOffset})`;
+		} else if (chain.protocol !== 59) {
+			details = ` | Next header ${chain.protocol}`;
+		}
+
+		info.push(`  ${protocolName}: ${srcIP} → ${dstIP}${details}`);
+		if (hopLimit < 10) info.push(`  ⚠️  Low hop limit: ${hopLimit}`);
+		
+	} else if (etherType === null) {
+		info.push('  [Unknown network protocol]');
+	} else if (etherType <= 1500) {
+		// Values up to 1500 are an 802.3 length field, not an EtherType
+		info.push(`  802.3 frame (length ${etherType})`);
+	} else {
+		info.push(`  EtherType: 0x${etherType.toString(16).padStart(4, '0')}`);
+	}
+
+	return info;
+}
+
+/**
+ * Format an IPv4 address
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @returns {string}
+ */
+function formatIPv4(data, offset) {
+	return `${data[offset]}.${data[offset + 1]}.${data[offset + 2]}.${data[offset + 3]}`;
+}
+
+/**
+ * Format an IPv6 address in RFC 5952 canonical form:
+ * lowercase, no leading zeros, longest run of two or more zero groups collapsed
+ * to "::" (first run wins a tie), and IPv4-mapped addresses in dotted-quad form.
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @returns {string}
+ */
+function formatIPv6(data, offset) {
+	const groups = [];
+	for (let i = 0; i < 16; i += 2) {
+		groups.push((data[offset + i] << 8) | data[offset + i + 1]);
+	}
+
+	// ::ffff:a.b.c.d
+	if (groups.slice(0, 5).every(g => g === 0) && groups[5] === 0xffff) {
+		return `::ffff:${formatIPv4(data, offset + 12)}`;
+	}
+
+	let bestStart = -1;
+	let bestLength = 0;
+	for (let i = 0; i < 8; ) {
+		if (groups[i] !== 0) {
+			i++;
+			continue;
+		}
+		let j = i;
+		while (j < 8 && groups[j] === 0) j++;
+		if (j - i > bestLength && j - i >= 2) {
+			bestStart = i;
+			bestLength = j - i;
+		}
+		i = j;
+	}
+
+	const hex = groups.map(g => g.toString(16));
+	if (bestStart === -1) return hex.join(':');
+
+	const head = hex.slice(0, bestStart).join(':');
+	const tail = hex.slice(bestStart + bestLength).join(':');
+	return `${head}::${tail}`;
+}
+
+/**
+ * Cloudflare WARP tunnel endpoint ranges (WireGuard and MASQUE ingress), from
+ * https://developers.cloudflare.com/cloudflare-one/connections/connect-devices/warp/deployment/firewall/
+ */
+const WARP_ENDPOINT_RANGES = [
+	'162.159.192.0/24',
+	'162.159.193.0/24',
+	'162.159.195.0/24',
+	'162.159.197.0/24',
+	'2606:4700:100::/48',
+	'2606:4700:102::/48',
+	'2606:4700:d0::/48',
+	'2606:4700:d1::/48',
+];
+
+/**
+ * Parse a textual IPv4 or IPv6 address into bytes
+ * @param {string} address
+ * @returns {Uint8Array|null} - 4 or 16 bytes, or null when malformed
+ */
+function parseAddress(address) {
+	if (!address.includes(':')) {
+		const octets = address.split('.');
+		if (octets.length !== 4 || octets.some((octet) => !/^\d{1,3}$/.test(octet) || Number(octet) > 255)) return null;
+		return Uint8Array.from(octets, Number);
+	}
+
+	const halves = address.split('::');
+	if (halves.length > 2) return null;
+
+	// Groups of one half, with an embedded IPv4 address counting as two groups
+	const groups = (half) => {
+		const result = [];
+		for (const group of half ? half.split(':') : []) {
+			if (group.includes('.')) {
+				const v4 = parseAddress(group);
+				if (!v4) return null;
+				result.push((v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]);
+			} else if (/^[0-9a-f]{1,4}$/i.test(group)) {
+				result.push(parseInt(group, 16));
+			} else {
+				return null;
+			}
+		}
+		return result;
+	};
+
+	const left = groups(halves[0]);
+	const right = halves.length === 2 ? groups(halves[1]) : [];
+	if (!left || !right) return null;
+	const fill = 8 - left.length - right.length;
+	if (fill < 0 || (halves.length === 1 && fill !== 0)) return null;
+
+	const bytes = new Uint8Array(16);
+	[...left, ...new Array(fill).fill(0), ...right].forEach((group, i) => {
+		bytes[i * 2] = group >> 8;
+		bytes[i * 2 + 1] = group & 0xff;
+	});
+	return bytes;
+}
+
+/**
+ * Whether an address falls inside a CIDR range of the same family
+ * @param {string} cidr - e.g. "100.96.0.0/12"; a bare address matches only itself
+ * @param {string} address
+ * @returns {boolean}
+ */
+function cidrContains(cidr, address) {
+	const [network, prefixText] = cidr.split('/');
+	const networkBytes = parseAddress(network);
+	const addressBytes = parseAddress(address);
+	if (!networkBytes || !addressBytes || networkBytes.length !== addressBytes.length) return false;
+
+	const prefix = prefixText === undefined ? networkBytes.length * 8 : Number(prefixText);
+	for (let bit = 0; bit < prefix; bit += 8) {
+		const mask = (0xff << (8 - Math.min(8, prefix - bit))) & 0xff;
+		if ((networkBytes[bit / 8] & mask) !== (addressBytes[bit / 8] & mask)) return false;
+	}
+	return true;
+}
+
+/**
+ * Whether an address is a Cloudflare WARP tunnel endpoint
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isWarpEndpoint(address) {
+	return WARP_ENDPOINT_RANGES.some((range) => cidrContains(range, address));
+}
+
+/**
+ * IPv6 extension header names by next-header value
+ */
+const IPV6_EXTENSION_HEADERS = {
+	0: 'Hop-by-Hop',
+	43: 'Routing',
+	44: 'Fragment',
+	51: 'AH',
+	60: 'Destination Options',
+	135: 'Mobility',
+};
+
+/**
+ * Walk the IPv6 extension header chain to find the upper-layer protocol
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Offset just past the fixed IPv6 header
+ * @param {number} end - Offset where the captured packet ends
+ * @param {number} nextHeader - Next header value from the fixed header
+ * @returns {{protocol: number, offset: number, headers: Array<string>, fragment: Object|null}}
+ *   `fragment.payloadOffset` is where the fragmentable part starts, which reassembly needs.
+ */
+function walkIPv6ExtensionHeaders(data, view, offset, end, nextHeader) {
+	const headers = [];
+	let fragment = null;
+	let protocol = nextHeader;
+
+	while (protocol in IPV6_EXTENSION_HEADERS && offset + 8 <= end) {
+		const name = IPV6_EXTENSION_HEADERS[protocol];
+		const following = data[offset];
+		let length;
+
+		if (protocol === 44) {
+			const offsetAndFlags = view.getUint16(offset + 2, false);
+			fragment = {
+				offset: (offsetAndFlags >> 3) * 8,
+				moreFragments: (offsetAndFlags & 0x1) === 1,
+				id: view.getUint32(offset + 4, false),
+				nextHeader: following,
+				payloadOffset: offset + 8,
+			};
+			headers.push(
+				`${name} (offset ${fragment.offset}${fragment.moreFragments ? ', more fragments' : ''}, id 0x${fragment.id.toString(16)})`
+			);
+			length = 8;
+			// Past the first fragment the rest is payload, not more headers
+			if (fragment.offset > 0) {
+				protocol = following;
+				offset += length;
+				break;
+			}
+		} else if (protocol === 43) {
+			headers.push(`${name} (type ${data[offset + 2]}, ${data[offset + 3]} segments left)`);
+			length = (data[offset + 1] + 1) * 8;
+		} else if (protocol === 51) {
+			headers.push(name);
+			length = (data[offset + 1] + 2) * 4;
+		} else {
+			headers.push(name);
+			length = (data[offset + 1] + 1) * 8;
+		}
+
+		protocol = following;
+		offset += length;
+	}
+
+	// ESP payloads are encrypted, nothing further can be decoded
+	if (protocol === 50) headers.push('ESP');
+
+	return { protocol, offset, headers, fragment };
+}
+
+/**
+ * Get the names of the flags set in a TCP header
+ * @param {number} flags - TCP flags byte
+ * @returns {Array<string>}
+ */
+function tcpFlagNames(flags) {
+	const names = [];
+	if (flags & 0x02) names.push('SYN');
+	if (flags & 0x10) names.push('ACK');
+	if (flags & 0x01) names.push('FIN');
+	if (flags & 0x04) names.push('RST');
+	if (flags & 0x08) names.push('PSH');
+	if (flags & 0x20) names.push('URG');
+	if (flags & 0x40) names.push('ECE');
+	if (flags & 0x80) names.push('CWR');
+	return names;
+}
+
+/**
+ * Describe the transport layer of an IPv4 or IPv6 packet
+ * @param {Uint8Array} data - Full data buffer
+ * @param {DataView} view - DataView of the buffer
+ * @param {number} offset - Offset to the transport header
+ * @param {number} end - Offset where the captured packet ends
+ * @param {number} protocol - IP protocol number
+ * @param {Object} packet - Receives the decoded transport fields
+ * @param {number} ipEnd - Offset where the IP payload ends according to the IP header
+ * @returns {{name: string, details: string}|null} - null when the protocol is not decoded
+ */
+function describeTransport(data, view, offset, end, protocol, packet, ipEnd = end) {
+	const available = end - offset;
+
+	if (protocol === 6 && available >= 14) {
+		// TCP
+		const srcPort = view.getUint16(offset, false);
+		const dstPort = view.getUint16(offset + 2, false);
+		const flags = data[offset + 13];
+		packet.transport = { protocol: 'TCP', srcPort, dstPort, flags };
+		let details = ` | Port ${srcPort} → ${dstPort} [${tcpFlagNames(flags).join(',')}]`;
+
+		if (available >= 20) {
+			const headerLength = (data[offset + 12] >> 4) * 4;
+			const tcp = packet.transport;
+			tcp.seq = view.getUint32(offset + 4, false);
+			tcp.ack = view.getUint32(offset + 8, false);
+			tcp.window = view.getUint16(offset + 14, false);
+			tcp.headerLength = headerLength;
+			tcp.payloadLength = Math.max(0, ipEnd - offset - headerLength);
+			tcp.payloadOffset = offset + headerLength;
+			tcp.payloadEnd = Math.min(ipEnd, end);
+			tcp.options = parseTcpOptions(data, view, offset + 20, Math.min(offset + headerLength, end));
+
+			details += ` Len=${tcp.payloadLength} Win=${tcp.window}`;
+			if (tcp.options.mss !== undefined) details += ` MSS=${tcp.options.mss}`;
+			if (tcp.options.windowScale !== undefined) details += ` WS=${2 ** tcp.options.windowScale}`;
+			if (tcp.options.sackPermitted) details += ' SACK_PERM';
+			if (tcp.options.sack) details += ` SACK_BLOCKS=${tcp.options.sack.length}`;
+		}
+
+		// Detect common protocols by port
+		if (dstPort === 80 || srcPort === 80) details += ' (HTTP)';
+		else if (dstPort === 443 || srcPort === 443) details += ' (HTTPS)';
+		else if (dstPort === 22 || srcPort === 22) details += ' (SSH)';
+		else if (dstPort === 53 || srcPort === 53) details += ' (DNS over TCP)';
+
+		return { name: 'TCP', details };
+	}
+
+	if (protocol === 17 && available >= 4) {
+		// UDP
+		const srcPort = view.getUint16(offset, false);
+		const dstPort = view.getUint16(offset + 2, false);
+		packet.transport = { protocol: 'UDP', srcPort, dstPort, payloadOffset: offset + 8, payloadEnd: Math.min(ipEnd, end) };
+		if (available >= 8) packet.transport.payloadLength = view.getUint16(offset + 4, false) - 8;
+		let details = ` | Port ${srcPort} → ${dstPort}`;
+
+		// WARP's WireGuard ports overlap IKE and L2TP, so the payload decides
+		const wireguard = decodeWireguardMessage(
+			data,
+			view,
+			offset + 8,
+			packet.transport.payloadEnd,
+			packet.transport.payloadLength ?? packet.transport.payloadEnd - offset - 8,
+			WIREGUARD_PORTS.has(srcPort) || WIREGUARD_PORTS.has(dstPort)
+		);
+		if (wireguard) packet.wireguard = wireguard;
+
+		// Detect common protocols
+		if (wireguard) details += ' (WireGuard)';
+		else if (dstPort === 53 || srcPort === 53) details += ' (DNS)';
+		else if (dstPort === 67 || dstPort === 68) details += ' (DHCP)';
+		else if (dstPort === 546 || dstPort === 547) details += ' (DHCPv6)';
+		else if (dstPort === 123) details += ' (NTP)';
+		else if (dstPort === 500) details += ' (IKE/IPsec)';
+		else if (dstPort === 4500 || srcPort === 4500) details += ' (IPsec NAT-T)';
+		else if (dstPort === 1701 || srcPort === 1701) details += ' (L2TP)';
+		else if (dstPort === VXLAN_PORT) details += ' (VXLAN)';
+		else if (dstPort === GENEVE_PORT) details += ' (GENEVE)';
+		else if (dstPort === 443 || srcPort === 443) details += ' (QUIC)';
+
+		return { name: 'UDP', details };
+	}
+
+	if (protocol === 1 && available >= 2) {
+		// ICMP
+		const icmpType = data[offset];
+		const icmpCode = data[offset + 1];
+		packet.transport = { protocol: 'ICMP', type: icmpType, code: icmpCode };
+		if ((icmpType === 0 || icmpType === 8) && available >= 8) {
+			packet.transport.identifier = view.getUint16(offset + 4, false);
+			packet.transport.sequence = view.getUint16(offset + 6, false);
+		}
+		let icmpMsg = '';
+		if (icmpType === 0) icmpMsg = 'Echo Reply (Ping response)';
+		else if (icmpType === 8) icmpMsg = 'Echo Request (Ping)';
+		else if (icmpType === 3 && icmpCode === 4 && available >= 8) {
+			packet.transport.mtu = view.getUint16(offset + 6, false);
+			icmpMsg = `Destination Unreachable (fragmentation needed, next-hop MTU ${packet.transport.mtu})`;
+		} else if (icmpType === 3) icmpMsg = `Destination Unreachable (${ICMP_UNREACHABLE_CODES[icmpCode] || `code ${icmpCode}`})`;
+		else if (icmpType === 11) icmpMsg = icmpCode === 1 ? 'Time Exceeded (fragment reassembly)' : 'Time Exceeded';
+		else icmpMsg = `Type ${icmpType} Code ${icmpCode}`;
+
+		// Errors quote the header of the packet that caused them
+		if (icmpType === 3 || icmpType === 11 || icmpType === 12) {
+			const quoted = decodeQuotedPacket(data, view, offset + 8, end);
+			if (quoted) {
+				packet.transport.quoted = quoted;
+				icmpMsg += ` | ${describeQuotedPacket(quoted)}`;
+			}
+		}
+
+		return { name: 'ICMP', details: ` | ${icmpMsg}` };
+	}
+
+	if (protocol === 58 && available >= 4) {
+		packet.transport = { protocol: 'ICMPv6', type: data[offset], code: data[offset + 1] };
+		if ((data[offset] === 128 || data[offset] === 129) && available >= 8) {
+			packet.transport.identifier = view.getUint16(offset + 4, false);
+			packet.transport.sequence = view.getUint16(offset + 6, false);
+		}
+		let details = ` | ${describeIcmpv6(data, view, offset, end)}`;
+		// Error messages (types 1-4) quote the packet that caused them
+		if (data[offset] >= 1 && data[offset] <= 4) {
+			if (data[offset] === 2 && available >= 8) packet.transport.mtu = view.getUint32(offset + 4, false);
+			const quoted = decodeQuotedPacket(data, view, offset + 8, end);
+			if (quoted) {
+				packet.transport.quoted = quoted;
+				details += ` | ${describeQuotedPacket(quoted)}`;
+			}
+		}
+		return { name: 'ICMPv6', details };
+	}
+
+	return null;
+}
+
+/**
+ * Parse TCP options
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Offset of the first option
+ * @param {number} end - Offset where the TCP header ends
+ * @returns {Object} - { mss, windowScale, sackPermitted, sack, timestamp }
+ */
+function parseTcpOptions(data, view, offset, end) {
+	const options = {};
+
+	while (offset < end) {
+		const kind = data[offset];
+		if (kind === 0) break; // End of option list
+		if (kind === 1) {
+			// NOP
+			offset++;
+			continue;
+		}
+		if (offset + 1 >= end) break;
+
+		const length = data[offset + 1];
+		if (length < 2 || offset + length > end) break;
+
+		if (kind === 2 && length === 4) {
+			options.mss = view.getUint16(offset + 2, false);
+		} else if (kind === 3 && length === 3) {
+			// RFC 7323 caps the shift at 14
+			options.windowScale = Math.min(data[offset + 2], 14);
+		} else if (kind === 4) {
+			options.sackPermitted = true;
+		} else if (kind === 5) {
+			options.sack = [];
+			for (let block = offset + 2; block + 8 <= offset + length; block += 8) {
+				options.sack.push([view.getUint32(block, false), view.getUint32(block + 4, false)]);
+			}
+		} else if (kind === 8 && length === 10) {
+			options.timestamp = { value: view.getUint32(offset + 2, false), echo: view.getUint32(offset + 6, false) };
+		}
+
+		offset += length;
+	}
+
+	return options;
+}
+
+/**
+ * Describe the application payload of a packet and record decoded fields on it
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {Object} packet - Decoded packet with transport.payloadOffset set
+ * @returns {Array<string>} - Info lines
+ */
+function describeApplication(data, view, packet) {
+	const { transport } = packet;
+	const { payloadOffset, payloadEnd } = transport;
+	const isDnsPort = transport.srcPort === 53 || transport.dstPort === 53;
+	let dns = null;
+
+	if (packet.wireguard) return [`  ${describeWireguardMessage(packet.wireguard)}`];
+
+	if (isDnsPort && transport.protocol === 'UDP') {
+		dns = decodeDnsMessage(data, view, payloadOffset, payloadEnd);
+	} else if (isDnsPort && transport.protocol === 'TCP' && payloadEnd - payloadOffset >= 14) {
+		// DNS over TCP prefixes each message with its length; only whole messages are decoded
+		const length = view.getUint16(payloadOffset, false);
+		if (payloadOffset + 2 + length <= payloadEnd) {
+			dns = decodeDnsMessage(data, view, payloadOffset + 2, payloadOffset + 2 + length);
+		}
+	}
+
+	if (!dns) return [];
+	packet.dns = dns;
+	return describeDnsMessage(dns);
+}
+
+/**
+ * WireGuard message types with their fixed lengths (WireGuard paper section 5.4).
+ * Transport data is a 16-byte header and an AEAD payload padded to 16 bytes.
+ */
+const WIREGUARD_MESSAGES = {
+	1: { name: 'Handshake Initiation', length: 148 },
+	2: { name: 'Handshake Response', length: 92 },
+	3: { name: 'Cookie Reply', length: 64 },
+	4: { name: 'Transport Data', length: null },
+};
+
+/**
+ * UDP ports WARP uses for WireGuard. Transport data is only recognized on
+ * these ports: its header is too generic to identify anywhere else.
+ */
+const WIREGUARD_PORTS = new Set([2408, 500, 1701, 4500]);
+
+/**
+ * Decode a WireGuard message header from a UDP payload
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Payload offset
+ * @param {number} end - End of the captured payload
+ * @param {number} length - Payload length on the wire
+ * @param {boolean} wireguardPort - Whether either port is in WIREGUARD_PORTS
+ * @returns {Object|null} - { type, name, length, senderIndex, receiverIndex, cookie, counter, keepalive }
+ */
+function decodeWireguardMessage(data, view, offset, end, length, wireguardPort) {
+	if (end - offset < 16 || data[offset + 1] !== 0 || data[offset + 2] !== 0 || data[offset + 3] !== 0) return null;
+	const type = data[offset];
+	const spec = WIREGUARD_MESSAGES[type];
+	if (!spec) return null;
+	if (spec.length !== null ? length !== spec.length : !wireguardPort || length < 32 || length % 16 !== 0) return null;
+
+	const index = (at) => `0x${view.getUint32(at, true).toString(16).padStart(8, '0')}`;
+	// mac2 is only non-zero when the initiator is answering a cookie reply
+	const macSet = (at) => at + 16 <= end && data.subarray(at, at + 16).some((byte) => byte !== 0);
+	const message = { type, name: spec.name, length };
+
+	if (type === 1) {
+		message.senderIndex = index(offset + 4);
+		message.cookie = macSet(offset + 132);
+	} else if (type === 2) {
+		message.senderIndex = index(offset + 4);
+		message.receiverIndex = index(offset + 8);
+		message.cookie = macSet(offset + 76);
+	} else if (type === 3) {
+		message.receiverIndex = index(offset + 4);
+	} else {
+		message.receiverIndex = index(offset + 4);
+		message.counter = Number(view.getBigUint64(offset + 8, true));
+		// An empty encrypted payload is a keepalive
+		message.keepalive = length === 32;
+	}
+	return message;
+}
+
+/**
+ * Describe a WireGuard message
+ * @param {Object} message - From decodeWireguardMessage
+ * @returns {string}
+ */
+function describeWireguardMessage(message) {
+	if (message.type === 1) return `WireGuard ${message.name}: sender ${message.senderIndex}${message.cookie ? ' | with cookie (MAC2)' : ''}`;
+	if (message.type === 2) return `WireGuard ${message.name}: sender ${message.senderIndex}, receiver ${message.receiverIndex}`;
+	if (message.type === 3) return `WireGuard ${message.name}: receiver ${message.receiverIndex} (responder under load)`;
+	const name = message.keepalive ? 'Keepalive' : message.name;
+	return `WireGuard ${name}: receiver ${message.receiverIndex}, counter ${message.counter}, ${message.length} bytes`;
+}
+
+/**
+ * DNS resource record types
+ */
+const DNS_TYPES = {
+	1: 'A',
+	2: 'NS',
+	5: 'CNAME',
+	6: 'SOA',
+	12: 'PTR',
+	15: 'MX',
+	16: 'TXT',
+	28: 'AAAA',
+	33: 'SRV',
+	41: 'OPT',
+	64: 'SVCB',
+	65: 'HTTPS',
+	255: 'ANY',
+};
+
+/**
+ * DNS response codes, including the EDNS extended range
+ */
+const DNS_RCODES = {
+	0: 'NOERROR',
+	1: 'FORMERR',
+	2: 'SERVFAIL',
+	3: 'NXDOMAIN',
+	4: 'NOTIMP',
+	5: 'REFUSED',
+	9: 'NOTAUTH',
+	16: 'BADVERS',
+};
+
+/**
+ * Extended DNS Error info codes (RFC 8914)
+ */
+const DNS_EXTENDED_ERRORS = {
+	0: 'Other',
+	1: 'Unsupported DNSKEY Algorithm',
+	3: 'Stale Answer',
+	6: 'DNSSEC Bogus',
+	7: 'Signature Expired',
+	9: 'DNSKEY Missing',
+	10: 'RRSIGs Missing',
+	15: 'Blocked',
+	16: 'Censored',
+	17: 'Filtered',
+	18: 'Prohibited',
+	20: 'Not Authoritative',
+	21: 'Not Supported',
+	22: 'No Reachable Authority',
+	23: 'Network Error',
+	24: 'Invalid Data',
+};
+
+/**
+ * SVCB/HTTPS service parameter keys (RFC 9460)
+ */
+const SVCB_PARAMS = ['mandatory', 'alpn', 'no-default-alpn', 'port', 'ipv4hint', 'ech', 'ipv6hint'];
+
+/**
+ * Maximum answers shown on a packet line
+ */
+const MAX_DNS_ANSWERS_SHOWN = 5;
+
+/**
+ * Name a DNS record type
+ * @param {number} type
+ * @returns {string}
+ */
+function dnsTypeName(type) {
+	return DNS_TYPES[type] || `TYPE${type}`;
+}
+
+/**
+ * Read a possibly compressed domain name
+ * @param {Uint8Array} data
+ * @param {number} start - Offset of the DNS header, which compression pointers are relative to
+ * @param {number} offset - Offset of the name
+ * @param {number} end - Offset where the DNS message ends
+ * @returns {{name: string, next: number}|null} - null when the name is malformed
+ */
+function readDnsName(data, start, offset, end) {
+	const labels = [];
+	let next = null;
+	let jumps = 0;
+
+	while (offset < end) {
+		const length = data[offset];
+		if (length === 0) {
+			return { name: labels.length > 0 ? labels.join('.') : '.', next: next ?? offset + 1 };
+		}
+		if ((length & 0xc0) === 0xc0) {
+			// Compression pointer; bound the jumps so a loop cannot hang the worker
+			if (offset + 1 >= end || ++jumps > 16) return null;
+			next ??= offset + 2;
+			offset = start + (((length & 0x3f) << 8) | data[offset + 1]);
+			continue;
+		}
+		if (length & 0xc0 || offset + 1 + length > end) return null;
+		labels.push(String.fromCharCode(...data.subarray(offset + 1, offset + 1 + length)));
+		offset += 1 + length;
+	}
+
+	return null;
+}
+
+/**
+ * Decode a DNS message: header, questions, answers and EDNS
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} start - Offset of the DNS header
+ * @param {number} end - Offset where the message ends
+ * @returns {Object|null} - Decoded message, or null when it is not DNS
+ */
+function decodeDnsMessage(data, view, start, end) {
+	if (end - start < 12) return null;
+
+	const flags = view.getUint16(start + 2, false);
+	const counts = [4, 6, 8, 10].map((field) => view.getUint16(start + field, false));
+	const message = {
+		id: view.getUint16(start, false),
+		isResponse: (flags & 0x8000) !== 0,
+		opcode: (flags >> 11) & 0x0f,
+		authoritative: (flags & 0x0400) !== 0,
+		truncated: (flags & 0x0200) !== 0,
+		recursionDesired: (flags & 0x0100) !== 0,
+		recursionAvailable: (flags & 0x0080) !== 0,
+		rcode: flags & 0x0f,
+		rcodeName: null,
+		questions: [],
+		answers: [],
+		authorityCount: counts[2],
+		edns: null,
+		malformed: false,
+	};
+
+	let offset = start + 12;
+	for (let i = 0; i < counts[0]; i++) {
+		const name = readDnsName(data, start, offset, end);
+		if (!name || name.next + 4 > end) {
+			message.malformed = true;
+			break;
+		}
+		message.questions.push({ name: name.name, type: dnsTypeName(view.getUint16(name.next, false)) });
+		offset = name.next + 4;
+	}
+
+	const records = counts[1] + counts[2] + counts[3];
+	for (let i = 0; i < records && !message.malformed; i++) {
+		const name = readDnsName(data, start, offset, end);
+		if (!name || name.next + 10 > end) {
+			message.malformed = true;
+			break;
+		}
+		const type = view.getUint16(name.next, false);
+		const recordClass = view.getUint16(name.next + 2, false);
+		const ttl = view.getUint32(name.next + 4, false);
+		const rdataOffset = name.next + 10;
+		const rdataEnd = rdataOffset + view.getUint16(name.next + 8, false);
+		if (rdataEnd > end) {
+			message.malformed = true;
+			break;
+		}
+
+		if (type === 41) {
+			message.edns = decodeEdns(data, view, recordClass, ttl, rdataOffset, rdataEnd);
+		} else if (i < counts[1]) {
+			const rdata = describeDnsRdata(data, view, start, type, rdataOffset, rdataEnd, end);
+			message.answers.push({ name: name.name, type: dnsTypeName(type), ttl, data: rdata });
+		}
+		offset = rdataEnd;
+	}
+
+	if (message.edns) message.rcode |= message.edns.extendedRcode << 4;
+	message.rcodeName = DNS_RCODES[message.rcode] || `RCODE${message.rcode}`;
+	return message;
+}
+
+/**
+ * Decode an EDNS OPT pseudo-record (RFC 6891)
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} udpSize - The record class field
+ * @param {number} ttl - The record TTL field
+ * @param {number} offset - Offset of the options
+ * @param {number} end
+ * @returns {Object} - { udpSize, version, dnssecOk, extendedRcode, options, extendedError }
+ */
+function decodeEdns(data, view, udpSize, ttl, offset, end) {
+	const edns = {
+		udpSize,
+		version: (ttl >>> 16) & 0xff,
+		dnssecOk: (ttl & 0x8000) !== 0,
+		extendedRcode: ttl >>> 24,
+		options: [],
+	};
+
+	while (offset + 4 <= end) {
+		const code = view.getUint16(offset, false);
+		const length = view.getUint16(offset + 2, false);
+		const value = offset + 4;
+		if (value + length > end) break;
+
+		edns.options.push(code);
+		if (code === 15 && length >= 2) {
+			const infoCode = view.getUint16(value, false);
+			edns.extendedError = {
+				code: infoCode,
+				name: DNS_EXTENDED_ERRORS[infoCode] || 'Unknown',
+				text: new TextDecoder().decode(data.subarray(value + 2, value + length)),
+			};
+		}
+		offset = value + length;
+	}
+
+	return edns;
+}
+
+/**
+ * Render record data as text
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} start - Offset of the DNS header
+ * @param {number} type - Record type
+ * @param {number} offset - Offset of the record data
+ * @param {number} end - Offset where the record data ends
+ * @param {number} messageEnd - Offset where the message ends, for compressed names
+ * @returns {string}
+ */
+function describeDnsRdata(data, view, start, type, offset, end, messageEnd) {
+	const length = end - offset;
+	const name = (at) => readDnsName(data, start, at, messageEnd)?.name ?? '<malformed>';
+
+	switch (type) {
+		case 1:
+			return length === 4 ? formatIPv4(data, offset) : `<${length} bytes>`;
+		case 28:
+			return length === 16 ? formatIPv6(data, offset) : `<${length} bytes>`;
+		case 2:
+		case 5:
+		case 6: // SOA: primary name server
+		case 12:
+			return name(offset);
+		case 15:
+			return length > 2 ? `${view.getUint16(offset, false)} ${name(offset + 2)}` : `<${length} bytes>`;
+		case 16: {
+			const strings = [];
+			for (let at = offset; at < end; at += 1 + data[at]) {
+				strings.push(`"${new TextDecoder().decode(data.subarray(at + 1, Math.min(at + 1 + data[at], end)))}"`);
+			}
+			return strings.join(' ');
+		}
+		case 64:
+		case 65:
+			return describeSvcb(data, view, offset, end);
+		default:
+			return `<${length} bytes>`;
+	}
+}
+
+/**
+ * Render SVCB/HTTPS record data (RFC 9460): priority, target and parameters.
+ * The target name is never compressed.
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} end
+ * @returns {string}
+ */
+function describeSvcb(data, view, offset, end) {
+	if (end - offset < 3) return `<${end - offset} bytes>`;
+	const priority = view.getUint16(offset, false);
+	const target = readDnsName(data, offset + 2, offset + 2, end);
+	if (!target) return `${priority} <malformed>`;
+
+	const parts = [String(priority), target.name];
+	for (let at = target.next; at + 4 <= end; ) {
+		const key = view.getUint16(at, false);
+		const length = view.getUint16(at + 2, false);
+		const value = at + 4;
+		if (value + length > end) break;
+
+		const keyName = SVCB_PARAMS[key] || `key${key}`;
+		if (key === 1) {
+			const protocols = [];
+			for (let p = value; p < value + length; p += 1 + data[p]) {
+				protocols.push(String.fromCharCode(...data.subarray(p + 1, p + 1 + data[p])));
+			}
+			parts.push(`alpn=${protocols.join(',')}`);
+		} else if (key === 3 && length === 2) {
+			parts.push(`port=${view.getUint16(value, false)}`);
+		} else if (key === 4) {
+			const hints = [];
+			for (let h = value; h + 4 <= value + length; h += 4) hints.push(formatIPv4(data, h));
+			parts.push(`ipv4hint=${hints.join(',')}`);
+		} else if (key === 6) {
+			const hints = [];
+			for (let h = value; h + 16 <= value + length; h += 16) hints.push(formatIPv6(data, h));
+			parts.push(`ipv6hint=${hints.join(',')}`);
+		} else if (key === 2) {
+			parts.push(keyName);
+		} else {
+			parts.push(`${keyName}=<${length} bytes>`);
+		}
+		at = value + length;
+	}
+
+	return parts.join(' ');
+}
+
+/**
+ * Describe a decoded DNS message as info lines
+ * @param {Object} message - From decodeDnsMessage
+ * @returns {Array<string>}
+ */
+function describeDnsMessage(message) {
+	const id = `0x${message.id.toString(16).padStart(4, '0')}`;
+	const questions = message.questions.map((question) => `${question.name} ${question.type}`).join(', ');
+	const lines = [];
+
+	if (!message.isResponse) {
+		lines.push(`  DNS Query ${id}: ${questions}`);
+	} else {
+		let line = `  DNS Response ${id} ${message.rcodeName}: ${questions}`;
+		if (message.answers.length > 0) {
+			const shown = message.answers.slice(0, MAX_DNS_ANSWERS_SHOWN).map((answer) => `${answer.type} ${answer.data}`);
+			if (message.answers.length > MAX_DNS_ANSWERS_SHOWN) shown.push(`+${message.answers.length - MAX_DNS_ANSWERS_SHOWN} more`);
+			line += ` → ${shown.join(', ')}`;
+		}
+		if (message.truncated) line += ' [TC]';
+		lines.push(line);
+	}
+
+	if (message.edns) {
+		const { edns } = message;
+		lines.push(`  EDNS: UDP size ${edns.udpSize}${edns.dnssecOk ? ', DO' : ''}${edns.version > 0 ? `, version ${edns.version}` : ''}`);
+		if (edns.extendedError) {
+			const text = edns.extendedError.text ? `: ${edns.extendedError.text}` : '';
+			lines.push(`  ⚠️  DNS Extended Error ${edns.extendedError.code} (${edns.extendedError.name})${text}`);
+		}
+	}
+	if (message.malformed) lines.push('  ⚠️  Malformed DNS message');
+
+	return lines;
+}
+
+/**
+ * TLS protocol versions
+ */
+const TLS_VERSIONS = {
+	0x0300: 'SSL 3.0',
+	0x0301: 'TLS 1.0',
+	0x0302: 'TLS 1.1',
+	0x0303: 'TLS 1.2',
+	0x0304: 'TLS 1.3',
+};
+
+/**
+ * Common TLS cipher suites
+ */
+const TLS_CIPHER_SUITES = {
+	0x002f: 'TLS_RSA_WITH_AES_128_CBC_SHA',
+	0x0035: 'TLS_RSA_WITH_AES_256_CBC_SHA',
+	0x009c: 'TLS_RSA_WITH_AES_128_GCM_SHA256',
+	0x009d: 'TLS_RSA_WITH_AES_256_GCM_SHA384',
+	0x1301: 'TLS_AES_128_GCM_SHA256',
+	0x1302: 'TLS_AES_256_GCM_SHA384',
+	0x1303: 'TLS_CHACHA20_POLY1305_SHA256',
+	0xc009: 'TLS_ECDHE_ECDSA_WITH_AES_128_CBC_SHA',
+	0xc00a: 'TLS_ECDHE_ECDSA_WITH_AES_256_CBC_SHA',
+	0xc013: 'TLS_ECDHE_RSA_WITH_AES_128_CBC_SHA',
+	0xc014: 'TLS_ECDHE_RSA_WITH_AES_256_CBC_SHA',
+	0xc02b: 'TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256',
+	0xc02c: 'TLS_ECDHE_ECDSA_WITH_AES_256_GCM_SHA384',
+	0xc02f: 'TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256',
+	0xc030: 'TLS_ECDHE_RSA_WITH_AES_256_GCM_SHA384',
+	0xcca8: 'TLS_ECDHE_RSA_WITH_CHACHA20_POLY1305_SHA256',
+	0xcca9: 'TLS_ECDHE_ECDSA_WITH_CHACHA20_POLY1305_SHA256',
+};
+
+/**
+ * TLS alert descriptions (RFC 8446 section 6)
+ */
+const TLS_ALERTS = {
+	0: 'close_notify',
+	10: 'unexpected_message',
+	20: 'bad_record_mac',
+	22: 'record_overflow',
+	40: 'handshake_failure',
+	42: 'bad_certificate',
+	43: 'unsupported_certificate',
+	44: 'certificate_revoked',
+	45: 'certificate_expired',
+	46: 'certificate_unknown',
+	47: 'illegal_parameter',
+	48: 'unknown_ca',
+	49: 'access_denied',
+	50: 'decode_error',
+	51: 'decrypt_error',
+	70: 'protocol_version',
+	71: 'insufficient_security',
+	80: 'internal_error',
+	86: 'inappropriate_fallback',
+	90: 'user_canceled',
+	109: 'missing_extension',
+	110: 'unsupported_extension',
+	112: 'unrecognized_name',
+	113: 'bad_certificate_status_response',
+	115: 'unknown_psk_identity',
+	116: 'certificate_required',
+	120: 'no_application_protocol',
+};
+
+/**
+ * ServerHello random value that marks a HelloRetryRequest (RFC 8446 section 4.1.3)
+ */
+const TLS_HELLO_RETRY_RANDOM = 'cf21ad74e59a6111be1d8c021e65b891c2a211167abb8c5e079e09e2c8a8339c';
+
+/**
+ * Name a TLS version, or null for GREASE values (RFC 8701)
+ * @param {number} version
+ * @returns {string|null}
+ */
+function tlsVersionName(version) {
+	if ((version & 0x0f0f) === 0x0a0a) return null;
+	return TLS_VERSIONS[version] || `0x${version.toString(16).padStart(4, '0')}`;
+}
+
+/**
+ * Name a TLS cipher suite
+ * @param {number} suite
+ * @returns {string}
+ */
+function tlsCipherSuiteName(suite) {
+	return TLS_CIPHER_SUITES[suite] || `0x${suite.toString(16).padStart(4, '0')}`;
+}
+
+/**
+ * Name a TLS alert description
+ * @param {number} description
+ * @returns {string}
+ */
+function tlsAlertName(description) {
+	return TLS_ALERTS[description] || `alert ${description}`;
+}
+
+/**
+ * Read the length-prefixed protocol names of an ALPN extension
+ * @param {Uint8Array} data
+ * @param {number} offset - Offset of the protocol name list (after its 2-byte length)
+ * @param {number} end
+ * @returns {Array<string>}
+ */
+function readAlpnList(data, offset, end) {
+	const protocols = [];
+	while (offset < end && offset + 1 + data[offset] <= end) {
+		protocols.push(String.fromCharCode(...data.subarray(offset + 1, offset + 1 + data[offset])));
+		offset += 1 + data[offset];
+	}
+	return protocols;
+}
+
+/**
+ * Walk the extensions block of a hello message
+ * @param {DataView} view
+ * @param {number} offset - Offset of the 2-byte extensions length
+ * @param {number} end
+ * @param {Function} visit - Called with (type, offset, end) for each extension
+ */
+function walkTlsExtensions(view, offset, end, visit) {
+	if (offset + 2 > end) return;
+	const extensionsEnd = Math.min(offset + 2 + view.getUint16(offset, false), end);
+	for (let at = offset + 2; at + 4 <= extensionsEnd; ) {
+		const type = view.getUint16(at, false);
+		const length = view.getUint16(at + 2, false);
+		if (at + 4 + length > extensionsEnd) break;
+		visit(type, at + 4, at + 4 + length);
+		at += 4 + length;
+	}
+}
+
+/**
+ * Parse a ClientHello handshake message body (shared by TLS over TCP and QUIC)
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Offset of the message body
+ * @param {number} end
+ * @returns {Object|null} - { sni, alpn, versions, cipherSuites }
+ */
+function parseClientHello(data, view, offset, end) {
+	if (end - offset < 38) return null;
+	const legacyVersion = view.getUint16(offset, false);
+	let at = offset + 34;
+	at += 1 + data[at]; // session id
+	if (at + 2 > end) return null;
+	const suitesEnd = at + 2 + view.getUint16(at, false);
+	if (suitesEnd > end) return null;
+
+	const cipherSuites = [];
+	for (let suite = at + 2; suite + 2 <= suitesEnd; suite += 2) {
+		const value = view.getUint16(suite, false);
+		if ((value & 0x0f0f) !== 0x0a0a) cipherSuites.push(tlsCipherSuiteName(value));
+	}
+	at = suitesEnd;
+	if (at >= end) return null;
+	at += 1 + data[at]; // compression methods
+
+	const hello = { sni: null, alpn: [], versions: [], cipherSuites };
+	walkTlsExtensions(view, at, end, (type, start, extensionEnd) => {
+		if (type === 0 && start + 5 <= extensionEnd && data[start + 2] === 0) {
+			const length = view.getUint16(start + 3, false);
+			hello.sni = new TextDecoder().decode(data.subarray(start + 5, Math.min(start + 5 + length, extensionEnd)));
+		} else if (type === 16 && start + 2 <= extensionEnd) {
+			hello.alpn = readAlpnList(data, start + 2, extensionEnd);
+		} else if (type === 43 && start < extensionEnd) {
+			for (let version = start + 1; version + 2 <= Math.min(start + 1 + data[start], extensionEnd); version += 2) {
+				const name = tlsVersionName(view.getUint16(version, false));
+				if (name) hello.versions.push(name);
+			}
+		}
+	});
+	if (hello.versions.length === 0) hello.versions.push(tlsVersionName(legacyVersion));
+
+	return hello;
+}
+
+/**
+ * Parse a ServerHello handshake message body
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} end
+ * @returns {Object|null} - { version, cipherSuite, alpn, helloRetryRequest }
+ */
+function parseServerHello(data, view, offset, end) {
+	if (end - offset < 38) return null;
+	const random = Array.from(data.subarray(offset + 2, offset + 34), (byte) => byte.toString(16).padStart(2, '0')).join('');
+	let at = offset + 34;
+	at += 1 + data[at]; // session id
+	if (at + 3 > end) return null;
+
+	const hello = {
+		version: tlsVersionName(view.getUint16(offset, false)),
+		cipherSuite: tlsCipherSuiteName(view.getUint16(at, false)),
+		alpn: null,
+		helloRetryRequest: random === TLS_HELLO_RETRY_RANDOM,
+	};
+	walkTlsExtensions(view, at + 3, end, (type, start, extensionEnd) => {
+		if (type === 43 && start + 2 <= extensionEnd) {
+			hello.version = tlsVersionName(view.getUint16(start, false));
+		} else if (type === 16 && start + 2 <= extensionEnd) {
+			hello.alpn = readAlpnList(data, start + 2, extensionEnd)[0] ?? null;
+		}
+	});
+
+	return hello;
+}
+
+/**
+ * Describe a parsed ClientHello
+ * @param {Object} hello - From parseClientHello
+ * @returns {string}
+ */
+function describeClientHello(hello) {
+	const parts = [`SNI ${hello.sni ?? '(none)'}`];
+	if (hello.alpn.length > 0) parts.push(`ALPN ${hello.alpn.join(',')}`);
+	parts.push(`versions ${hello.versions.join(', ')}`);
+	parts.push(`${hello.cipherSuites.length} cipher suites`);
+	return `TLS ClientHello: ${parts.join(' | ')}`;
+}
+
+/**
+ * QUIC versions with the Initial salt and HKDF label prefix used to derive
+ * Initial packet keys (RFC 9001 section 5.2, RFC 9369 section 3.3)
+ */
+const QUIC_VERSIONS = new Map([
+	[0x00000001, { name: 'QUICv1', salt: '38762cf7f55934b34d179ae6a4c80cadccbb7f0a', label: 'quic' }],
+	[0x6b3343cf, { name: 'QUICv2', salt: '0dede3def700a6db819381be6e269dcbf9bd2ed9', label: 'quicv2' }],
+	[0xff00001d, { name: 'draft-29', salt: 'afbfec289993d24c9e9786f19c6111e04390a899', label: 'quic' }],
+]);
+
+/**
+ * Long header packet types by type bits; QUIC v2 rotates them
+ */
+const QUIC_PACKET_TYPES = ['Initial', '0-RTT', 'Handshake', 'Retry'];
+const QUIC_V2_PACKET_TYPES = ['Retry', 'Initial', '0-RTT', 'Handshake'];
+
+/**
+ * Name a QUIC version
+ * @param {number} version
+ * @returns {string}
+ */
+function quicVersionName(version) {
+	return QUIC_VERSIONS.get(version)?.name ?? `0x${version.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Hex-encode bytes
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToHex(bytes) {
+	return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Decode hex into bytes
+ * @param {string} hex
+ * @returns {Uint8Array}
+ */
+function hexToBytes(hex) {
+	return Uint8Array.from(hex.match(/../g), (pair) => parseInt(pair, 16));
+}
+
+/**
+ * Read a QUIC variable-length integer (RFC 9000 section 16)
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {number} end
+ * @returns {{value: number, next: number}|null}
+ */
+function readQuicVarint(data, offset, end) {
+	if (offset >= end) return null;
+	const length = 1 << (data[offset] >> 6);
+	if (offset + length > end) return null;
+	let value = data[offset] & 0x3f;
+	for (let i = 1; i < length; i++) value = value * 256 + data[offset + i];
+	return { value, next: offset + length };
+}
+
+/**
+ * Parse a QUIC long header
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Offset of the first byte
+ * @param {number} end - End of the datagram
+ * @returns {Object|null} - Header fields; packetEnd is null when the packet runs to the end of the datagram
+ */
+function parseQuicLongHeader(data, view, offset, end) {
+	if (end - offset < 7) return null;
+	const firstByte = data[offset];
+	const version = view.getUint32(offset + 1, false);
+
+	let at = offset + 5;
+	const dcidLength = data[at];
+	if (dcidLength > 20 || at + 1 + dcidLength >= end) return null;
+	const dcid = data.subarray(at + 1, at + 1 + dcidLength);
+	at += 1 + dcidLength;
+	const scidLength = data[at];
+	if (scidLength > 20 || at + 1 + scidLength > end) return null;
+	const scid = data.subarray(at + 1, at + 1 + scidLength);
+	at += 1 + scidLength;
+
+	const header = { offset, version, dcid, scid, type: null, packetEnd: null };
+
+	if (version === 0) {
+		header.type = 'Version Negotiation';
+		header.supportedVersions = [];
+		for (; at + 4 <= end; at += 4) header.supportedVersions.push(view.getUint32(at, false));
+		return header;
+	}
+	// The fixed bit must be set on every other long header packet
+	if ((firstByte & 0x40) === 0) return null;
+
+	const typeBits = (firstByte >> 4) & 0x03;
+	header.type = version === 0x6b3343cf ? QUIC_V2_PACKET_TYPES[typeBits] : QUIC_PACKET_TYPES[typeBits];
+	if (header.type === 'Retry') return header;
+
+	if (header.type === 'Initial') {
+		const tokenLength = readQuicVarint(data, at, end);
+		if (!tokenLength) return null;
+		header.tokenLength = tokenLength.value;
+		at = tokenLength.next + tokenLength.value;
+	}
+
+	const length = readQuicVarint(data, at, end);
+	if (!length) return null;
+	header.length = length.value;
+	header.pnOffset = length.next;
+	header.packetEnd = Math.min(length.next + length.value, end);
+	return header;
+}
+
+/**
+ * Describe a QUIC long header
+ * @param {Object} header - From parseQuicLongHeader
+ * @returns {string}
+ */
+function describeQuicLongHeader(header) {
+	const cid = (bytes) => (bytes.length > 0 ? bytesToHex(bytes) : '(empty)');
+	const parts = [`QUIC ${header.type}`];
+	if (header.version !== 0) parts.push(quicVersionName(header.version));
+	parts.push(`DCID ${cid(header.dcid)}`, `SCID ${cid(header.scid)}`);
+	if (header.tokenLength) parts.push(`token ${header.tokenLength} bytes`);
+	if (header.length !== undefined) parts.push(`length ${header.length}`);
+	return parts.join(' | ');
+}
+
+/**
+ * HMAC-SHA256
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function hmacSha256(key, data) {
+	const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, data));
+}
+
+/**
+ * TLS 1.3 HKDF-Expand-Label (RFC 8446 section 7.1) with an empty context,
+ * for outputs that fit in one SHA-256 block
+ * @param {Uint8Array} secret
+ * @param {string} label
+ * @param {number} length
+ * @returns {Promise<Uint8Array>}
+ */
+async function hkdfExpandLabel(secret, label, length) {
+	const fullLabel = new TextEncoder().encode(`tls13 ${label}`);
+	const info = new Uint8Array(3 + fullLabel.length + 2);
+	info[0] = length >> 8;
+	info[1] = length & 0xff;
+	info[2] = fullLabel.length;
+	info.set(fullLabel, 3);
+	// Empty context, then the HKDF-Expand block counter
+	info[info.length - 1] = 1;
+	return (await hmacSha256(secret, info)).subarray(0, length);
+}
+
+/**
+ * Derive client Initial packet protection keys from the original destination connection ID
+ * @param {number} version
+ * @param {Uint8Array} dcid
+ * @returns {Promise<Object|null>} - { key, iv, hp }, or null for versions without known salts
+ */
+async function deriveQuicInitialKeys(version, dcid) {
+	const params = QUIC_VERSIONS.get(version);
+	if (!params) return null;
+
+	const initialSecret = await hmacSha256(hexToBytes(params.salt), dcid);
+	const clientSecret = await hkdfExpandLabel(initialSecret, 'client in', 32);
+	const [key, iv, hp] = await Promise.all([
+		hkdfExpandLabel(clientSecret, `${params.label} key`, 16),
+		hkdfExpandLabel(clientSecret, `${params.label} iv`, 12),
+		hkdfExpandLabel(clientSecret, `${params.label} hp`, 16),
+	]);
+
+	return {
+		key: await crypto.subtle.importKey('raw', key, 'AES-GCM', false, ['decrypt']),
+		iv,
+		// AES-CBC with a zero IV over one block is the AES-ECB that header protection needs
+		hp: await crypto.subtle.importKey('raw', hp, 'AES-CBC', false, ['encrypt']),
+	};
+}
+
+/**
+ * Decrypt a client Initial that runPcapAnalysis yielded
+ * @param {Map} keys - Key derivations by version and DCID, shared across one capture
+ * @param {Object} initial - { version, dcid, pnOffset, bytes }
+ * @returns {Promise<Object|null>} - From readQuicFrames, or null when decryption fails
+ */
+async function decryptQuicInitialPacket(keys, initial) {
+	const cacheKey = `${initial.version}|${bytesToHex(initial.dcid)}`;
+	if (!keys.has(cacheKey)) keys.set(cacheKey, deriveQuicInitialKeys(initial.version, initial.dcid));
+	return decryptQuicInitial(await keys.get(cacheKey), initial.bytes, initial.pnOffset);
+}
+
+/**
+ * Remove header protection and decrypt a client Initial packet, returning its frames
+ * @param {Object|null} keys - From deriveQuicInitialKeys
+ * @param {Uint8Array} data - The Initial packet alone
+ * @param {number} pnOffset - Offset of the packet number field
+ * @returns {Promise<Object|null>} - From readQuicFrames, or null when decryption fails
+ */
+async function decryptQuicInitial(keys, data, pnOffset) {
+	if (!keys) return null;
+
+	const sampleOffset = pnOffset + 4;
+	if (sampleOffset + 16 > data.length) return null;
+
+	try {
+		const sample = data.subarray(sampleOffset, sampleOffset + 16);
+		const mask = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: new Uint8Array(16) }, keys.hp, sample));
+
+		const unprotected = data.slice(0, pnOffset + 4);
+		unprotected[0] ^= mask[0] & 0x0f;
+		const pnLength = (unprotected[0] & 0x03) + 1;
+		for (let i = 0; i < pnLength; i++) unprotected[pnOffset + i] ^= mask[1 + i];
+
+		// The nonce is the IV XORed with the packet number
+		const nonce = keys.iv.slice();
+		for (let i = 0; i < pnLength; i++) nonce[11 - i] ^= unprotected[pnOffset + pnLength - 1 - i];
+
+		const plaintext = await crypto.subtle.decrypt(
+			{ name: 'AES-GCM', iv: nonce, additionalData: unprotected.subarray(0, pnOffset + pnLength) },
+			keys.key,
+			data.subarray(pnOffset + pnLength)
+		);
+		return readQuicFrames(new Uint8Array(plaintext));
+	} catch (e) {
+		// Authentication failed: not a client Initial, or keys from a DCID we did not see
+		return null;
+	}
+}
+
+/**
+ * Read the CRYPTO frames of a decrypted Initial packet
+ * @param {Uint8Array} payload
+ * @returns {Object} - { crypto: [{ offset, data }] }
+ */
+function readQuicFrames(payload) {
+	const frames = { crypto: [] };
+	let at = 0;
+
+	while (at < payload.length) {
+		const type = payload[at];
+		if (type === 0x00 || type === 0x01) {
+			// PADDING, PING
+			at++;
+		} else if (type === 0x02 || type === 0x03) {
+			// ACK: largest, delay, range count and first range, then gap/length pairs and ECN counts
+			let next = at + 1;
+			let rangeCount = 0;
+			for (let i = 0; i < 4; i++) {
+				const field = readQuicVarint(payload, next, payload.length);
+				if (!field) return frames;
+				if (i === 2) rangeCount = field.value;
+				next = field.next;
+			}
+			for (let i = 0; i < rangeCount * 2 + (type === 0x03 ? 3 : 0); i++) {
+				const field = readQuicVarint(payload, next, payload.length);
+				if (!field) return frames;
+				next = field.next;
+			}
+			at = next;
+		} else if (type === 0x06) {
+			const offset = readQuicVarint(payload, at + 1, payload.length);
+			const length = offset && readQuicVarint(payload, offset.next, payload.length);
+			if (!length || length.next + length.value > payload.length) return frames;
+			frames.crypto.push({ offset: offset.value, data: payload.subarray(length.next, length.next + length.value) });
+			at = length.next + length.value;
+		} else {
+			// Nothing else in a client Initial matters here
+			return frames;
+		}
+	}
+
+	return frames;
+}
+
+/**
+ * X.509 name attributes shown in certificate subjects and issuers
+ */
+const X509_NAME_ATTRIBUTES = {
+	'550403': 'CN',
+	'55040a': 'O',
+	'55040b': 'OU',
+	'550406': 'C',
+};
+
+/**
+ * Read a DER tag-length header
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {number} end
+ * @returns {{tag: number, start: number, end: number}|null} - Content bounds
+ */
+function readDer(data, offset, end) {
+	if (offset + 2 > end) return null;
+	let length = data[offset + 1];
+	let start = offset + 2;
+	if (length & 0x80) {
+		const bytes = length & 0x7f;
+		if (bytes === 0 || bytes > 3 || start + bytes > end) return null;
+		length = 0;
+		for (let i = 0; i < bytes; i++) length = length * 256 + data[start + i];
+		start += bytes;
+	}
+	if (start + length > end) return null;
+	return { tag: data[offset], start, end: start + length };
+}
+
+/**
+ * Render an X.509 Name as "CN=..., O=..."
+ * @param {Uint8Array} data
+ * @param {Object} name - DER element of the Name sequence
+ * @returns {string}
+ */
+function formatX509Name(data, name) {
+	const parts = [];
+	for (let at = name.start; at < name.end; ) {
+		const set = readDer(data, at, name.end);
+		if (!set) break;
+		const attribute = readDer(data, set.start, set.end);
+		const oid = attribute && readDer(data, attribute.start, attribute.end);
+		const value = oid && readDer(data, oid.end, attribute.end);
+		if (value) {
+			const key =
+				X509_NAME_ATTRIBUTES[Array.from(data.subarray(oid.start, oid.end), (byte) => byte.toString(16).padStart(2, '0')).join('')];
+			// BMPString is UTF-16; the other string types are ASCII-compatible
+			const text = new TextDecoder(value.tag === 0x1e ? 'utf-16be' : 'utf-8').decode(data.subarray(value.start, value.end));
+			if (key) parts.push(`${key}=${text}`);
+		}
+		at = set.end;
+	}
+	return parts.join(', ') || '(empty)';
+}
+
+/**
+ * Convert a DER UTCTime or GeneralizedTime to ISO 8601
+ * @param {Uint8Array} data
+ * @param {Object} element
+ * @returns {string|null}
+ */
+function formatDerTime(data, element) {
+	const text = String.fromCharCode(...data.subarray(element.start, element.end));
+	const match = /^(\d{2}|\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(text);
+	if (!match) return null;
+	let year = Number(match[1]);
+	// UTCTime years 50-99 are 19xx (RFC 5280 section 4.1.2.5.1)
+	if (match[1].length === 2) year += year >= 50 ? 1900 : 2000;
+	return `${year}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`;
+}
+
+/**
+ * Extract subject, issuer and validity from a DER X.509 certificate
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {number} end
+ * @returns {Object|null} - { subject, issuer, notBefore, notAfter }
+ */
+function parseCertificate(data, offset, end) {
+	const certificate = readDer(data, offset, end);
+	const tbs = certificate && readDer(data, certificate.start, certificate.end);
+	if (!tbs || tbs.tag !== 0x30) return null;
+
+	const fields = [];
+	for (let at = tbs.start; at < tbs.end && fields.length < 6; ) {
+		const element = readDer(data, at, tbs.end);
+		if (!element) return null;
+		// The version is an optional explicit [0] tag
+		if (fields.length > 0 || element.tag !== 0xa0) fields.push(element);
+		at = element.end;
+	}
+	const [, , issuer, validity, subject] = fields;
+	if (!subject) return null;
+
+	const notBefore = readDer(data, validity.start, validity.end);
+	const notAfter = notBefore && readDer(data, notBefore.end, validity.end);
+	return {
+		subject: formatX509Name(data, subject),
+		issuer: formatX509Name(data, issuer),
+		notBefore: notBefore ? formatDerTime(data, notBefore) : null,
+		notAfter: notAfter ? formatDerTime(data, notAfter) : null,
+	};
+}
+
+/**
+ * ICMP Destination Unreachable codes (RFC 792, RFC 1812)
+ */
+const ICMP_UNREACHABLE_CODES = [
+	'network unreachable',
+	'host unreachable',
+	'protocol unreachable',
+	'port unreachable',
+	'fragmentation needed',
+	'source route failed',
+	'destination network unknown',
+	'destination host unknown',
+	'source host isolated',
+	'network administratively prohibited',
+	'host administratively prohibited',
+	'network unreachable for TOS',
+	'host unreachable for TOS',
+	'communication administratively prohibited',
+];
+
+/**
+ * Decode the original packet header quoted inside an ICMP or ICMPv6 error
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Offset of the quoted IP header
+ * @param {number} end - Offset where the captured packet ends
+ * @returns {Object|null} - { version, protocol, src, dst, srcPort, dstPort, length }
+ */
+function decodeQuotedPacket(data, view, offset, end) {
+	if (end - offset < 20) return null;
+	const version = data[offset] >> 4;
+	let quoted;
+	let transportOffset;
+
+	if (version === 4) {
+		quoted = {
+			version,
+			protocol: data[offset + 9],
+			src: formatIPv4(data, offset + 12),
+			dst: formatIPv4(data, offset + 16),
+			length: view.getUint16(offset + 2, false),
+		};
+		transportOffset = offset + (data[offset] & 0x0f) * 4;
+	} else if (version === 6 && end - offset >= 40) {
+		quoted = {
+			version,
+			protocol: data[offset + 6],
+			src: formatIPv6(data, offset + 8),
+			dst: formatIPv6(data, offset + 24),
+			length: 40 + view.getUint16(offset + 4, false),
+		};
+		transportOffset = offset + 40;
+	} else {
+		return null;
+	}
+
+	// Errors quote at least 8 bytes past the IP header, enough for both ports
+	if ((quoted.protocol === 6 || quoted.protocol === 17) && transportOffset + 4 <= end) {
+		quoted.srcPort = view.getUint16(transportOffset, false);
+		quoted.dstPort = view.getUint16(transportOffset + 2, false);
+	}
+	return quoted;
+}
+
+/**
+ * Describe a quoted original packet
+ * @param {Object} quoted - From decodeQuotedPacket
+ * @returns {string}
+ */
+function describeQuotedPacket(quoted) {
+	const names = { 1: 'ICMP', 6: 'TCP', 17: 'UDP', 58: 'ICMPv6' };
+	const protocol = names[quoted.protocol] ?? `protocol ${quoted.protocol}`;
+	return `quoted ${protocol} ${formatEndpoint(quoted.src, quoted.srcPort)} → ${formatEndpoint(quoted.dst, quoted.dstPort)}, ${quoted.length} bytes`;
+}
+
+/**
+ * ICMPv6 Destination Unreachable codes (RFC 4443)
+ */
+const ICMPV6_UNREACHABLE_CODES = [
+	'no route to destination',
+	'administratively prohibited',
+	'beyond scope of source address',
+	'address unreachable',
+	'port unreachable',
+	'source address failed ingress/egress policy',
+	'reject route to destination',
+];
+
+/**
+ * Describe an ICMPv6 message, including Neighbor Discovery
+ * @param {Uint8Array} data
+ * @param {DataView} view
+ * @param {number} offset - Offset to the ICMPv6 header
+ * @param {number} end - Offset where the captured packet ends
+ * @returns {string}
+ */
+function describeIcmpv6(data, view, offset, end) {
+	const type = data[offset];
+	const code = data[offset + 1];
+	const available = end - offset;
+
+	switch (type) {
+		case 1:
+			return `Destination Unreachable (${ICMPV6_UNREACHABLE_CODES[code] || `code ${code}`})`;
+		case 2:
+			return available >= 8 ? `Packet Too Big (MTU ${view.getUint32(offset + 4, false)})` : 'Packet Too Big';
+		case 3:
+			return code === 1 ? 'Time Exceeded (fragment reassembly)' : 'Time Exceeded (hop limit)';
+		case 4:
+			return available >= 8 ? `Parameter Problem (code ${code}, pointer ${view.getUint32(offset + 4, false)})` : 'Parameter Problem';
+		case 128:
+			return 'Echo Request (Ping)';
+		case 129:
+			return 'Echo Reply (Ping response)';
+		case 133:
+			return 'Router Solicitation';
+		case 134:
+			return available >= 8 ? `Router Advertisement (router lifetime ${view.getUint16(offset + 6, false)}s)` : 'Router Advertisement';
+		case 135:
+			return available >= 24 ? `Neighbor Solicitation for ${formatIPv6(data, offset + 8)}` : 'Neighbor Solicitation';
+		case 136: {
+			if (available < 24) return 'Neighbor Advertisement';
+			const flags = data[offset + 4];
+			const flagNames = [];
+			if (flags & 0x80) flagNames.push('router');
+			if (flags & 0x40) flagNames.push('solicited');
+			if (flags & 0x20) flagNames.push('override');
+			const suffix = flagNames.length > 0 ? ` [${flagNames.join(',')}]` : '';
+			return `Neighbor Advertisement for ${formatIPv6(data, offset + 8)}${suffix}`;
+		}
+		case 137:
+			return available >= 40 ? `Redirect to ${formatIPv6(data, offset + 8)} for ${formatIPv6(data, offset + 24)}` : 'Redirect';
+		case 130:
+			return 'Multicast Listener Query';
+		case 131:
+		case 143:
+			return 'Multicast Listener Report';
+		default:
+			return `Type ${type} Code ${code}`;
+	}
+}
+
+/**
+ * QUIC transport error codes (RFC 9000 section 20.1)
+ */
+const QUIC_TRANSPORT_ERRORS = {
+	0x00: 'NO_ERROR',
+	0x01: 'INTERNAL_ERROR',
+	0x02: 'CONNECTION_REFUSED',
+	0x03: 'FLOW_CONTROL_ERROR',
+	0x04: 'STREAM_LIMIT_ERROR',
+	0x05: 'STREAM_STATE_ERROR',
+	0x06: 'FINAL_SIZE_ERROR',
+	0x07: 'FRAME_ENCODING_ERROR',
+	0x08: 'TRANSPORT_PARAMETER_ERROR',
+	0x09: 'CONNECTION_ID_LIMIT_ERROR',
+	0x0a: 'PROTOCOL_VIOLATION',
+	0x0b: 'INVALID_TOKEN',
+	0x0c: 'APPLICATION_ERROR',
+	0x0d: 'CRYPTO_BUFFER_EXCEEDED',
+	0x0e: 'KEY_UPDATE_ERROR',
+	0x0f: 'AEAD_LIMIT_REACHED',
+	0x10: 'NO_VIABLE_PATH',
+};
+
+/**
+ * HTTP/3 application error codes (RFC 9114 section 8.1), which MASQUE tunnels use
+ */
+const HTTP3_ERRORS = {
+	0x100: 'H3_NO_ERROR',
+	0x101: 'H3_GENERAL_PROTOCOL_ERROR',
+	0x102: 'H3_INTERNAL_ERROR',
+	0x103: 'H3_STREAM_CREATION_ERROR',
+	0x104: 'H3_CLOSED_CRITICAL_STREAM',
+	0x105: 'H3_FRAME_UNEXPECTED',
+	0x106: 'H3_FRAME_ERROR',
+	0x107: 'H3_EXCESSIVE_LOAD',
+	0x108: 'H3_ID_ERROR',
+	0x109: 'H3_SETTINGS_ERROR',
+	0x10a: 'H3_MISSING_SETTINGS',
+	0x10b: 'H3_REQUEST_REJECTED',
+	0x10c: 'H3_REQUEST_CANCELLED',
+	0x10d: 'H3_REQUEST_INCOMPLETE',
+	0x10e: 'H3_MESSAGE_ERROR',
+	0x10f: 'H3_CONNECT_ERROR',
+	0x110: 'H3_VERSION_FALLBACK',
+};
+
+/**
+ * Connection close triggers that mean the connection did not end cleanly
+ */
+const QLOG_UNCLEAN_TRIGGERS = new Set(['error', 'idle_timeout', 'stateless_reset', 'version_mismatch']);
+
+/**
+ * Loss rate, in percent of packets sent, flagged in the text summary
+ */
+const QLOG_LOSS_WARNING_PERCENT = 2;
+
+/**
+ * Consecutive probe timeouts flagged in the text summary
+ */
+const QLOG_PTO_WARNING = 3;
+
+/**
+ * Maximum connections returned per qlog file
+ */
+const MAX_QLOG_CONNECTIONS = 100;
+
+/**
+ * Maximum lost packets and state changes kept per connection
+ */
+const MAX_QLOG_EVENTS = 100;
+
+/**
+ * Lost packets listed per connection in the text summary
+ */
+const MAX_QLOG_LOSS_LINES = 10;
+
+/**
+ * Name a QUIC CONNECTION_CLOSE error code
+ * @param {string|undefined} space - "transport" or "application" (qlog error_space)
+ * @param {number|string|undefined} code - qlog error_code, already named in some qlog writers
+ * @returns {string|null}
+ */
+function quicErrorName(space, code) {
+	if (typeof code === 'string') return code;
+	if (typeof code !== 'number') return null;
+	const hex = `0x${code.toString(16)}`;
+	if (space?.startsWith('application')) return HTTP3_ERRORS[code] ?? hex;
+	// TLS alerts surface as CRYPTO_ERROR 0x100 + alert
+	if (code >= 0x100 && code <= 0x1ff) return `CRYPTO_ERROR (${TLS_ALERTS[code - 0x100] ?? code - 0x100})`;
+	return QUIC_TRANSPORT_ERRORS[code] ?? hex;
+}
+
+/**
+ * Split qlog text into records: a JSON file holds every trace in one document,
+ * while JSON-SEQ (RFC 7464) and newline-delimited logs hold one record each
+ * @param {string} content
+ * @returns {Object} - { format, records, skipped }
+ */
+function readQlogRecords(content) {
+	const text = content.trim();
+	if (!text.startsWith('\x1e')) {
+		try {
+			return { format: 'JSON', records: [JSON.parse(text)], skipped: 0 };
+		} catch (e) {
+			// Fall through to record-per-line parsing
+		}
+	}
+
+	const records = [];
+	let skipped = 0;
+	for (const chunk of text.split(text.includes('\x1e') ? '\x1e' : '\n')) {
+		if (!chunk.trim()) continue;
+		try {
+			records.push(JSON.parse(chunk));
+		} catch (e) {
+			// A log cut short mid-record is expected when the client was killed
+			skipped++;
+		}
+	}
+	if (records.length === 0) throw new Error('no JSON records found');
+	return { format: 'JSON-SEQ', records, skipped };
+}
+
+/**
+ * Gather the traces of a qlog file with their events in a common shape
+ * @param {Object} parsed - From readQlogRecords
+ * @returns {Object} - { version, traces }, each trace carrying its raw events as rawEvents
+ */
+function readQlogTraces(parsed) {
+	const [first, ...rest] = parsed.records;
+	const version = first.qlog_version ?? null;
+
+	if (parsed.format === 'JSON') {
+		const traces = (first.traces ?? []).map((trace) => ({ ...trace, rawEvents: trace.events ?? [] }));
+		return { version, traces };
+	}
+	// JSON-SEQ: a header record describing the trace, then one event per record
+	const trace = first.trace ?? {};
+	const events = first.name || first.event_type ? parsed.records : rest;
+	return { version, traces: [{ ...trace, rawEvents: events }] };
+}
+
+/**
+ * Turn a trace's events into { time, name, data, group } with absolute or
+ * trace-relative milliseconds, whichever the trace allows
+ * @param {Object} trace - qlog trace object with rawEvents
+ * @returns {Object} - { events, wallClock }
+ */
+function normalizeQlogEvents(trace) {
+	const common = trace.common_fields ?? {};
+	const config = trace.configuration ?? {};
+	const timeFormat = common.time_format ?? 'relative';
+	const scale = (config.time_units ?? common.time_units) === 'us' ? 0.001 : 1;
+	const reference = Number(common.reference_time);
+	const wallClock = timeFormat === 'absolute' || Number.isFinite(reference);
+	// Draft 01/02 traces store events as arrays described by event_fields
+	const fields = trace.event_fields ?? common.event_fields;
+
+	const events = [];
+	let elapsed = 0;
+	for (const raw of trace.rawEvents) {
+		const event = Array.isArray(raw) && fields ? Object.fromEntries(fields.map((field, i) => [field, raw[i]])) : raw;
+		if (!event || typeof event !== 'object') continue;
+
+		const name = event.name ?? `${event.category}:${event.event ?? event.event_type}`;
+		let time = Number(event.time ?? event.relative_time ?? 0) * scale;
+		if (timeFormat === 'delta') time = elapsed += time;
+		if (timeFormat !== 'absolute' && Number.isFinite(reference)) time += reference;
+		events.push({ time, name, data: event.data ?? {}, group: event.group_id ?? common.group_id ?? null });
+	}
+	return { events, wallClock };
+}
+
+/**
+ * Create per-connection state for qlog metrics
+ * @param {Object} trace
+ * @param {string|null} group
+ * @returns {Object}
+ */
+function createQlogConnection(trace, group) {
+	return {
+		vantagePoint: trace.vantage_point?.type ?? null,
+		title: trace.title ?? null,
+		odcid: trace.common_fields?.ODCID ?? trace.common_fields?.odcid ?? group,
+		local: null,
+		remote: null,
+		startTime: null,
+		durationMs: 0,
+		version: null,
+		alpn: null,
+		states: [],
+		packets: { sent: 0, received: 0, lost: 0, dropped: 0, bytesSent: 0, bytesReceived: 0 },
+		lossRate: 0,
+		losses: [],
+		rtt: { min: null, smoothed: null, latest: null, maxPtoCount: 0 },
+		congestion: { min: null, max: null, last: null, stateChanges: 0, recoveries: 0 },
+		close: null,
+	};
+}
+
+/**
+ * Apply one qlog event to a connection
+ * @param {Object} connection - From createQlogConnection
+ * @param {Object} event - Normalized event
+ * @param {number} relativeMs - Time since the connection's first event
+ * @param {Array<number>} latestRtts - Collects latest_rtt samples
+ */
+function applyQlogEvent(connection, event, relativeMs, latestRtts) {
+	const { name, data } = event;
+	const at = roundMs(relativeMs);
+
+	if (name === 'connectivity:connection_started') {
+		if (data.src_ip) connection.local = formatEndpoint(data.src_ip, data.src_port);
+		if (data.dst_ip) connection.remote = formatEndpoint(data.dst_ip, data.dst_port);
+	} else if (name === 'connectivity:connection_state_updated') {
+		if (connection.states.length < MAX_QLOG_EVENTS) connection.states.push({ atMs: at, state: data.new });
+	} else if (name === 'transport:version_information' && data.chosen_version !== undefined) {
+		const version = typeof data.chosen_version === 'string' ? parseInt(data.chosen_version, 16) : data.chosen_version;
+		connection.version = quicVersionName(version);
+	} else if (name === 'transport:alpn_information' && data.chosen_alpn) {
+		connection.alpn = data.chosen_alpn.string_value ?? data.chosen_alpn;
+	} else if (name === 'transport:packet_sent' || name === 'transport:packet_received') {
+		const sent = name === 'transport:packet_sent';
+		const size = Number(data.raw?.length ?? data.header?.packet_size ?? 0);
+		connection.packets[sent ? 'sent' : 'received']++;
+		connection.packets[sent ? 'bytesSent' : 'bytesReceived'] += size;
+		if (!connection.version && data.header?.version) connection.version = quicVersionName(parseInt(data.header.version, 16));
+
+		const close = (data.frames ?? []).find((frame) => frame.frame_type === 'connection_close');
+		if (close && !connection.close) {
+			connection.close = {
+				atMs: at,
+				initiator: sent ? 'local' : 'remote',
+				trigger: null,
+				errorSpace: close.error_space ?? null,
+				error: quicErrorName(close.error_space, close.raw_error_code ?? close.error_code),
+				reason: close.reason || null,
+			};
+		}
+	} else if (name === 'transport:packet_dropped') {
+		connection.packets.dropped++;
+	} else if (name === 'recovery:packet_lost') {
+		connection.packets.lost++;
+		if (connection.losses.length < MAX_QLOG_EVENTS) {
+			connection.losses.push({
+				atMs: at,
+				packetNumber: data.header?.packet_number ?? null,
+				packetType: data.header?.packet_type ?? null,
+				trigger: data.trigger ?? null,
+			});
+		}
+	} else if (name === 'recovery:metrics_updated') {
+		const { rtt, congestion } = connection;
+		if (data.min_rtt !== undefined) rtt.min = rtt.min === null ? data.min_rtt : Math.min(rtt.min, data.min_rtt);
+		if (data.smoothed_rtt !== undefined) rtt.smoothed = data.smoothed_rtt;
+		if (data.latest_rtt !== undefined) latestRtts.push(data.latest_rtt);
+		if (data.pto_count !== undefined) rtt.maxPtoCount = Math.max(rtt.maxPtoCount, data.pto_count);
+		if (data.congestion_window !== undefined) {
+			congestion.min = congestion.min === null ? data.congestion_window : Math.min(congestion.min, data.congestion_window);
+			congestion.max = congestion.max === null ? data.congestion_window : Math.max(congestion.max, data.congestion_window);
+			congestion.last = data.congestion_window;
+		}
+	} else if (name === 'recovery:congestion_state_updated') {
+		connection.congestion.stateChanges++;
+		if (data.new === 'recovery') connection.congestion.recoveries++;
+	} else if (name === 'connectivity:connection_closed') {
+		const space = data.application_code !== undefined ? 'application' : 'transport';
+		const code = data.application_code ?? data.connection_code;
+		connection.close = {
+			atMs: connection.close?.atMs ?? at,
+			initiator: data.owner ?? connection.close?.initiator ?? null,
+			trigger: data.trigger ?? null,
+			errorSpace: code !== undefined ? space : (connection.close?.errorSpace ?? null),
+			error: code !== undefined ? quicErrorName(space, code) : (connection.close?.error ?? null),
+			reason: data.reason || connection.close?.reason || null,
+		};
+	}
+}
+
+/**
+ * Parse a qlog file (JSON or JSON-SEQ) into per-connection metrics: lifecycle
+ * states, packets lost and dropped, congestion window, RTT and how it closed
+ * @param {string} content - qlog text
+ * @returns {Object} - { format, qlogVersion, skippedRecords, totalConnections, connections }
+ */
+function parseQlog(content) {
+	const parsed = readQlogRecords(content);
+	const { version, traces } = readQlogTraces(parsed);
+	const connections = [];
+
+	for (const trace of traces) {
+		const { events, wallClock } = normalizeQlogEvents(trace);
+		// One trace may interleave several connections, told apart by group_id
+		const groups = new Map();
+		for (const event of events) {
+			if (!groups.has(event.group)) groups.set(event.group, []);
+			groups.get(event.group).push(event);
+		}
+
+		for (const [group, groupEvents] of groups) {
+			const connection = createQlogConnection(trace, group);
+			const start = groupEvents[0].time;
+			const latestRtts = [];
+			for (const event of groupEvents) {
+				applyQlogEvent(connection, event, event.time - start, latestRtts);
+			}
+
+			if (wallClock) connection.startTime = new Date(start).toISOString();
+			connection.durationMs = roundMs(groupEvents[groupEvents.length - 1].time - start);
+			const { sent, lost } = connection.packets;
+			connection.lossRate = sent > 0 ? Math.round((lost / sent) * 10000) / 100 : 0;
+			if (latestRtts.length > 0) {
+				const sorted = latestRtts.sort((a, b) => a - b);
+				connection.rtt.latest = {
+					count: sorted.length,
+					p50: roundMs(percentile(sorted, 50)),
+					p95: roundMs(percentile(sorted, 95)),
+					max: roundMs(sorted[sorted.length - 1]),
+				};
+			}
+			connections.push(connection);
+		}
+	}
+
+	return {
+		format: parsed.format,
+		qlogVersion: version,
+		skippedRecords: parsed.skipped,
+		totalConnections: connections.length,
+		connections: connections.slice(0, MAX_QLOG_CONNECTIONS),
+	};
+}
+
+/**
+ * Whether a qlog connection ended badly
+ * @param {Object|null} close - Connection close info
+ * @returns {boolean}
+ */
+function isUncleanQlogClose(close) {
+	if (!close) return false;
+	if (QLOG_UNCLEAN_TRIGGERS.has(close.trigger)) return true;
+	return close.error !== null && !/^(NO_ERROR|H3_NO_ERROR|no_error|0x0)$/i.test(close.error);
+}
+
+/**
+ * Format parsed qlog metrics as text lines
+ * @param {Object} qlog - From parseQlog
+ * @returns {Array<string>}
+ */
+function formatQlogSummary(qlog) {
+	const lines = [`Format: ${qlog.format}${qlog.qlogVersion ? ` (qlog ${qlog.qlogVersion})` : ''} | Connections: ${qlog.totalConnections}`];
+	if (qlog.skippedRecords > 0) lines.push(`⚠️  ${qlog.skippedRecords} unreadable records skipped`);
+
+	qlog.connections.forEach((connection, index) => {
+		const { packets, rtt, congestion, close } = connection;
+		let header = `\nConnection ${index + 1}`;
+		if (connection.vantagePoint) header += ` (${connection.vantagePoint})`;
+		if (connection.local || connection.remote) header += ` ${connection.local ?? '?'} → ${connection.remote ?? '?'}`;
+		if (connection.odcid) header += ` | ODCID ${connection.odcid}`;
+		if (connection.version) header += ` | ${connection.version}`;
+		if (connection.alpn) header += ` | ALPN ${connection.alpn}`;
+		if (connection.startTime) header += ` | started ${connection.startTime}`;
+		header += ` | ${(connection.durationMs / 1000).toFixed(2)} s`;
+		lines.push(header);
+
+		if (connection.states.length > 0) lines.push(`  States: ${connection.states.map((change) => change.state).join(' → ')}`);
+		lines.push(
+			`  Packets: ${packets.sent} sent (${packets.bytesSent} bytes) / ${packets.received} received (${packets.bytesReceived} bytes) | ` +
+				`${packets.lost} lost (${connection.lossRate}%) | ${packets.dropped} dropped`
+		);
+
+		const rttParts = [];
+		if (rtt.min !== null) rttParts.push(`min ${rtt.min} ms`);
+		if (rtt.smoothed !== null) rttParts.push(`smoothed ${rtt.smoothed} ms`);
+		if (rtt.latest) rttParts.push(`latest p50 ${rtt.latest.p50} ms / p95 ${rtt.latest.p95} ms / max ${rtt.latest.max} ms`);
+		if (rttParts.length > 0) lines.push(`  RTT: ${rttParts.join(' | ')} | max PTO count ${rtt.maxPtoCount}`);
+		if (congestion.last !== null || congestion.stateChanges > 0) {
+			const window = congestion.last !== null ? `min ${congestion.min} / max ${congestion.max} / last ${congestion.last} bytes | ` : '';
+			lines.push(`  Congestion window: ${window}${congestion.stateChanges} state changes (${congestion.recoveries} recoveries)`);
+		}
+
+		if (connection.lossRate >= QLOG_LOSS_WARNING_PERCENT) lines.push(`  ⚠️  Loss rate ${connection.lossRate}% of packets sent`);
+		if (rtt.maxPtoCount >= QLOG_PTO_WARNING) lines.push(`  ⚠️  ${rtt.maxPtoCount} consecutive probe timeouts`);
+		if (close) {
+			let line = `  ${isUncleanQlogClose(close) ? '⚠️  ' : ''}Closed at +${(close.atMs / 1000).toFixed(2)} s`;
+			if (close.initiator) line += ` by ${close.initiator}`;
+			if (close.trigger) line += ` (${close.trigger})`;
+			if (close.error) line += `: ${close.errorSpace ?? 'transport'} ${close.error}`;
+			if (close.reason) line += ` "${close.reason}"`;
+			lines.push(line);
+		} else {
+			lines.push('  No connection close in the log');
+		}
+
+		for (const loss of connection.losses.slice(0, MAX_QLOG_LOSS_LINES)) {
+			const type = loss.packetType ? ` (${loss.packetType})` : '';
+			const trigger = loss.trigger ? `, ${loss.trigger}` : '';
+			lines.push(`  [+${(loss.atMs / 1000).toFixed(3)} s] packet ${loss.packetNumber ?? '?'}${type} lost${trigger}`);
+		}
+		if (packets.lost > MAX_QLOG_LOSS_LINES) lines.push(`  ... and ${packets.lost - MAX_QLOG_LOSS_LINES} more lost packets`);
+	});
+	if (qlog.totalConnections > qlog.connections.length) {
+		lines.push(`\n... and ${qlog.totalConnections - qlog.connections.length} more connections`);
+	}
+
+	return lines;
+}
+
+/**
+ * Analyze a qlog file
+ * @param {string} content - qlog text
+ * @param {string} filename - Original filename
+ * @returns {Object} - { summary, qlog, error }; qlog is null and error set when the file could not be parsed
+ */
+export function analyzeQlogFile(content, filename) {
+	try {
+		const qlog = parseQlog(content);
+		return { summary: [`qlog file: ${filename}`, ...formatQlogSummary(qlog)].join('\n'), qlog, error: null };
+	} catch (e) {
+		const error = `Could not parse qlog: ${e.message}`;
+		return { summary: `qlog file: ${filename}\nError: ${error}`, qlog: null, error };
+	}
+}
+
+/**
+ * Log levels from most to least severe, with the spellings WARP's platforms use
+ */
+const LOG_LEVELS = ['ERROR', 'WARN', 'INFO', 'DEBUG', 'TRACE'];
+const LOG_LEVEL_ALIASES = { ERR: 'ERROR', FATAL: 'ERROR', CRITICAL: 'ERROR', WARNING: 'WARN' };
+
+/**
+ * Start of a daemon.log entry: timestamp (optionally bracketed, UTC when no zone
+ * is given) and level, as written by the daemon's tracing subscriber
+ */
+const DAEMON_LOG_ENTRY =
+	/^\s*\[?(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}:\d{2}(?:[.,]\d+)?)\s*(Z|UTC|[+-]\d{2}:?\d{2})?\]?\s+\[?(TRACE|DEBUG|INFO|WARN(?:ING)?|ERR(?:OR)?|CRITICAL|FATAL)\]?:?\s+/i;
+
+/**
+ * One `name{fields}:` segment of the span chain and target that precede the message
+ */
+const DAEMON_LOG_SEGMENT = /^([A-Za-z_][\w-]*(?:::[\w-]+)*)(\{[^}]*\})?:(?!:)[ \t]*/;
+
+/**
+ * Files written by the daemon's tracing subscriber, including rotated copies
+ */
+const STRUCTURED_LOG_FILE = /(?:^|\/)(?:daemon|daemon_dns|boringtun)(?:\.\d+)?\.log$/;
+
+/**
+ * Parse a log timestamp to epoch milliseconds
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - hh:mm:ss with optional fraction
+ * @param {string|undefined} zone - Z, UTC or an offset; UTC when absent
+ * @returns {number|null}
+ */
+function parseLogTime(date, time, zone) {
+	const offset = !zone || zone.toUpperCase() === 'UTC' ? 'Z' : zone.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+	const ms = Date.parse(`${date}T${time.replace(',', '.')}${offset}`);
+	return Number.isNaN(ms) ? null : ms;
 }
 
 /**
- * Parse PCAP/PCAPNG file and extract basic metadata
- * Note: Full PCAP parsing requires binary analysis. This provides basic info.
- * Supports both PCAP (legacy) and PCAPNG (next generation) formats.
- * @param {Uint8Array} data - PCAP/PCAPNG file data
- * @returns {Object} - Basic PCAP metadata
+ * Split what follows the level into span chain, target module and message.
+ * tracing writes `span1:span2{field=value}: target::path: message`; the target
+ * is the last segment that is a module path, and without one everything after
+ * the spans is message.
+ * @param {string} rest
+ * @returns {Object} - { span, module, message }
  */
-export function parsePcapBasic(data) {
-	if (data.length < 24) {
-		return { error: 'Invalid PCAP file: too small' };
+function splitDaemonLogPrefix(rest) {
+	const segments = [];
+	let offset = 0;
+	let match;
+	while ((match = DAEMON_LOG_SEGMENT.exec(rest.slice(offset)))) {
+		offset += match[0].length;
+		segments.push({ name: match[1], fields: match[2] ?? '', end: offset });
 	}
 
-	const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-	const magicNumber = view.getUint32(0, true);
-	
-	// Check for PCAP magic numbers
-	const isPcap = magicNumber === 0xa1b2c3d4 || magicNumber === 0xd4c3b2a1;
-	const isPcapNg = magicNumber === 0x0a0d0d0a;
-	
-	if (!isPcap && !isPcapNg) {
-		return { error: 'Invalid PCAP file: unrecognized magic number' };
+	let target = -1;
+	segments.forEach((segment, index) => {
+		if (segment.name.includes('::') && !segment.fields) target = index;
+	});
+	let spanCount = target;
+	if (target === -1) {
+		spanCount = 0;
+		while (spanCount < segments.length && segments[spanCount].fields) spanCount++;
 	}
+	const spans = segments.slice(0, spanCount).map((segment) => segment.name + segment.fields);
+	const messageStart = target !== -1 ? segments[target].end : spanCount > 0 ? segments[spanCount - 1].end : 0;
+	return {
+		span: spans.length > 0 ? spans.join(':') : null,
+		module: target !== -1 ? segments[target].name : null,
+		message: rest.slice(messageStart).trim(),
+	};
+}
 
-	if (isPcapNg) {
-		// PCAPNG format - count blocks properly
-		let packetCount = 0;
-		let offset = 0;
-		
-		while (offset + 8 <= data.length) {
-			try {
-				const blockType = view.getUint32(offset, true);
-				const blockLength = view.getUint32(offset + 4, true);
-				
-				if (blockLength < 12 || offset + blockLength > data.length) break;
-				
-				// Enhanced Packet Block (EPB) = 0x00000006
-				// Simple Packet Block (SPB) = 0x00000003
-				// Packet Block (obsolete) = 0x00000002
-				if (blockType === 0x00000006 || blockType === 0x00000003 || blockType === 0x00000002) {
-					packetCount++;
-				}
-				
-				offset += blockLength;
-			} catch {
-				break;
-			}
+/**
+ * Whether a file is a tracing log that parseDaemonLog reads
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function isStructuredLogFile(filename) {
+	return STRUCTURED_LOG_FILE.test(filename);
+}
+
+/**
+ * Parse daemon.log (and the other tracing logs: daemon_dns.log, boringtun.log)
+ * into normalized events. Lines that do not start with a timestamp and level
+ * (backtraces, pretty-printed structs) continue the event above them.
+ * @param {string} content
+ * @returns {Object} - { events: [{ line, endLine, timestamp, time, level, module, span, message }], unparsedLines }
+ */
+export function parseDaemonLog(content) {
+	const events = [];
+	let unparsedLines = 0;
+	let current = null;
+	content.split('\n').forEach((raw, index) => {
+		// tracing output may keep its ANSI colors
+		const text = raw.replace(/\x1b\[[0-9;]*m/g, '').replace(/\r$/, '');
+		const entry = DAEMON_LOG_ENTRY.exec(text);
+		const time = entry && parseLogTime(entry[1], entry[2], entry[3]);
+		if (entry && time !== null) {
+			const level = entry[4].toUpperCase();
+			current = {
+				line: index + 1,
+				endLine: index + 1,
+				timestamp: new Date(time).toISOString(),
+				time,
+				level: LOG_LEVEL_ALIASES[level] ?? level,
+				...splitDaemonLogPrefix(text.slice(entry[0].length)),
+			};
+			events.push(current);
+		} else if (current && text.trim()) {
+			current.message += `\n${text.trimEnd()}`;
+			current.endLine = index + 1;
+		} else if (text.trim()) {
+			unparsedLines++;
+		}
+	});
+	return { events, unparsedLines };
+}
+
+/**
+ * Select log events by level, module and time
+ * @param {Array<Object>} events - From parseDaemonLog
+ * @param {Object} options
+ * @param {string} [options.minLevel] - Least severe level to keep, e.g. 'WARN' keeps WARN and ERROR
+ * @param {Array<string>} [options.modules] - Module paths; submodules match too ('warp::dns' matches 'warp::dns::cache')
+ * @param {number|string} [options.from] - Earliest time, epoch ms or ISO 8601
+ * @param {number|string} [options.to] - Latest time, epoch ms or ISO 8601
+ * @returns {Array<Object>}
+ */
+export function filterLogEvents(events, { minLevel, modules = [], from, to } = {}) {
+	const rank = minLevel ? LOG_LEVELS.indexOf(String(minLevel).toUpperCase()) : LOG_LEVELS.length;
+	const toMs = (value) => (typeof value === 'string' ? Date.parse(value) : value);
+	const start = toMs(from) ?? -Infinity;
+	const end = toMs(to) ?? Infinity;
+	return events.filter(
+		(event) =>
+			LOG_LEVELS.indexOf(event.level) <= rank &&
+			(modules.length === 0 || inLogModules(event, modules)) &&
+			event.time >= start &&
+			event.time <= end
+	);
+}
+
+/**
+ * Whether a log event comes from one of the modules or their submodules
+ * @param {Object} event - From parseDaemonLog
+ * @param {Array<string>} modules - Module paths; 'warp::dns' matches 'warp::dns::cache'
+ * @returns {boolean}
+ */
+function inLogModules(event, modules) {
+	return modules.some((module) => event.module === module || event.module?.startsWith(`${module}::`));
+}
+
+/**
+ * Logs the connection state timeline is built from
+ */
+const CONNECTION_LOG_FILE = /(?:^|\/)(?:daemon|boringtun)(?:\.\d+)?\.log$/;
+
+/**
+ * daemon.log modules that report the connection and its status. Other modules
+ * (the API and HTTP clients, IPC, DNS) open and close connections of their own.
+ */
+const DAEMON_STATE_MODULES = ['warp::warp_service', 'warp::warp', 'warp::conn', 'warp::net', 'warp::tunnel'];
+
+/**
+ * daemon.log messages from DAEMON_STATE_MODULES that move the connection to a
+ * state, checked in order. The first rule reads the state from the daemon's own
+ * status reports, taking the last state named ("from Connecting to Connected").
+ * Rules only count at INFO or above, failures at `minLevel` or above.
+ */
+const DAEMON_STATE_RULES = [
+	{
+		pattern: /\b(?:status|state)\b[^\n]*\b(registering|connecting|connected|reconnecting|disconnected)\b/i,
+		state: (match) => match[1].toLowerCase(),
+		reason: (match) => `Status reported as ${match[1]}`,
+	},
+	{
+		pattern: /\bfailed to (?:connect|establish)|\bunable to connect|\bconnection refused/i,
+		minLevel: 'WARN',
+		state: 'disconnected',
+		reason: 'Connection attempt failed',
+	},
+	{
+		pattern: /\bdisconnected\b|\btunnel (?:stopped|closed|down)\b|\bconnection (?:lost|closed|dropped)\b/i,
+		state: 'disconnected',
+		reason: 'Tunnel went down',
+	},
+	{
+		pattern: /\breconnect(?:ing)?\b|\bnetwork (?:change[ds]?|changed)\b|\broutes? changed\b/i,
+		state: 'reconnecting',
+		reason: 'Reconnect or network change',
+	},
+	{ pattern: /\bregist(?:er|ering|ration)\b/i, state: 'registering', reason: 'Device registration' },
+	{
+		pattern:
+			/\b(?:tunnel|warp) (?:is )?(?:up|connected|established)\b|\bconnection established\b|\b(?:re)?connected to (?:the )?(?:warp|edge|endpoint|tunnel|colo)\b/i,
+		state: 'connected',
+		reason: 'Tunnel established',
+	},
+	{
+		pattern: /\b(?:starting|sending|initiating|performing) (?:the |a )?(?:tls |quic |masque |wireguard )?handshake\b/i,
+		state: 'handshake',
+		reason: 'Handshake started',
+	},
+	{
+		pattern: /\b(?:connecting|establishing connection|initiating connection) to\b|\bstarting (?:the )?tunnel\b/i,
+		state: 'connecting',
+		reason: 'Connection attempt',
+	},
+];
+
+/**
+ * State each boringtun.log handshake event (BORINGTUN_HANDSHAKE_EVENTS) moves the connection to
+ */
+const BORINGTUN_STATES = {
+	initiation: { state: 'handshake', reason: 'WireGuard handshake initiation sent' },
+	response: { state: 'connected', reason: 'WireGuard handshake completed' },
+	timeout: { state: 'reconnecting', reason: 'WireGuard handshake timed out' },
+};
+
+/**
+ * Maximum transitions returned, and listed in the text summary
+ */
+const MAX_CONNECTION_TRANSITIONS = 200;
+const MAX_CONNECTION_TRANSITION_LINES = 60;
+
+/**
+ * Find the state a log event moves the connection to
+ * @param {string} filename
+ * @param {Object} event - From parseDaemonLog
+ * @returns {Object|null} - { state, reason }
+ */
+function connectionStateFor(filename, event) {
+	const message = event.message.split('\n')[0];
+	if (filename.split('/').pop().startsWith('boringtun')) {
+		const handshake = BORINGTUN_HANDSHAKE_EVENTS.find(({ pattern }) => pattern.test(message));
+		return handshake ? BORINGTUN_STATES[handshake.kind] ?? null : null;
+	}
+	if (!inLogModules(event, DAEMON_STATE_MODULES)) return null;
+	for (const rule of DAEMON_STATE_RULES) {
+		if (LOG_LEVELS.indexOf(event.level) > LOG_LEVELS.indexOf(rule.minLevel ?? 'INFO')) continue;
+		const match = rule.pattern.exec(message);
+		if (match) {
+			return {
+				state: typeof rule.state === 'function' ? rule.state(match) : rule.state,
+				reason: typeof rule.reason === 'function' ? rule.reason(match) : rule.reason,
+			};
 		}
-		
-		return {
-			format: 'PCAPNG',
-			version: 'NG',
-			snaplen: 65535, // Default for PCAPNG
-			network: 1, // Ethernet assumed
-			packetCount,
-			fileSize: data.length,
-		};
 	}
+	return null;
+}
 
-	// PCAP format
-	const isLittleEndian = magicNumber === 0xa1b2c3d4;
-	const versionMajor = view.getUint16(4, isLittleEndian);
-	const versionMinor = view.getUint16(6, isLittleEndian);
-	const snaplen = view.getUint32(16, isLittleEndian);
-	const network = view.getUint32(20, isLittleEndian);
+/**
+ * Rebuild the connection lifecycle from daemon.log and boringtun.log events with
+ * a fixed state machine: registering, connecting, handshake, connected,
+ * reconnecting and disconnected. Every transition cites the log line that caused
+ * it. Handshakes while connected are WireGuard rekeys and do not leave the
+ * connected state; a new connection attempt while connected is a reconnect.
+ * @param {Array<Object>} logFiles - Log file entries with `filename` and `events`
+ * @returns {Object|null} - { start, end, finalState, transitions, counts, durationsMs, truncated }, null without daemon or boringtun events
+ */
+export function buildConnectionTimeline(logFiles) {
+	const entries = [];
+	for (const file of logFiles) {
+		if (!file.events || !CONNECTION_LOG_FILE.test(file.filename)) continue;
+		for (const event of file.events) entries.push({ file: file.filename, event });
+	}
+	if (entries.length === 0) return null;
+	// Stable, so events at the same time keep file order
+	entries.sort((a, b) => a.event.time - b.event.time);
 
-	// Count packets in PCAP format
-	let packetCount = 0;
-	let offset = 24;
-	while (offset + 16 <= data.length) {
-		try {
-			const capturedLength = view.getUint32(offset + 8, isLittleEndian);
-			if (capturedLength > 65535 || offset + 16 + capturedLength > data.length) break;
-			packetCount++;
-			offset += 16 + capturedLength;
-		} catch {
-			break;
+	let state = 'unknown';
+	let since = entries[0].event.time;
+	let total = 0;
+	const transitions = [];
+	const counts = {};
+	const durationsMs = {};
+	for (const { file, event } of entries) {
+		const change = connectionStateFor(file, event);
+		if (!change) continue;
+		let next = change.state;
+		if (state === 'connected' && next === 'handshake') continue;
+		if (state === 'connected' && next === 'connecting') next = 'reconnecting';
+		if (next === state) continue;
+
+		durationsMs[state] = (durationsMs[state] ?? 0) + (event.time - since);
+		counts[next] = (counts[next] ?? 0) + 1;
+		total++;
+		if (transitions.length < MAX_CONNECTION_TRANSITIONS) {
+			transitions.push({
+				index: total,
+				time: event.timestamp,
+				from: state,
+				to: next,
+				reason: change.reason,
+				file,
+				line: event.line,
+				level: event.level,
+				module: event.module,
+				message: event.message.split('\n')[0].slice(0, 300),
+			});
 		}
+		state = next;
+		since = event.time;
 	}
+	const end = entries[entries.length - 1].event.time;
+	durationsMs[state] = (durationsMs[state] ?? 0) + (end - since);
+	delete durationsMs.unknown;
 
 	return {
-		format: 'PCAP',
-		version: `${versionMajor}.${versionMinor}`,
-		snaplen,
-		network,
-		packetCount,
-		fileSize: data.length,
+		start: entries[0].event.timestamp,
+		end: entries[entries.length - 1].event.timestamp,
+		finalState: state,
+		transitions,
+		counts,
+		durationsMs,
+		truncated: total > transitions.length,
 	};
 }
 
 /**
- * Extract detailed packet summaries from PCAP/PCAPNG as text entries
- * @param {Uint8Array} data - PCAP/PCAPNG file data
- * @param {string} filename - Original filename
- * @param {number} maxPacketsToAnalyze - Max packets to analyze (0 = all)
- * @returns {string} - Text summary of packets for analysis
+ * Format the connection state timeline as text lines
+ * @param {Object} timeline - From buildConnectionTimeline
+ * @returns {Array<string>}
  */
-export function extractPcapPacketSummaries(data, filename, maxPacketsToAnalyze = 50) {
-	const metadata = parsePcapBasic(data);
-	
-	if (metadata.error) {
-		return `PCAP file: ${filename}\nError: ${metadata.error}`;
+export function formatConnectionTimeline(timeline) {
+	const seconds = (ms) => `${Math.round(ms / 100) / 10} s`;
+	const time = Object.entries(timeline.durationsMs).map(([state, ms]) => `${state} ${seconds(ms)}`);
+	const lines = [
+		`${timeline.start} to ${timeline.end}: ${timeline.transitions.length}${timeline.truncated ? '+' : ''} state changes, now ${timeline.finalState}` +
+			(time.length > 0 ? ` | Time ${time.join(', ')}` : ''),
+	];
+	for (const transition of timeline.transitions.slice(0, MAX_CONNECTION_TRANSITION_LINES)) {
+		lines.push(
+			`[Transition ${transition.index}] ${transition.time} ${transition.from} → ${transition.to}: ${transition.reason} ` +
+				`(${transition.file} line ${transition.line}): ${transition.message}`
+		);
 	}
+	if (timeline.transitions.length > MAX_CONNECTION_TRANSITION_LINES) {
+		lines.push(`... ${timeline.transitions.length - MAX_CONNECTION_TRANSITION_LINES} more transitions not listed`);
+	}
+	return lines;
+}
 
-	const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-	const magicNumber = view.getUint32(0, true);
-	const isPcapNg = magicNumber === 0x0a0d0d0a;
-	
-	let summaryLines = [];
-	summaryLines.push(`${metadata.format} file: ${filename}`);
-	summaryLines.push(`Format: ${metadata.format} v${metadata.version}`);
-	summaryLines.push(`Total Packets: ${metadata.packetCount}`);
-	summaryLines.push(`File Size: ${metadata.fileSize} bytes`);
-	
-	// Determine how many packets to analyze (0 = all)
-	const maxPackets = maxPacketsToAnalyze === 0 
-		? metadata.packetCount 
-		: Math.min(maxPacketsToAnalyze, metadata.packetCount);
-	
-	const analysisScope = maxPacketsToAnalyze === 0 ? 'ALL packets' : `first ${maxPackets} packets`;
-	summaryLines.push(`\n=== PACKET ANALYSIS (${analysisScope}) ===\n`);
-	
-	let packetNum = 0;
-	
-	if (isPcapNg) {
-		// Parse PCAPNG format
-		let offset = 0;
-		
-		while (offset + 8 <= data.length && packetNum < maxPackets) {
-			try {
-				const blockType = view.getUint32(offset, true);
-				const blockLength = view.getUint32(offset + 4, true);
-				
-				if (blockLength < 12 || offset + blockLength > data.length) break;
-				
-				// Enhanced Packet Block (0x00000006) - most common
-				if (blockType === 0x00000006 && blockLength >= 32) {
-					const tsHigh = view.getUint32(offset + 12, true);
-					const tsLow = view.getUint32(offset + 16, true);
-					const capturedLen = view.getUint32(offset + 20, true);
-					const originalLen = view.getUint32(offset + 24, true);
-					
-					// Timestamp is in microseconds
-					const timestamp = new Date((tsHigh * 4294967296 + tsLow) / 1000);
-					const timeStr = timestamp.toISOString();
-					
-					summaryLines.push(`[Packet ${packetNum + 1}] ${timeStr}`);
-					summaryLines.push(`  Size: ${capturedLen}/${originalLen} bytes`);
-					
-					// Parse packet data
-					if (capturedLen >= 14 && offset + 28 + capturedLen <= data.length) {
-						const packetData = data.slice(offset + 28, offset + 28 + capturedLen);
-						const packetInfo = analyzePacketData(packetData, view, offset + 28);
-						summaryLines.push(...packetInfo);
-					}
-					
-					packetNum++;
-				}
-				
-				offset += blockLength;
-			} catch (e) {
-				summaryLines.push(`  [Error parsing block at offset ${offset}]`);
-				break;
-			}
+/**
+ * The WARP interface's own address range. A local network inside it collides
+ * with the tunnel's addresses.
+ */
+const WARP_CGNAT_RANGE = '100.96.0.0/12';
+
+/**
+ * Multicast, reserved and broadcast addresses: every interface has routes for
+ * them, so split tunnel entries inside this range are not checked against routes
+ */
+const LINK_SCOPE_RANGE = '224.0.0.0/3';
+
+/**
+ * Public addresses checked against the route table for a default route that
+ * bypasses the tunnel; the first one not excluded from the tunnel is used
+ */
+const DEFAULT_ROUTE_PROBES = ['8.8.8.8', '1.1.1.1', '9.9.9.9'];
+
+/**
+ * Files the split tunnel check reads
+ */
+const SPLIT_TUNNEL_FILES = ['warp-settings.txt', 'route.txt', 'ifconfig.txt', 'ipconfig.txt'];
+
+/**
+ * Parse an IPv4 address into a 32-bit number
+ * @param {string} address
+ * @returns {number|null}
+ */
+function ipv4Number(address) {
+	const bytes = address.includes(':') ? null : parseAddress(address);
+	return bytes ? ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0 : null;
+}
+
+/**
+ * Count the prefix length of a dotted or hex (0xffffff00) IPv4 netmask
+ * @param {string} mask
+ * @returns {number|null}
+ */
+function ipv4PrefixLength(mask) {
+	const value = /^0x[0-9a-f]{8}$/i.test(mask) ? parseInt(mask, 16) : ipv4Number(mask);
+	if (value === null) return null;
+	let prefix = 0;
+	while (prefix < 32 && value & (0x80000000 >>> prefix)) prefix++;
+	return prefix;
+}
+
+/**
+ * Parse "a.b.c.d/n" or a bare address into an IPv4 range
+ * @param {string} text
+ * @returns {Object|null} - { network, prefix }, null for IPv6, hostnames and malformed text
+ */
+function parseIpv4Range(text) {
+	const [address, prefixText] = text.split('/');
+	const prefix = prefixText === undefined ? 32 : /^\d{1,2}$/.test(prefixText) ? Number(prefixText) : NaN;
+	const value = ipv4Number(address);
+	if (value === null || !(prefix >= 0 && prefix <= 32)) return null;
+	return { network: prefix === 0 ? 0 : (value & (~0 << (32 - prefix))) >>> 0, prefix };
+}
+
+/**
+ * Whether an IPv4 range contains an address
+ * @param {Object} range - { network, prefix }
+ * @param {number} address
+ * @returns {boolean}
+ */
+function ipv4RangeContains(range, address) {
+	return range.prefix === 0 || (range.network ^ address) >>> (32 - range.prefix) === 0;
+}
+
+/**
+ * Whether two IPv4 ranges share any address
+ * @param {Object} a - { network, prefix }
+ * @param {Object} b - { network, prefix }
+ * @returns {boolean}
+ */
+function ipv4RangesOverlap(a, b) {
+	return ipv4RangeContains(a, b.network) || ipv4RangeContains(b, a.network);
+}
+
+/**
+ * Format an IPv4 range as CIDR
+ * @param {Object} range - { network, prefix }
+ * @returns {string}
+ */
+function formatIpv4Range(range) {
+	return `${[24, 16, 8, 0].map((shift) => (range.network >>> shift) & 0xff).join('.')}/${range.prefix}`;
+}
+
+/**
+ * Parse the split tunnel lists, fallback domains and service mode from
+ * warp-settings.txt. Handles both `warp-cli settings` output, where lists are
+ * indented under "Exclude mode, with hosts/ips:" and "Fallback domains:" and
+ * lines may start with where the value came from ("(network policy)"), and
+ * JSON settings.
+ * @param {string} content
+ * @returns {Object} - { serviceMode, splitTunnel, fallbackDomains }; values carry the 1-based `line` they came from
+ */
+export function parseWarpSettings(content) {
+	const lines = content.split('\n');
+	const result = { serviceMode: null, splitTunnel: null, fallbackDomains: [] };
+	const entry = (text, line) => {
+		const [value, ...rest] = text.trim().split(/\s+/);
+		const description = rest.join(' ').replace(/^\((.*)\)$/, '$1');
+		return { value, description: description || null, line };
+	};
+
+	let settings = null;
+	try {
+		settings = JSON.parse(content);
+	} catch {
+		// Not JSON, read warp-cli output below
+	}
+	if (settings && typeof settings === 'object') {
+		// Cite the first line mentioning a value
+		const lineOf = (value) => {
+			const index = lines.findIndex((line) => line.includes(`"${value}"`));
+			return index === -1 ? null : index + 1;
+		};
+		const listEntry = (item, keys) => {
+			const value = typeof item === 'string' ? item : keys.map((key) => item?.[key]).find((candidate) => typeof candidate === 'string');
+			return value ? { value, description: item?.description || null, line: lineOf(value) } : null;
+		};
+		const mode = settings.service_mode ?? settings.operation_mode ?? settings.mode;
+		if (typeof mode === 'string') result.serviceMode = { value: mode, line: lineOf(mode) };
+		for (const splitMode of ['exclude', 'include']) {
+			if (!Array.isArray(settings[splitMode])) continue;
+			result.splitTunnel = {
+				mode: splitMode,
+				line: lineOf(splitMode),
+				entries: settings[splitMode].map((item) => listEntry(item, ['address', 'host'])).filter(Boolean),
+			};
+			break;
 		}
-	} else {
-		// Parse PCAP format
-		const isLittleEndian = magicNumber === 0xa1b2c3d4;
-		let offset = 24; // Skip global header
-		
-		while (offset + 16 <= data.length && packetNum < maxPackets) {
-			try {
-				const tsSec = view.getUint32(offset, isLittleEndian);
-				const tsUsec = view.getUint32(offset + 4, isLittleEndian);
-				const capturedLength = view.getUint32(offset + 8, isLittleEndian);
-				const originalLength = view.getUint32(offset + 12, isLittleEndian);
-				
-				if (capturedLength > 65535 || offset + 16 + capturedLength > data.length) break;
-				
-				const timestamp = new Date(tsSec * 1000 + tsUsec / 1000);
-				const timeStr = timestamp.toISOString();
-				
-				summaryLines.push(`[Packet ${packetNum + 1}] ${timeStr}`);
-				summaryLines.push(`  Size: ${capturedLength}/${originalLength} bytes`);
-				
-				if (capturedLength >= 14) {
-					const packetInfo = analyzePacketData(data, view, offset + 16, capturedLength);
-					summaryLines.push(...packetInfo);
-				}
-				
-				packetNum++;
-				offset += 16 + capturedLength;
-			} catch (e) {
-				summaryLines.push(`  [Error parsing packet ${packetNum + 1}]`);
-				break;
+		const fallback = settings.fallback_domains ?? settings.local_domain_fallback;
+		if (Array.isArray(fallback)) result.fallbackDomains = fallback.map((item) => listEntry(item, ['suffix', 'domain'])).filter(Boolean);
+		return result;
+	}
+
+	let list = null;
+	lines.forEach((raw, index) => {
+		const text = raw.replace(/^\([^)]*\)\s*/, '');
+		if (list && /^\s+\S/.test(raw)) {
+			list.push(entry(raw, index + 1));
+			return;
+		}
+		list = null;
+		const split = text.match(/^(Exclude|Include) mode, with hosts\/ips:/i);
+		if (split) {
+			result.splitTunnel = { mode: split[1].toLowerCase(), line: index + 1, entries: [] };
+			list = result.splitTunnel.entries;
+		} else if (/^(?:Fallback domains|Local domain fallback)\b.*:\s*$/i.test(text)) {
+			list = result.fallbackDomains;
+		} else {
+			const mode = text.match(/^(?:Service |Operation )?Mode:\s*(.+)$/i);
+			if (mode) result.serviceMode = { value: mode[1].trim(), line: index + 1 };
+		}
+	});
+	return result;
+}
+
+/**
+ * Parse a macOS netstat destination, which drops trailing zero octets ("192.168.1" is /24)
+ * @param {string} destination
+ * @returns {Object|null} - { network, prefix }
+ */
+function parseNetstatDestination(destination) {
+	if (destination === 'default') return { network: 0, prefix: 0 };
+	const [address, prefixText] = destination.split('/');
+	const octets = address.split('.');
+	if (octets.length > 4 || octets.some((octet) => !/^\d{1,3}$/.test(octet))) return null;
+	const padded = [...octets, '0', '0', '0'].slice(0, 4).join('.');
+	return parseIpv4Range(`${padded}/${prefixText ?? octets.length * 8}`);
+}
+
+/**
+ * Parse the IPv4 routes in route.txt: macOS `netstat -rn`, Linux `ip route`
+ * and `route -n`, and Windows `route print`. Interface-scoped macOS routes
+ * (flag I) are marked, since they only apply to traffic bound to that interface.
+ * @param {string} content
+ * @returns {Array<Object>} - { line, text, network, prefix, gateway, interface, metric, scoped }; Windows routes name the interface
+ *   by its address
+ */
+function parseRouteTable(content) {
+	const routes = [];
+	let format = null;
+	let netifColumn = -1;
+	content.split('\n').forEach((raw, index) => {
+		const text = raw.trim();
+		const tokens = text.split(/\s+/);
+		const add = (range, gateway, iface, metric = 0, scoped = false) => {
+			if (range) routes.push({ line: index + 1, text, ...range, gateway, interface: iface, metric, scoped });
+		};
+
+		if (/^IPv4 Route Table/i.test(text)) format = 'windows';
+		else if (/^(?:IPv6 Route Table|Persistent Routes)/i.test(text)) format = null;
+		else if (/^Destination\b/.test(text) && tokens.includes('Netif')) [format, netifColumn] = ['netstat', tokens.indexOf('Netif')];
+		else if (/^Destination\b/.test(text) && tokens.includes('Genmask')) format = 'route';
+		else if (/^Internet6:/.test(text)) format = null;
+		else if (format === 'windows') {
+			if (tokens.length === 5 && ipv4Number(tokens[0]) !== null && ipv4PrefixLength(tokens[1]) !== null) {
+				add(parseIpv4Range(`${tokens[0]}/${ipv4PrefixLength(tokens[1])}`), tokens[2], tokens[3], Number(tokens[4]));
+			}
+		} else if (format === 'netstat') {
+			if (tokens.length > netifColumn) add(parseNetstatDestination(tokens[0]), tokens[1], tokens[netifColumn], 0, tokens[2].includes('I'));
+		} else if (format === 'route') {
+			if (tokens.length === 8 && ipv4PrefixLength(tokens[2]) !== null) {
+				add(parseIpv4Range(`${tokens[0]}/${ipv4PrefixLength(tokens[2])}`), tokens[1], tokens[7], Number(tokens[4]));
+			}
+		} else {
+			// ip route; local and broadcast routes belong to the addresses themselves
+			const match = text.match(/^(?:unicast\s+)?(default|\d+\.\d+\.\d+\.\d+(?:\/\d+)?)\s.*\bdev\s+(\S+)/);
+			if (match) {
+				add(
+					match[1] === 'default' ? { network: 0, prefix: 0 } : parseIpv4Range(match[1]),
+					text.match(/\bvia\s+(\S+)/)?.[1] ?? null,
+					match[2],
+					Number(text.match(/\bmetric\s+(\d+)/)?.[1] ?? 0)
+				);
 			}
 		}
+	});
+	return routes;
+}
+
+/**
+ * Parse interfaces and their IPv4 addresses from ifconfig.txt (ifconfig or
+ * `ip addr`) or ipconfig.txt (Windows `ipconfig /all`)
+ * @param {string} content
+ * @returns {Array<Object>} - { name, description, addresses: [{ address, prefix, line, text }] }
+ */
+function parseInterfaces(content) {
+	const interfaces = [];
+	let current = null;
+	let pending = null;
+	content.split('\n').forEach((raw, index) => {
+		const text = raw.trim();
+		const header =
+			raw.match(/^(?:\d+:\s+)?([\w.@-]+?)(?:@\S+)?:?\s+(?:flags=|<|Link encap)/) ?? raw.match(/^\S.*\badapter (.+?):\s*$/);
+		if (header) {
+			current = { name: header[1], description: null, addresses: [] };
+			interfaces.push(current);
+			pending = null;
+			return;
+		}
+		if (!current) return;
+
+		const description = text.match(/^Description[ .]*:\s*(.+)$/);
+		if (description) current.description = description[1];
+		const inet = text.match(/^inet (?:addr:)?(\d+\.\d+\.\d+\.\d+)(?:\/(\d+))?/);
+		const windows = text.match(/^(?:IPv4|IP) Address[ .]*:\s*(\d+\.\d+\.\d+\.\d+)/);
+		if (inet || windows) {
+			const mask = text.match(/\b(?:netmask|Mask:)\s*(\S+)/i)?.[1];
+			pending = {
+				address: (inet ?? windows)[1],
+				prefix: inet?.[2] !== undefined ? Number(inet[2]) : mask ? ipv4PrefixLength(mask) : null,
+				line: index + 1,
+				text,
+			};
+			current.addresses.push(pending);
+			return;
+		}
+		const subnet = text.match(/^Subnet Mask[ .]*:\s*(\S+)/);
+		if (subnet && pending && pending.prefix === null) pending.prefix = ipv4PrefixLength(subnet[1]);
+	});
+	return interfaces.filter((iface) => iface.addresses.length > 0 || iface.description);
+}
+
+/**
+ * Whether an interface is the WARP tunnel: named or described as
+ * CloudflareWARP, or a utun/tun device holding a WARP CGNAT address
+ * @param {Object} iface - From parseInterfaces
+ * @returns {boolean}
+ */
+function isTunnelInterface(iface) {
+	if (/cloudflare ?warp/i.test(`${iface.name} ${iface.description ?? ''}`)) return true;
+	return /^u?tun\d+$/.test(iface.name) && iface.addresses.some(({ address }) => cidrContains(WARP_CGNAT_RANGE, address));
+}
+
+/**
+ * Pick the route the system would use for an address: longest prefix, then
+ * lowest metric. Ties go to the tunnel, since policy routing (Linux) can prefer
+ * it in ways the table alone does not show.
+ * @param {Array<Object>} routes - Unscoped routes with `tunnel` set
+ * @param {number} address
+ * @returns {Object|null}
+ */
+function selectRoute(routes, address) {
+	let best = null;
+	for (const route of routes) {
+		if (!ipv4RangeContains(route, address)) continue;
+		if (
+			!best ||
+			route.prefix > best.prefix ||
+			(route.prefix === best.prefix && (route.metric < best.metric || (route.metric === best.metric && route.tunnel && !best.tunnel)))
+		) {
+			best = route;
+		}
 	}
-	
-	if (metadata.packetCount > maxPackets) {
-		summaryLines.push(`\n... and ${metadata.packetCount - maxPackets} more packets not shown`);
-		summaryLines.push(`Total packet analysis coverage: ${Math.round(maxPackets/metadata.packetCount*100)}%`);
-	}
-	
-	return summaryLines.join('\n');
+	return best;
 }
 
 /**
- * Analyze packet data and extract protocol information
- * @param {Uint8Array} data - Full data buffer
- * @param {DataView} view - DataView of the buffer  
- * @param {number} offset - Offset to packet start
- * @param {number} maxLen - Maximum length (optional)
- * @returns {Array<string>} - Array of info strings
+ * Check the split tunnel settings in warp-settings.txt against the routes and
+ * interfaces in route.txt, ifconfig.txt and ipconfig.txt. Reports local
+ * subnets overlapping the WARP CGNAT range (100.96.0.0/12), excluded ranges
+ * still routed into the tunnel, included ranges routed around it, and a default
+ * route that bypasses the tunnel in exclude mode. Each conflict cites the route,
+ * interface address and setting line involved. Only IPv4 routes are checked.
+ * @param {Array<Object>} logFiles - Log file entries with `filename` and `content`
+ * @returns {Object|null} - { serviceMode, splitTunnel, fallbackDomains, tunnelInterface, interfaces, routeCount, conflicts }, null
+ *   without any of the files
  */
-function analyzePacketData(data, view, offset, maxLen) {
-	const info = [];
-	const packetLen = maxLen || (data.length - offset);
-	
-	if (packetLen < 14) return ['  [Packet too small]'];
-	
-	try {
-		// Ethernet header
-		const etherType = view.getUint16(offset + 12, false);
-		
-		if (etherType === 0x0800 && packetLen >= 34) {
-			// IPv4
-			const ipHeaderLen = (data[offset + 14] & 0x0f) * 4;
-			const ipProtocol = data[offset + 23];
-			const srcIP = Array.from(data.slice(offset + 26, offset + 30)).join('.');
-			const dstIP = Array.from(data.slice(offset + 30, offset + 34)).join('.');
-			const ttl = data[offset + 22];
-			
-			let protocolName = 'IPv4';
-			let details = '';
-			
-			if (ipProtocol === 6 && packetLen >= 34 + ipHeaderLen + 4) {
-				// TCP
-				const tcpOffset = offset + 14 + ipHeaderLen;
-				const srcPort = view.getUint16(tcpOffset, false);
-				const dstPort = view.getUint16(tcpOffset + 2, false);
-				const flags = data[tcpOffset + 13];
-				const flagStr = [];
-				if (flags & 0x02) flagStr.push('SYN');
-				if (flags & 0x10) flagStr.push('ACK');
-				if (flags & 0x01) flagStr.push('FIN');
-				if (flags & 0x04) flagStr.push('RST');
-				if (flags & 0x08) flagStr.push('PSH');
-				
-				protocolName = 'TCP';
-				details = ` | Port ${srcPort} → ${dstPort} [${flagStr.join(',')}]`;
-				
-				// Detect common protocols by port
-				if (dstPort === 80 || srcPort === 80) details += ' (HTTP)';
-				else if (dstPort === 443 || srcPort === 443) details += ' (HTTPS)';
-				else if (dstPort === 22 || srcPort === 22) details += ' (SSH)';
-				else if (dstPort === 53 || srcPort === 53) details += ' (DNS over TCP)';
-			} else if (ipProtocol === 17 && packetLen >= 34 + ipHeaderLen + 4) {
-				// UDP
-				const udpOffset = offset + 14 + ipHeaderLen;
-				const srcPort = view.getUint16(udpOffset, false);
-				const dstPort = view.getUint16(udpOffset + 2, false);
-				
-				protocolName = 'UDP';
-				details = ` | Port ${srcPort} → ${dstPort}`;
-				
-				// Detect common protocols
-				if (dstPort === 53 || srcPort === 53) details += ' (DNS)';
-				else if (dstPort === 67 || dstPort === 68) details += ' (DHCP)';
-				else if (dstPort === 123) details += ' (NTP)';
-				else if (dstPort === 500) details += ' (IKE/IPsec)';
-			} else if (ipProtocol === 1) {
-				// ICMP
-				if (packetLen >= 34 + ipHeaderLen + 2) {
-					const icmpType = data[offset + 34];
-					const icmpCode = data[offset + 35];
-					let icmpMsg = '';
-					if (icmpType === 0) icmpMsg = 'Echo Reply (Ping response)';
-					else if (icmpType === 8) icmpMsg = 'Echo Request (Ping)';
-					else if (icmpType === 3) icmpMsg = `Destination Unreachable (code ${icmpCode})`;
-					else if (icmpType === 11) icmpMsg = 'Time Exceeded';
-					else icmpMsg = `Type ${icmpType} Code ${icmpCode}`;
-					
-					protocolName = 'ICMP';
-					details = ` | ${icmpMsg}`;
-				}
+export function analyzeSplitTunnel(logFiles) {
+	const find = (name) => logFiles.find((file) => file.filename.split('/').pop() === name);
+	const [settingsFile, routeFile, ...interfaceFiles] = SPLIT_TUNNEL_FILES.map(find);
+	if (!settingsFile && !routeFile && !interfaceFiles.some(Boolean)) return null;
+
+	const settings = settingsFile ? parseWarpSettings(settingsFile.content) : { serviceMode: null, splitTunnel: null, fallbackDomains: [] };
+	const interfaces = interfaceFiles.filter(Boolean).flatMap((file) =>
+		parseInterfaces(file.content).map((iface) => ({ ...iface, file: file.filename, tunnel: isTunnelInterface(iface) }))
+	);
+	const interfaceNames = new Map();
+	for (const iface of interfaces) {
+		interfaceNames.set(iface.name, iface);
+		for (const { address } of iface.addresses) interfaceNames.set(address, iface);
+	}
+
+	// Windows routes name the interface by its address
+	const routes = (routeFile ? parseRouteTable(routeFile.content) : []).map((route) => {
+		const iface = interfaceNames.get(route.interface);
+		return {
+			...route,
+			interface: iface?.name ?? route.interface,
+			tunnel: iface ? iface.tunnel : /cloudflare ?warp/i.test(route.interface),
+		};
+	});
+	const active = routes.filter((route) => !route.scoped);
+	const tunnelRoutes = active.filter((route) => route.tunnel);
+
+	const cite = (filename, item) => ({ file: filename, line: item.line, text: item.text });
+	// Settings are quoted as written; JSON values without a line fall back to the value
+	const settingLines = settingsFile?.content.split('\n') ?? [];
+	const citeSetting = (item) => cite(settingsFile.filename, { line: item.line, text: settingLines[item.line - 1]?.trim() || item.value });
+	const cgnat = parseIpv4Range(WARP_CGNAT_RANGE);
+	const linkScope = parseIpv4Range(LINK_SCOPE_RANGE);
+	const splitTunnel = settings.splitTunnel;
+	const entries = (splitTunnel?.entries ?? [])
+		.map((item) => ({ ...item, range: parseIpv4Range(item.value) }))
+		.filter((item) => item.range && !ipv4RangesOverlap(item.range, cgnat) && !ipv4RangesOverlap(item.range, linkScope));
+	const settingFor = (range) => {
+		const item = entries.find((candidate) => ipv4RangesOverlap(candidate.range, range));
+		return item ? citeSetting(item) : null;
+	};
+	const conflicts = [];
+
+	// Local networks in the tunnel's range, from interface addresses and from routes
+	const overlapping = [];
+	for (const iface of interfaces.filter((candidate) => !candidate.tunnel)) {
+		for (const address of iface.addresses) {
+			const range = parseIpv4Range(`${address.address}/${address.prefix ?? 32}`);
+			if (!range || !ipv4RangesOverlap(range, cgnat)) continue;
+			const subnet = formatIpv4Range(range);
+			overlapping.push(range);
+			const route = active.find(
+				(candidate) => candidate.network === range.network && candidate.prefix === range.prefix && !candidate.tunnel,
+			);
+			conflicts.push({
+				type: 'cgnatOverlap',
+				severity: 'Critical',
+				message: `${iface.name} is on ${subnet} (${address.address}), which overlaps the WARP range ${WARP_CGNAT_RANGE}`,
+				interface: cite(iface.file, address),
+				route: route ? cite(routeFile.filename, route) : null,
+				setting: settingFor(range),
+			});
+		}
+	}
+	for (const route of active) {
+		if (route.tunnel || route.prefix < 8 || !ipv4RangesOverlap(route, cgnat)) continue;
+		// Host and gateway routes inside a network already reported
+		if (overlapping.some((range) => range.prefix <= route.prefix && ipv4RangeContains(range, route.network))) continue;
+		overlapping.push(route);
+		conflicts.push({
+			type: 'cgnatOverlap',
+			severity: 'Critical',
+			message: `${formatIpv4Range(route)} is routed via ${route.interface}, overlapping the WARP range ${WARP_CGNAT_RANGE}`,
+			route: cite(routeFile.filename, route),
+			setting: settingFor(route),
+		});
+	}
+
+	// Without tunnel routes the table cannot show what goes through the tunnel
+	// Proxy, DNS-only and posture-only modes route nothing into a tunnel
+	const mode = settings.serviceMode?.value ?? '';
+	const tunnelMode = !mode || /^warp(?![\s_-]*proxy)|tunnel/i.test(mode);
+	if (tunnelMode && tunnelRoutes.length > 0 && splitTunnel) {
+		for (const item of entries) {
+			const best = selectRoute(active, item.range.network);
+			const inside = tunnelRoutes.find((route) => route.prefix > item.range.prefix && ipv4RangeContains(item.range, route.network));
+			const setting = citeSetting(item);
+			if (splitTunnel.mode === 'exclude' && (best?.tunnel || inside)) {
+				const route = best?.tunnel ? best : inside;
+				conflicts.push({
+					type: 'excludedRoutedIntoTunnel',
+					severity: 'Warning',
+					message: `${item.value} is excluded from WARP but ${formatIpv4Range(route)} is routed into the tunnel via ${route.interface}`,
+					route: cite(routeFile.filename, route),
+					setting,
+				});
+			} else if (splitTunnel.mode === 'include' && best && !best.tunnel) {
+				conflicts.push({
+					type: 'includedOutsideTunnel',
+					severity: 'Warning',
+					message: `${item.value} is included in WARP but routed via ${best.interface} (${formatIpv4Range(best)}), outside the tunnel`,
+					route: cite(routeFile.filename, best),
+					setting,
+				});
 			}
-			
-			info.push(`  ${protocolName}: ${srcIP} → ${dstIP}${details}`);
-			if (ttl < 10) info.push(`  ⚠️  Low TTL: ${ttl}`);
-			
-		} else if (etherType === 0x0806 && packetLen >= 28) {
-			// ARP
-			const opcode = view.getUint16(offset + 20, false);
-			const senderIP = Array.from(data.slice(offset + 28, offset + 32)).join('.');
-			const targetIP = Array.from(data.slice(offset + 38, offset + 42)).join('.');
-			const operation = opcode === 1 ? 'Request' : opcode === 2 ? 'Reply' : 'Unknown';
-			info.push(`  ARP ${operation}: Who has ${targetIP}? Tell ${senderIP}`);
-			
-		} else if (etherType === 0x86DD && packetLen >= 54) {
-			// IPv6
-			const nextHeader = data[offset + 20];
-			const srcIP = Array.from(data.slice(offset + 22, offset + 38))
-				.map((b, i) => i % 2 === 0 ? b.toString(16).padStart(2, '0') : b.toString(16).padStart(2, '0'))
-				.join('')
-				.match(/.{1,4}/g)
-				.join(':');
-			const dstIP = Array.from(data.slice(offset + 38, offset + 54))
-				.map((b, i) => i % 2 === 0 ? b.toString(16).padStart(2, '0') : b.toString(16).padStart(2, '0'))
-				.join('')
-				.match(/.{1,4}/g)
-				.join(':');
-			
-			let protocol = 'IPv6';
-			if (nextHeader === 6) protocol = 'TCP over IPv6';
-			else if (nextHeader === 17) protocol = 'UDP over IPv6';
-			else if (nextHeader === 58) protocol = 'ICMPv6';
-			
-			info.push(`  ${protocol}: ${srcIP} → ${dstIP}`);
-			
-		} else {
-			info.push(`  EtherType: 0x${etherType.toString(16).padStart(4, '0')}`);
 		}
-		
-	} catch (e) {
-		info.push(`  [Parse error: ${e.message}]`);
+
+		const probe = DEFAULT_ROUTE_PROBES.find((address) => !entries.some((item) => ipv4RangeContains(item.range, ipv4Number(address))));
+		const best = probe && splitTunnel.mode === 'exclude' ? selectRoute(active, ipv4Number(probe)) : null;
+		if (best && !best.tunnel) {
+			conflicts.push({
+				type: 'defaultRouteBypass',
+				severity: 'Critical',
+				message: `Traffic to ${probe} leaves via ${best.interface} (${formatIpv4Range(best)}) instead of the tunnel, although only the excluded ranges should bypass WARP`,
+				route: cite(routeFile.filename, best),
+				setting: citeSetting(settings.serviceMode ?? { line: splitTunnel.line, value: splitTunnel.mode }),
+			});
+		}
 	}
-	
-	return info;
+
+	const tunnelInterface = interfaces.find((iface) => iface.tunnel)?.name ?? tunnelRoutes[0]?.interface ?? null;
+	return {
+		serviceMode: settings.serviceMode,
+		splitTunnel,
+		fallbackDomains: settings.fallbackDomains,
+		tunnelInterface,
+		interfaces: interfaces.map(({ name, file, tunnel, addresses }) => ({
+			name,
+			file,
+			tunnel,
+			addresses: addresses.map(({ address, prefix }) => (prefix === null ? address : `${address}/${prefix}`)),
+		})),
+		routeCount: routes.length,
+		conflicts,
+	};
+}
+
+/**
+ * Format the split tunnel check as text lines
+ * @param {Object} analysis - From analyzeSplitTunnel
+ * @returns {Array<string>}
+ */
+export function formatSplitTunnelAnalysis(analysis) {
+	const split = analysis.splitTunnel;
+	const lines = [
+		`Service mode: ${analysis.serviceMode?.value ?? 'unknown'} | Split tunnel: ${split ? `${split.mode}, ${split.entries.length} entries` : 'unknown'} | ` +
+			`Fallback domains: ${analysis.fallbackDomains.length} | Tunnel interface: ${analysis.tunnelInterface ?? 'not found'} | Routes: ${analysis.routeCount}`,
+	];
+	if (split) lines.push(`${split.mode === 'exclude' ? 'Excluded' : 'Included'}: ${split.entries.map((item) => item.value).join(', ')}`);
+	if (analysis.fallbackDomains.length > 0) lines.push(`Fallback domains: ${analysis.fallbackDomains.map((item) => item.value).join(', ')}`);
+	for (const conflict of analysis.conflicts) {
+		const where = ['interface', 'route', 'setting']
+			.filter((key) => conflict[key])
+			.map((key) => `${key[0].toUpperCase()}${key.slice(1)} ${conflict[key].file} line ${conflict[key].line}: "${conflict[key].text}"`);
+		lines.push(`⚠️  ${conflict.message}${where.length > 0 ? ` | ${where.join(' | ')}` : ''}`);
+	}
+	return lines;
 }
 
 /**
@@ -375,7 +9008,7 @@ export function categorizeWarpFile(filename) {
 		system: ['sysinfo.json', 'platform.txt', 'version.txt', 'date.txt'],
 		performance: ['stats.log', 'warp-stats.txt', 'warp-bus-metrics.txt'],
 		security: ['warp-device-posture.txt', 'firewall-rules.txt', 'installed_cert.pem'],
-		pcap: ['.pcap', '.pcapng', '.qlog'],
+		pcap: ['.pcap', '.pcapng', '.qlog', '.sqlog'],
 	};
 
 	for (const [category, patterns] of Object.entries(categories)) {
@@ -421,6 +9054,11 @@ export function extractKeyInfo(filename, content) {
 					info[match[1]] = match[2].trim();
 				}
 			}
+
+			const { serviceMode, splitTunnel, fallbackDomains } = parseWarpSettings(content);
+			info.serviceMode = serviceMode?.value ?? null;
+			info.splitTunnel = splitTunnel ? { mode: splitTunnel.mode, entries: splitTunnel.entries.map((entry) => entry.value) } : null;
+			info.fallbackDomains = fallbackDomains.map((entry) => entry.value);
 		}
 
 		// Parse connectivity.txt for endpoint info
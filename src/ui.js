@@ -666,6 +666,16 @@ export const UI_HTML = `<!DOCTYPE html>
             font-style: italic;
         }
         
+        .timeline-commentary {
+            font-size: 14px;
+            color: #444;
+            margin-top: 10px;
+            padding: 8px 12px;
+            background: #f5f7ff;
+            border-left: 3px solid #6366f1;
+            border-radius: 4px;
+        }
+        
         .log-evidence {
             margin-top: 15px;
         }
@@ -686,6 +696,36 @@ export const UI_HTML = `<!DOCTYPE html>
             user-select: none;
         }
         
+        .download-packets {
+            margin: 8px 8px 0 0;
+            padding: 6px 12px;
+            font-size: 12px;
+            background: white;
+            color: #f38020;
+            border: 1px solid #f38020;
+            border-radius: 4px;
+            cursor: pointer;
+        }
+        
+        .download-packets:hover {
+            background: #f38020;
+            color: white;
+        }
+        
+        .redaction-summary {
+            margin-top: 20px;
+            padding: 15px;
+            background: #fafafa;
+            border-radius: 6px;
+            border: 1px solid #e0e0e0;
+        }
+
+        .redaction-warning {
+            margin-top: 8px;
+            font-size: 13px;
+            color: #b45309;
+        }
+        
         .log-evidence summary:hover {
             color: #f38020;
         }
@@ -714,6 +754,79 @@ export const UI_HTML = `<!DOCTYPE html>
             white-space: pre-wrap;
             word-break: break-word;
         }
+        
+        .stats-section {
+            margin-top: 30px;
+            background: #fafafa;
+            padding: 25px;
+            border-radius: 6px;
+            border: 1px solid #e0e0e0;
+        }
+        
+        .stats-header {
+            font-size: 20px;
+            font-weight: 600;
+            color: #1a1a1a;
+            margin-bottom: 15px;
+            padding-bottom: 12px;
+            border-bottom: 2px solid #F38020;
+        }
+        
+        .stats-title {
+            font-weight: 600;
+            margin: 20px 0 8px 0;
+        }
+        
+        .stats-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
+            background: white;
+        }
+        
+        .stats-table th,
+        .stats-table td {
+            text-align: left;
+            padding: 6px 10px;
+            border-bottom: 1px solid #e0e0e0;
+        }
+        
+        .stats-table th {
+            background: #f0f0f0;
+            font-weight: 600;
+        }
+        
+        .stats-table td.number {
+            text-align: right;
+            font-variant-numeric: tabular-nums;
+        }
+        
+        .io-chart {
+            width: 100%;
+            height: auto;
+            background: white;
+            border: 1px solid #e0e0e0;
+            border-radius: 4px;
+        }
+        
+        .io-legend {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 15px;
+            margin-top: 8px;
+            font-size: 12px;
+            color: #444;
+        }
+        
+        .io-legend span::before {
+            content: '';
+            display: inline-block;
+            width: 12px;
+            height: 3px;
+            margin-right: 5px;
+            vertical-align: middle;
+            background: var(--swatch);
+        }
     </style>
 </head>
 <body>
@@ -763,6 +876,41 @@ export const UI_HTML = `<!DOCTYPE html>
                 <small style="display: block; margin-top: 5px; color: #666;">
                     More packets = better analysis but slower processing
                 </small>
+                <label for="packetFilter" style="display: block; margin-top: 15px;">
+                    <strong>🧪 Display Filter (optional):</strong>
+                </label>
+                <input type="text" id="packetFilter" class="packet-count-select" placeholder="ip.addr == 162.159.192.1 &amp;&amp; tcp.flags.rst" spellcheck="false">
+                <small style="display: block; margin-top: 5px; color: #666;">
+                    Wireshark-style expression: only matching packets and their conversations are listed
+                </small>
+                <label for="packetSampling" style="display: block; margin-top: 15px;">
+                    <strong>🎯 Packet Sampling:</strong>
+                </label>
+                <select id="packetSampling" class="packet-count-select">
+                    <option value="head" selected>First packets</option>
+                    <option value="anomaly">Anomalies first (RSTs, ICMP errors, retransmissions, DNS failures)</option>
+                    <option value="flow">Start and end of each flow</option>
+                    <option value="stratified">Spread across the whole capture</option>
+                    <option value="window">Time window</option>
+                </select>
+                <div id="samplingWindow" style="display: none; margin-top: 10px;">
+                    <input type="text" id="samplingFrom" class="packet-count-select" placeholder="From: 2024-01-15T10:30:45Z or seconds, e.g. 30" spellcheck="false">
+                    <input type="text" id="samplingTo" class="packet-count-select" placeholder="To: 2024-01-15T10:31:45Z or seconds, e.g. 90" spellcheck="false" style="margin-top: 5px;">
+                </div>
+                <small style="display: block; margin-top: 5px; color: #666;">
+                    Which packets fill the listing; the analysis reports what the sample covers
+                </small>
+            </div>
+            
+            <div class="pcap-options" id="redactionOptions" style="display: none;">
+                <label for="redactEnabled">
+                    <input type="checkbox" id="redactEnabled">
+                    <strong>🔒 Redact personal and account data</strong>
+                </label>
+                <input type="text" id="redactDomains" class="packet-count-select" placeholder="Internal domains, e.g. corp.example.com, ad.example.net" spellcheck="false">
+                <small style="display: block; margin-top: 5px; color: #666;">
+                    Public IPs, MACs, emails, user names, account and device IDs and internal hostnames are replaced with pseudonyms before the AI sees them; the mapping back stays in this browser
+                </small>
             </div>
             
             <button id="analyzeBtn" disabled>Analyze Files</button>
@@ -869,6 +1017,11 @@ console.log(result);</pre>
             });
 
             let files = [];
+            // The uploads behind the results on screen, for packet downloads
+            let analyzedFiles = [];
+            // The results on screen as the server sent them, and whether pseudonyms are swapped back
+            let currentResults = null;
+            let showingOriginals = false;
 
             uploadArea.addEventListener('click', () => {
                 console.log('Upload area clicked');
@@ -880,6 +1033,10 @@ console.log(result);</pre>
             updateFileList();
         });
 
+        document.getElementById('packetSampling').addEventListener('change', (e) => {
+            document.getElementById('samplingWindow').style.display = e.target.value === 'window' ? 'block' : 'none';
+        });
+
         uploadArea.addEventListener('dragover', (e) => {
             e.preventDefault();
             uploadArea.classList.add('dragover');
@@ -901,10 +1058,12 @@ console.log(result);</pre>
                 selectedFiles.style.display = 'none';
                 analyzeBtn.disabled = true;
                 document.getElementById('pcapOptions').style.display = 'none';
+                document.getElementById('redactionOptions').style.display = 'none';
                 return;
             }
 
             selectedFiles.style.display = 'block';
+            document.getElementById('redactionOptions').style.display = 'block';
             analyzeBtn.disabled = false;
 
             fileList.innerHTML = files.map(file => 
@@ -943,6 +1102,7 @@ console.log(result);</pre>
             results.classList.remove('active');
             errorDiv.classList.remove('active');
             analyzeBtn.disabled = true;
+            analyzedFiles = files.slice();
             
             const progressBar = document.getElementById('progressBar');
             const progressStatus = document.getElementById('progressStatus');
@@ -965,6 +1125,20 @@ console.log(result);</pre>
                 const packetCountSelect = document.getElementById('packetCount');
                 if (packetCountSelect && packetCountSelect.offsetParent !== null) {
                     formData.append('packetCount', packetCountSelect.value);
+                    const packetFilter = document.getElementById('packetFilter').value.trim();
+                    if (packetFilter) {
+                        formData.append('filter', packetFilter);
+                    }
+                    const packetSampling = document.getElementById('packetSampling').value;
+                    formData.append('sampling', packetSampling);
+                    if (packetSampling === 'window') {
+                        formData.append('from', document.getElementById('samplingFrom').value.trim());
+                        formData.append('to', document.getElementById('samplingTo').value.trim());
+                    }
+                }
+                if (document.getElementById('redactEnabled').checked) {
+                    formData.append('redact', 'all');
+                    formData.append('redactDomains', document.getElementById('redactDomains').value.trim());
                 }
                 
                 // Stage 2: Uploading
@@ -994,6 +1168,8 @@ console.log(result);</pre>
                 // Small delay to show 100% before transitioning
                 await new Promise(resolve => setTimeout(resolve, 500));
                 
+                currentResults = data;
+                showingOriginals = false;
                 displayResults(data);
             } catch (error) {
                 showError(error.message);
@@ -1028,6 +1204,12 @@ console.log(result);</pre>
             return div.innerHTML;
         }
 
+        function formatLogLevel(entry) {
+            // Entries from parsed logs carry the event's level and module
+            if (!entry.level) return '';
+            return ' · ' + escapeHtml(entry.level) + (entry.module ? ' ' + escapeHtml(entry.module) : '');
+        }
+
         function formatRemediation(text) {
             if (!text) return '';
             
@@ -1054,6 +1236,333 @@ console.log(result);</pre>
             return text.replace(/\\n/g, '<br>');
         }
 
+        function statsTable(title, headers, rows) {
+            if (rows.length === 0) return '';
+            let html = '<div class="stats-title">' + escapeHtml(title) + '</div>' +
+                '<table class="stats-table"><thead><tr>' +
+                headers.map(header => '<th>' + escapeHtml(header) + '</th>').join('') +
+                '</tr></thead><tbody>';
+            rows.forEach(row => {
+                html += '<tr>' + row.map(cell => typeof cell === 'number'
+                    ? '<td class="number">' + cell.toLocaleString() + '</td>'
+                    : '<td>' + escapeHtml(cell) + '</td>').join('') + '</tr>';
+            });
+            return html + '</tbody></table>';
+        }
+
+        function formatCaptureStatistics(stats) {
+            const delivery = stats.delivery;
+            let html = '<div class="stats-section">' +
+                '<div class="stats-header">📊 Capture Statistics: ' + escapeHtml(stats.filename) + '</div>' +
+                '<p style="font-size: 14px; color: #666;">' +
+                    stats.packets.toLocaleString() + ' packets, ' + stats.bytes.toLocaleString() + ' bytes | ' +
+                    'Broadcast: ' + delivery.broadcast.packetPercent + '% | Multicast: ' + delivery.multicast.packetPercent + '%' +
+                '</p>';
+
+            html += statsTable('Protocol Hierarchy', ['Protocol', 'Packets', '% Packets', 'Bytes', '% Bytes'],
+                stats.protocolHierarchy.map(node => [
+                    '\u00a0\u00a0'.repeat(node.depth) + node.protocol, node.packets, node.packetPercent, node.bytes, node.bytePercent,
+                ]));
+            html += statsTable('Top Sources', ['Address', 'Packets', 'Bytes'],
+                stats.topSources.map(entry => [entry.address, entry.packets, entry.bytes]));
+            html += statsTable('Top Destinations', ['Address', 'Packets', 'Bytes'],
+                stats.topDestinations.map(entry => [entry.address, entry.packets, entry.bytes]));
+            html += statsTable('Top Server Ports', ['Protocol', 'Port', 'Flows', 'Packets', 'Bytes'],
+                stats.topPorts.map(entry => [entry.protocol, String(entry.port), entry.flows, entry.packets, entry.bytes]));
+            html += statsTable('Top DNS Names', ['Name', 'Queries', 'Failed Responses'],
+                stats.topDnsNames.map(entry => [entry.name, entry.queries, entry.failures]));
+            html += statsTable('Top SNIs', ['SNI', 'TLS Handshakes', 'QUIC Connections'],
+                stats.topSnis.map(entry => [entry.sni, entry.tls, entry.quic]));
+
+            const arp = stats.arp;
+            if (arp.requests + arp.replies > 0) {
+                html += statsTable('ARP Activity (' + arp.requests + ' requests, ' + arp.replies + ' replies, ' +
+                    arp.gratuitous + ' gratuitous, ' + arp.unanswered + ' never answered)', ['Address', 'Requests', 'Replies'],
+                    arp.topTargets.map(entry => [entry.address, entry.requests, entry.replies]));
+            }
+
+            return html + '</div>';
+        }
+
+        function formatConnectionStates(timeline) {
+            const states = ['registering', 'connecting', 'handshake', 'connected', 'reconnecting', 'disconnected'];
+            return '<div class="stats-section">' +
+                '<div class="stats-header">🔄 Connection States</div>' +
+                '<p style="font-size: 14px; color: #666;">' +
+                    escapeHtml(timeline.start) + ' to ' + escapeHtml(timeline.end) + ', rebuilt from daemon.log and boringtun.log. Final state: ' +
+                    escapeHtml(timeline.finalState) + (timeline.truncated ? ' (transitions truncated)' : '') +
+                '</p>' +
+                statsTable('Time per State', ['State', 'Entered', 'Time (s)'],
+                    states.filter(state => timeline.counts[state] || timeline.durationsMs[state] !== undefined).map(state => [
+                        state, timeline.counts[state] || 0, ((timeline.durationsMs[state] || 0) / 1000).toFixed(1),
+                    ])) +
+                '</div>';
+        }
+
+        function formatSplitTunnel(analysis) {
+            const split = analysis.splitTunnel;
+            const cite = reference => reference ? reference.file + ' line ' + reference.line + ': ' + reference.text : '-';
+            let html = '<div class="stats-section">' +
+                '<div class="stats-header">🛣️ Split Tunnel and Routes</div>' +
+                '<p style="font-size: 14px; color: #666;">' +
+                    'Service mode: ' + escapeHtml(analysis.serviceMode ? analysis.serviceMode.value : 'unknown') +
+                    ' | Split tunnel: ' + escapeHtml(split ? split.mode + ' (' + split.entries.length + ' entries)' : 'unknown') +
+                    ' | Fallback domains: ' + analysis.fallbackDomains.length +
+                    ' | Tunnel interface: ' + escapeHtml(analysis.tunnelInterface || 'not found') +
+                '</p>';
+            if (analysis.conflicts.length === 0) {
+                return html + '<p style="font-size: 14px; color: #666;">No conflicts between the split tunnel settings and the ' + analysis.routeCount + ' routes found.</p></div>';
+            }
+            html += statsTable('Conflicts', ['Severity', 'Conflict', 'Route', 'Interface', 'Setting'],
+                analysis.conflicts.map(conflict => [conflict.severity, conflict.message, cite(conflict.route), cite(conflict.interface), cite(conflict.setting)]));
+            return html + '</div>';
+        }
+
+        const CAPTURE_ROLES = { physical: 'Physical interface', tunnel: 'Tunnel interface', both: 'Tunnel and physical' };
+        const LOSS_STAGES = {
+            beforeEncapsulation: 'Before encapsulation',
+            afterEncapsulation: 'After encapsulation',
+            afterDecapsulation: 'After decapsulation',
+        };
+
+        function formatCaptureCorrelation(correlation) {
+            let html = '<div class="stats-section">' +
+                '<div class="stats-header">🔀 Merged Captures</div>' +
+                '<p style="font-size: 14px; color: #666;">' +
+                    escapeHtml(correlation.start) + ' to ' + escapeHtml(correlation.end) + ', offsets in seconds from the earliest packet' +
+                '</p>';
+            html += statsTable('Captures', ['File', 'Side', 'From (s)', 'To (s)', 'Encrypted Packets', 'Tunnel Packets'],
+                correlation.captures.map(capture => [
+                    capture.filename, CAPTURE_ROLES[capture.role], capture.startOffset.toFixed(3), capture.endOffset.toFixed(3),
+                    capture.encryptedPackets, capture.tunnelPackets,
+                ]));
+
+            const tunnel = correlation.tunnel;
+            if (!tunnel) {
+                return html + '<p style="font-size: 14px; color: #666;">Packets are matched through the tunnel when both the tunnel interface and the physical interface with WireGuard or MASQUE traffic were captured.</p></div>';
+            }
+            html += statsTable('Through the Tunnel', ['Direction', 'Packets', 'Crossed the Tunnel', 'Missing', 'Median Delay (ms)'], [
+                ['Outbound (tunnel → wire)', tunnel.outbound.packets, tunnel.outbound.encapsulated,
+                    tunnel.outbound.packets - tunnel.outbound.encapsulated, tunnel.outbound.medianDelayMs ?? '-'],
+                ['Inbound (wire → tunnel)', tunnel.inbound.packets, tunnel.inbound.decapsulated,
+                    tunnel.inbound.packets - tunnel.inbound.decapsulated, tunnel.inbound.medianDelayMs ?? '-'],
+            ]);
+            html += statsTable('Losses (' + tunnel.losses.beforeEncapsulation + ' before encapsulation, ' +
+                tunnel.losses.afterEncapsulation + ' after encapsulation, ' + tunnel.losses.afterDecapsulation + ' after decapsulation)',
+                ['Offset (s)', 'Where', 'Capture', 'Packet', 'Flow', 'Direction', 'Wire Packet'],
+                tunnel.events.map(event => [
+                    event.offset.toFixed(3), LOSS_STAGES[event.stage], event.capture, String(event.packet), String(event.flow), event.direction,
+                    event.wire ? event.wire.capture + ' #' + event.wire.packet : '-',
+                ]));
+
+            return html + '</div>';
+        }
+
+        const IO_FLOW_COLORS = ['#2563eb', '#16a34a', '#9333ea', '#0891b2', '#ca8a04'];
+
+        function formatIoChart(filename, io) {
+            const width = 800;
+            const height = 220;
+            const left = 60;
+            const bottom = 190;
+            const top = 10;
+            const buckets = io.buckets;
+            const step = (width - left - 10) / Math.max(buckets.length - 1, 1);
+            const peak = Math.max(1, ...buckets.map(bucket => bucket.bytesPerSecond));
+            const x = index => (left + index * step).toFixed(1);
+            const y = value => (bottom - (value / peak) * (bottom - top)).toFixed(1);
+            const line = (values, color, strokeWidth) => '<polyline fill="none" stroke="' + color + '" stroke-width="' + strokeWidth + '" points="' +
+                values.map((value, index) => x(index) + ',' + y(value)).join(' ') + '"/>';
+
+            let svg = '<svg class="io-chart" viewBox="0 0 ' + width + ' ' + height + '" role="img">' +
+                '<line x1="' + left + '" y1="' + bottom + '" x2="' + (width - 10) + '" y2="' + bottom + '" stroke="#ccc"/>' +
+                '<text x="' + (left - 5) + '" y="' + (top + 10) + '" text-anchor="end" font-size="11" fill="#666">' + Math.round(peak).toLocaleString() + '</text>' +
+                '<text x="' + (left - 5) + '" y="' + bottom + '" text-anchor="end" font-size="11" fill="#666">0</text>' +
+                '<text x="' + left + '" y="' + (height - 5) + '" font-size="11" fill="#666">' + escapeHtml(buckets[0].time) + '</text>' +
+                '<text x="' + (width - 10) + '" y="' + (height - 5) + '" text-anchor="end" font-size="11" fill="#666">' + escapeHtml(buckets[buckets.length - 1].time) + '</text>';
+
+            io.collapses.forEach(collapse => {
+                const index = Math.round((collapse.offset - buckets[0].offset) / io.bucketSeconds);
+                svg += '<line x1="' + x(index) + '" y1="' + top + '" x2="' + x(index) + '" y2="' + bottom + '" stroke="#dc2626" stroke-dasharray="4 3"/>';
+            });
+            io.flows.forEach((flow, index) => {
+                svg += line(flow.bytesPerSecond, IO_FLOW_COLORS[index % IO_FLOW_COLORS.length], 1);
+            });
+            svg += line(buckets.map(bucket => bucket.bytesPerSecond), '#F38020', 2);
+
+            // Problems are ticks along the axis; every bucket has a hover tooltip
+            buckets.forEach((bucket, index) => {
+                const problems = bucket.retransmissions + bucket.resets + bucket.icmpErrors + bucket.dnsFailures;
+                if (problems > 0) {
+                    svg += '<rect x="' + (x(index) - 1.5) + '" y="' + (bottom + 2) + '" width="3" height="8" fill="#dc2626"/>';
+                }
+                svg += '<rect x="' + (x(index) - step / 2) + '" y="' + top + '" width="' + Math.max(step, 1) + '" height="' + (bottom - top + 10) + '" fill="transparent">' +
+                    '<title>' + escapeHtml(bucket.time + ': ' + bucket.bytesPerSecond + ' bytes/s, ' + bucket.packetsPerSecond + ' packets/s, ' +
+                        bucket.retransmissions + ' retransmissions, ' + bucket.resets + ' RSTs, ' + bucket.icmpErrors + ' ICMP errors, ' +
+                        bucket.dnsFailures + ' DNS failures') + '</title></rect>';
+            });
+            svg += '</svg>';
+
+            let legend = '<div class="io-legend"><span style="--swatch: #F38020">All traffic (bytes/s)</span>';
+            io.flows.forEach((flow, index) => {
+                legend += '<span style="--swatch: ' + IO_FLOW_COLORS[index % IO_FLOW_COLORS.length] + '">Flow ' + flow.flow + ' ' +
+                    escapeHtml(flow.protocol + ' ' + flow.client + ' → ' + flow.server) + '</span>';
+            });
+            legend += '<span style="--swatch: #dc2626">Retransmissions, RSTs, ICMP errors, DNS failures</span></div>';
+
+            return '<div class="stats-section">' +
+                '<div class="stats-header">📈 Throughput Over Time: ' + escapeHtml(filename) + '</div>' +
+                '<p style="font-size: 14px; color: #666; margin-bottom: 10px;">' + buckets.length + ' buckets of ' + io.bucketSeconds + ' s' +
+                    (io.collapses.length > 0 ? ' | ⚠️ Throughput collapsed at ' + io.collapses.map(collapse => escapeHtml(collapse.time)).join(', ') : '') +
+                '</p>' + svg + legend + '</div>';
+        }
+
+        async function downloadPackets(button) {
+            const capture = button.dataset.capture;
+            // The capture was uploaded directly, or is inside a warp-diag ZIP
+            const direct = analyzedFiles.find(file => file.name === capture);
+            const zip = analyzedFiles.find(file => file.name.toLowerCase().endsWith('.zip'));
+            if (!direct && !zip) {
+                showError('The capture ' + capture + ' is no longer selected');
+                return;
+            }
+
+            const formData = new FormData();
+            formData.append('file', direct || zip);
+            if (!direct) formData.append('capture', capture);
+            if (button.dataset.packets) formData.append('packets', button.dataset.packets);
+            if (button.dataset.flows) formData.append('flows', button.dataset.flows);
+            appendRedaction(formData);
+            await download(button, '/export', formData, 'packets.pcap');
+        }
+
+        function appendRedaction(formData) {
+            // Reuse the analysis pseudonyms, so downloads line up with the results on screen
+            const redaction = currentResults && currentResults.redaction;
+            if (!redaction) return;
+            formData.append('redact', redaction.categories.join(','));
+            formData.append('redactDomains', redaction.domains.join(','));
+            formData.append('redactMapping', JSON.stringify(redaction.mapping));
+        }
+
+        async function downloadRedactedFiles(button) {
+            const formData = new FormData();
+            analyzedFiles.forEach((file, index) => {
+                formData.append('file' + index, file);
+            });
+            appendRedaction(formData);
+            await download(button, '/redact', formData, 'warp-diag-redacted.zip');
+        }
+
+        function saveFile(blob, filename) {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
+
+        async function download(button, path, formData, fallbackName) {
+            const label = button.textContent;
+            button.disabled = true;
+            button.textContent = '⏳ Preparing...';
+            try {
+                const response = await fetch(currentUrl + path, { method: 'POST', body: formData });
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error || 'Download failed');
+                }
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const match = disposition.match(/filename="([^"]+)"/);
+                saveFile(await response.blob(), match ? match[1] : fallbackName);
+                // Names in capture payloads that redaction could not rewrite
+                const warning = response.headers.get('X-Redaction-Warning');
+                const previous = button.nextElementSibling;
+                if (previous && previous.classList.contains('redaction-warning')) previous.remove();
+                if (warning) button.insertAdjacentHTML('afterend', '<p class="redaction-warning">⚠️ ' + escapeHtml(warning) + '</p>');
+            } catch (error) {
+                showError(error.message);
+            } finally {
+                button.disabled = false;
+                button.textContent = label;
+            }
+        }
+
+        results.addEventListener('click', (e) => {
+            const button = e.target.closest('.download-packets');
+            if (!button) return;
+            if (button.dataset.capture) downloadPackets(button);
+            else if (button.id === 'downloadRedacted') downloadRedactedFiles(button);
+            else if (button.id === 'downloadMapping') {
+                saveFile(new Blob([JSON.stringify(currentResults.redaction.mapping, null, 2)], { type: 'application/json' }), 'redaction-mapping.json');
+            } else if (button.id === 'toggleOriginals') {
+                showingOriginals = !showingOriginals;
+                displayResults(showingOriginals ? restoreOriginals(currentResults, currentResults.redaction.mapping) : currentResults);
+            }
+        });
+
+        function restoreOriginals(data, mapping) {
+            // Longest first, so user-1@redacted.invalid wins over user-1
+            const pseudonyms = Object.keys(mapping).sort((a, b) => b.length - a.length);
+            if (pseudonyms.length === 0) return data;
+            const pattern = new RegExp('(?:' + pseudonyms.map(value => value.replace(/[.*+?^$(){}|[\\]\\\\]/g, '\\\\$&')).join('|') + ')(?![0-9A-Za-z])', 'g');
+            const restore = (value, key) => {
+                if (key === 'redaction') return value;
+                if (typeof value === 'string') return value.replace(pattern, pseudonym => mapping[pseudonym]);
+                if (Array.isArray(value)) return value.map(item => restore(item));
+                if (value && typeof value === 'object') {
+                    const copy = {};
+                    Object.keys(value).forEach(name => { copy[name] = restore(value[name], name); });
+                    return copy;
+                }
+                return value;
+            };
+            return restore(data);
+        }
+
+        function formatRedaction(redaction) {
+            const counts = Object.keys(redaction.replaced)
+                .map(category => redaction.replaced[category] + ' ' + category)
+                .join(', ');
+            return '<div class="redaction-summary">' +
+                '<strong>🔒 Redacted:</strong> ' + escapeHtml(counts || 'nothing matched') +
+                (showingOriginals ? ' | <strong>showing original values</strong>' : ' | the AI only saw pseudonyms') +
+                '<div>' +
+                    '<button type="button" class="download-packets" id="downloadRedacted">⬇️ Download redacted files</button>' +
+                    '<button type="button" class="download-packets" id="downloadMapping">⬇️ Download pseudonym mapping</button>' +
+                    '<button type="button" class="download-packets" id="toggleOriginals">' +
+                        (showingOriginals ? '🙈 Show pseudonyms' : '👁️ Show original values') + '</button>' +
+                '</div>' +
+                '<small style="display: block; margin-top: 5px; color: #666;">The mapping is never stored on the server; keep the downloaded file private</small>' +
+            '</div>';
+        }
+
+        function formatPacketDownloads(logEntries) {
+            // One button per capture, covering every packet and flow the evidence cites
+            const captures = new Map();
+            logEntries.forEach(entry => {
+                if (!entry.capture) return;
+                const selection = captures.get(entry.filename) || { packets: new Set(), flows: new Set() };
+                entry.capture.packets.forEach(packet => selection.packets.add(packet));
+                entry.capture.flows.forEach(flow => selection.flows.add(flow));
+                captures.set(entry.filename, selection);
+            });
+
+            let html = '';
+            captures.forEach((selection, filename) => {
+                const count = [
+                    selection.packets.size > 0 ? selection.packets.size + ' packets' : '',
+                    selection.flows.size > 0 ? selection.flows.size + ' flows' : '',
+                ].filter(Boolean).join(', ');
+                html += '<button type="button" class="download-packets"' +
+                    ' data-capture="' + escapeHtml(filename) + '"' +
+                    ' data-packets="' + Array.from(selection.packets).join(',') + '"' +
+                    ' data-flows="' + Array.from(selection.flows).join(',') + '">' +
+                    '⬇️ Download packets from ' + escapeHtml(filename.split('/').pop()) + ' (' + count + ')</button>';
+            });
+            return html;
+        }
+
         function displayResults(data) {
             results.classList.add('active');
             
@@ -1069,6 +1578,7 @@ console.log(result);</pre>
                     'Files Analyzed: ' + (data.filesAnalyzed || 0) + ' | ' +
                     'Model: ' + (data.modelUsed || 'Unknown') +
                 '</p>';
+            if (data.redaction) html += formatRedaction(data.redaction);
 
             // Display timeline if available
             const timeline = analysis.timeline || [];
@@ -1103,7 +1613,8 @@ console.log(result);</pre>
                             '<span class="timeline-icon">' + icon + '</span>' +
                         '</div>' +
                         '<div class="timeline-content">' +
-                            '<div class="timeline-timestamp">' + escapeHtml(timestamp) + '</div>' +
+                            '<div class="timeline-timestamp">' + escapeHtml(timestamp) +
+                                (event.source === 'logs' ? ' · from logs' : event.source === 'ai' ? ' · AI' : '') + '</div>' +
                             '<div class="timeline-event-title">' + escapeHtml(eventDesc) + '</div>';
                     
                     if (details) {
@@ -1114,13 +1625,18 @@ console.log(result);</pre>
                     if (logRef) {
                         html += '<div class="timeline-log-ref">' +
                             '<details>' +
-                                '<summary>📄 ' + escapeHtml(logRef.filename) + ' (line ' + logRef.lineNumber + ')</summary>' +
+                                '<summary>📄 ' + escapeHtml(logRef.filename) + ' (line ' + logRef.lineNumber + ')' + formatLogLevel(logRef) + '</summary>' +
                                 '<div class="log-ref-content">' + escapeHtml(logRef.content) + '</div>' +
                             '</details>' +
                         '</div>';
                     } else if (sourceFile) {
                         html += '<div class="timeline-source">Source: ' + escapeHtml(sourceFile) + '</div>';
                     }
+
+                    // AI commentary on a rule-based state transition
+                    if (event.commentary) {
+                        html += '<div class="timeline-commentary">🤖 ' + escapeHtml(event.commentary) + '</div>';
+                    }
                     
                     html += '</div></div>';
                 });
@@ -1154,11 +1670,12 @@ console.log(result);</pre>
                         
                         logEntries.forEach(entry => {
                             html += '<div class="log-entry">' +
-                                '<div class="log-entry-header">📄 ' + escapeHtml(entry.filename) + ' (line ' + (entry.lineNumber || 0) + ')</div>' +
+                                '<div class="log-entry-header">📄 ' + escapeHtml(entry.filename) + ' (line ' + (entry.lineNumber || 0) + ')' + formatLogLevel(entry) + '</div>' +
                                 '<div class="log-entry-content">' + escapeHtml(entry.content) + '</div>' +
                                 '</div>';
                         });
                         
+                        html += formatPacketDownloads(logEntries);
                         html += '</details></div>';
                     }
                     
@@ -1175,6 +1692,16 @@ console.log(result);</pre>
                 html += '</ul>';
             }
 
+            if (data.connectionTimeline) html += formatConnectionStates(data.connectionTimeline);
+            if (data.splitTunnel) html += formatSplitTunnel(data.splitTunnel);
+            if (data.pcapCorrelation) html += formatCaptureCorrelation(data.pcapCorrelation);
+            (data.pcapStatistics || []).forEach(stats => {
+                html += formatCaptureStatistics(stats);
+            });
+            (data.pcapAnalysis || []).forEach(pcap => {
+                if (pcap.io && pcap.io.buckets.length > 0) html += formatIoChart(pcap.filename, pcap.io);
+            });
+
             html += '<details style="margin-top: 20px;">' +
                 '<summary style="cursor: pointer; font-weight: 600; margin-bottom: 10px;">View Raw JSON Response</summary>' +
                 '<pre>' + JSON.stringify(data, null, 2) + '</pre>' +
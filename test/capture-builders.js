@@ -0,0 +1,463 @@
+/**
+ * Builders for synthetic PCAP/PCAPNG captures used by the tests
+ */
+
+/**
+ * Concatenate byte arrays
+ */
+export function concat(...parts) {
+	const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+	let offset = 0;
+	for (const part of parts) {
+		out.set(part, offset);
+		offset += part.length;
+	}
+	return out;
+}
+
+/**
+ * Build a PCAPNG option (code, value) padded to 32 bits
+ */
+export function pcapngOption(code, value) {
+	const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+	const out = new Uint8Array(4 + ((bytes.length + 3) & ~3));
+	const view = new DataView(out.buffer);
+	view.setUint16(0, code, true);
+	view.setUint16(2, bytes.length, true);
+	out.set(bytes, 4);
+	return out;
+}
+
+/**
+ * Build a little-endian PCAPNG block around a body
+ */
+export function pcapngBlock(type, body) {
+	const length = 12 + ((body.length + 3) & ~3);
+	const out = new Uint8Array(length);
+	const view = new DataView(out.buffer);
+	view.setUint32(0, type, true);
+	view.setUint32(4, length, true);
+	out.set(body, 8);
+	view.setUint32(length - 4, length, true);
+	return out;
+}
+
+export function sectionHeader() {
+	const body = new Uint8Array(16);
+	const view = new DataView(body.buffer);
+	view.setUint32(0, 0x1a2b3c4d, true);
+	view.setUint16(4, 1, true);
+	view.setUint16(6, 0, true);
+	view.setBigInt64(8, -1n, true);
+	return pcapngBlock(0x0a0d0d0a, body);
+}
+
+export function interfaceDescription(linkType, options = []) {
+	const head = new Uint8Array(8);
+	const view = new DataView(head.buffer);
+	view.setUint16(0, linkType, true);
+	view.setUint32(4, 262144, true);
+	return pcapngBlock(0x00000001, concat(head, ...options, new Uint8Array(4)));
+}
+
+export function enhancedPacket(interfaceId, ticks, packet) {
+	const head = new Uint8Array(20);
+	const view = new DataView(head.buffer);
+	view.setUint32(0, interfaceId, true);
+	view.setUint32(4, Number(BigInt(ticks) >> 32n), true);
+	view.setUint32(8, Number(BigInt(ticks) & 0xffffffffn), true);
+	view.setUint32(12, packet.length, true);
+	view.setUint32(16, packet.length, true);
+	return pcapngBlock(0x00000006, concat(head, packet));
+}
+
+/**
+ * Ethernet + IPv4 + UDP packet
+ */
+export function ethernetUdpPacket(src, dst, srcPort, dstPort, payload = new Uint8Array(32)) {
+	const packet = new Uint8Array(14 + 20 + 8 + payload.length);
+	const view = new DataView(packet.buffer);
+	view.setUint16(12, 0x0800);
+	packet[14] = 0x45;
+	view.setUint16(16, 28 + payload.length);
+	packet[22] = 64;
+	packet[23] = 17;
+	packet.set(src, 26);
+	packet.set(dst, 30);
+	view.setUint16(34, srcPort);
+	view.setUint16(36, dstPort);
+	view.setUint16(38, 8 + payload.length);
+	packet.set(payload, 42);
+	return packet;
+}
+
+/**
+ * Build a legacy PCAP file, little-endian microsecond by default.
+ * Packets are byte arrays (one per second) or `{ bytes, at }` with `at` in seconds.
+ */
+export function pcapFile(linkType, packets, { magic = 0xa1b2c3d4, littleEndian = true, snaplen = 262144, fraction = 0 } = {}) {
+	const header = new Uint8Array(24);
+	const view = new DataView(header.buffer);
+	view.setUint32(0, magic, littleEndian);
+	view.setUint16(4, 2, littleEndian);
+	view.setUint16(6, 4, littleEndian);
+	view.setUint32(16, snaplen, littleEndian);
+	view.setUint32(20, linkType, littleEndian);
+	const records = packets.map((packet, i) => {
+		const { bytes, at } = packet instanceof Uint8Array ? { bytes: packet, at: null } : packet;
+		const record = new Uint8Array(16);
+		const recordView = new DataView(record.buffer);
+		if (at === null) {
+			recordView.setUint32(0, 1705314645 + i, littleEndian);
+			recordView.setUint32(4, fraction, littleEndian);
+		} else {
+			recordView.setUint32(0, 1705314645 + Math.floor(at), littleEndian);
+			recordView.setUint32(4, Math.round((at % 1) * 1e6), littleEndian);
+		}
+		recordView.setUint32(8, bytes.length, littleEndian);
+		recordView.setUint32(12, bytes.length, littleEndian);
+		return concat(record, bytes);
+	});
+	return concat(header, ...records);
+}
+
+/**
+ * Parse a textual IPv6 address into bytes
+ */
+export function ipv6Bytes(address) {
+	const [head, tail] = address.split('::');
+	const headGroups = head ? head.split(':') : [];
+	const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+	const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+	const bytes = new Uint8Array(16);
+	groups.forEach((group, i) => {
+		const value = parseInt(group, 16);
+		bytes[i * 2] = value >> 8;
+		bytes[i * 2 + 1] = value & 0xff;
+	});
+	return bytes;
+}
+
+/**
+ * Raw IPv6 packet (no link layer)
+ */
+export function ipv6Packet(src, dst, nextHeader, payload, hopLimit = 64) {
+	const header = new Uint8Array(40);
+	const view = new DataView(header.buffer);
+	header[0] = 0x60;
+	view.setUint16(4, payload.length);
+	header[6] = nextHeader;
+	header[7] = hopLimit;
+	header.set(ipv6Bytes(src), 8);
+	header.set(ipv6Bytes(dst), 24);
+	return concat(header, payload);
+}
+
+/**
+ * Raw IPv4 packet (no link layer)
+ */
+export function ipv4Packet(src, dst, protocol, payload, { ttl = 64, id = 0, flagsAndOffset = 0 } = {}) {
+	const header = new Uint8Array(20);
+	const view = new DataView(header.buffer);
+	header[0] = 0x45;
+	view.setUint16(2, 20 + payload.length);
+	view.setUint16(4, id);
+	view.setUint16(6, flagsAndOffset);
+	header[8] = ttl;
+	header[9] = protocol;
+	header.set(src, 12);
+	header.set(dst, 16);
+	return concat(header, payload);
+}
+
+/**
+ * TCP segment with optional sequence state and payload
+ */
+export function tcpSegment(
+	srcPort,
+	dstPort,
+	flags,
+	{ seq = 0, ack = 0, window = 65535, options = new Uint8Array(0), payload = new Uint8Array(0) } = {},
+) {
+	const header = new Uint8Array(20 + options.length);
+	const view = new DataView(header.buffer);
+	view.setUint16(0, srcPort);
+	view.setUint16(2, dstPort);
+	view.setUint32(4, seq);
+	view.setUint32(8, ack);
+	header[12] = (header.length / 4) << 4;
+	header[13] = flags;
+	view.setUint16(14, window);
+	header.set(options, 20);
+	return concat(header, payload);
+}
+
+/**
+ * UDP datagram with payload
+ */
+export function udpDatagram(srcPort, dstPort, payload = new Uint8Array(0)) {
+	const header = new Uint8Array(8);
+	const view = new DataView(header.buffer);
+	view.setUint16(0, srcPort);
+	view.setUint16(2, dstPort);
+	view.setUint16(4, 8 + payload.length);
+	return concat(header, payload);
+}
+
+/**
+ * Uncompressed DNS name
+ */
+export function dnsName(name) {
+	const labels = name.split('.').filter(Boolean);
+	return concat(...labels.map((label) => concat(new Uint8Array([label.length]), new TextEncoder().encode(label))), new Uint8Array(1));
+}
+
+/**
+ * DNS message. Questions are [name, type]; records are { name, type, ttl, rdata, recordClass }
+ * where name may be raw bytes (e.g. a 0xc00c compression pointer).
+ */
+export function dnsMessage(id, flags, { questions = [], answers = [], additional = [] } = {}) {
+	const header = new Uint8Array(12);
+	const view = new DataView(header.buffer);
+	view.setUint16(0, id);
+	view.setUint16(2, flags);
+	view.setUint16(4, questions.length);
+	view.setUint16(6, answers.length);
+	view.setUint16(10, additional.length);
+
+	const question = ([name, type]) => concat(dnsName(name), new Uint8Array([type >> 8, type & 0xff, 0, 1]));
+	const record = ({ name, type, ttl = 60, rdata, recordClass = 1 }) => {
+		const fields = new Uint8Array(10);
+		const fieldView = new DataView(fields.buffer);
+		fieldView.setUint16(0, type);
+		fieldView.setUint16(2, recordClass);
+		fieldView.setUint32(4, ttl);
+		fieldView.setUint16(8, rdata.length);
+		return concat(typeof name === 'string' ? dnsName(name) : name, fields, rdata);
+	};
+
+	return concat(header, ...questions.map(question), ...answers.map(record), ...additional.map(record));
+}
+
+/**
+ * Big-endian length prefix of 1, 2 or 3 bytes followed by the bytes
+ */
+function lengthPrefixed(size, ...parts) {
+	const body = concat(...parts);
+	const prefix = new Uint8Array(size);
+	for (let i = 0; i < size; i++) prefix[i] = (body.length >> (8 * (size - 1 - i))) & 0xff;
+	return concat(prefix, body);
+}
+
+/**
+ * TLS record
+ */
+export function tlsRecord(type, body, version = 0x0303) {
+	return concat(new Uint8Array([type, version >> 8, version & 0xff]), lengthPrefixed(2, body));
+}
+
+/**
+ * TLS handshake message
+ */
+export function tlsHandshake(type, body) {
+	return concat(new Uint8Array([type]), lengthPrefixed(3, body));
+}
+
+/**
+ * TLS extension
+ */
+function tlsExtension(type, body) {
+	return concat(new Uint8Array([type >> 8, type & 0xff]), lengthPrefixed(2, body));
+}
+
+/**
+ * ClientHello body with SNI, ALPN and supported_versions extensions
+ */
+export function clientHello({ sni, alpn = [], versions = [], cipherSuites = [0x1301, 0xc02f] }) {
+	const suites = concat(...cipherSuites.map((suite) => new Uint8Array([suite >> 8, suite & 0xff])));
+	const extensions = [];
+	if (sni) extensions.push(tlsExtension(0, lengthPrefixed(2, new Uint8Array([0]), lengthPrefixed(2, new TextEncoder().encode(sni)))));
+	if (alpn.length)
+		extensions.push(tlsExtension(16, lengthPrefixed(2, ...alpn.map((name) => lengthPrefixed(1, new TextEncoder().encode(name))))));
+	if (versions.length) extensions.push(tlsExtension(43, lengthPrefixed(1, ...versions.map((v) => new Uint8Array([v >> 8, v & 0xff])))));
+	return concat(
+		new Uint8Array([3, 3]),
+		new Uint8Array(32),
+		new Uint8Array([0]),
+		lengthPrefixed(2, suites),
+		new Uint8Array([1, 0]),
+		lengthPrefixed(2, ...extensions),
+	);
+}
+
+/**
+ * ServerHello body, optionally selecting a version and ALPN protocol through extensions
+ */
+export function serverHello({ cipherSuite, version, alpn }) {
+	const extensions = [];
+	if (version) extensions.push(tlsExtension(43, new Uint8Array([version >> 8, version & 0xff])));
+	if (alpn) extensions.push(tlsExtension(16, lengthPrefixed(2, lengthPrefixed(1, new TextEncoder().encode(alpn)))));
+	return concat(
+		new Uint8Array([3, 3]),
+		new Uint8Array(32),
+		new Uint8Array([0, cipherSuite >> 8, cipherSuite & 0xff, 0]),
+		lengthPrefixed(2, ...extensions),
+	);
+}
+
+/**
+ * DER element with definite length
+ */
+function der(tag, ...parts) {
+	const body = concat(...parts);
+	const length = body.length < 128 ? new Uint8Array([body.length]) : new Uint8Array([0x82, body.length >> 8, body.length & 0xff]);
+	return concat(new Uint8Array([tag]), length, body);
+}
+
+/**
+ * Minimal X.509 certificate with CN/O names and a validity period (UTCTime strings)
+ */
+export function x509Certificate({ subject, issuer, notBefore = '240101000000Z', notAfter = '250101000000Z' }) {
+	const name = (attributes) =>
+		der(0x30, ...Object.entries(attributes).map(([key, value]) =>
+			der(0x31, der(0x30, der(0x06, new Uint8Array([0x55, 0x04, key === 'CN' ? 3 : 10])), der(0x0c, new TextEncoder().encode(value))))
+		));
+	const time = (text) => der(0x17, new TextEncoder().encode(text));
+	const tbs = der(
+		0x30,
+		der(0xa0, der(0x02, new Uint8Array([2]))),
+		der(0x02, new Uint8Array([1])),
+		der(0x30, der(0x06, new Uint8Array([0x2a, 0x86, 0x48, 0xce, 0x3d, 4, 3, 2]))),
+		name(issuer),
+		der(0x30, time(notBefore), time(notAfter)),
+		name(subject),
+		der(0x30, new Uint8Array(0))
+	);
+	return der(0x30, tbs, der(0x30, new Uint8Array(0)), der(0x03, new Uint8Array([0])));
+}
+
+/**
+ * TLS 1.2 Certificate message body
+ */
+export function certificateMessage(...certificates) {
+	return lengthPrefixed(3, ...certificates.map((certificate) => lengthPrefixed(3, certificate)));
+}
+
+/**
+ * Client Initial keys for the RFC 9001 Appendix A destination connection ID
+ */
+export const RFC9001_DCID = new Uint8Array([0x83, 0x94, 0xc8, 0xf0, 0x3e, 0x51, 0x57, 0x08]);
+const RFC9001_CLIENT_KEYS = {
+	key: '1f369613dd76d5467730efcbe3b1a22d',
+	iv: 'fa044b2f42a3fd3b46fb255c',
+	hp: '9f50449e04a0e810283a1e9933adedd2',
+};
+
+/**
+ * QUIC CRYPTO frame at offset 0
+ */
+export function quicCryptoFrame(data) {
+	return concat(new Uint8Array([0x06, 0x00, 0x40 | (data.length >> 8), data.length & 0xff]), data);
+}
+
+/**
+ * Protected QUIC v1 client Initial, encrypted with the RFC 9001 Appendix A keys and padded to 1200 bytes
+ */
+export async function quicInitialPacket(frames, { scid = new Uint8Array(0), packetNumber = 2 } = {}) {
+	const hex = (text) => Uint8Array.from(text.match(/../g), (pair) => parseInt(pair, 16));
+	const pn = new Uint8Array([packetNumber >>> 24, (packetNumber >> 16) & 0xff, (packetNumber >> 8) & 0xff, packetNumber & 0xff]);
+	const prefix = concat(
+		new Uint8Array([0xc3, 0, 0, 0, 1, RFC9001_DCID.length]),
+		RFC9001_DCID,
+		new Uint8Array([scid.length]),
+		scid,
+		new Uint8Array([0]),
+	);
+	const payloadLength = 1200 - prefix.length - 2 - pn.length - 16;
+	const payload = concat(frames, new Uint8Array(payloadLength - frames.length));
+	const length = pn.length + payload.length + 16;
+	const header = concat(prefix, new Uint8Array([0x40 | (length >> 8), length & 0xff]), pn);
+
+	const nonce = hex(RFC9001_CLIENT_KEYS.iv);
+	for (let i = 0; i < 4; i++) nonce[11 - i] ^= pn[3 - i];
+	const key = await crypto.subtle.importKey('raw', hex(RFC9001_CLIENT_KEYS.key), 'AES-GCM', false, ['encrypt']);
+	const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce, additionalData: header }, key, payload));
+
+	const hp = await crypto.subtle.importKey('raw', hex(RFC9001_CLIENT_KEYS.hp), 'AES-CBC', false, ['encrypt']);
+	const mask = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: new Uint8Array(16) }, hp, ciphertext.subarray(0, 16)));
+	header[0] ^= mask[0] & 0x0f;
+	for (let i = 0; i < 4; i++) header[header.length - 4 + i] ^= mask[1 + i];
+
+	return concat(header, ciphertext);
+}
+
+/**
+ * WireGuard message of a given type and length; fields maps byte offsets to
+ * little-endian 32-bit values (sender/receiver indexes, counters)
+ */
+export function wireguardMessage(type, length, fields = {}) {
+	const bytes = new Uint8Array(length);
+	const view = new DataView(bytes.buffer);
+	bytes[0] = type;
+	for (const [offset, value] of Object.entries(fields)) view.setUint32(Number(offset), value, true);
+	return bytes;
+}
+
+/**
+ * Ethernet frame carrying a payload of the given EtherType, between all-zero MACs by default
+ */
+export function ethernetFrame(etherType, payload, { destination = [0, 0, 0, 0, 0, 0], source = [0, 0, 0, 0, 0, 0] } = {}) {
+	const header = new Uint8Array(14);
+	header.set(destination);
+	header.set(source, 6);
+	new DataView(header.buffer).setUint16(12, etherType);
+	return concat(header, payload);
+}
+
+/**
+ * ARP packet for IPv4 over Ethernet: opcode 1 is a request, 2 a reply
+ */
+export function arpPacket(opcode, senderIP, targetIP) {
+	const packet = new Uint8Array(28);
+	const view = new DataView(packet.buffer);
+	view.setUint16(0, 1);
+	view.setUint16(2, 0x0800);
+	packet[4] = 6;
+	packet[5] = 4;
+	view.setUint16(6, opcode);
+	packet.set(senderIP, 14);
+	packet.set(targetIP, 24);
+	return packet;
+}
+
+/**
+ * Tunnel header: GRE with an optional key, or VXLAN/GENEVE with a VNI
+ */
+export function tunnelHeader(type, { protocol = 0x6558, key, vni = 0, options = new Uint8Array(0) } = {}) {
+	if (type === 'GRE') {
+		const header = new Uint8Array(key === undefined ? 4 : 8);
+		const view = new DataView(header.buffer);
+		if (key !== undefined) {
+			view.setUint16(0, 0x2000);
+			view.setUint32(4, key);
+		}
+		view.setUint16(2, protocol);
+		return header;
+	}
+	const header = new Uint8Array(8);
+	const view = new DataView(header.buffer);
+	view.setUint32(4, vni << 8);
+	if (type === 'VXLAN') {
+		header[0] = 0x08;
+		return header;
+	}
+	header[0] = options.length / 4;
+	view.setUint16(2, protocol);
+	return concat(header, options);
+}
+
+export const SYN = 0x02;
+export const ACK = 0x10;
+export const FIN = 0x01;
+export const RST = 0x04;
+export const PSH = 0x08;
@@ -1,6 +1,40 @@
 import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
+import { unzipSync } from 'fflate';
+import { pcapFile, ipv4Packet, tcpSegment, udpDatagram, dnsMessage, wireguardMessage, SYN, ACK, RST, PSH } from './capture-builders.js';
+
+/**
+ * Workers AI stand-in that records prompts and returns an empty report,
+ * or the given report fields
+ */
+function mockAI(report = {}) {
+	const calls = [];
+	return {
+		calls,
+		async run(model, input) {
+			calls.push(input);
+			return {
+				response: JSON.stringify({ summary: 'ok', health_status: 'Healthy', issues: [], timeline: [], recommendations: [], ...report }),
+			};
+		},
+	};
+}
+
+/**
+ * POST files to the worker as multipart form data
+ */
+async function postFiles(env, fields, path = '/') {
+	const formData = new FormData();
+	for (const [name, value] of Object.entries(fields)) {
+		formData.append(name, value);
+	}
+	const request = new Request(`http://example.com${path}`, { method: 'POST', body: formData });
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, env, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
 
 describe('WARP Diagnostics Analyzer', () => {
 	it('responds with API info on GET request', async () => {
@@ -68,4 +102,591 @@ describe('WARP Diagnostics Analyzer', () => {
 		const data = await response.json();
 		expect(data.version).toBe('1.0.0');
 	});
+
+	it('returns the conversation table for uploaded captures', async () => {
+		const client = [10, 0, 0, 2];
+		const server = [104, 16, 0, 1];
+		const capture = pcapFile(101, [
+			ipv4Packet(client, server, 6, tcpSegment(51000, 443, SYN)),
+			ipv4Packet(server, client, 6, tcpSegment(443, 51000, SYN | ACK)),
+			ipv4Packet(client, server, 6, tcpSegment(51000, 443, ACK)),
+			ipv4Packet(server, client, 6, tcpSegment(443, 51000, RST)),
+		]);
+		const ai = mockAI();
+
+		const response = await postFiles({ AI: ai }, { file: new File([capture], 'capture.pcap') });
+		expect(response.status).toBe(200);
+		const data = await response.json();
+
+		expect(data.pcapAnalysis).toHaveLength(1);
+		expect(data.pcapAnalysis[0].conversations[0]).toMatchObject({ handshake: 'complete', closeReason: 'RST' });
+		expect(ai.calls[0].messages[1].content).toContain('[Flow 1] TCP 10.0.0.2:51000 ↔ 104.16.0.1:443');
+
+		expect(data.pcapAnalysis[0].latency[0]).toMatchObject({
+			destination: '104.16.0.1:443',
+			metrics: { tcpSynToSynAck: { count: 1, p50: 1000 } },
+		});
+		expect(ai.calls[0].messages[1].content).toContain('## Measured Latency');
+		expect(ai.calls[0].messages[1].content).toContain('104.16.0.1:443 TCP SYN→SYN/ACK: n=1 p50 1000 ms / p95 1000 ms / max 1000 ms');
+		expect(data.pcapAnalysis[0]).not.toHaveProperty('packets');
+	});
+
+	it('rejects an invalid display filter before analyzing anything', async () => {
+		const capture = pcapFile(101, [ipv4Packet([10, 0, 0, 2], [104, 16, 0, 1], 6, tcpSegment(51000, 443, SYN))]);
+		const ai = mockAI();
+
+		const response = await postFiles({ AI: ai }, { file: new File([capture], 'capture.pcap'), filter: 'tcp.prot == 443' });
+
+		expect(response.status).toBe(400);
+		expect((await response.json()).error).toBe('Invalid filter: Unknown field "tcp.prot" at position 1');
+		expect(ai.calls).toHaveLength(0);
+	});
+
+	it('rejects an invalid sampling window before analysis', async () => {
+		const capture = pcapFile(101, [ipv4Packet([10, 0, 0, 2], [104, 16, 0, 1], 6, tcpSegment(51000, 443, SYN))]);
+		const ai = mockAI();
+
+		const response = await postFiles({ AI: ai }, { file: new File([capture], 'capture.pcap'), sampling: 'window' });
+
+		expect(response.status).toBe(400);
+		expect((await response.json()).error).toBe('Invalid sampling: Window sampling needs from and/or to');
+		expect(ai.calls).toHaveLength(0);
+	});
+
+	it('exports the selected packets of an uploaded capture', async () => {
+		const capture = pcapFile(101, [
+			ipv4Packet([10, 0, 0, 2], [104, 16, 0, 1], 6, tcpSegment(51000, 443, SYN)),
+			ipv4Packet([104, 16, 0, 1], [10, 0, 0, 2], 6, tcpSegment(443, 51000, RST | ACK)),
+			ipv4Packet([10, 0, 0, 2], [1, 1, 1, 1], 17, udpDatagram(40000, 53)),
+		]);
+
+		const response = await postFiles({}, { file: new File([capture], 'capture.pcap'), flows: '1', format: 'pcapng' }, '/export');
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('application/x-pcapng');
+		expect(response.headers.get('Content-Disposition')).toBe('attachment; filename="capture-packets.pcapng"');
+		expect(response.headers.get('X-Packet-Count')).toBe('2');
+
+		const missing = await postFiles({}, { file: new File([capture], 'capture.pcap'), packets: '9' }, '/export');
+		expect(missing.status).toBe(404);
+		expect((await missing.json()).error).toBe('No packets match the selection');
+
+		const invalid = await postFiles({}, { file: new File([capture], 'capture.pcap'), packets: '3-1' }, '/export');
+		expect((await invalid.json()).error).toBe('Invalid export: "3-1" in packets is not a number or range like 40-44');
+	});
+
+	it('rejects corrupt archives and malformed uploads to /export with a JSON error', async () => {
+		const corrupt = await postFiles(
+			{},
+			{ file: new File([new Uint8Array([0x50, 0x4b, 0x03, 0x04, 1, 2, 3])], 'warp-diag.zip'), packets: '1' },
+			'/export',
+		);
+		expect(corrupt.status).toBe(400);
+		expect(corrupt.headers.get('Access-Control-Allow-Origin')).toBe('*');
+		expect((await corrupt.json()).error).toMatch(/^Invalid upload: Failed to extract ZIP/);
+
+		const request = new Request('http://example.com/export', {
+			method: 'POST',
+			headers: { 'Content-Type': 'multipart/form-data; boundary=missing' },
+			body: 'not a multipart body',
+		});
+		const malformed = await worker.fetch(request, env, createExecutionContext());
+		expect(malformed.status).toBe(400);
+		expect((await malformed.json()).error).toMatch(/^Invalid upload: /);
+	});
+
+	it('points PCAP evidence at the packets and flows it cites', async () => {
+		const capture = pcapFile(101, [
+			ipv4Packet([10, 0, 0, 2], [104, 16, 0, 1], 6, tcpSegment(51000, 443, SYN)),
+			ipv4Packet([104, 16, 0, 1], [10, 0, 0, 2], 6, tcpSegment(443, 51000, RST | ACK)),
+		]);
+		const ai = mockAI({
+			issues: [{ severity: 'Warning', title: 'Connection reset', evidence_keywords: ['[ACK,RST]'], affected_files: ['capture.pcap'] }],
+		});
+
+		const response = await postFiles({ AI: ai }, { file: new File([capture], 'capture.pcap') });
+		const [issue] = (await response.json()).analysis.issues;
+
+		// The matched line is a packet detail line, which belongs to the [Packet 2] line above it
+		expect(issue.log_entries[0]).toMatchObject({ filename: 'capture.pcap', capture: { packets: [2], flows: [] } });
+		expect(issue.log_entries.map((entry) => entry.capture)).toContainEqual({ packets: [], flows: [1] });
+	});
+
+	it('returns capture statistics next to pcapMetadata', async () => {
+		const capture = pcapFile(101, [ipv4Packet([10, 0, 0, 2], [104, 16, 0, 1], 6, tcpSegment(51000, 443, SYN))]);
+
+		const response = await postFiles({ AI: mockAI() }, { file: new File([capture], 'capture.pcap') });
+		const data = await response.json();
+
+		expect(data.pcapStatistics).toHaveLength(1);
+		expect(data.pcapStatistics[0]).toMatchObject({
+			filename: 'capture.pcap',
+			packets: 1,
+			topPorts: [{ protocol: 'TCP', port: 443, flows: 1 }],
+		});
+		expect(data.pcapStatistics[0].protocolHierarchy.map((node) => node.protocol)).toEqual(['IPv4', 'TCP']);
+	});
+
+	it('returns structured packets when packetDetail is set', async () => {
+		const capture = pcapFile(101, [ipv4Packet([10, 0, 0, 2], [104, 16, 0, 1], 6, tcpSegment(51000, 443, SYN))]);
+
+		const response = await postFiles(
+			{ AI: mockAI() },
+			{ file: new File([capture], 'capture.pcap'), packetDetail: 'true', packetCount: '10' },
+		);
+		const data = await response.json();
+
+		expect(data.pcapAnalysis[0].packets).toMatchObject([
+			{ number: 1, layers: ['IPv4', 'TCP'], src: '10.0.0.2', dst: '104.16.0.1', srcPort: 51000, dstPort: 443, flags: ['SYN'], flow: 1 },
+		]);
+	});
+
+	it('gives each capture analysis section its own share of the prompt', async () => {
+		const client = [10, 0, 0, 2];
+		const server = [104, 16, 0, 1];
+		// Enough flows for the conversation table alone to fill the capture's share
+		const flows = Array.from({ length: 60 }, (_, index) => ipv4Packet(client, server, 17, udpDatagram(40000 + index, 443)));
+		const data = () =>
+			ipv4Packet(client, server, 6, tcpSegment(51000, 443, PSH | ACK, { seq: 1001, ack: 5001, payload: new Uint8Array(100) }));
+		const capture = pcapFile(101, [
+			...flows,
+			ipv4Packet(client, server, 6, tcpSegment(51000, 443, SYN, { seq: 1000 })),
+			ipv4Packet(server, client, 6, tcpSegment(443, 51000, SYN | ACK, { seq: 5000, ack: 1001 })),
+			data(),
+			data(),
+		]);
+		const ai = mockAI();
+
+		await postFiles({ AI: ai }, { file: new File([capture], 'capture.pcap') });
+
+		const prompt = ai.calls[0].messages[1].content;
+		expect(prompt).toContain('... (truncated - more lines available)');
+		expect(prompt).toContain('=== TCP ANALYSIS ===');
+		expect(prompt).toMatch(/\[Packet 64\] Flow 61: TCP Retransmission/);
+		expect(prompt).toContain('=== DNS ===');
+		expect(prompt).toContain('=== TLS ===');
+		expect(prompt).toContain('=== QUIC ===');
+		expect(prompt).toContain('=== WIREGUARD ===');
+		expect(prompt).toContain('=== MTU AND FRAGMENTATION ===');
+		expect(prompt).toContain('=== PROTOCOL HIERARCHY AND TOP TALKERS ===');
+		expect(prompt).toContain('=== I/O SERIES (throughput and problems over time) ===');
+	});
+
+	it('merges every uploaded capture onto one time axis for the AI', async () => {
+		const inner = ipv4Packet([172, 16, 0, 2], [104, 16, 0, 1], 6, tcpSegment(51000, 443, SYN));
+		const tunnel = pcapFile(101, [{ bytes: inner, at: 0.5 }]);
+		const physical = pcapFile(101, [
+			{ bytes: ipv4Packet([192, 168, 1, 10], [162, 159, 192, 1], 17, udpDatagram(51820, 2408, wireguardMessage(4, 80))), at: 0.501 },
+		]);
+		const ai = mockAI();
+
+		const response = await postFiles(
+			{ AI: ai },
+			{ tunnel: new File([tunnel], 'tunnel.pcap'), physical: new File([physical], 'physical.pcap') },
+		);
+		const data = await response.json();
+
+		expect(data.pcapCorrelation.captures.map((capture) => [capture.filename, capture.role])).toEqual([
+			['tunnel.pcap', 'tunnel'],
+			['physical.pcap', 'physical'],
+		]);
+		expect(data.pcapCorrelation.tunnel.outbound).toEqual({ packets: 1, encapsulated: 1, medianDelayMs: 1 });
+		expect(data.pcapAnalysis[0].tunnelTrace).toBeUndefined();
+		const prompt = ai.calls[0].messages[1].content;
+		expect(prompt).toContain('"filename": "physical.pcap"');
+		expect(prompt).toContain('## Merged Captures (tunnel vs physical interface)');
+		expect(prompt).toContain('  physical.pcap (physical interface, encrypted tunnel traffic): +0.001 s to +0.001 s');
+		expect(prompt).toContain(
+			'Outbound: 1 packets on the tunnel interface, 1 seen encrypted on the wire (median 1 ms later), 0 never encrypted',
+		);
+	});
+
+	it('redacts uploads before the AI sees them and returns the mapping to the caller only', async () => {
+		const capture = pcapFile(101, [ipv4Packet([10, 0, 0, 2], [203, 0, 113, 7], 6, tcpSegment(51000, 443, SYN))]);
+		const log =
+			'2024-01-15T10:30:45Z INFO Connecting to 203.0.113.7 for alice@example.com, device_id: 6f1c2e3a-1b2c-4d5e-8f90-123456789abc';
+		const ai = mockAI();
+
+		const response = await postFiles(
+			{ AI: ai },
+			{ file: new File([capture], 'capture.pcap'), log: new File([log], 'daemon.log'), redact: 'all' },
+		);
+		const data = await response.json();
+
+		const prompt = ai.calls[0].messages[1].content;
+		for (const original of ['203.0.113.7', 'alice@example.com', '6f1c2e3a-1b2c-4d5e-8f90-123456789abc']) {
+			expect(prompt).not.toContain(original);
+		}
+		expect(prompt).toContain('[Flow 1] TCP 10.0.0.2:51000 ↔ 198.18.0.1:443');
+		expect(prompt).toContain('Connecting to 198.18.0.1 for user-1@redacted.invalid, device_id: REDACTED-ID-1');
+		expect(data.pcapStatistics[0].topDestinations.map((talker) => talker.address)).toEqual(['198.18.0.1']);
+		expect(data.redaction).toMatchObject({
+			categories: ['ips', 'emails', 'hostnames', 'ids', 'macs', 'users'],
+			mapping: { '198.18.0.1': '203.0.113.7', 'user-1@redacted.invalid': 'alice@example.com' },
+		});
+
+		const invalid = await postFiles({ AI: ai }, { file: new File([capture], 'capture.pcap'), redact: 'ips,passwords' });
+		expect(invalid.status).toBe(400);
+		expect((await invalid.json()).error).toMatch(/^Invalid redaction: Unknown category "passwords"/);
+		expect(ai.calls).toHaveLength(1);
+	});
+
+	it('downloads uploads with the same pseudonyms as the analysis', async () => {
+		const capture = pcapFile(101, [ipv4Packet([10, 0, 0, 2], [203, 0, 113, 7], 6, tcpSegment(51000, 443, SYN))]);
+		const mapping = JSON.stringify({ '198.18.0.5': '203.0.113.7' });
+
+		const single = await postFiles({}, { file: new File([capture], 'capture.pcap'), redact: 'ips', redactMapping: mapping }, '/redact');
+		expect(single.status).toBe(200);
+		expect(single.headers.get('Content-Disposition')).toBe('attachment; filename="capture-redacted.pcap"');
+		expect(single.headers.get('X-Redaction-New-Values')).toBe('0');
+		expect(single.headers.get('X-Redaction-Warning')).toBeNull();
+		const packet = new Uint8Array(await single.arrayBuffer()).subarray(40);
+		expect([...packet.subarray(16, 20)]).toEqual([198, 18, 0, 5]);
+
+		const bundle = await postFiles(
+			{},
+			{
+				file: new File([capture], 'capture.pcap'),
+				log: new File(['peer 203.0.113.7 and 198.51.100.1'], 'daemon.log'),
+				redact: 'ips',
+				redactMapping: mapping,
+			},
+			'/redact',
+		);
+		expect(bundle.headers.get('Content-Type')).toBe('application/zip');
+		expect(bundle.headers.get('Content-Disposition')).toBe('attachment; filename="warp-diag-redacted.zip"');
+		expect(bundle.headers.get('X-Redaction-New-Values')).toBe('1');
+		const files = unzipSync(new Uint8Array(await bundle.arrayBuffer()));
+		expect(Object.keys(files)).toEqual(['capture.pcap', 'daemon.log']);
+		expect(new TextDecoder().decode(files['daemon.log'])).toBe('peer 198.18.0.5 and 198.18.0.1');
+
+		// Binary files are left out and listed rather than decoded as text
+		const binary = new Uint8Array([0x62, 0x70, 0x6c, 0x69, 0x73, 0x74, 0x30, 0x30, 0xd0, 0x00, 0xff]);
+		const mixed = await postFiles(
+			{},
+			{ log: new File(['peer 203.0.113.7'], 'daemon.log'), plist: new File([binary], 'mdm.plist'), redact: 'ips' },
+			'/redact',
+		);
+		expect(mixed.headers.get('X-Redaction-Skipped')).toBe('1');
+		const mixedFiles = unzipSync(new Uint8Array(await mixed.arrayBuffer()));
+		expect(Object.keys(mixedFiles)).toEqual(['daemon.log', 'REDACTION-SKIPPED.txt']);
+		expect(new TextDecoder().decode(mixedFiles['REDACTION-SKIPPED.txt'])).toContain('\nmdm.plist\n');
+
+		const onlyBinary = await postFiles({}, { plist: new File([binary], 'mdm.plist'), redact: 'ips' }, '/redact');
+		expect((await onlyBinary.json()).error).toBe('Only captures and text files can be redacted: mdm.plist');
+
+		// Names in capture payloads cannot be rewritten in place, so the download says so
+		const query = dnsMessage(7, 0x0100, { questions: [['intranet.corp.example.com', 1]] });
+		const lookup = pcapFile(101, [ipv4Packet([10, 0, 0, 2], [10, 0, 0, 53], 17, udpDatagram(51000, 53, query))]);
+		const warned = await postFiles(
+			{},
+			{ file: new File([lookup], 'dns.pcap'), redact: 'all', redactDomains: 'corp.example.com' },
+			'/redact',
+		);
+		expect(warned.headers.get('X-Redaction-Warning')).toBe('Kept as captured: DNS names under internal domains (1)');
+
+		const missing = await postFiles({}, { file: new File([capture], 'capture.pcap') }, '/redact');
+		expect((await missing.json()).error).toBe('Choose what to redact with the redact field, e.g. redact=all');
+
+		const request = new Request('http://example.com/redact', {
+			method: 'POST',
+			headers: { 'Content-Type': 'multipart/form-data; boundary=missing' },
+			body: 'not a multipart body',
+		});
+		const malformed = await worker.fetch(request, env, createExecutionContext());
+		expect(malformed.status).toBe(400);
+		expect(malformed.headers.get('Access-Control-Allow-Origin')).toBe('*');
+		expect((await malformed.json()).error).toMatch(/^Invalid upload: /);
+	});
+
+	it('matches evidence in daemon.log by event time and level', async () => {
+		const log = [
+			'2024-01-15T10:30:45.000Z DEBUG warp::conn: Tunnel stats: tx=120 rx=118',
+			'2024-01-15T10:30:47.000Z ERROR warp::conn: Tunnel connection lost',
+			'  caused by: Connection reset by peer',
+			'2024-01-15T10:30:49.000Z INFO warp::conn: Tunnel stats: tx=0 rx=0',
+		].join('\n');
+		const ai = mockAI({
+			issues: [
+				{
+					severity: 'Critical',
+					title: 'Tunnel dropped',
+					evidence_keywords: ['reset by peer'],
+					timestamps: ['2024-01-15T10:30:47.400Z'],
+					affected_files: ['daemon.log'],
+				},
+			],
+			timeline: [{ timestamp: '2024-01-15T10:30:47Z', event: 'Tunnel lost', severity: 'Critical', source_file: 'daemon.log' }],
+		});
+
+		const response = await postFiles({ AI: ai }, { log: new File([log], 'daemon.log') });
+		const { analysis } = await response.json();
+
+		// The keyword is on a continuation line, so the match lands on the event's first line
+		expect(analysis.issues[0].log_entries).toEqual([
+			{
+				filename: 'daemon.log',
+				lineNumber: 2,
+				content:
+					'    2024-01-15T10:30:45.000Z DEBUG warp::conn: Tunnel stats: tx=120 rx=118\n>>> 2024-01-15T10:30:47.000Z ERROR warp::conn: Tunnel connection lost\n>>>   caused by: Connection reset by peer\n    2024-01-15T10:30:49.000Z INFO warp::conn: Tunnel stats: tx=0 rx=0',
+				matchScore: 21,
+				timestamp: '2024-01-15T10:30:47.000Z',
+				level: 'ERROR',
+				module: 'warp::conn',
+			},
+		]);
+		expect(analysis.timeline[0].log_reference).toMatchObject({
+			lineNumber: 2,
+			level: 'ERROR',
+			content: '2024-01-15T10:30:47.000Z ERROR warp::conn: Tunnel connection lost\n  caused by: Connection reset by peer',
+		});
+	});
+
+	it('falls back to level-aware rules and a timeline from daemon.log when the AI fails', async () => {
+		const errors = [1, 2, 3, 4, 5].map((n) => `2024-01-15T10:31:0${n}.000Z ERROR warp::dns::proxy: Upstream query failed (attempt ${n})`);
+		const log = [
+			'2024-01-15T10:30:45.000Z DEBUG warp::conn: retrying after earlier "failed to connect"',
+			'2024-01-15T10:30:50.000Z WARN warp::conn: connection refused by 162.159.192.1',
+			...errors,
+		].join('\n');
+		const ai = {
+			async run() {
+				throw new Error('model unavailable');
+			},
+		};
+
+		const response = await postFiles({ AI: ai }, { log: new File([log], 'daemon.log') });
+		const data = await response.json();
+
+		expect(data.success).toBe(false);
+		expect(data.analysis.issues.map((issue) => issue.title)).toEqual([
+			'Repeated errors from warp::dns::proxy',
+			'Connection failure detected',
+		]);
+		expect(data.analysis.issues[1].description).toBe(
+			'Connection issues found in daemon.log (1 event at WARN or above, first at line 2, 2024-01-15T10:30:50.000Z from warp::conn)',
+		);
+		// The refused connection is a state transition, so it is not listed twice
+		expect(data.analysis.timeline).toHaveLength(6);
+		expect(data.analysis.timeline[0]).toMatchObject({
+			timestamp: '2024-01-15T10:30:50.000Z',
+			event: 'unknown → disconnected',
+			source: 'logs',
+			log_reference: { lineNumber: 2 },
+		});
+		expect(data.analysis.timeline[1]).toMatchObject({
+			timestamp: '2024-01-15T10:31:01.000Z',
+			severity: 'Critical',
+			details: 'warp::dns::proxy',
+			log_reference: { lineNumber: 3 },
+		});
+		expect(data.analysis.timeline[5]).toMatchObject({
+			event: 'Upstream query failed (attempt 5)',
+			event_type: 'Error',
+			severity: 'Critical',
+		});
+	});
+
+	it('reports the connection state timeline from the logs with AI notes attached', async () => {
+		const daemon = [
+			'2024-01-15T10:30:41.000Z  INFO warp::conn: Connecting to endpoint 162.159.192.1:2408',
+			'2024-01-15T10:31:00.000Z  INFO warp::net: Network changed, en0 went down',
+			'2024-01-15T10:31:05.000Z ERROR warp::conn: Failed to connect: timed out',
+		].join('\n');
+		const boringtun = [
+			'2024-01-15T10:30:41.200Z DEBUG boringtun::noise::handshake: Sending handshake_initiation',
+			'2024-01-15T10:30:41.250Z DEBUG boringtun::noise::handshake: Received handshake_response',
+		].join('\n');
+		const ai = mockAI({
+			timeline: [
+				{ timestamp: '2024-01-15T10:30:50Z', event: 'Wi-Fi roamed', severity: 'Info' },
+				{ timestamp: '2024-01-15T10:31:00Z', event: 'Network change', severity: 'Warning', source_file: 'daemon.log' },
+				{ timestamp: 'shortly after', event: 'User retried', severity: 'Info' },
+			],
+			transition_notes: [
+				{ transition: 4, note: 'Roaming between access points' },
+				{ transition: 'x', note: 'ignored' },
+			],
+		});
+
+		const response = await postFiles(
+			{ AI: ai },
+			{ daemon: new File([daemon], 'daemon.log'), boringtun: new File([boringtun], 'boringtun.log') },
+		);
+		const data = await response.json();
+
+		expect(ai.calls[0].messages[1].content).toContain(
+			'## Connection State Timeline (from daemon.log and boringtun.log)\n' +
+				'2024-01-15T10:30:41.000Z to 2024-01-15T10:31:05.000Z: 5 state changes, now disconnected'
+		);
+		expect(ai.calls[0].messages[1].content).toContain(
+			'[Transition 3] 2024-01-15T10:30:41.250Z handshake → connected: WireGuard handshake completed (boringtun.log line 2): Received handshake_response',
+		);
+		expect(data.connectionTimeline.transitions.map((transition) => transition.to)).toEqual([
+			'connecting',
+			'handshake',
+			'connected',
+			'reconnecting',
+			'disconnected',
+		]);
+		expect(data.analysis.transition_notes).toBeUndefined();
+		// The AI's network change cites the same line as transition 4, so only the transition is kept
+		expect(data.analysis.timeline.map((event) => [event.event, event.source])).toEqual([
+			['unknown → connecting', 'logs'],
+			['connecting → handshake', 'logs'],
+			['handshake → connected', 'logs'],
+			['Wi-Fi roamed', 'ai'],
+			['connected → reconnecting', 'logs'],
+			['reconnecting → disconnected', 'logs'],
+			['User retried', 'ai'],
+		]);
+		expect(data.analysis.timeline[4]).toMatchObject({
+			severity: 'Warning',
+			details: 'Reconnect or network change',
+			commentary: 'Roaming between access points',
+			log_reference: {
+				filename: 'daemon.log',
+				lineNumber: 2,
+				content: '2024-01-15T10:31:00.000Z  INFO warp::net: Network changed, en0 went down',
+			},
+		});
+	});
+
+	it('reports split tunnel route conflicts with the route and setting involved', async () => {
+		const settings = [
+			'(network policy)\tMode: Warp',
+			'(network policy)\tExclude mode, with hosts/ips:',
+			'  10.0.0.0/8',
+			'(default)\tFallback domains:',
+			'  intranet',
+		].join('\n');
+		const route = [
+			'Destination        Gateway            Flags               Netif Expire',
+			'default            192.168.1.1        UGScg                 en0',
+			'8/5                link#22            UCS                 utun3',
+		].join('\n');
+		const ifconfig = [
+			'utun3: flags=8051<UP,POINTOPOINT,RUNNING,MULTICAST> mtu 1280',
+			'\tinet 100.96.0.12 --> 100.96.0.12 netmask 0xffffffff',
+		].join('\n');
+		const files = {
+			settings: new File([settings], 'warp-settings.txt'),
+			route: new File([route], 'route.txt'),
+			ifconfig: new File([ifconfig], 'ifconfig.txt'),
+		};
+		const ai = mockAI({ issues: [] });
+
+		const response = await postFiles({ AI: ai }, files);
+		const data = await response.json();
+
+		expect(ai.calls[0].messages[1].content).toContain(
+			'## Split Tunnel and Routes (warp-settings.txt vs route table)\n' +
+				'Service mode: Warp | Split tunnel: exclude, 1 entries | Fallback domains: 1 | Tunnel interface: utun3 | Routes: 2\n' +
+				'Excluded: 10.0.0.0/8\nFallback domains: intranet\n' +
+				'⚠️  10.0.0.0/8 is excluded from WARP but 8.0.0.0/5 is routed into the tunnel via utun3 | ' +
+				'Route route.txt line 3: "8/5                link#22            UCS                 utun3" | Setting warp-settings.txt line 3: "10.0.0.0/8"',
+		);
+		expect(data.splitTunnel.conflicts.map((conflict) => conflict.type)).toEqual(['excludedRoutedIntoTunnel']);
+		expect(data.analysis.issues).toHaveLength(1);
+		expect(data.analysis.issues[0]).toMatchObject({
+			severity: 'Warning',
+			category: 'Configuration',
+			title: 'Excluded range is routed into the WARP tunnel',
+		});
+		expect(data.analysis.issues[0].log_entries.map((entry) => [entry.filename, entry.lineNumber])).toEqual([
+			['warp-settings.txt', 3],
+			['route.txt', 3],
+		]);
+
+		// Measured, so the rule-based analysis reports them too
+		const unavailable = {
+			async run() {
+				throw new Error('model unavailable');
+			},
+		};
+		const fallback = await postFiles({ AI: unavailable }, files);
+		expect((await fallback.json()).analysis.issues[0].title).toBe('Excluded range is routed into the WARP tunnel');
+	});
+
+	it('correlates WireGuard handshakes with boringtun.log', async () => {
+		const client = [10, 0, 0, 2];
+		const warp = [162, 159, 193, 5];
+		const capture = pcapFile(101, [
+			{ bytes: ipv4Packet(client, warp, 17, udpDatagram(51820, 2408, wireguardMessage(1, 148, { 4: 1 }))), at: 0 },
+			{ bytes: ipv4Packet(client, warp, 17, udpDatagram(51820, 2408, wireguardMessage(1, 148, { 4: 2 }))), at: 5 },
+			{ bytes: ipv4Packet(warp, client, 17, udpDatagram(2408, 51820, wireguardMessage(2, 92, { 4: 7, 8: 2 }))), at: 5.04 },
+		]);
+		const log = [
+			'2024-01-15T10:30:45.010Z DEBUG boringtun::noise::handshake: Sending handshake_initiation',
+			'2024-01-15T10:30:47.000Z DEBUG boringtun::noise::handshake: Sending handshake_initiation',
+			'2024-01-15T10:30:50.000Z DEBUG boringtun::noise::timers: HANDSHAKE(REKEY_TIMEOUT)',
+			'2024-01-15T10:30:50.002Z DEBUG boringtun::noise::handshake: Sending handshake_initiation',
+			'2024-01-15T10:30:50.045Z DEBUG boringtun::noise::handshake: Received handshake_response',
+		].join('\n');
+		const ai = mockAI();
+
+		const response = await postFiles({ AI: ai }, { file: new File([capture], 'tunnel.pcap'), log: new File([log], 'boringtun.log') });
+		const data = await response.json();
+		const correlation = data.pcapAnalysis[0].wireguard.boringtun;
+
+		expect(correlation.matched.map((match) => [match.packet, match.line])).toEqual([[1, 1], [2, 4], [3, 5]]);
+		expect(correlation.captureOnly).toEqual([]);
+		expect(correlation.logOnly).toMatchObject([{ line: 2, kind: 'initiation' }]);
+		expect(correlation.timeouts).toMatchObject([{ line: 3 }]);
+		expect(correlation.medianOffsetMs).toBe(5);
+		const prompt = ai.calls[0].messages[1].content;
+		expect(prompt).toContain('## WireGuard Handshakes vs boringtun.log');
+		expect(prompt).toContain('[Packet 1] Flow 1: initiation ↔ boringtun.log line 1 (10 ms)');
+		expect(prompt).toContain('boringtun.log line 2: initiation logged but not in the capture');
+	});
+
+	it('reports PMTUD black holes measured in captures as issues', async () => {
+		const client = [10, 0, 0, 2];
+		const server = [104, 16, 0, 1];
+		const tcp = (from, to, srcPort, dstPort, flags, opts, at) => ({
+			bytes: ipv4Packet(from, to, 6, tcpSegment(srcPort, dstPort, flags, opts), { flagsAndOffset: 0x4000 }),
+			at,
+		});
+		const large = (at) => tcp(client, server, 51000, 443, ACK, { seq: 1201, ack: 5001, payload: new Uint8Array(1400) }, at);
+		const capture = pcapFile(101, [
+			tcp(client, server, 51000, 443, SYN, { seq: 1000 }, 0),
+			tcp(server, client, 443, 51000, SYN | ACK, { seq: 5000, ack: 1001 }, 0.05),
+			tcp(client, server, 51000, 443, ACK, { seq: 1001, ack: 5001, payload: new Uint8Array(200) }, 0.1),
+			tcp(server, client, 443, 51000, ACK, { seq: 5001, ack: 1201 }, 0.15),
+			large(0.2),
+			large(0.5),
+			large(1.1),
+		]);
+		const ai = mockAI();
+
+		const response = await postFiles({ AI: ai }, { file: new File([capture], 'mtu.pcap') });
+		const data = await response.json();
+
+		expect(data.pcapAnalysis[0].mtu.blackHoles).toMatchObject([
+			{ path: '10.0.0.2 → 104.16.0.1', largestDelivered: 240, largestStalled: 1440 },
+		]);
+		expect(data.analysis.issues).toMatchObject([
+			{ severity: 'Critical', category: 'Performance', title: 'PMTUD black hole on 10.0.0.2 → 104.16.0.1' },
+		]);
+	});
+
+	it('summarizes uploaded qlog files instead of sending raw JSON', async () => {
+		const records = [
+			{ qlog_version: '0.3', trace: { vantage_point: { type: 'client' }, common_fields: { ODCID: 'a1b2c3d4' } } },
+			{ time: 0, name: 'transport:packet_sent', data: { raw: { length: 1200 } } },
+			{ time: 30000, name: 'connectivity:connection_closed', data: { owner: 'local', trigger: 'idle_timeout' } },
+		];
+		const qlog = records.map((record) => `\x1e${JSON.stringify(record)}\n`).join('');
+		const ai = mockAI();
+
+		const response = await postFiles({ AI: ai }, { file: new File([qlog], 'masque.sqlog') });
+		const data = await response.json();
+
+		expect(data.qlogAnalysis).toMatchObject([{ filename: 'masque.sqlog', format: 'JSON-SEQ', totalConnections: 1 }]);
+		expect(data.qlogAnalysis[0].connections[0].close).toMatchObject({ initiator: 'local', trigger: 'idle_timeout' });
+		const prompt = ai.calls[0].messages[1].content;
+		expect(prompt).toContain('### masque.sqlog (QUIC Connection Metrics)');
+		expect(prompt).toContain('⚠️  Closed at +30.00 s by local (idle_timeout)');
+		expect(prompt).not.toContain('transport:packet_sent');
+	});
 });
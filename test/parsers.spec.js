@@ -0,0 +1,2000 @@
+import { describe, it, expect } from 'vitest';
+import {
+	parsePcapBasic,
+	extractPcapPacketSummaries,
+	analyzePcapFile,
+	analyzePcapFileDecrypted,
+	analyzeQlogFile,
+	compileDisplayFilter,
+	parseSamplingOptions,
+	parseExportOptions,
+	exportCapturePackets,
+	correlateCaptures,
+	parseRedactionOptions,
+	createRedactor,
+	redactText,
+	redactValue,
+	redactCapture,
+	describeUnredacted,
+	summarizeRedaction,
+	parseDaemonLog,
+	filterLogEvents,
+	buildConnectionTimeline,
+	parseWarpSettings,
+	analyzeSplitTunnel,
+} from '../src/parsers.js';
+import {
+	concat,
+	pcapngOption,
+	pcapngBlock,
+	sectionHeader,
+	interfaceDescription,
+	enhancedPacket,
+	ethernetUdpPacket,
+	pcapFile,
+	ipv6Bytes,
+	ipv6Packet,
+	ipv4Packet,
+	tcpSegment,
+	udpDatagram,
+	dnsName,
+	dnsMessage,
+	tlsRecord,
+	tlsHandshake,
+	clientHello,
+	serverHello,
+	x509Certificate,
+	certificateMessage,
+	quicCryptoFrame,
+	quicInitialPacket,
+	wireguardMessage,
+	ethernetFrame,
+	arpPacket,
+	tunnelHeader,
+	SYN,
+	ACK,
+	RST,
+	PSH,
+} from './capture-builders.js';
+
+describe('PCAPNG interface handling', () => {
+	const packet = ethernetUdpPacket([10, 0, 0, 2], [162, 159, 193, 1], 51000, 2408);
+	// 2024-01-15T10:30:45.123456789Z in nanoseconds
+	const nanos = 1705314645123456789n;
+	const capture = concat(
+		sectionHeader(),
+		interfaceDescription(1, [pcapngOption(2, 'en0'), pcapngOption(9, new Uint8Array([9]))]),
+		interfaceDescription(101, [pcapngOption(2, 'utun3')]),
+		enhancedPacket(0, nanos, packet),
+		enhancedPacket(1, 1705314646000000n, packet.subarray(14))
+	);
+
+	it('lists every interface with its own link type and resolution', () => {
+		const metadata = parsePcapBasic(capture);
+		expect(metadata.format).toBe('PCAPNG');
+		expect(metadata.version).toBe('1.0');
+		expect(metadata.packetCount).toBe(2);
+		expect(metadata.interfaces).toHaveLength(2);
+		expect(metadata.interfaces[0]).toMatchObject({
+			name: 'en0',
+			linkTypeName: 'ETHERNET',
+			timestampResolution: 'nanoseconds',
+			packetCount: 1,
+		});
+		expect(metadata.interfaces[1]).toMatchObject({ name: 'utun3', linkType: 101, timestampResolution: 'microseconds', packetCount: 1 });
+	});
+
+	it('decodes timestamps with the interface if_tsresol', () => {
+		const summary = extractPcapPacketSummaries(capture, 'capture.pcapng', 0);
+		expect(summary).toContain('[Packet 1] 2024-01-15T10:30:45.123Z (interface 0 en0)');
+		expect(summary).toContain('[Packet 2] 2024-01-15T10:30:46.000Z (interface 1 utun3)');
+		expect(summary).toContain('UDP: 10.0.0.2 → 162.159.193.1');
+	});
+});
+
+describe('Link-layer decoding', () => {
+	const ipPacket = ethernetUdpPacket([100, 96, 0, 2], [1, 1, 1, 1], 40000, 53).subarray(14);
+
+	it('decodes raw IP captures from tunnel interfaces', () => {
+		const summary = extractPcapPacketSummaries(pcapFile(101, [ipPacket]), 'tunnel.pcap', 0);
+		expect(summary).toContain('UDP: 100.96.0.2 → 1.1.1.1 | Port 40000 → 53 (DNS)');
+	});
+
+	it('decodes BSD loopback headers from macOS utun interfaces', () => {
+		const family = new Uint8Array([30, 0, 0, 0]);
+		const ipv6 = new Uint8Array(48);
+		ipv6[0] = 0x60;
+		ipv6[6] = 17;
+		const summary = extractPcapPacketSummaries(
+			pcapFile(0, [concat(new Uint8Array([2, 0, 0, 0]), ipPacket), concat(family, ipv6)]),
+			'utun.pcap',
+			0,
+		);
+		expect(summary).toContain('UDP: 100.96.0.2 → 1.1.1.1');
+		expect(summary).toContain('UDP over IPv6');
+	});
+
+	it('decodes Linux cooked captures', () => {
+		const sll2 = new Uint8Array(20);
+		const view = new DataView(sll2.buffer);
+		view.setUint16(0, 0x0800);
+		view.setUint32(4, 3);
+		sll2[10] = 4;
+		const summary = extractPcapPacketSummaries(pcapFile(276, [concat(sll2, ipPacket)]), 'any.pcap', 0);
+		expect(summary).toContain('Linux SLL2: outgoing on ifindex 3');
+		expect(summary).toContain('UDP: 100.96.0.2 → 1.1.1.1');
+	});
+
+	it('strips stacked VLAN tags', () => {
+		const ethernet = new Uint8Array(22);
+		const view = new DataView(ethernet.buffer);
+		view.setUint16(12, 0x88a8);
+		view.setUint16(14, 100);
+		view.setUint16(16, 0x8100);
+		view.setUint16(18, 200);
+		view.setUint16(20, 0x0800);
+		const summary = extractPcapPacketSummaries(pcapFile(1, [concat(ethernet, ipPacket)]), 'trunk.pcap', 0);
+		expect(summary).toContain('QinQ VLAN: 100 > 200');
+		expect(summary).toContain('UDP: 100.96.0.2 → 1.1.1.1');
+	});
+});
+
+describe('Legacy PCAP variants', () => {
+	const packet = ethernetUdpPacket([10, 0, 0, 2], [1, 1, 1, 1], 40000, 53);
+
+	it('reads big-endian nanosecond captures', () => {
+		const capture = pcapFile(1, [packet], { magic: 0xa1b23c4d, littleEndian: false, fraction: 123456789 });
+		const metadata = parsePcapBasic(capture);
+		expect(metadata).toMatchObject({ format: 'PCAP', timestampResolution: 'nanoseconds', byteOrder: 'big-endian', packetCount: 1 });
+		expect(extractPcapPacketSummaries(capture, 'ns.pcap', 0)).toContain('[Packet 1] 2024-01-15T10:30:45.123Z');
+	});
+
+	it('counts packets larger than 64 KiB up to the header snaplen', () => {
+		const jumbo = concat(packet, new Uint8Array(70000));
+		const metadata = parsePcapBasic(pcapFile(1, [packet, jumbo, packet]));
+		expect(metadata.packetCount).toBe(3);
+		expect(metadata.truncated).toBe(false);
+	});
+
+	it('reports truncation instead of silently stopping', () => {
+		const capture = pcapFile(1, [packet, packet, packet]);
+		const metadata = parsePcapBasic(capture.subarray(0, capture.length - 10));
+		expect(metadata.packetCount).toBe(2);
+		expect(metadata.truncated).toBe(true);
+		expect(metadata.truncation.packetNumber).toBe(3);
+		expect(metadata.truncation.reason).toContain('File ends mid-packet');
+
+		const oversized = parsePcapBasic(pcapFile(1, [packet, concat(packet, new Uint8Array(100))], { snaplen: 96 }));
+		expect(oversized.packetCount).toBe(1);
+		expect(oversized.truncation.reason).toContain('exceeds snaplen 96');
+	});
+});
+
+describe('IPv6 decoding', () => {
+	it('walks extension headers to reach the TCP header', () => {
+		const hopByHop = new Uint8Array(8);
+		hopByHop[0] = 44;
+		const fragment = new Uint8Array(8);
+		fragment[0] = 6;
+		fragment[3] = 1; // offset 0, more fragments
+		new DataView(fragment.buffer).setUint32(4, 0xabcd);
+		const packet = ipv6Packet('2001:db8::10', '2606:4700:4700::1111', 0, concat(hopByHop, fragment, tcpSegment(50000, 443, SYN | ACK)));
+
+		const summary = extractPcapPacketSummaries(pcapFile(229, [packet]), 'v6.pcap', 0);
+		expect(summary).toContain('IPv6 extension headers: Hop-by-Hop > Fragment (offset 0, more fragments, id 0xabcd)');
+		expect(summary).toContain('TCP over IPv6: 2001:db8::10 → 2606:4700:4700::1111 | Port 50000 → 443 [SYN,ACK] Len=0 Win=65535 (HTTPS)');
+	});
+
+	it('formats addresses per RFC 5952', () => {
+		const packets = [
+			ipv6Packet('2001:db8:0:1:1:1:1:1', '2001:0:0:1::1', 59, new Uint8Array(0)),
+			ipv6Packet('2001:db8:0:0:1:0:0:1', '::ffff:c000:280', 59, new Uint8Array(0)),
+		];
+		const summary = extractPcapPacketSummaries(pcapFile(229, packets), 'v6.pcap', 0);
+		expect(summary).toContain('IPv6: 2001:db8:0:1:1:1:1:1 → 2001:0:0:1::1');
+		expect(summary).toContain('IPv6: 2001:db8::1:0:0:1 → ::ffff:192.0.2.128');
+	});
+
+	it('decodes ICMPv6 Packet Too Big and Neighbor Discovery', () => {
+		const tooBig = new Uint8Array(8);
+		tooBig[0] = 2;
+		new DataView(tooBig.buffer).setUint32(4, 1280);
+		const solicitation = concat(new Uint8Array([135, 0, 0, 0, 0, 0, 0, 0]), ipv6Bytes('fe80::1'));
+		const packets = [
+			ipv6Packet('2001:db8::1', '2001:db8::2', 58, tooBig),
+			ipv6Packet('fe80::2', 'ff02::1:ff00:1', 58, solicitation, 255),
+		];
+		const summary = extractPcapPacketSummaries(pcapFile(229, packets), 'v6.pcap', 0);
+		expect(summary).toContain('ICMPv6: 2001:db8::1 → 2001:db8::2 | Packet Too Big (MTU 1280)');
+		expect(summary).toContain('ICMPv6: fe80::2 → ff02::1:ff00:1 | Neighbor Solicitation for fe80::1');
+	});
+});
+
+describe('Conversation table', () => {
+	const client = [10, 0, 0, 2];
+	const server = [104, 16, 0, 1];
+	const tcp = (from, to, srcPort, dstPort, flags, opts) => ipv4Packet(from, to, 6, tcpSegment(srcPort, dstPort, flags, opts));
+
+	it('tracks handshakes, traffic and close reasons across every packet', () => {
+		const packets = [
+			tcp(client, server, 51000, 443, SYN),
+			tcp(server, client, 443, 51000, SYN | ACK),
+			tcp(client, server, 51000, 443, ACK),
+			tcp(client, server, 51000, 443, PSH | ACK, { payload: new Uint8Array(100) }),
+			tcp(server, client, 443, 51000, RST | ACK),
+			tcp(client, server, 51001, 8443, SYN),
+			tcp(server, client, 8443, 51001, RST | ACK),
+		];
+		const result = analyzePcapFile(pcapFile(101, packets), 'flows.pcap', { packetCount: 2 });
+
+		expect(result.totalConversations).toBe(2);
+		const [https, refused] = result.conversations;
+		expect(https).toMatchObject({
+			protocol: 'TCP',
+			client: '10.0.0.2:51000',
+			server: '104.16.0.1:443',
+			handshake: 'complete',
+			closeReason: 'RST',
+			closedBy: 'server',
+			closePacket: 5,
+			packetsToServer: 3,
+			packetsToClient: 2,
+			firstPacket: 1,
+			lastPacket: 5,
+		});
+		expect(https.bytesToServer).toBe(40 + 40 + 140);
+		expect(refused).toMatchObject({ handshake: 'refused', closeReason: 'RST' });
+
+		// The AI context gets the conversation table, not the packet listing
+		expect(result.contextSummary).toContain('[Flow 1] TCP 10.0.0.2:51000 ↔ 104.16.0.1:443');
+		expect(result.contextSummary).not.toContain('[Packet 1]');
+		expect(result.summary.startsWith(result.contextSummary)).toBe(true);
+		expect(result.summary).toContain('[Packet 2]');
+		expect(result.summary).not.toContain('[Packet 3]');
+	});
+});
+
+describe('TCP expert analysis', () => {
+	const client = [10, 0, 0, 2];
+	const server = [104, 16, 0, 1];
+	const toServer = (flags, opts, at) => ({ bytes: ipv4Packet(client, server, 6, tcpSegment(51000, 443, flags, opts)), at });
+	const toClient = (flags, opts, at) => ({ bytes: ipv4Packet(server, client, 6, tcpSegment(443, 51000, flags, opts)), at });
+	const data = (seq, at) => toServer(PSH | ACK, { seq, ack: 5001, payload: new Uint8Array(100) }, at);
+	const handshake = [
+		toServer(SYN, { seq: 1000 }, 0),
+		toClient(SYN | ACK, { seq: 5000, ack: 1001 }, 0.05),
+		toServer(ACK, { seq: 1001, ack: 5001 }, 0.1),
+	];
+
+	it('flags lost segments, duplicate ACKs and fast retransmissions', () => {
+		const packets = [
+			...handshake,
+			data(1001, 1),
+			data(1201, 1.001), // 1101-1200 never captured
+			toClient(ACK, { seq: 5001, ack: 1101 }, 1.05),
+			toClient(ACK, { seq: 5001, ack: 1101 }, 1.06),
+			toClient(ACK, { seq: 5001, ack: 1101 }, 1.07),
+			data(1101, 1.08),
+		];
+		const result = analyzePcapFile(pcapFile(101, packets), 'loss.pcap');
+
+		expect(result.tcpAnalysis.counts).toEqual({ previousSegmentLost: 1, duplicateAck: 2, fastRetransmission: 1 });
+		expect(result.tcpAnalysis.events[0]).toMatchObject({
+			packet: 5,
+			flow: 1,
+			type: 'previousSegmentLost',
+			detail: '100 bytes missing before seq 201',
+		});
+		expect(result.tcpAnalysis.events.at(-1)).toMatchObject({ packet: 9, type: 'fastRetransmission' });
+		expect(result.conversations[0].tcpIssues).toMatchObject({ duplicateAck: 2 });
+		expect(result.contextSummary).toContain('[Packet 7] Flow 1: TCP Duplicate ACK (#1 of packet 6)');
+		expect(result.summary).toContain('⚠️  TCP Fast Retransmission (seq 101, len 100 after 2 duplicate ACKs)');
+	});
+
+	it('counts keep-alives without warning about them', () => {
+		const packets = [...handshake, data(1001, 1), toServer(ACK, { seq: 1100, ack: 5001 }, 60)];
+		const result = analyzePcapFile(pcapFile(101, packets), 'idle.pcap', { packetDetail: true });
+
+		expect(result.tcpAnalysis.counts).toEqual({ keepAlive: 1 });
+		expect(result.packets[4].warnings).toEqual([]);
+		expect(result.summary).not.toContain('⚠️  TCP Keep-Alive');
+	});
+
+	it('separates retransmissions from reordering and spurious resends', () => {
+		const packets = [
+			...handshake,
+			data(1001, 1),
+			data(1101, 1.0005),
+			data(1001, 1.001), // within the 100 ms handshake RTT of the highest segment
+			data(1001, 2), // resent after an RTO
+			toClient(ACK, { seq: 5001, ack: 1201 }, 2.05),
+			data(1101, 2.5),
+		];
+		const { tcpAnalysis } = analyzePcapFile(pcapFile(101, packets), 'resend.pcap');
+		expect(tcpAnalysis.events.map((event) => [event.packet, event.type])).toEqual([
+			[6, 'outOfOrder'],
+			[7, 'retransmission'],
+			[9, 'spuriousRetransmission'],
+		]);
+	});
+
+	it('reports zero windows and probes', () => {
+		const packets = [
+			...handshake,
+			data(1001, 1),
+			toClient(ACK, { seq: 5001, ack: 1101, window: 0 }, 1.05),
+			toServer(ACK, { seq: 1101, ack: 5001, payload: new Uint8Array(1) }, 1.5),
+		];
+		const { tcpAnalysis } = analyzePcapFile(pcapFile(101, packets), 'stall.pcap');
+		expect(tcpAnalysis.counts).toEqual({ zeroWindow: 1, zeroWindowProbe: 1 });
+	});
+});
+
+describe('Latency metrics', () => {
+	const client = [10, 0, 0, 2];
+	const at = (bytes, seconds) => ({ bytes, at: seconds });
+
+	it('measures TCP handshake legs per destination with percentiles', () => {
+		const server = [104, 16, 0, 1];
+		const packets = [];
+		[0.02, 0.03, 0.2].forEach((rtt, i) => {
+			const port = 51000 + i;
+			const start = i * 10;
+			packets.push(at(ipv4Packet(client, server, 6, tcpSegment(port, 443, SYN)), start));
+			packets.push(at(ipv4Packet(server, client, 6, tcpSegment(443, port, SYN | ACK)), start + rtt));
+			packets.push(at(ipv4Packet(client, server, 6, tcpSegment(port, 443, ACK)), start + rtt + 0.001));
+		});
+		const { latency } = analyzePcapFile(pcapFile(101, packets), 'tcp.pcap');
+
+		expect(latency).toHaveLength(1);
+		expect(latency[0].destination).toBe('104.16.0.1:443');
+		expect(latency[0].metrics.tcpSynToSynAck).toEqual({ count: 3, p50: 30, p95: 200, max: 200 });
+		expect(latency[0].metrics.tcpSynAckToAck).toMatchObject({ count: 3, max: 1 });
+	});
+
+	it('pairs DNS, ICMP echo, WireGuard and QUIC exchanges', () => {
+		const resolver = [1, 1, 1, 1];
+		const warp = [162, 159, 193, 1];
+		const dns = (flags) => concat(new Uint8Array([0x12, 0x34, flags, 0]), new Uint8Array(8));
+		const echo = (type) => new Uint8Array([type, 0, 0, 0, 0, 7, 0, 1]);
+		const initiation = new Uint8Array(148);
+		initiation.set([1, 0, 0, 0, 0xaa, 0xbb, 0xcc, 0xdd]);
+		const response = new Uint8Array(92);
+		response.set([2, 0, 0, 0, 1, 2, 3, 4, 0xaa, 0xbb, 0xcc, 0xdd]);
+		const quicInitial = concat(new Uint8Array([0xc3, 0, 0, 0, 1]), new Uint8Array(20));
+		const quicHandshake = concat(new Uint8Array([0xe3, 0, 0, 0, 1]), new Uint8Array(20));
+
+		const packets = [
+			at(ipv4Packet(client, resolver, 17, udpDatagram(40000, 53, dns(0x01))), 0),
+			at(ipv4Packet(resolver, client, 17, udpDatagram(53, 40000, dns(0x81))), 0.015),
+			at(ipv4Packet(client, resolver, 1, echo(8)), 1),
+			at(ipv4Packet(resolver, client, 1, echo(0)), 1.012),
+			at(ipv4Packet(client, warp, 17, udpDatagram(40001, 2408, initiation)), 2),
+			at(ipv4Packet(warp, client, 17, udpDatagram(2408, 40001, response)), 2.04),
+			at(ipv4Packet(client, warp, 17, udpDatagram(40002, 443, quicInitial)), 3),
+			at(ipv4Packet(warp, client, 17, udpDatagram(443, 40002, quicHandshake)), 3.05),
+		];
+		const result = analyzePcapFile(pcapFile(101, packets), 'mixed.pcap');
+		const byDestination = Object.fromEntries(result.latency.map((entry) => [entry.destination, entry.metrics]));
+
+		expect(byDestination['1.1.1.1:53'].dns.p50).toBe(15);
+		expect(byDestination['1.1.1.1'].icmpEcho.p50).toBe(12);
+		expect(byDestination['162.159.193.1:2408'].wireguardHandshake.p50).toBe(40);
+		expect(byDestination['162.159.193.1:443'].quicHandshake.p50).toBe(50);
+		expect(result.contextSummary).toContain('1.1.1.1:53 DNS query→response: n=1 p50 15 ms / p95 15 ms / max 15 ms');
+	});
+});
+
+describe('DNS decoding', () => {
+	const client = [100, 96, 0, 2];
+	const resolver = [162, 159, 36, 1];
+	const query = (id, name, type, seconds) => ({
+		bytes: ipv4Packet(client, resolver, 17, udpDatagram(40000, 53, dnsMessage(id, 0x0100, { questions: [[name, type]] }))),
+		at: seconds,
+	});
+	const response = (id, flags, message, seconds) => ({
+		bytes: ipv4Packet(resolver, client, 17, udpDatagram(53, 40000, dnsMessage(id, 0x8180 | flags, message))),
+		at: seconds,
+	});
+	const pointer = new Uint8Array([0xc0, 0x0c]);
+
+	it('decodes answers, HTTPS records and EDNS extended errors', () => {
+		const https = concat(
+			new Uint8Array([0, 1]),
+			new Uint8Array([0]),
+			new Uint8Array([0, 1, 0, 6, 2, 104, 51, 2, 104, 50]),
+			new Uint8Array([0, 4, 0, 4, 104, 16, 0, 1])
+		);
+		const ede = concat(new Uint8Array([0, 15, 0, 9, 0, 15]), new TextEncoder().encode('gateway'));
+		const packets = [
+			query(1, 'www.example.com', 1, 0),
+			response(1, 0, {
+				questions: [['www.example.com', 1]],
+				answers: [
+					{ name: pointer, type: 5, rdata: dnsName('example.cdn.cloudflare.net') },
+					{ name: 'example.cdn.cloudflare.net', type: 1, rdata: new Uint8Array([104, 16, 0, 1]) },
+				],
+			}, 0.02),
+			query(2, 'example.com', 65, 1),
+			response(2, 0, { questions: [['example.com', 65]], answers: [{ name: pointer, type: 65, rdata: https }] }, 1.01),
+			query(3, 'blocked.example', 1, 2),
+			response(3, 3, {
+				questions: [['blocked.example', 1]],
+				additional: [{ name: '', type: 41, recordClass: 1232, ttl: 0, rdata: ede }],
+			}, 2.01),
+		];
+		const summary = extractPcapPacketSummaries(pcapFile(101, packets), 'dns.pcap', 0);
+
+		expect(summary).toContain('DNS Query 0x0001: www.example.com A');
+		expect(summary).toContain('DNS Response 0x0001 NOERROR: www.example.com A → CNAME example.cdn.cloudflare.net, A 104.16.0.1');
+		expect(summary).toContain('DNS Response 0x0002 NOERROR: example.com HTTPS → HTTPS 1 . alpn=h3,h2 ipv4hint=104.16.0.1');
+		expect(summary).toContain('EDNS: UDP size 1232');
+		expect(summary).toContain('DNS Extended Error 15 (Blocked): gateway');
+	});
+
+	it('pairs queries with responses and reports failures per resolver', () => {
+		const packets = [
+			query(10, 'ok.example', 1, 0),
+			response(10, 0, { questions: [['ok.example', 1]] }, 0.03),
+			query(11, 'missing.example', 28, 1),
+			response(11, 3, { questions: [['missing.example', 28]] }, 1.01),
+			query(12, 'broken.example', 1, 2),
+			response(12, 2, { questions: [['broken.example', 1]] }, 2.5),
+			query(13, 'silent.example', 1, 3),
+			query(13, 'silent.example', 1, 4),
+		];
+		const { dns, contextSummary, latency } = analyzePcapFile(pcapFile(101, packets), 'dns.pcap');
+
+		expect(dns.totals).toEqual({ queries: 5, responses: 3, nxdomain: 1, servfail: 1, unanswered: 1, unmatchedResponses: 0 });
+		expect(dns.resolvers).toEqual([
+			{ resolver: '162.159.36.1:53', answered: 3, unanswered: 1, rcodes: { NOERROR: 1, NXDOMAIN: 1, SERVFAIL: 1 } },
+		]);
+		expect(dns.transactions[1]).toMatchObject({
+			name: 'missing.example',
+			type: 'AAAA',
+			rcode: 'NXDOMAIN',
+			queryPacket: 3,
+			responsePacket: 4,
+			latencyMs: 10,
+		});
+		expect(dns.failures.map((failure) => failure.name)).toEqual(['missing.example', 'broken.example', 'silent.example']);
+		expect(contextSummary).toContain('[Packet 4] DNS NXDOMAIN: missing.example AAAA from 162.159.36.1:53 (query packet 3, 10 ms)');
+		expect(contextSummary).toContain('[Packet 7] DNS unanswered: silent.example A to 162.159.36.1:53, sent 2 times');
+		expect(latency[0].metrics.dns).toMatchObject({ count: 3, max: 500 });
+	});
+});
+
+describe('TLS handshake parsing', () => {
+	const client = [10, 0, 0, 2];
+	const server = [104, 16, 0, 1];
+	const segment = (fromClient, seq, payload, seconds) => ({
+		bytes: fromClient
+			? ipv4Packet(client, server, 6, tcpSegment(51000, 443, PSH | ACK, { seq, ack: 5001, payload }))
+			: ipv4Packet(server, client, 6, tcpSegment(443, 51000, PSH | ACK, { seq, ack: 1001, payload })),
+		at: seconds,
+	});
+	const hello = tlsRecord(
+		22,
+		tlsHandshake(1, clientHello({ sni: 'example.com', alpn: ['h2', 'http/1.1'], versions: [0x1a1a, 0x0304, 0x0303] })),
+	);
+
+	it('reassembles a TLS 1.2 handshake and reports a client certificate alert', () => {
+		const certificate = x509Certificate({
+			subject: { CN: 'example.com' },
+			issuer: { CN: 'Gateway CA - Cloudflare Managed G1', O: 'Cloudflare, Inc.' },
+		});
+		const flight = tlsRecord(
+			22,
+			concat(tlsHandshake(2, serverHello({ cipherSuite: 0xc02f, alpn: 'h2' })), tlsHandshake(11, certificateMessage(certificate)))
+		);
+		const split = 40;
+		const packets = [
+			segment(true, 1001, hello, 0),
+			segment(false, 5001, flight.subarray(0, split), 0.02),
+			segment(false, 5001, flight.subarray(0, split), 0.03), // retransmission is ignored
+			segment(false, 5001 + split, flight.subarray(split), 0.04),
+			segment(true, 1001 + hello.length, tlsRecord(21, new Uint8Array([2, 42])), 0.05),
+		];
+		const result = analyzePcapFile(pcapFile(101, packets), 'tls.pcap');
+
+		expect(result.summary).toContain('TLS ClientHello: SNI example.com | ALPN h2,http/1.1 | versions TLS 1.3, TLS 1.2 | 2 cipher suites');
+		expect(result.summary).toContain('TLS ServerHello: TLS 1.2 | TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256 | ALPN h2');
+		expect(result.summary).toContain(
+			'TLS Certificate [0]: CN=example.com (issuer CN=Gateway CA - Cloudflare Managed G1, O=Cloudflare, Inc., valid until 2025-01-01T00:00:00Z)',
+		);
+		expect(result.summary).toContain('⚠️  TLS Alert from client: fatal bad_certificate');
+
+		expect(result.tls.sessions[0]).toMatchObject({
+			flow: 1,
+			sni: 'example.com',
+			offeredVersions: ['TLS 1.3', 'TLS 1.2'],
+			version: 'TLS 1.2',
+			cipherSuite: 'TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256',
+			serverHelloPacket: 4,
+			alerts: [{ packet: 5, from: 'client', level: 'fatal', description: 'bad_certificate' }],
+		});
+		expect(result.tls.sessions[0].certificates[0].subject).toBe('CN=example.com');
+		expect(result.contextSummary).toContain('[Packet 5] Flow 1: client aborted with fatal alert bad_certificate to example.com');
+	});
+
+	it('stops at the TLS 1.3 ServerHello and ignores non-TLS flows', () => {
+		const packets = [
+			segment(true, 1001, hello, 0),
+			segment(
+				false,
+				5001,
+				concat(tlsRecord(22, tlsHandshake(2, serverHello({ cipherSuite: 0x1301, version: 0x0304 }))), tlsRecord(23, new Uint8Array(64))),
+				0.02,
+			),
+			{
+				bytes: ipv4Packet(client, server, 6, tcpSegment(51001, 80, PSH | ACK, { payload: new TextEncoder().encode('GET / HTTP/1.1\r\n') })),
+				at: 1,
+			},
+		];
+		const { tls } = analyzePcapFile(pcapFile(101, packets), 'tls13.pcap');
+		expect(tls.totalSessions).toBe(1);
+		expect(tls.sessions[0]).toMatchObject({ version: 'TLS 1.3', cipherSuite: 'TLS_AES_128_GCM_SHA256', alerts: [] });
+	});
+});
+
+describe('QUIC and MASQUE', () => {
+	const client = [10, 0, 0, 2];
+	const warp = [162, 159, 197, 3];
+	const other = [203, 0, 113, 5];
+	const udp = (src, dst, srcPort, dstPort, payload, seconds) => ({
+		bytes: ipv4Packet(src, dst, 17, udpDatagram(srcPort, dstPort, payload)),
+		at: seconds,
+	});
+	const scid = new Uint8Array([0xc1, 0xc2, 0xc3, 0xc4]);
+
+	it('decrypts the client Initial for the SNI and recognizes WARP tunnel flows', async () => {
+		const hello = tlsHandshake(1, clientHello({ sni: 'consumer-masque.cloudflareclient.com', alpn: ['h3'], versions: [0x0304] }));
+		const initial = await quicInitialPacket(quicCryptoFrame(hello), { scid });
+		const serverHandshake = concat(
+			new Uint8Array([0xe0, 0, 0, 0, 1, 4]),
+			scid,
+			new Uint8Array([4, 9, 9, 9, 9, 0x40, 0x10]),
+			new Uint8Array(16),
+		);
+		const matching = concat(new Uint8Array([0x40]), scid, new Uint8Array(30));
+		const reset = concat(new Uint8Array([0x5f]), new Uint8Array(30).fill(0xab));
+		const packets = [
+			udp(client, warp, 40002, 443, initial, 0),
+			udp(warp, client, 443, 40002, serverHandshake, 0.025),
+			udp(warp, client, 443, 40002, matching, 0.03),
+			udp(warp, client, 443, 40002, reset, 5),
+		];
+		// The synchronous analysis leaves the Initial encrypted
+		const encrypted = analyzePcapFile(pcapFile(101, packets), 'masque.pcap');
+		expect(encrypted.quic.connections[0]).toMatchObject({ sni: null, decrypted: false, tunnel: true });
+		expect(encrypted.summary).not.toContain('TLS ClientHello');
+
+		const result = await analyzePcapFileDecrypted(pcapFile(101, packets), 'masque.pcap');
+
+		expect(result.summary).toContain('QUIC Initial | QUICv1 | DCID 8394c8f03e515708 | SCID c1c2c3c4 | length 1178');
+		expect(result.summary).toContain('TLS ClientHello: SNI consumer-masque.cloudflareclient.com | ALPN h3 | versions TLS 1.3');
+		expect(result.quic.connections[0]).toMatchObject({
+			flow: 1,
+			version: 'QUICv1',
+			sni: 'consumer-masque.cloudflareclient.com',
+			alpn: ['h3'],
+			handshakeMs: 25,
+			tunnel: true,
+			statelessResets: [4],
+		});
+		expect(result.conversations[0].tunnel).toBe('MASQUE');
+		expect(result.contextSummary).toContain('| WARP tunnel (MASQUE)');
+		expect(result.contextSummary).toContain('[Packet 4] Flow 1: possible stateless reset from server');
+		expect(result.latency[0].metrics.quicHandshake.p50).toBe(25);
+	});
+
+	it('reports version negotiation', () => {
+		const initial = concat(new Uint8Array([0xc0, 0x0a, 0x1a, 0x2a, 0x3a, 0, 0, 0x40, 0x20]), new Uint8Array(40));
+		const negotiation = concat(new Uint8Array([0x80, 0, 0, 0, 0, 0, 0]), new Uint8Array([0, 0, 0, 1, 0x6b, 0x33, 0x43, 0xcf]));
+		const packets = [udp(client, other, 40003, 443, initial, 0), udp(other, client, 443, 40003, negotiation, 0.01)];
+		const { quic, summary } = analyzePcapFile(pcapFile(101, packets), 'vn.pcap');
+
+		expect(quic.versionNegotiations).toBe(1);
+		expect(quic.connections[0]).toMatchObject({ version: '0x0a1a2a3a', tunnel: false, decrypted: false });
+		expect(summary).toContain('QUIC Version Negotiation: server supports QUICv1, QUICv2');
+	});
+});
+
+describe('WireGuard', () => {
+	const client = [10, 0, 0, 2];
+	const warp = [162, 159, 193, 5];
+	const udp = (fromClient, payload, seconds) => ({
+		bytes: fromClient
+			? ipv4Packet(client, warp, 17, udpDatagram(51820, 500, payload))
+			: ipv4Packet(warp, client, 17, udpDatagram(500, 51820, payload)),
+		at: seconds,
+	});
+	const initiation = (sender) => wireguardMessage(1, 148, { 4: sender });
+	const cookieReply = (receiver) => wireguardMessage(3, 64, { 4: receiver });
+
+	it('pairs handshakes on port 500 and flags retries and cookie reply storms', () => {
+		const withCookie = initiation(4);
+		withCookie[140] = 0x5a;
+		const packets = [
+			udp(true, initiation(1), 0),
+			udp(false, cookieReply(1), 0.03),
+			udp(true, initiation(2), 5),
+			udp(false, cookieReply(2), 5.03),
+			udp(true, initiation(3), 10),
+			udp(false, cookieReply(3), 10.03),
+			udp(true, withCookie, 10.1),
+			udp(false, wireguardMessage(2, 92, { 4: 9, 8: 4 }), 10.14),
+			udp(true, wireguardMessage(4, 48, { 4: 9 }), 10.2),
+			udp(false, wireguardMessage(4, 32, { 4: 4, 8: 7 }), 10.3),
+		];
+		const result = analyzePcapFile(pcapFile(101, packets), 'wireguard.pcap', { packetCount: 0 });
+
+		expect(result.summary).toContain('Port 51820 → 500 (WireGuard)');
+		expect(result.summary).not.toContain('IKE/IPsec');
+		expect(result.summary).toContain('WireGuard Handshake Initiation: sender 0x00000004 | with cookie (MAC2)');
+		expect(result.summary).toContain('WireGuard Keepalive: receiver 0x00000004, counter 7, 32 bytes');
+		expect(result.summary).toContain('⚠️  WireGuard handshake retry (initiation at packet 1 unanswered, 5.0 s later)');
+		expect(result.summary).toContain('⚠️  WireGuard cookie reply storm');
+
+		expect(result.wireguard).toMatchObject({
+			totalSessions: 1,
+			tunnelSessions: 1,
+			totalHandshakes: 4,
+			completed: 1,
+			retries: 3,
+			cookieStorms: 1,
+		});
+		expect(result.wireguard.sessions[0].transport).toEqual({ fromClient: 1, fromServer: 1, keepalives: 1 });
+		expect(result.wireguard.sessions[0].handshakes[3]).toMatchObject({ withCookie: true, responsePacket: 8, rttMs: 40 });
+		expect(result.conversations[0].tunnel).toBe('WireGuard');
+		expect(result.latency[0]).toMatchObject({ destination: '162.159.193.5:500', metrics: { wireguardHandshake: { p50: 40 } } });
+		expect(result.contextSummary).toContain(
+			'[Packet 1] Flow 1: WireGuard initiation from client unanswered (cookie reply at packet 2), retried at packet 3',
+		);
+		expect(result.contextSummary).toContain('Flow 1: cookie reply storm, 3 cookie replies (packets 2, 4, 6)');
+	});
+
+	it('leaves generic payloads on WARP ports alone', () => {
+		const ike = concat(new Uint8Array(8).fill(0x11), new Uint8Array(8), new Uint8Array([0x21, 0x20, 0x22, 0x08]), new Uint8Array(28));
+		const packets = [udp(true, ike, 0), udp(true, wireguardMessage(4, 48, { 4: 1 }), 1)];
+		const { summary, wireguard } = analyzePcapFile(pcapFile(101, packets), 'ike.pcap');
+
+		expect(summary).toContain('Port 51820 → 500 (IKE/IPsec)');
+		expect(summary).toContain('WireGuard Transport Data: receiver 0x00000001, counter 0, 48 bytes');
+		expect(wireguard.totalHandshakes).toBe(0);
+	});
+});
+
+describe('qlog parsing', () => {
+	const sent = (time, packetNumber, frames = []) => ({
+		time,
+		name: 'transport:packet_sent',
+		data: { header: { packet_type: '1RTT', packet_number: packetNumber }, raw: { length: 1200 }, frames },
+	});
+
+	it('summarizes a JSON-SEQ qlog from the WARP client', () => {
+		const records = [
+			{
+				qlog_version: '0.3',
+				qlog_format: 'JSON-SEQ',
+				trace: {
+					vantage_point: { type: 'client' },
+					common_fields: { ODCID: 'a1b2c3d4', reference_time: 1705314645000, time_format: 'relative' },
+				},
+			},
+			{
+				time: 0,
+				name: 'connectivity:connection_started',
+				data: { src_ip: '10.0.0.2', src_port: 51000, dst_ip: '162.159.197.3', dst_port: 443 },
+			},
+			{ time: 0.5, name: 'transport:alpn_information', data: { chosen_alpn: 'h3' } },
+			{ time: 30, name: 'connectivity:connection_state_updated', data: { old: 'handshake_started', new: 'handshake_confirmed' } },
+			sent(40, 0),
+			sent(41, 1),
+			sent(42, 2),
+			{ time: 60, name: 'transport:packet_received', data: { header: { packet_type: '1RTT', packet_number: 0 }, raw: { length: 80 } } },
+			{ time: 60, name: 'recovery:metrics_updated', data: { min_rtt: 20, smoothed_rtt: 22, latest_rtt: 20, congestion_window: 12000 } },
+			{ time: 160, name: 'recovery:packet_lost', data: { header: { packet_type: '1RTT', packet_number: 2 }, trigger: 'time_threshold' } },
+			{ time: 160, name: 'recovery:congestion_state_updated', data: { old: 'slow_start', new: 'recovery' } },
+			{ time: 161, name: 'recovery:metrics_updated', data: { latest_rtt: 120, congestion_window: 6000, pto_count: 3 } },
+			sent(5000, 3, [{ frame_type: 'connection_close', error_space: 'transport', error_code: 0x130, reason: 'tls alert' }]),
+			{ time: 5000, name: 'connectivity:connection_closed', data: { owner: 'local', trigger: 'error' } },
+		];
+		// The last record was cut short when the client exited
+		const content = records.map((record) => `\x1e${JSON.stringify(record)}\n`).join('') + '\x1e{"time": 5001, "na';
+		const { qlog, summary } = analyzeQlogFile(content, 'client.qlog');
+
+		expect(qlog).toMatchObject({ format: 'JSON-SEQ', qlogVersion: '0.3', skippedRecords: 1, totalConnections: 1 });
+		expect(qlog.connections[0]).toMatchObject({
+			vantagePoint: 'client',
+			odcid: 'a1b2c3d4',
+			local: '10.0.0.2:51000',
+			remote: '162.159.197.3:443',
+			startTime: '2024-01-15T10:30:45.000Z',
+			durationMs: 5000,
+			alpn: 'h3',
+			states: [{ atMs: 30, state: 'handshake_confirmed' }],
+			packets: { sent: 4, received: 1, lost: 1, dropped: 0, bytesSent: 4800, bytesReceived: 80 },
+			lossRate: 25,
+			losses: [{ atMs: 160, packetNumber: 2, packetType: '1RTT', trigger: 'time_threshold' }],
+			rtt: { min: 20, smoothed: 22, latest: { count: 2, p50: 20, p95: 120, max: 120 }, maxPtoCount: 3 },
+			congestion: { min: 6000, max: 12000, last: 6000, stateChanges: 1, recoveries: 1 },
+			close: {
+				atMs: 5000,
+				initiator: 'local',
+				trigger: 'error',
+				errorSpace: 'transport',
+				error: 'CRYPTO_ERROR (unknown_ca)',
+				reason: 'tls alert',
+			},
+		});
+		expect(summary).toContain('Connection 1 (client) 10.0.0.2:51000 → 162.159.197.3:443 | ODCID a1b2c3d4 | ALPN h3');
+		expect(summary).toContain('⚠️  Loss rate 25% of packets sent');
+		expect(summary).toContain('⚠️  3 consecutive probe timeouts');
+		expect(summary).toContain('⚠️  Closed at +5.00 s by local (error): transport CRYPTO_ERROR (unknown_ca) "tls alert"');
+		expect(summary).toContain('[+0.160 s] packet 2 (1RTT) lost, time_threshold');
+	});
+
+	it('reads JSON qlogs with draft array events and separate connections', () => {
+		const qlog = {
+			qlog_version: 'draft-01',
+			traces: [
+				{
+					vantage_point: { type: 'client' },
+					configuration: { time_units: 'us' },
+					event_fields: ['relative_time', 'category', 'event', 'data'],
+					events: [
+						[0, 'transport', 'packet_sent', { header: { packet_size: 1252 } }],
+						[25000, 'transport', 'packet_received', { header: { packet_size: 1200 } }],
+						[3000000, 'connectivity', 'connection_closed', { owner: 'remote', application_code: 0x100, trigger: 'application' }],
+					],
+				},
+				{ vantage_point: { type: 'client' }, events: [{ time: 0, name: 'transport:packet_sent', data: {} }] },
+			],
+		};
+		const { qlog: parsed, summary } = analyzeQlogFile(JSON.stringify(qlog), 'bundle.qlog');
+
+		expect(parsed.format).toBe('JSON');
+		expect(parsed.totalConnections).toBe(2);
+		expect(parsed.connections[0]).toMatchObject({
+			startTime: null,
+			durationMs: 3000,
+			packets: { sent: 1, received: 1, bytesSent: 1252, bytesReceived: 1200 },
+			close: { initiator: 'remote', trigger: 'application', errorSpace: 'application', error: 'H3_NO_ERROR' },
+		});
+		expect(summary).toContain('  Closed at +3.00 s by remote (application): application H3_NO_ERROR');
+		expect(summary).toContain('  No connection close in the log');
+		expect(analyzeQlogFile('not json', 'broken.qlog')).toMatchObject({
+			qlog: null,
+			error: expect.stringContaining('Could not parse qlog'),
+		});
+	});
+});
+
+describe('MTU and fragmentation', () => {
+	const client = [10, 0, 0, 2];
+	const server = [104, 16, 0, 1];
+
+	it('reassembles IPv4 and IPv6 fragments before decoding them', () => {
+		const answers = Array.from({ length: 4 }, (_, i) => ({ name: 'big.example', type: 1, rdata: new Uint8Array([104, 16, 0, i]) }));
+		const datagram = udpDatagram(53, 40000, dnsMessage(7, 0x8180, { questions: [['big.example', 1]], answers }));
+		const v6Datagram = udpDatagram(53, 40000, dnsMessage(8, 0x8180, { questions: [['v6.example', 28]] }));
+		const v6Fragment = (offset, more, bytes) => {
+			const header = new Uint8Array(8);
+			header[0] = 17;
+			new DataView(header.buffer).setUint16(2, offset | (more ? 1 : 0));
+			new DataView(header.buffer).setUint32(4, 0x99);
+			return ipv6Packet('2606:4700:4700::1111', '2001:db8::2', 44, concat(header, bytes));
+		};
+		const packets = [
+			// Second fragment first: reassembly waits for the first one
+			ipv4Packet(server, client, 17, datagram.subarray(48), { id: 0x1234, flagsAndOffset: 6 }),
+			ipv4Packet(server, client, 17, datagram.subarray(0, 48), { id: 0x1234, flagsAndOffset: 0x2000 }),
+			v6Fragment(0, true, v6Datagram.subarray(0, 16)),
+			v6Fragment(16, false, v6Datagram.subarray(16)),
+			ipv4Packet(server, client, 17, datagram.subarray(0, 48), { id: 0x5678, flagsAndOffset: 0x2000 }),
+		];
+		const result = analyzePcapFile(pcapFile(101, packets), 'fragments.pcap', { packetCount: 5 });
+
+		expect(result.summary).toContain('| Fragment (offset 48, id 0x1234)');
+		expect(result.summary).toContain(`Reassembled 2 fragments (packets 1, 2): ${20 + datagram.length} bytes`);
+		expect(result.summary).toContain('DNS Response 0x0007 NOERROR: big.example A → A 104.16.0.0, A 104.16.0.1, A 104.16.0.2, A 104.16.0.3');
+		expect(result.summary).toContain('DNS Response 0x0008 NOERROR: v6.example AAAA');
+		expect(result.totalConversations).toBe(2);
+		expect(result.mtu).toMatchObject({ reassembledDatagrams: 2, incompleteDatagrams: 1 });
+		expect(result.mtu.incomplete[0]).toMatchObject({ id: 0x5678, packets: [5], receivedBytes: 48 });
+		expect(result.contextSummary).toContain(
+			'[Packet 5] Incomplete datagram id 0x5678 104.16.0.1 → 10.0.0.2 (protocol 17): 1 fragments, 48 bytes',
+		);
+	});
+
+	it('decodes ICMP Fragmentation Needed and flags PMTUD black holes', () => {
+		const quoted = ipv4Packet(client, [104, 16, 0, 2], 17, udpDatagram(51820, 2408, new Uint8Array(1400))).subarray(0, 28);
+		const fragNeeded = concat(new Uint8Array([3, 4, 0, 0, 0, 0, 0x05, 0x00]), quoted);
+		const tcp = (from, to, srcPort, dstPort, flags, opts, at) => ({
+			bytes: ipv4Packet(from, to, 6, tcpSegment(srcPort, dstPort, flags, opts), { flagsAndOffset: 0x4000 }),
+			at,
+		});
+		const packets = [
+			{ bytes: ipv4Packet([10, 0, 0, 1], client, 1, fragNeeded), at: 0 },
+			tcp(client, server, 51000, 443, SYN, { seq: 1000 }, 1),
+			tcp(server, client, 443, 51000, SYN | ACK, { seq: 5000, ack: 1001 }, 1.05),
+			tcp(client, server, 51000, 443, PSH | ACK, { seq: 1001, ack: 5001, payload: new Uint8Array(500) }, 1.1),
+			tcp(server, client, 443, 51000, ACK, { seq: 5001, ack: 1501 }, 1.15),
+			tcp(client, server, 51000, 443, PSH | ACK, { seq: 1501, ack: 5001, payload: new Uint8Array(1400) }, 1.2),
+			tcp(client, server, 51000, 443, PSH | ACK, { seq: 1501, ack: 5001, payload: new Uint8Array(1400) }, 1.5),
+			tcp(client, server, 51000, 443, PSH | ACK, { seq: 1501, ack: 5001, payload: new Uint8Array(1400) }, 2.1),
+		];
+		const result = analyzePcapFile(pcapFile(101, packets), 'blackhole.pcap', { packetCount: 1 });
+
+		expect(result.summary).toContain(
+			'ICMP: 10.0.0.1 → 10.0.0.2 | Destination Unreachable (fragmentation needed, next-hop MTU 1280) | quoted UDP 10.0.0.2:51820 → 104.16.0.2:2408, 1428 bytes',
+		);
+		expect(result.mtu.icmpMessages).toEqual([
+			{ packet: 1, type: 'Fragmentation Needed', router: '10.0.0.1', mtu: 1280, path: '10.0.0.2 → 104.16.0.2', originalLength: 1428 },
+		]);
+		expect(result.mtu.blackHoles).toEqual([
+			{
+				path: '10.0.0.2 → 104.16.0.1',
+				largestDelivered: 540,
+				largestStalled: 1440,
+				stalledSegments: 1,
+				firstPacket: 6,
+				dontFragment: true,
+			},
+		]);
+		expect(result.contextSummary).toContain(
+			"[Packet 6] ⚠️  PMTUD black hole: 10.0.0.2 → 104.16.0.1 delivers packets up to 540 bytes, but 1 larger segments (up to 1440 bytes, Don't Fragment)",
+		);
+	});
+});
+
+describe('Tunnel encapsulation', () => {
+	const siteA = [192, 0, 2, 1];
+	const siteB = [198, 51, 100, 1];
+	const client = [10, 0, 0, 2];
+	const server = [10, 1, 0, 5];
+	const syn = ipv4Packet(client, server, 6, tcpSegment(51000, 443, SYN));
+	const synAck = ipv4Packet(server, client, 6, tcpSegment(443, 51000, SYN | ACK));
+
+	it('peels GRE and IP-in-IP to count the inner flow', () => {
+		const packets = [
+			ipv4Packet(siteA, siteB, 47, concat(tunnelHeader('GRE', { protocol: 0x0800, key: 42 }), syn)),
+			ipv4Packet(siteB, siteA, 47, concat(tunnelHeader('GRE', { protocol: 0x0800, key: 42 }), synAck)),
+			ipv4Packet(siteA, siteB, 4, syn),
+		];
+		const result = analyzePcapFile(pcapFile(101, packets), 'gre.pcap', { packetCount: 3 });
+
+		expect(result.summary).toContain('  Encapsulation: GRE key 42 (192.0.2.1 → 198.51.100.1)');
+		expect(result.summary).toContain('  GRE key 42: IPv4 inside 192.0.2.1 → 198.51.100.1');
+		expect(result.summary).toContain('TCP: 10.0.0.2 → 10.1.0.5 | Port 51000 → 443 [SYN]');
+		// Same inner addresses through a different tunnel are a different flow
+		expect(result.totalConversations).toBe(2);
+		expect(result.conversations[0]).toMatchObject({
+			client: '10.0.0.2:51000',
+			server: '10.1.0.5:443',
+			handshake: 'incomplete (no final ACK)',
+			encapsulation: 'GRE key 42 (192.0.2.1 ↔ 198.51.100.1)',
+		});
+		expect(result.conversations[1].encapsulation).toBe('IP-in-IP (192.0.2.1 ↔ 198.51.100.1)');
+		expect(result.contextSummary).toContain('| via GRE key 42 (192.0.2.1 ↔ 198.51.100.1)');
+	});
+
+	it('decodes VXLAN and GENEVE overlays down to the inner Ethernet frame', () => {
+		const vxlan = udpDatagram(49152, 4789, concat(tunnelHeader('VXLAN', { vni: 5001 }), ethernetFrame(0x0800, syn)));
+		const option = new Uint8Array(8);
+		const geneve = udpDatagram(49153, 6081, concat(tunnelHeader('GENEVE', { vni: 7, options: option }), ethernetFrame(0x0800, synAck)));
+		const nested = ipv4Packet(siteA, siteB, 47, concat(tunnelHeader('GRE'), ethernetFrame(0x0800, ipv4Packet(siteA, siteB, 17, vxlan))));
+		const packets = [ipv4Packet(siteA, siteB, 17, vxlan), ipv4Packet(siteB, siteA, 17, geneve), nested];
+		const result = analyzePcapFile(pcapFile(101, packets), 'overlay.pcap', { packetCount: 3 });
+
+		expect(result.summary).toContain('UDP: 192.0.2.1 → 198.51.100.1 | Port 49152 → 4789 (VXLAN)');
+		expect(result.summary).toContain('  VXLAN VNI 5001: Ethernet inside 192.0.2.1 → 198.51.100.1');
+		expect(result.summary).toContain('  GENEVE VNI 7 (8 bytes of options): Ethernet inside 198.51.100.1 → 192.0.2.1');
+		expect(result.summary).toContain('  Encapsulation: GRE (192.0.2.1 → 198.51.100.1) > VXLAN VNI 5001 (192.0.2.1 → 198.51.100.1)');
+		expect(result.conversations.map((conv) => conv.encapsulation)).toEqual([
+			'VXLAN VNI 5001 (192.0.2.1 ↔ 198.51.100.1)',
+			'GENEVE VNI 7 (198.51.100.1 ↔ 192.0.2.1)',
+			'GRE (192.0.2.1 ↔ 198.51.100.1) > VXLAN VNI 5001 (192.0.2.1 ↔ 198.51.100.1)',
+		]);
+		expect(result.conversations.every((conv) => conv.client === '10.0.0.2:51000')).toBe(true);
+	});
+});
+
+describe('Packet model', () => {
+	it('returns structured packets that the text summary is rendered from', () => {
+		const query = dnsMessage(0x42, 0x0100, { questions: [['example.com', 1]] });
+		const packets = [
+			ethernetFrame(0x0800, ipv4Packet([10, 0, 0, 2], [1, 1, 1, 1], 17, udpDatagram(40000, 53, query))),
+			ethernetFrame(0x0800, ipv4Packet([10, 0, 0, 2], [104, 16, 0, 1], 6, tcpSegment(51000, 443, SYN, { seq: 7 }), { ttl: 5 })),
+		];
+		const result = analyzePcapFile(pcapFile(1, packets), 'model.pcap', { packetDetail: true });
+		const [dns, syn] = result.packets;
+
+		expect(dns).toMatchObject({
+			number: 1,
+			timestamp: '2024-01-15T10:30:45.000Z',
+			layers: ['Ethernet', 'IPv4', 'UDP', 'DNS'],
+			protocol: 'UDP',
+			src: '10.0.0.2',
+			dst: '1.1.1.1',
+			srcPort: 40000,
+			dstPort: 53,
+			flags: [],
+			flow: 1,
+			warnings: [],
+		});
+		expect(dns.fields.dns).toMatchObject({ id: 0x42, questions: [{ name: 'example.com', type: 'A' }] });
+		expect(dns.fields.transport).not.toHaveProperty('payloadOffset');
+		expect(dns.details).toContain('DNS Query 0x0042: example.com A');
+
+		expect(syn).toMatchObject({ layers: ['Ethernet', 'IPv4', 'TCP'], flags: ['SYN'], flow: 2, warnings: ['Low TTL: 5'] });
+		expect(syn.fields.ip).toMatchObject({ version: 4, ttl: 5, dontFragment: false });
+		expect(syn.fields.transport).toMatchObject({ seq: 7, window: 65535 });
+		expect(result.summary).toContain(
+			['[Packet 2] 2024-01-15T10:30:46.000Z', '  Size: 54/54 bytes', `  ${syn.details[0]}`, '  ⚠️  Low TTL: 5'].join('\n')
+		);
+
+		expect(analyzePcapFile(pcapFile(1, packets), 'model.pcap').packets).toBeNull();
+	});
+});
+
+describe('Display filters', () => {
+	const client = [10, 0, 0, 2];
+	const warp = [162, 159, 192, 1];
+	const resolver = [1, 1, 1, 1];
+	const packets = [
+		ipv4Packet(client, warp, 6, tcpSegment(51000, 443, SYN)),
+		ipv4Packet(warp, client, 6, tcpSegment(443, 51000, RST | ACK)),
+		ipv4Packet(client, resolver, 17, udpDatagram(40000, 53, dnsMessage(1, 0x0100, { questions: [['missing.example', 1]] }))),
+		ipv4Packet(resolver, client, 17, udpDatagram(53, 40000, dnsMessage(1, 0x8183, { questions: [['missing.example', 1]] }))),
+		ipv4Packet(client, warp, 17, udpDatagram(51820, 2408, wireguardMessage(1, 148, { 4: 1 }))),
+		ipv4Packet(client, warp, 17, udpDatagram(51820, 500, wireguardMessage(1, 148, { 4: 2 }))),
+	];
+	const matching = async (expression) => {
+		const result = analyzePcapFile(pcapFile(101, packets), 'filter.pcap', { filter: compileDisplayFilter(expression), packetDetail: true });
+		return result.packets.map((packet) => packet.number);
+	};
+
+	it('selects packets with Wireshark-style expressions', async () => {
+		expect(await matching('ip.addr == 162.159.192.1 && tcp.flags.rst')).toEqual([2]);
+		expect(await matching('dns.rcode != 0')).toEqual([4]);
+		expect(await matching('udp.port in {2408 500}')).toEqual([5, 6]);
+		expect(await matching('udp.port in {1..1000} and not dns')).toEqual([6]);
+		expect(await matching('ip.dst == 162.159.192.0/24 || (dns.qry.name contains "missing" && !dns.flags.response)')).toEqual([1, 3, 5, 6]);
+		expect(await matching('tcp.port != 443')).toEqual([]);
+		expect(await matching('dns.qry.name matches "^MISSING\\\\."')).toEqual([3, 4]);
+		expect(await matching('wg && tcp')).toEqual([]);
+	});
+
+	it('limits the listing and conversations to matching traffic', () => {
+		const result = analyzePcapFile(pcapFile(101, packets), 'filter.pcap', { filter: compileDisplayFilter('udp'), packetCount: 1 });
+
+		expect(result.filter).toEqual({ expression: 'udp', matchedPackets: 4, totalPackets: 6 });
+		expect(result.summary).toContain('Display filter: udp (4 of 6 packets match)');
+		expect(result.summary).toContain('=== PACKET ANALYSIS (first 1 packets matching udp) ===');
+		expect(result.summary).toContain('... and 3 more matching packets not shown');
+		expect(result.summary).toContain('[Packet 3]');
+		expect(result.summary).not.toContain('[Packet 1]');
+		expect(result.conversations.map((conversation) => conversation.protocol)).toEqual(['UDP', 'UDP', 'UDP']);
+		// Stateful analyses still see every packet
+		expect(result.dns.totals).toMatchObject({ queries: 1, responses: 1 });
+	});
+
+	it('reports syntax errors and unknown fields', () => {
+		expect(() => compileDisplayFilter('ip.adr == 1.2.3.4')).toThrow('Unknown field "ip.adr" at position 1');
+		expect(() => compileDisplayFilter('ip.addr == 10.0.0.300')).toThrow('"10.0.0.300" is not an IP address or CIDR range');
+		expect(() => compileDisplayFilter('tcp.port == https')).toThrow('"https" is not a number, which tcp.port needs');
+		expect(() => compileDisplayFilter('(tcp && udp')).toThrow('Expected ")" at the end of the filter');
+		expect(() => compileDisplayFilter('tcp udp')).toThrow('Unexpected token at position 5 ("udp")');
+		expect(() => compileDisplayFilter('ip.addr > 10.0.0.1')).toThrow('ip.addr only supports ==, != and in');
+	});
+
+	it('rejects regular expressions that could backtrack without end', () => {
+		for (const pattern of ['(a+)+$', '(a|aa)*b', '(?:x\\\\d*){2,}', '((ab)*c)+', '(.)\\\\1']) {
+			expect(() => compileDisplayFilter(`dns.qry.name matches "${pattern}"`), pattern).toThrow('Unsafe regular expression');
+		}
+		for (const pattern of ['^(www|api)\\\\.example\\\\.com$', '(ab)+', '[(+*]+x', '(?:[a-z]+\\\\.)?cloudflare']) {
+			expect(() => compileDisplayFilter(`dns.qry.name matches "${pattern}"`), pattern).not.toThrow();
+		}
+		expect(() => compileDisplayFilter(`dns.qry.name matches "${'a'.repeat(101)}"`)).toThrow('longer than 100 characters');
+	});
+
+	it('selects Ethernet frames by MAC address and EtherType', () => {
+		const frames = [
+			ethernetFrame(0x0800, ipv4Packet(client, warp, 6, tcpSegment(51000, 443, SYN)), { source: [0x02, 0x42, 0xac, 0x11, 0x00, 0x02] }),
+			ethernetFrame(0x0806, arpPacket(1, client, warp), { destination: [0xff, 0xff, 0xff, 0xff, 0xff, 0xff] }),
+		];
+		const numbers = (expression) =>
+			analyzePcapFile(pcapFile(1, frames), 'eth.pcap', { filter: compileDisplayFilter(expression), packetDetail: true }).packets.map(
+				(packet) => packet.number,
+			);
+
+		expect(numbers('eth.src == 02:42:AC:11:00:02')).toEqual([1]);
+		expect(numbers('eth.addr == ff-ff-ff-ff-ff-ff')).toEqual([2]);
+		expect(numbers('eth.type == 0x0806')).toEqual([2]);
+		expect(() => compileDisplayFilter('eth.dst == 02:42')).toThrow('"02:42" is not a MAC address, which eth.dst needs');
+		expect(() => compileDisplayFilter('eth.src > 02:42:ac:11:00:02')).toThrow('eth.src only supports ==, != and in');
+	});
+});
+
+describe('Packet sampling', () => {
+	const client = [10, 0, 0, 2];
+	const server = [104, 16, 0, 1];
+	// One packet per second: UDP from four client ports, with a reset at packet 12
+	const packets = Array.from({ length: 20 }, (_, index) =>
+		index === 11
+			? ipv4Packet(server, client, 6, tcpSegment(443, 51000, RST | ACK))
+			: ipv4Packet(client, server, 17, udpDatagram(40000 + (index % 4), 443, new Uint8Array(16)))
+	);
+	const sample = (options, packetCount, capture = packets) =>
+		analyzePcapFile(pcapFile(101, capture), 'sample.pcap', { packetCount, packetDetail: true, sampling: parseSamplingOptions(...options) });
+	const numbers = (result) => result.packets.map((packet) => packet.number);
+
+	it('lists a time window given in seconds or as ISO times', async () => {
+		expect(numbers(await sample([null, '5', '7'], 50))).toEqual([6, 7, 8]);
+
+		const result = await sample(['window', '2024-01-15T10:31:02Z', null], 50);
+		expect(numbers(result)).toEqual([18, 19, 20]);
+		expect(result.sampling).toMatchObject({
+			mode: 'window',
+			listed: 3,
+			selectable: 20,
+			percent: 15,
+			window: { from: '2024-01-15T10:31:02.000Z', to: null },
+		});
+		expect(result.summary).toContain('=== PACKET ANALYSIS (time window sample of 3 packets) ===');
+	});
+
+	it('lists anomalies with surrounding context first, then spreads out', async () => {
+		const result = await sample(['anomaly', null, null], 6);
+
+		expect(numbers(result)).toEqual([1, 10, 11, 12, 13, 14]);
+		expect(result.sampling).toMatchObject({ mode: 'anomaly', anomalies: 1, anomaliesListed: 1, flowsListed: 4, totalFlows: 5 });
+	});
+
+	it('keeps every anomaly when their context would fill the listing', () => {
+		const resets = packets.map((packet, index) =>
+			[2, 16].includes(index) ? ipv4Packet(server, client, 6, tcpSegment(443, 51000, RST | ACK)) : packet,
+		);
+		const result = sample(['anomaly', null, null], 4, resets);
+
+		expect(numbers(result)).toEqual([2, 3, 12, 17]);
+		expect(result.sampling).toMatchObject({ anomalies: 3, anomaliesListed: 3 });
+	});
+
+	it('lists the head and tail of each flow, flows with problems first', async () => {
+		const capture = [
+			...Array.from({ length: 8 }, () => ipv4Packet(client, server, 17, udpDatagram(40000, 443, new Uint8Array(16)))),
+			ipv4Packet(client, server, 6, tcpSegment(51000, 443, SYN)),
+			ipv4Packet(server, client, 6, tcpSegment(443, 51000, RST | ACK)),
+		];
+
+		expect(numbers(await sample(['flow', null, null], 10, capture))).toEqual([1, 2, 3, 6, 7, 8, 9, 10]);
+		expect(numbers(await sample(['flow', null, null], 5, capture))).toEqual([1, 2, 3, 9, 10]);
+	});
+
+	it('spreads a stratified sample across the whole capture and reports coverage', async () => {
+		const result = await sample(['stratified', null, null], 4);
+
+		expect(numbers(result)).toEqual([1, 6, 11, 16]);
+		expect(result.sampling).toMatchObject({
+			listed: 4,
+			selectable: 20,
+			percent: 20,
+			firstListed: '2024-01-15T10:30:45.000Z',
+			lastListed: '2024-01-15T10:31:00.000Z',
+			captureStart: '2024-01-15T10:30:45.000Z',
+			captureEnd: '2024-01-15T10:31:04.000Z',
+		});
+		expect(result.contextSummary).toContain(
+			'Sampling: stratified | listed 4 of 20 packets (20%) | 1 anomalous packets, 0 listed | 4 of 5 flows | ' +
+				'listed 2024-01-15T10:30:45.000Z to 2024-01-15T10:31:00.000Z of capture 2024-01-15T10:30:45.000Z to 2024-01-15T10:31:04.000Z'
+		);
+	});
+
+	it('rejects unknown modes and windows without bounds', () => {
+		expect(parseSamplingOptions(null, null, null)).toEqual({ mode: 'head', from: null, to: null });
+		expect(() => parseSamplingOptions('random', null, null)).toThrow(
+			'Unknown sampling mode "random", expected one of head, window, anomaly, flow, stratified',
+		);
+		expect(() => parseSamplingOptions('window', '', '')).toThrow('Window sampling needs from and/or to');
+		expect(() => parseSamplingOptions(null, 'yesterday', null)).toThrow(
+			'"yesterday" is not an ISO 8601 time or a number of seconds, which from needs',
+		);
+	});
+});
+
+describe('Capture statistics', () => {
+	const client = [10, 0, 0, 2];
+	const gateway = [10, 0, 0, 1];
+	const resolver = [1, 1, 1, 1];
+	const server = [104, 16, 0, 1];
+	const broadcast = [0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+	const packets = [
+		ethernetFrame(0x0806, arpPacket(1, client, gateway), { destination: broadcast }),
+		ethernetFrame(0x0806, arpPacket(2, gateway, client)),
+		ethernetFrame(0x0806, arpPacket(1, client, [10, 0, 0, 9]), { destination: broadcast }),
+		ethernetFrame(
+			0x0800,
+			ipv4Packet(client, resolver, 17, udpDatagram(40000, 53, dnsMessage(1, 0x0100, { questions: [['missing.example', 1]] }))),
+		),
+		ethernetFrame(
+			0x0800,
+			ipv4Packet(resolver, client, 17, udpDatagram(53, 40000, dnsMessage(1, 0x8183, { questions: [['missing.example', 1]] }))),
+		),
+		ethernetFrame(
+			0x0800,
+			ipv4Packet(
+				client,
+				server,
+				6,
+				tcpSegment(51000, 443, PSH | ACK, { seq: 1, payload: tlsRecord(22, tlsHandshake(1, clientHello({ sni: 'example.com' }))) }),
+			),
+		),
+		ethernetFrame(0x0800, ipv4Packet(client, [224, 0, 0, 251], 17, udpDatagram(5353, 5353, new Uint8Array(12))), {
+			destination: [0x01, 0, 0x5e, 0, 0, 0xfb],
+		}),
+	];
+
+	it('builds a protocol hierarchy and top talker tables across the capture', () => {
+		const { statistics, contextSummary } = analyzePcapFile(pcapFile(1, packets), 'stats.pcap', { packetCount: 1 });
+
+		expect(statistics.packets).toBe(7);
+		expect(statistics.protocolHierarchy.map((node) => [node.path, node.depth, node.packets])).toEqual([
+			['Ethernet', 0, 7],
+			['Ethernet > IPv4', 1, 4],
+			['Ethernet > IPv4 > UDP', 2, 3],
+			['Ethernet > IPv4 > UDP > DNS', 3, 2],
+			['Ethernet > IPv4 > TCP', 2, 1],
+			['Ethernet > IPv4 > TCP > TLS', 3, 1],
+			['Ethernet > ARP', 1, 3],
+		]);
+		expect(statistics.protocolHierarchy[0]).toMatchObject({ packetPercent: 100, bytePercent: 100 });
+		expect(statistics.topSources.map((entry) => [entry.address, entry.packets])).toEqual([
+			['10.0.0.2', 3],
+			['1.1.1.1', 1],
+		]);
+		expect(statistics.topPorts.map((port) => `${port.protocol} ${port.port}`)).toEqual(['UDP 53', 'TCP 443', 'UDP 5353']);
+		expect(statistics.topDnsNames).toEqual([{ name: 'missing.example', queries: 1, failures: 1 }]);
+		expect(statistics.topSnis).toEqual([{ sni: 'example.com', tls: 1, quic: 0 }]);
+		expect(statistics.delivery.broadcast).toMatchObject({ packets: 2, packetPercent: 28.6 });
+		expect(statistics.delivery.multicast).toMatchObject({ packets: 1, packetPercent: 14.3 });
+		expect(statistics.arp).toMatchObject({ requests: 2, replies: 1, gratuitous: 0, unanswered: 1 });
+
+		expect(contextSummary).toContain('=== PROTOCOL HIERARCHY AND TOP TALKERS ===');
+		expect(contextSummary).toContain('      TCP: 1 packets (14.3%)');
+		expect(contextSummary).toContain('Broadcast: 2 packets (28.6%) | Multicast: 1 packets (14.3%)');
+		expect(contextSummary).toContain('Top DNS names: missing.example (1 queries, 1 failed)');
+		expect(contextSummary).toContain('ARP: 2 requests, 1 replies, 0 gratuitous, 1 addresses never answered');
+	});
+});
+
+describe('I/O series', () => {
+	const client = [10, 0, 0, 2];
+	const server = [104, 16, 0, 1];
+	const resolver = [1, 1, 1, 1];
+	// Ten 1440-byte segments a second for ten seconds, then a trickle with a reset and a failed lookup
+	const bulk = Array.from({ length: 100 }, (_, index) => ({
+		bytes: ipv4Packet(server, client, 6, tcpSegment(443, 51000, ACK, { seq: 1 + index * 1400, payload: new Uint8Array(1400) })),
+		at: Math.floor(index / 10) + (index % 10) / 10,
+	}));
+	const packets = [
+		...bulk,
+		{ bytes: ipv4Packet(server, client, 6, tcpSegment(443, 51000, ACK, { seq: 1 + 99 * 1400, payload: new Uint8Array(1400) })), at: 10 },
+		{ bytes: ipv4Packet(server, client, 6, tcpSegment(443, 51000, RST | ACK, { seq: 1 + 100 * 1400 })), at: 11 },
+		{
+			bytes: ipv4Packet(resolver, client, 17, udpDatagram(53, 40000, dnsMessage(1, 0x8182, { questions: [['example.com', 1]] }))),
+			at: 12.5,
+		},
+	];
+
+	it('buckets throughput per second with problem counts and finds the collapse', () => {
+		const { io, contextSummary } = analyzePcapFile(pcapFile(101, packets), 'io.pcap');
+
+		expect(io).toMatchObject({ start: '2024-01-15T10:30:45.000Z', bucketSeconds: 1 });
+		expect(io.buckets).toHaveLength(13);
+		expect(io.buckets[0]).toMatchObject({
+			time: '2024-01-15T10:30:45.000Z',
+			offset: 0,
+			packets: 10,
+			bytes: 14400,
+			bytesPerSecond: 14400,
+			packetsPerSecond: 10,
+		});
+		expect(io.buckets[10]).toMatchObject({ packets: 1, bytes: 1440, retransmissions: 1 });
+		expect(io.buckets[11]).toMatchObject({ packets: 1, resets: 1 });
+		expect(io.buckets[12]).toMatchObject({ dnsFailures: 1 });
+		expect(io.flows.map((flow) => flow.flow)).toEqual([1, 2]);
+		expect(io.flows[0].bytesPerSecond.slice(9, 12)).toEqual([14400, 1440, 40]);
+		// Second 10 keeps a tenth of the rate; the collapse is when it drops below that
+		expect(io.collapses).toEqual([{ time: '2024-01-15T10:30:56.000Z', offset: 11, fromBytesPerSecond: 11808, toBytesPerSecond: 40 }]);
+
+		expect(contextSummary).toContain(
+			'13 buckets of 1 s from 2024-01-15T10:30:45.000Z | peak 14400 bytes/s, 10 packets/s at 2024-01-15T10:30:45.000Z',
+		);
+		expect(contextSummary).toContain('[2024-01-15T10:30:56.000Z] ⚠️  Throughput collapse: 11808 → 40 bytes/s');
+		expect(contextSummary).toContain('[2024-01-15T10:30:56.000Z] 40 bytes/s | 1 RSTs');
+		expect(contextSummary).toContain('[2024-01-15T10:30:57.000Z] 57 bytes/s | 1 DNS failures');
+	});
+
+	it('spreads long captures over at most 300 buckets', () => {
+		const capture = pcapFile(101, [
+			{ bytes: ipv4Packet(client, server, 6, tcpSegment(51000, 443, SYN)), at: 0 },
+			{ bytes: ipv4Packet(client, server, 6, tcpSegment(51000, 443, SYN)), at: 900 },
+		]);
+		const { io } = analyzePcapFile(capture, 'long.pcap');
+
+		expect(io.bucketSeconds).toBe(4);
+		expect(io.buckets).toHaveLength(226);
+		expect(io.buckets.at(-1)).toMatchObject({ offset: 900, packets: 1, bytes: 40, bytesPerSecond: 10 });
+	});
+});
+
+describe('Packet export', () => {
+	const client = [10, 0, 0, 2];
+	const server = [104, 16, 0, 1];
+	const capture = pcapFile(101, [
+		{ bytes: ipv4Packet(client, server, 6, tcpSegment(51000, 443, SYN)), at: 0.25 },
+		{
+			bytes: ipv4Packet(client, [1, 1, 1, 1], 17, udpDatagram(40000, 53, dnsMessage(1, 0x0100, { questions: [['example.com', 1]] }))),
+			at: 1,
+		},
+		{ bytes: ipv4Packet(server, client, 6, tcpSegment(443, 51000, RST | ACK)), at: 2.5 },
+	]);
+
+	it('writes the packets of a flow or a list of numbers as a capture that reads back the same', async () => {
+		const byFlow = await exportCapturePackets(capture, 'trace.pcap', { flows: [1] });
+		expect(byFlow).toMatchObject({ format: 'pcap', packetCount: 2, totalPackets: 3 });
+		const metadata = parsePcapBasic(byFlow.data);
+		expect(metadata).toMatchObject({ format: 'PCAP', linkTypeName: 'RAW', packetCount: 2 });
+
+		const summary = extractPcapPacketSummaries(byFlow.data, 'flow.pcap', 0);
+		expect(summary).toContain('[Packet 1] 2024-01-15T10:30:45.250Z');
+		expect(summary).toContain('[Packet 2] 2024-01-15T10:30:47.500Z');
+		expect(summary).toContain('Port 443 → 51000 [ACK,RST]');
+		expect(summary).not.toContain('Port 40000 → 53');
+
+		const byNumber = await exportCapturePackets(capture, 'trace.pcap', {
+			packets: [2],
+			flows: [1],
+			filter: compileDisplayFilter('tcp.flags.reset == 1'),
+		});
+		expect(byNumber.packetCount).toBe(1);
+		const filtered = extractPcapPacketSummaries(byNumber.data, 'reset.pcap', 0);
+		expect(filtered).toContain('[Packet 1] 2024-01-15T10:30:47.500Z');
+	});
+
+	it('narrows by protocol and numbers reassembled fragments like the analysis', async () => {
+		const warp = [162, 159, 197, 3];
+		const hello = tlsRecord(22, tlsHandshake(1, clientHello({ sni: 'example.com' })));
+		const quic = udpDatagram(40002, 443, await quicInitialPacket(quicCryptoFrame(new Uint8Array(16)), {}));
+		const trace = pcapFile(101, [
+			{ bytes: ipv4Packet(client, server, 6, tcpSegment(51000, 443, PSH | ACK, { payload: hello })), at: 0 },
+			{ bytes: ipv4Packet(client, server, 6, tcpSegment(51001, 80, PSH | ACK, { payload: new Uint8Array(20) })), at: 0.1 },
+			{ bytes: ipv4Packet(client, warp, 17, quic.subarray(0, 600), { id: 7, flagsAndOffset: 0x2000 }), at: 0.2 },
+			{ bytes: ipv4Packet(client, warp, 17, quic.subarray(600), { id: 7, flagsAndOffset: 75 }), at: 0.2 },
+		]);
+
+		for (const [expression, count] of [
+			['tls', 1],
+			['quic', 1],
+			['tcp', 2],
+			['flow == 3', 1],
+		]) {
+			const filter = compileDisplayFilter(expression);
+			const exported = await exportCapturePackets(trace, 'trace.pcap', { filter });
+			expect(exported.packetCount, expression).toBe(count);
+			expect(analyzePcapFile(trace, 'trace.pcap', { filter }).filter.matchedPackets, expression).toBe(count);
+		}
+		// The fragment that completes the datagram carries its flow
+		const byFlow = await exportCapturePackets(trace, 'trace.pcap', { flows: [3] });
+		expect(extractPcapPacketSummaries(byFlow.data, 'flow.pcap', 0)).toContain('[Packet 1] 2024-01-15T10:30:45.200Z');
+		expect(byFlow.packetCount).toBe(1);
+	});
+
+	it('keeps interfaces and nanosecond timestamps in PCAPNG', async () => {
+		const packet = ethernetUdpPacket([10, 0, 0, 2], [162, 159, 193, 1], 51000, 2408);
+		const source = concat(
+			sectionHeader(),
+			interfaceDescription(1, [pcapngOption(2, 'en0'), pcapngOption(9, new Uint8Array([9]))]),
+			interfaceDescription(101, [pcapngOption(2, 'utun3')]),
+			enhancedPacket(0, 1705314645123456789n, packet),
+			enhancedPacket(1, 1705314646000000n, packet.subarray(14))
+		);
+
+		const exported = await exportCapturePackets(source, 'both.pcapng', { packets: [1, 2] });
+		expect(exported.format).toBe('pcapng');
+		const metadata = parsePcapBasic(exported.data);
+		expect(metadata.interfaces[0]).toMatchObject({
+			name: 'en0',
+			linkTypeName: 'ETHERNET',
+			timestampResolution: 'nanoseconds',
+			packetCount: 1,
+		});
+		expect(metadata.interfaces[1]).toMatchObject({ name: 'utun3', linkType: 101, timestampResolution: 'microseconds', packetCount: 1 });
+		// The Enhanced Packet Block keeps every nanosecond
+		const view = new DataView(exported.data.buffer);
+		let block = 0;
+		while (view.getUint32(block, true) !== 6) block += view.getUint32(block + 4, true);
+		expect((BigInt(view.getUint32(block + 12, true)) << 32n) | BigInt(view.getUint32(block + 16, true))).toBe(1705314645123456789n);
+
+		const second = await exportCapturePackets(source, 'both.pcapng', { packets: [2], format: 'pcap' });
+		expect(parsePcapBasic(second.data)).toMatchObject({ format: 'PCAP', linkTypeName: 'RAW', packetCount: 1 });
+		await expect(exportCapturePackets(source, 'both.pcapng', { packets: [1, 2], format: 'pcap' })).rejects.toThrow('only PCAPNG can hold');
+
+		// An EPB naming an interface its section never described cannot be written out
+		const orphaned = concat(sectionHeader(), enhancedPacket(0, 1705314646000000n, packet.subarray(14)));
+		for (const format of ['pcap', 'pcapng']) {
+			await expect(exportCapturePackets(orphaned, 'orphaned.pcapng', { packets: [1], format })).rejects.toThrow(
+				'Packet 1 refers to an interface with no Interface Description Block'
+			);
+		}
+	});
+
+	it('rejects empty selections and malformed lists', async () => {
+		expect(parseExportOptions('12, 15, 40-42', '', 'PCAPNG')).toEqual({
+			packets: [
+				[12, 12],
+				[15, 15],
+				[40, 42],
+			],
+			flows: [],
+			format: 'pcapng',
+		});
+		expect(() => parseExportOptions('1-999999, 1000000-1999999', null, null)).toThrow('The packets list covers more than 1000000 numbers');
+		expect(() => parseExportOptions('3-1', null, null)).toThrow('"3-1" in packets is not a number or range like 40-44');
+		expect(() => parseExportOptions(null, 'x', null)).toThrow('in flows');
+		expect(() => parseExportOptions(null, null, 'json')).toThrow('Unknown format "json", expected pcap or pcapng');
+		await expect(exportCapturePackets(capture, 'trace.pcap', {})).rejects.toThrow('Select packets, flows or a filter to export');
+	});
+});
+
+describe('Capture merging', () => {
+	const inner = [172, 16, 0, 2];
+	const server = [104, 16, 0, 1];
+	const device = [192, 168, 1, 10];
+	const endpoint = [162, 159, 192, 1];
+	const payload = (length) => new Uint8Array(length);
+	const outbound = (flags, options) => ipv4Packet(inner, server, 6, tcpSegment(51000, 443, flags, options));
+	const inbound = (flags, options) => ipv4Packet(server, inner, 6, tcpSegment(443, 51000, flags, options));
+	// WireGuard transport data for an inner packet of the given size, padded to 16 bytes
+	const encrypted = (fromDevice, innerSize) => {
+		const message = wireguardMessage(4, 32 + Math.ceil(innerSize / 16) * 16);
+		return fromDevice
+			? ipv4Packet(device, endpoint, 17, udpDatagram(51820, 2408, message))
+			: ipv4Packet(endpoint, device, 17, udpDatagram(2408, 51820, message));
+	};
+
+	// Seq 101 never reaches the wire; seq 201 does but is retransmitted anyway; the
+	// server's seq 201 arrives encrypted but never reaches the tunnel interface
+	const tunnel = pcapFile(101, [
+		{ bytes: outbound(SYN, { seq: 0 }), at: 0 },
+		{ bytes: inbound(SYN | ACK, { seq: 0, ack: 1 }), at: 0.05 },
+		{ bytes: outbound(ACK, { seq: 1, ack: 1 }), at: 0.06 },
+		{ bytes: outbound(ACK, { seq: 1, ack: 1, payload: payload(100) }), at: 1 },
+		{ bytes: outbound(ACK, { seq: 101, ack: 1, payload: payload(100) }), at: 1.1 },
+		{ bytes: outbound(ACK, { seq: 101, ack: 1, payload: payload(100) }), at: 1.5 },
+		{ bytes: outbound(ACK, { seq: 201, ack: 1, payload: payload(100) }), at: 2 },
+		{ bytes: outbound(ACK, { seq: 201, ack: 1, payload: payload(100) }), at: 2.5 },
+		{ bytes: inbound(ACK, { seq: 1, ack: 301, payload: payload(200) }), at: 3 },
+		{ bytes: inbound(ACK, { seq: 401, ack: 301, payload: payload(200) }), at: 3.2 },
+	]);
+	const physical = pcapFile(101, [
+		{ bytes: encrypted(true, 40), at: 0.001 },
+		{ bytes: encrypted(false, 40), at: 0.049 },
+		{ bytes: encrypted(true, 40), at: 0.061 },
+		{ bytes: encrypted(true, 140), at: 1.001 },
+		{ bytes: encrypted(true, 140), at: 1.501 },
+		{ bytes: encrypted(true, 140), at: 2.001 },
+		{ bytes: encrypted(true, 140), at: 2.501 },
+		{ bytes: encrypted(false, 240), at: 2.999 },
+		{ bytes: encrypted(false, 240), at: 3.1 },
+		{ bytes: encrypted(false, 240), at: 3.199 },
+	]);
+
+	it('matches packets through the tunnel and places each loss before or after encapsulation', () => {
+		const captures = [];
+		for (const [filename, data] of [['tunnel.pcap', tunnel], ['physical.pcap', physical]]) {
+			captures.push({ filename, trace: analyzePcapFile(data, filename).tunnelTrace });
+		}
+		const correlation = correlateCaptures(captures);
+
+		expect(correlation).toMatchObject({ start: '2024-01-15T10:30:45.000Z', end: '2024-01-15T10:30:48.200Z', truncated: false });
+		expect(correlation.captures).toEqual([
+			{
+				filename: 'tunnel.pcap',
+				role: 'tunnel',
+				start: '2024-01-15T10:30:45.000Z',
+				end: '2024-01-15T10:30:48.200Z',
+				startOffset: 0,
+				endOffset: 3.2,
+				encryptedPackets: 0,
+				tunnelPackets: 10,
+			},
+			{
+				filename: 'physical.pcap',
+				role: 'physical',
+				start: '2024-01-15T10:30:45.001Z',
+				end: '2024-01-15T10:30:48.199Z',
+				startOffset: 0.001,
+				endOffset: 3.199,
+				encryptedPackets: 10,
+				tunnelPackets: 0,
+			},
+		]);
+		expect(correlation.tunnel.outbound).toEqual({ packets: 7, encapsulated: 6, medianDelayMs: 1 });
+		expect(correlation.tunnel.inbound).toMatchObject({ packets: 4, decapsulated: 3 });
+		expect(correlation.tunnel.losses).toEqual({ beforeEncapsulation: 1, afterEncapsulation: 1, afterDecapsulation: 1 });
+		expect(correlation.tunnel.events).toEqual([
+			{
+				time: '2024-01-15T10:30:46.500Z',
+				offset: 1.5,
+				stage: 'beforeEncapsulation',
+				direction: 'outbound',
+				capture: 'tunnel.pcap',
+				packet: 6,
+				flow: 1,
+				original: 5,
+				wire: null,
+			},
+			{
+				time: '2024-01-15T10:30:47.500Z',
+				offset: 2.5,
+				stage: 'afterEncapsulation',
+				direction: 'outbound',
+				capture: 'tunnel.pcap',
+				packet: 8,
+				flow: 1,
+				original: 7,
+				wire: { capture: 'physical.pcap', packet: 6 },
+			},
+			{
+				time: '2024-01-15T10:30:48.200Z',
+				offset: 3.2,
+				stage: 'afterDecapsulation',
+				direction: 'inbound',
+				capture: 'tunnel.pcap',
+				packet: 10,
+				flow: 1,
+				original: null,
+				wire: { capture: 'physical.pcap', packet: 9 },
+			},
+		]);
+	});
+
+	it('merges captures without tunnel traffic onto one time axis only', () => {
+		const { tunnelTrace } = analyzePcapFile(tunnel, 'tunnel.pcap');
+		expect(correlateCaptures([{ filename: 'tunnel.pcap', trace: tunnelTrace }])).toBeNull();
+
+		const correlation = correlateCaptures([
+			{ filename: 'a.pcap', trace: tunnelTrace },
+			{ filename: 'b.pcap', trace: tunnelTrace },
+		]);
+		expect(correlation.captures.map((capture) => capture.role)).toEqual(['tunnel', 'tunnel']);
+		expect(correlation.tunnel).toBeNull();
+	});
+});
+
+describe('Redaction', () => {
+	const redactorFor = (redact, domains = null, mapping = null) => createRedactor(parseRedactionOptions(redact, domains, mapping));
+
+	it('replaces each sensitive value with the same pseudonym everywhere it appears', () => {
+		const redactor = redactorFor('all', 'corp.example.com');
+		const text = redactText(
+			redactor,
+			[
+				'2024-01-15T10:30:45Z INFO connect to 203.0.113.7:443 from 10.0.0.5 via 162.159.192.1 and 2606:4700:110:8a36::1',
+				'device_id: 6f1c2e3a-1b2c-4d5e-8f90-123456789abc account_id = 0123456789abcdef0123456789abcdef',
+				'MAC 3c:22:fb:11:22:33 path /Users/alice/Library mail alice@example.com share fileserver.corp.example.com',
+				'"username": "alice.smith", "hostname": "LAPTOP-ABC123", peer 203.0.113.7 on www.cloudflare.com',
+			].join('\n')
+		);
+
+		expect(text.split('\n')).toEqual([
+			'2024-01-15T10:30:45Z INFO connect to 198.18.0.1:443 from 10.0.0.5 via 162.159.192.1 and 2001:db8::1',
+			'device_id: REDACTED-ID-1 account_id = REDACTED-ID-2',
+			'MAC 02:00:00:00:00:01 path /Users/user-2/Library mail user-1@redacted.invalid share host-2.redacted.invalid',
+			'"username": "user-1", "hostname": "host-1.redacted.invalid", peer 198.18.0.1 on www.cloudflare.com',
+		]);
+		// Values already redacted, and copies of the same text, stay the same
+		expect(redactText(redactor, text)).toBe(text);
+		expect(redactValue(redactor, { lines: ['203.0.113.7'], count: 2 })).toEqual({ lines: ['198.18.0.1'], count: 2 });
+
+		const summary = summarizeRedaction(redactor);
+		expect(summary.domains).toEqual(['corp.example.com']);
+		expect(summary.replaced).toMatchObject({ ips: 4, ids: 2, macs: 1, emails: 1, users: 2, hostnames: 2 });
+		expect(summary.mapping).toMatchObject({
+			'198.18.0.1': '203.0.113.7',
+			'2001:db8::1': '2606:4700:110:8a36::1',
+			'REDACTED-ID-2': '0123456789abcdef0123456789abcdef',
+			'user-2': 'alice',
+			'host-2.redacted.invalid': 'fileserver.corp.example.com',
+		});
+	});
+
+	it('only redacts the chosen categories and reuses an earlier mapping', () => {
+		const ipsOnly = redactorFor('ips');
+		expect(redactText(ipsOnly, 'alice@example.com at 203.0.113.7')).toBe('alice@example.com at 198.18.0.1');
+
+		const seeded = redactorFor('ips', null, JSON.stringify({ '198.18.0.9': '203.0.113.7' }));
+		expect(redactText(seeded, '198.51.100.1 then 203.0.113.7')).toBe('198.18.0.1 then 198.18.0.9');
+		expect(summarizeRedaction(seeded).mapping).toEqual({ '198.18.0.9': '203.0.113.7', '198.18.0.1': '198.51.100.1' });
+
+		expect(parseRedactionOptions('false', 'corp.example.com', null)).toBeNull();
+		expect(parseRedactionOptions('ips, macs', ' *.corp.example.com ,lab.example', null)).toEqual({
+			categories: ['ips', 'macs'],
+			domains: ['corp.example.com', 'lab.example'],
+			mapping: {},
+		});
+		expect(() => parseRedactionOptions('ips,passwords', null, null)).toThrow('Unknown category "passwords", expected all or ips, emails');
+		expect(() => parseRedactionOptions('all', null, '[1]')).toThrow('redactMapping must be a JSON object');
+	});
+
+	it('redacts documentation addresses like public ones and keeps the pseudonym ranges', () => {
+		const redactor = redactorFor('ips');
+		expect(redactText(redactor, '192.0.2.10 198.51.100.1 203.0.113.7 3fff::1 198.19.0.4 2001:db8::5')).toBe(
+			'198.18.0.1 198.18.0.2 198.18.0.3 2001:db8::1 198.19.0.4 2001:db8::5',
+		);
+	});
+
+	// Internet checksum over the given bytes; 0 when a filled-in checksum is valid
+	const checksum = (...parts) => {
+		let sum = 0;
+		for (const bytes of parts) {
+			for (let i = 0; i < bytes.length; i += 2) sum += (bytes[i] << 8) | (bytes[i + 1] ?? 0);
+		}
+		while (sum > 0xffff) sum = (sum & 0xffff) + (sum >>> 16);
+		return ~sum & 0xffff;
+	};
+	const tcpPseudoHeader = (packet) =>
+		concat(packet.subarray(12, 20), new Uint8Array([0, 6, (packet.length - 20) >> 8, (packet.length - 20) & 0xff]));
+	// The builders leave checksums at zero
+	const withChecksums = (packet) => {
+		const view = new DataView(packet.buffer, packet.byteOffset);
+		view.setUint16(36, checksum(tcpPseudoHeader(packet), packet.subarray(20)));
+		view.setUint16(10, checksum(packet.subarray(0, 20)));
+		return packet;
+	};
+
+	it('rewrites capture addresses with valid checksums and leaves the original alone', () => {
+		const outbound = withChecksums(ipv4Packet([10, 0, 0, 2], [203, 0, 113, 7], 6, tcpSegment(51000, 443, SYN, { seq: 1 })));
+		const inbound = withChecksums(ipv4Packet([203, 0, 113, 7], [10, 0, 0, 2], 6, tcpSegment(443, 51000, SYN | ACK, { seq: 9, ack: 2 })));
+		const capture = pcapFile(101, [
+			{ bytes: outbound, at: 0 },
+			{ bytes: inbound, at: 0.1 },
+		]);
+		const redactor = redactorFor('all');
+		const redacted = redactCapture(capture, redactor);
+
+		// A 24-byte file header, then a 16-byte record header before each packet
+		const packets = [
+			redacted.subarray(40, 40 + outbound.length),
+			redacted.subarray(56 + outbound.length, 56 + outbound.length + inbound.length),
+		];
+		for (const packet of packets) {
+			expect(checksum(packet.subarray(0, 20))).toBe(0);
+			expect(checksum(tcpPseudoHeader(packet), packet.subarray(20))).toBe(0);
+		}
+		expect([...packets[0].subarray(16, 20)]).toEqual([198, 18, 0, 1]);
+		expect([...capture.subarray(56, 60)]).toEqual([203, 0, 113, 7]);
+
+		const summary = extractPcapPacketSummaries(redacted, 'redacted.pcap', 0);
+		expect(summary).toContain('TCP: 10.0.0.2 → 198.18.0.1');
+		expect(summary).not.toContain('203.0.113.7');
+		expect(summarizeRedaction(redactor).mapping).toEqual({ '198.18.0.1': '203.0.113.7' });
+		expect(() => redactCapture(new Uint8Array(8), redactor)).toThrow();
+	});
+
+	// Fill in the IPv4 header checksum and the UDP or ICMP checksum after it
+	const withIcmpOrUdpChecksums = (packet) => {
+		const view = new DataView(packet.buffer, packet.byteOffset);
+		if (packet[9] === 17) {
+			const pseudoHeader = concat(packet.subarray(12, 20), new Uint8Array([0, 17, (packet.length - 20) >> 8, (packet.length - 20) & 0xff]));
+			view.setUint16(26, checksum(pseudoHeader, packet.subarray(20)));
+		} else {
+			view.setUint16(22, checksum(packet.subarray(20)));
+		}
+		view.setUint16(10, checksum(packet.subarray(0, 20)));
+		return packet;
+	};
+	const udpChecksum = (packet) =>
+		checksum(
+			concat(packet.subarray(12, 20), new Uint8Array([0, 17, (packet.length - 20) >> 8, (packet.length - 20) & 0xff])),
+			packet.subarray(20),
+		);
+
+	it('rewrites tunneled and ICMP-quoted headers and fixes every checksum around them', () => {
+		const inner = withChecksums(ipv4Packet([10, 0, 0, 2], [203, 0, 113, 7], 6, tcpSegment(51000, 443, SYN, { seq: 1 })));
+		const vxlan = withIcmpOrUdpChecksums(
+			ipv4Packet(
+				[198, 51, 100, 1],
+				[203, 0, 113, 9],
+				17,
+				udpDatagram(40000, 4789, concat(tunnelHeader('VXLAN', { vni: 42 }), ethernetFrame(0x0800, inner))),
+			),
+		);
+		// The error quotes the whole UDP datagram, so its checksum can be checked too
+		const quoted = withIcmpOrUdpChecksums(ipv4Packet([10, 0, 0, 2], [203, 0, 113, 7], 17, udpDatagram(51000, 443)));
+		const icmp = withIcmpOrUdpChecksums(
+			ipv4Packet([203, 0, 113, 1], [10, 0, 0, 2], 1, concat(new Uint8Array([3, 3, 0, 0, 0, 0, 0, 0]), quoted)),
+		);
+		const redactor = redactorFor('all');
+		const redacted = redactCapture(
+			pcapFile(101, [
+				{ bytes: vxlan, at: 0 },
+				{ bytes: icmp, at: 0.1 },
+			]),
+			redactor
+		);
+
+		const tunnel = redacted.subarray(40, 40 + vxlan.length);
+		const tunneled = tunnel.subarray(20 + 8 + 8 + 14);
+		expect(checksum(tunnel.subarray(0, 20))).toBe(0);
+		expect(udpChecksum(tunnel)).toBe(0);
+		expect(checksum(tunneled.subarray(0, 20))).toBe(0);
+		expect(checksum(tcpPseudoHeader(tunneled), tunneled.subarray(20))).toBe(0);
+
+		const error = redacted.subarray(56 + vxlan.length);
+		const original = error.subarray(28);
+		expect(checksum(error.subarray(0, 20))).toBe(0);
+		expect(checksum(error.subarray(20))).toBe(0);
+		expect(checksum(original.subarray(0, 20))).toBe(0);
+		expect(udpChecksum(original)).toBe(0);
+		expect([...original.subarray(16, 20)]).toEqual([...tunneled.subarray(16, 20)]);
+
+		const summary = extractPcapPacketSummaries(redacted, 'redacted.pcap', 0);
+		for (const address of ['198.51.100.1', '203.0.113.9', '203.0.113.7', '203.0.113.1']) expect(summary).not.toContain(address);
+		expect(summary).toContain('quoted UDP 10.0.0.2:51000 → 198.18.0.3:443');
+	});
+
+	it('rewrites DNS answers and warns about names it cannot rewrite in place', () => {
+		const name = 'intranet.corp.example.com';
+		const response = dnsMessage(7, 0x8180, {
+			questions: [[name, 1]],
+			answers: [{ name, type: 1, rdata: new Uint8Array([203, 0, 113, 7]) }],
+		});
+		const packet = withIcmpOrUdpChecksums(ipv4Packet([10, 0, 0, 53], [10, 0, 0, 2], 17, udpDatagram(53, 51000, response)));
+		const redactor = redactorFor('all', 'corp.example.com');
+		const redacted = redactCapture(pcapFile(101, [{ bytes: packet, at: 0 }]), redactor).subarray(40);
+
+		expect(udpChecksum(redacted)).toBe(0);
+		expect([...redacted.subarray(redacted.length - 4)]).toEqual([198, 18, 0, 1]);
+		expect(summarizeRedaction(redactor).unredacted).toEqual({ dnsNames: 1 });
+		expect(describeUnredacted(redactor)).toBe('Kept as captured: DNS names under internal domains (1)');
+		expect(describeUnredacted(redactorFor('ips'))).toBeNull();
+	});
+
+	it('drops PCAPNG comments, hardware and OS strings and name resolution blocks', () => {
+		const packet = ethernetFrame(0x0800, withChecksums(ipv4Packet([10, 0, 0, 2], [203, 0, 113, 7], 6, tcpSegment(51000, 443, SYN))));
+		const sectionOptions = [
+			pcapngOption(1, 'captured on alice-macbook'),
+			pcapngOption(2, 'MacBookPro18,3'),
+			pcapngOption(3, 'macOS 14.1'),
+			new Uint8Array(4),
+		];
+		const source = concat(
+			pcapngBlock(0x0a0d0d0a, concat(sectionHeader().subarray(8, 24), ...sectionOptions)),
+			interfaceDescription(1, [pcapngOption(2, 'en0'), pcapngOption(3, 'Wi-Fi of alice-macbook'), pcapngOption(12, 'macOS 14.1')]),
+			// Name Resolution Block: an IPv4 record for 203.0.113.7
+			pcapngBlock(
+				4,
+				concat(new Uint8Array([1, 0, 20, 0, 203, 0, 113, 7]), new TextEncoder().encode('vpn.alice.example\0\0\0'), new Uint8Array(4)),
+			),
+			enhancedPacket(0, 1705314645000000n, packet),
+		);
+
+		const redacted = redactCapture(source, redactorFor('all'));
+		const metadata = parsePcapBasic(redacted);
+		expect(metadata).toMatchObject({ format: 'PCAPNG', hardware: null, os: null, packetCount: 1 });
+		expect(metadata.interfaces).toEqual([expect.objectContaining({ name: 'en0', description: null, linkTypeName: 'ETHERNET' })]);
+		const text = new TextDecoder('latin1').decode(redacted);
+		for (const leaked of ['alice', 'MacBookPro', 'macOS']) expect(text).not.toContain(leaked);
+		expect(extractPcapPacketSummaries(redacted, 'redacted.pcapng', 0)).toContain('TCP: 10.0.0.2 → 198.18.0.1');
+	});
+});
+
+describe('daemon.log parsing', () => {
+	const log = [
+		'WARP daemon starting',
+		'2024-01-15T10:30:45.123Z  INFO main_loop: warp::warp_service: Starting WarpService pid=1234',
+		'\x1b[2m2024-01-15T10:30:46.000Z\x1b[0m DEBUG main_loop:handle_command{command=Connect}: warp::warp_service::actor_main_loop: Connecting: attempt 1',
+		'2024-01-15T10:30:47.5Z ERROR warp::dns::proxy: Failed to connect to 1.1.1.1: timeout',
+		'   0: warp::dns::proxy::connect',
+		'',
+		'   1: tokio::runtime::task',
+		'[2024-01-15 11:30:48,250 +0100] [WARNING] Captive portal check failed',
+		'2024-01-15T10:30:49Z TRACE connect{attempt=2}: Retrying now',
+	].join('\n');
+
+	it('splits entries into timestamp, level, span, module and message with continuation lines', () => {
+		const { events, unparsedLines } = parseDaemonLog(log);
+
+		expect(unparsedLines).toBe(1);
+		expect(events).toEqual([
+			{
+				line: 2,
+				endLine: 2,
+				timestamp: '2024-01-15T10:30:45.123Z',
+				time: 1705314645123,
+				level: 'INFO',
+				span: 'main_loop',
+				module: 'warp::warp_service',
+				message: 'Starting WarpService pid=1234',
+			},
+			{
+				line: 3,
+				endLine: 3,
+				timestamp: '2024-01-15T10:30:46.000Z',
+				time: 1705314646000,
+				level: 'DEBUG',
+				span: 'main_loop:handle_command{command=Connect}',
+				module: 'warp::warp_service::actor_main_loop',
+				message: 'Connecting: attempt 1',
+			},
+			{
+				line: 4,
+				endLine: 7,
+				timestamp: '2024-01-15T10:30:47.500Z',
+				time: 1705314647500,
+				level: 'ERROR',
+				span: null,
+				module: 'warp::dns::proxy',
+				message: 'Failed to connect to 1.1.1.1: timeout\n   0: warp::dns::proxy::connect\n   1: tokio::runtime::task',
+			},
+			{
+				line: 8,
+				endLine: 8,
+				timestamp: '2024-01-15T10:30:48.250Z',
+				time: 1705314648250,
+				level: 'WARN',
+				span: null,
+				module: null,
+				message: 'Captive portal check failed',
+			},
+			{
+				line: 9,
+				endLine: 9,
+				timestamp: '2024-01-15T10:30:49.000Z',
+				time: 1705314649000,
+				level: 'TRACE',
+				span: 'connect{attempt=2}',
+				module: null,
+				message: 'Retrying now',
+			},
+		]);
+	});
+
+	it('filters events by level, module and time', () => {
+		const { events } = parseDaemonLog(log);
+		const lines = (options) => filterLogEvents(events, options).map((event) => event.line);
+
+		expect(lines({ minLevel: 'warn' })).toEqual([4, 8]);
+		expect(lines({ modules: ['warp::warp_service'] })).toEqual([2, 3]);
+		expect(lines({ modules: ['warp::dns'], minLevel: 'ERROR' })).toEqual([4]);
+		expect(lines({ from: '2024-01-15T10:30:46Z', to: Date.parse('2024-01-15T10:30:48.250Z') })).toEqual([3, 4, 8]);
+	});
+});
+
+describe('Connection state timeline', () => {
+	const daemon = [
+		'2024-01-15T10:30:40.000Z  INFO warp::warp_service: Registration loaded for device',
+		'2024-01-15T10:30:41.000Z  INFO warp::conn: Connecting to endpoint 162.159.192.1:2408',
+		'2024-01-15T10:30:41.500Z DEBUG warp::ipc: IPC client connected',
+		'2024-01-15T10:30:42.100Z  INFO warp::warp_service: Status update: Connected',
+		'2024-01-15T10:31:00.000Z  INFO warp::conn: Connecting to endpoint 162.159.193.1:2408',
+		'2024-01-15T10:31:05.000Z ERROR warp::conn: Failed to connect: timed out',
+	].join('\n');
+	const boringtun = [
+		'2024-01-15T10:30:41.200Z DEBUG boringtun::noise::handshake: Sending handshake_initiation',
+		'2024-01-15T10:30:41.250Z DEBUG boringtun::noise::handshake: Received handshake_response',
+		'2024-01-15T10:30:55.000Z DEBUG boringtun::noise::handshake: Sending handshake_initiation',
+	].join('\n');
+
+	it('follows daemon.log and boringtun.log through each state, citing the line behind every change', () => {
+		const timeline = buildConnectionTimeline([
+			{ filename: 'warp-diag/daemon.log', events: parseDaemonLog(daemon).events },
+			{ filename: 'warp-diag/boringtun.log', events: parseDaemonLog(boringtun).events },
+			{ filename: 'warp-diag/ifconfig.txt', content: 'Connecting to nothing' },
+		]);
+
+		// The rekey at 10:30:55 and the status report while connected change nothing
+		expect(timeline.transitions.map(({ index, from, to, file, line }) => [index, from, to, file, line])).toEqual([
+			[1, 'unknown', 'registering', 'warp-diag/daemon.log', 1],
+			[2, 'registering', 'connecting', 'warp-diag/daemon.log', 2],
+			[3, 'connecting', 'handshake', 'warp-diag/boringtun.log', 1],
+			[4, 'handshake', 'connected', 'warp-diag/boringtun.log', 2],
+			[5, 'connected', 'reconnecting', 'warp-diag/daemon.log', 5],
+			[6, 'reconnecting', 'disconnected', 'warp-diag/daemon.log', 6],
+		]);
+		expect(timeline.transitions[5]).toMatchObject({
+			time: '2024-01-15T10:31:05.000Z',
+			reason: 'Connection attempt failed',
+			level: 'ERROR',
+			module: 'warp::conn',
+		});
+		expect(timeline).toMatchObject({
+			start: '2024-01-15T10:30:40.000Z',
+			end: '2024-01-15T10:31:05.000Z',
+			finalState: 'disconnected',
+			truncated: false,
+			durationsMs: { registering: 1000, connecting: 200, handshake: 50, connected: 18750, reconnecting: 5000, disconnected: 0 },
+		});
+		expect(buildConnectionTimeline([{ filename: 'daemon_dns.log', events: parseDaemonLog(daemon).events }])).toBeNull();
+	});
+
+	it('reads the new state from status changes and ignores other modules and DEBUG messages', () => {
+		const log = [
+			'2024-01-15T10:30:40.000Z  INFO warp::warp_service: Status changed from Disconnected to Connecting',
+			'2024-01-15T10:30:41.000Z  INFO warp::warp_service: Status changed from Connecting to Connected',
+			'2024-01-15T10:30:42.000Z DEBUG hyper::proto::h1::conn: connection closed',
+			'2024-01-15T10:30:43.000Z DEBUG warp::api: fetching registration config',
+			'2024-01-15T10:30:44.000Z  INFO warp::ipc: client disconnected',
+			'2024-01-15T10:30:45.000Z DEBUG warp::conn: tunnel down for rekey test',
+		].join('\n');
+		const timeline = buildConnectionTimeline([{ filename: 'daemon.log', events: parseDaemonLog(log).events }]);
+
+		expect(timeline.transitions.map(({ from, to, line }) => [from, to, line])).toEqual([
+			['unknown', 'connecting', 1],
+			['connecting', 'connected', 2],
+		]);
+		expect(timeline.finalState).toBe('connected');
+	});
+});
+
+describe('Split tunnel and routes', () => {
+	const settings = [
+		'Merged configuration:',
+		'(network policy)\tMode: WarpWithDnsOverHttps',
+		'(network policy)\tExclude mode, with hosts/ips:',
+		'  10.0.0.0/8',
+		'  100.64.0.0/10',
+		'  169.254.0.0/16\t(DHCPv4)',
+		'  224.0.0.0/24',
+		'  example.com',
+		'(default)\tFallback domains:',
+		'  intranet',
+		'  corp.example.com\t[10.0.0.53]',
+		'(default)\tDaemon Teams Auth: false',
+	].join('\n');
+
+	it('reads the service mode, split tunnel list and fallback domains from warp-cli output and JSON', () => {
+		expect(parseWarpSettings(settings)).toEqual({
+			serviceMode: { value: 'WarpWithDnsOverHttps', line: 2 },
+			splitTunnel: {
+				mode: 'exclude',
+				line: 3,
+				entries: [
+					{ value: '10.0.0.0/8', description: null, line: 4 },
+					{ value: '100.64.0.0/10', description: null, line: 5 },
+					{ value: '169.254.0.0/16', description: 'DHCPv4', line: 6 },
+					{ value: '224.0.0.0/24', description: null, line: 7 },
+					{ value: 'example.com', description: null, line: 8 },
+				],
+			},
+			fallbackDomains: [
+				{ value: 'intranet', description: null, line: 10 },
+				{ value: 'corp.example.com', description: '[10.0.0.53]', line: 11 },
+			],
+		});
+
+		const json = JSON.stringify(
+			{ service_mode: 'warp', include: [{ address: '10.1.0.0/16', description: 'Lab' }], fallback_domains: [{ suffix: 'corp' }] },
+			null,
+			2,
+		);
+		expect(parseWarpSettings(json)).toMatchObject({
+			serviceMode: { value: 'warp' },
+			splitTunnel: { mode: 'include', entries: [{ value: '10.1.0.0/16', description: 'Lab', line: 5 }] },
+			fallbackDomains: [{ value: 'corp' }],
+		});
+	});
+
+	it('flags CGNAT overlaps and excluded ranges routed into the tunnel on macOS', () => {
+		const route = [
+			'Routing tables',
+			'',
+			'Internet:',
+			'Destination        Gateway            Flags               Netif Expire',
+			'default            100.100.0.1        UGScg                 en0',
+			'default            link#22            UCSIg               utun3',
+			'1                  link#22            UCS                 utun3',
+			'8/5                link#22            UCS                 utun3',
+			'100.100/16         link#6             UCS                   en0      !',
+			'100.100.0.1/32     link#6             UCS                   en0      !',
+			'224.0.0/4          link#22            UmCS                utun3',
+		].join('\n');
+		const ifconfig = [
+			'en0: flags=8863<UP,BROADCAST,SMART,RUNNING,SIMPLEX,MULTICAST> mtu 1500',
+			'\tinet 100.100.0.23 netmask 0xffff0000 broadcast 100.100.255.255',
+			'utun3: flags=8051<UP,POINTOPOINT,RUNNING,MULTICAST> mtu 1280',
+			'\tinet 100.96.0.12 --> 100.96.0.12 netmask 0xffffffff',
+		].join('\n');
+
+		const analysis = analyzeSplitTunnel([
+			{ filename: 'diag/warp-settings.txt', content: settings },
+			{ filename: 'diag/route.txt', content: route },
+			{ filename: 'diag/ifconfig.txt', content: ifconfig },
+		]);
+
+		expect(analysis.tunnelInterface).toBe('utun3');
+		expect(analysis.interfaces).toEqual([
+			{ name: 'en0', file: 'diag/ifconfig.txt', tunnel: false, addresses: ['100.100.0.23/16'] },
+			{ name: 'utun3', file: 'diag/ifconfig.txt', tunnel: true, addresses: ['100.96.0.12/32'] },
+		]);
+		// The gateway's host route sits inside the reported network, and multicast is not checked
+		expect(analysis.conflicts).toEqual([
+			{
+				type: 'cgnatOverlap',
+				severity: 'Critical',
+				message: 'en0 is on 100.100.0.0/16 (100.100.0.23), which overlaps the WARP range 100.96.0.0/12',
+				interface: { file: 'diag/ifconfig.txt', line: 2, text: 'inet 100.100.0.23 netmask 0xffff0000 broadcast 100.100.255.255' },
+				route: { file: 'diag/route.txt', line: 9, text: '100.100/16         link#6             UCS                   en0      !' },
+				setting: null,
+			},
+			{
+				type: 'excludedRoutedIntoTunnel',
+				severity: 'Warning',
+				message: '10.0.0.0/8 is excluded from WARP but 8.0.0.0/5 is routed into the tunnel via utun3',
+				route: { file: 'diag/route.txt', line: 8, text: '8/5                link#22            UCS                 utun3' },
+				setting: { file: 'diag/warp-settings.txt', line: 4, text: '10.0.0.0/8' },
+			},
+		]);
+	});
+
+	it('flags a Windows default route that bypasses the tunnel, matching interfaces by address', () => {
+		const route = [
+			'IPv4 Route Table',
+			'===========================================================================',
+			'Active Routes:',
+			'Network Destination        Netmask          Gateway       Interface  Metric',
+			'          0.0.0.0          0.0.0.0      192.168.1.1    192.168.1.50     35',
+			'         10.0.0.0        255.0.0.0      192.168.1.1    192.168.1.50     36',
+			'       100.96.0.0      255.240.0.0         On-link       100.96.0.9    257',
+			'===========================================================================',
+			'Persistent Routes:',
+			'  None',
+		].join('\n');
+		const ipconfig = [
+			'Windows IP Configuration',
+			'',
+			'Wireless LAN adapter Wi-Fi:',
+			'',
+			'   IPv4 Address. . . . . . . . . . . : 192.168.1.50(Preferred)',
+			'   Subnet Mask . . . . . . . . . . . : 255.255.255.0',
+			'',
+			'Unknown adapter CloudflareWARP:',
+			'',
+			'   Description . . . . . . . . . . . : Cloudflare WARP Interface Tunnel',
+			'   IPv4 Address. . . . . . . . . . . : 100.96.0.9(Preferred)',
+			'   Subnet Mask . . . . . . . . . . . : 255.255.255.255',
+		].join('\n');
+
+		const analysis = analyzeSplitTunnel([
+			{ filename: 'warp-settings.txt', content: settings },
+			{ filename: 'route.txt', content: route },
+			{ filename: 'ipconfig.txt', content: ipconfig },
+		]);
+
+		expect(analysis.tunnelInterface).toBe('CloudflareWARP');
+		expect(analysis.conflicts).toEqual([
+			{
+				type: 'defaultRouteBypass',
+				severity: 'Critical',
+				message:
+					'Traffic to 8.8.8.8 leaves via Wi-Fi (0.0.0.0/0) instead of the tunnel, although only the excluded ranges should bypass WARP',
+				route: { file: 'route.txt', line: 5, text: '0.0.0.0          0.0.0.0      192.168.1.1    192.168.1.50     35' },
+				setting: { file: 'warp-settings.txt', line: 2, text: '(network policy)\tMode: WarpWithDnsOverHttps' },
+			},
+		]);
+
+		// A proxy-only client routes nothing into a tunnel
+		const proxy = analyzeSplitTunnel([
+			{ filename: 'warp-settings.txt', content: settings.replace('WarpWithDnsOverHttps', 'WarpProxy on port 40000') },
+			{ filename: 'route.txt', content: route },
+			{ filename: 'ipconfig.txt', content: ipconfig },
+		]);
+		expect(proxy.conflicts).toEqual([]);
+		expect(analyzeSplitTunnel([{ filename: 'daemon.log', content: '' }])).toBeNull();
+	});
+});